@@ -6,8 +6,12 @@ const swaggerUi = require("swagger-ui-express")
 require("dotenv").config()
 
 const { connectDB } = require("./config/database")
+const { loadKeys, getJwks } = require("./config/keys")
 const { errorHandler } = require("./middlewares/errorHandler")
+const { identifyApiKey } = require("./middlewares/auth")
 const { createDefaultAdmin } = require("./utils/defaultData")
+const { startRetentionJob } = require("./services/trashService")
+const { startRankingSnapshotJob } = require("./services/rankingService")
 const swaggerDocument = require("./config/swagger")
 
 // Importar rutas
@@ -16,7 +20,14 @@ const userRoutes = require("./routers/users")
 const restaurantRoutes = require("./routers/restaurants")
 const dishRoutes = require("./routers/dishes")
 const reviewRoutes = require("./routers/reviews")
+const favoriteRoutes = require("./routers/favorites")
+const listRoutes = require("./routers/lists")
 const categoryRoutes = require("./routers/categories")
+const apiKeyRoutes = require("./routers/apiKeys")
+const roleRoutes = require("./routers/roles")
+const restaurantClaimRoutes = require("./routers/restaurantClaims")
+const restaurantSuggestionRoutes = require("./routers/restaurantSuggestions")
+const adminRoutes = require("./routers/admin")
 
 const app = express()
 const PORT = process.env.PORT || 3000
@@ -42,8 +53,11 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Las peticiones con una API key válida tienen su propio límite por clave (ver identifyApiKey)
+  skip: (req) => Boolean(req.apiKey),
 })
 
+app.use(identifyApiKey)
 app.use(limiter)
 
 // Middlewares generales
@@ -59,7 +73,14 @@ app.use("/api/v1/users", userRoutes)
 app.use("/api/v1/restaurants", restaurantRoutes)
 app.use("/api/v1/dishes", dishRoutes)
 app.use("/api/v1/reviews", reviewRoutes)
+app.use("/api/v1/favorites", favoriteRoutes)
+app.use("/api/v1/lists", listRoutes)
 app.use("/api/v1/categories", categoryRoutes)
+app.use("/api/v1/api-keys", apiKeyRoutes)
+app.use("/api/v1/roles", roleRoutes)
+app.use("/api/v1/restaurant-claims", restaurantClaimRoutes)
+app.use("/api/v1/restaurant-suggestions", restaurantSuggestionRoutes)
+app.use("/api/v1/admin", adminRoutes)
 
 // Ruta de salud del servidor
 app.get("/api/v1/health", (req, res) => {
@@ -71,6 +92,12 @@ app.get("/api/v1/health", (req, res) => {
   })
 })
 
+// Claves públicas para que otros servicios verifiquen los tokens de FoodieRank
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300")
+  res.json(getJwks())
+})
+
 // Ruta raíz
 app.get("/", (req, res) => {
   res.json({
@@ -94,6 +121,10 @@ app.use(errorHandler)
 // Inicializar servidor
 async function startServer() {
   try {
+    // Cargar las claves de firma de JWT (sin claves válidas el servidor no arranca)
+    const signingKey = loadKeys()
+    console.log(`🔑 Clave JWT activa: ${signingKey.kid} (${signingKey.alg})`)
+
     // Conectar a la base de datos
     await connectDB()
     console.log("✅ Conectado a MongoDB")
@@ -101,6 +132,12 @@ async function startServer() {
     // Crear usuario administrador por defecto
     await createDefaultAdmin()
 
+    // Purgar periódicamente la papelera
+    startRetentionJob()
+
+    // Guardar la instantánea diaria del ranking
+    startRankingSnapshotJob()
+
     // Iniciar servidor
     app.listen(PORT, () => {
       console.log(`🚀 Servidor ejecutándose en puerto ${PORT}`)
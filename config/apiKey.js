@@ -0,0 +1,37 @@
+const passport = require('passport');
+const { authenticateApiKey } = require('../services/apiKeyService');
+
+// Cabecera en la que los integradores envían su API key
+const API_KEY_HEADER = 'x-api-key';
+
+// Estrategia de Passport para autenticar integraciones mediante API key
+class ApiKeyStrategy extends passport.Strategy {
+  constructor() {
+    super();
+    this.name = 'apikey';
+  }
+
+  authenticate(req) {
+    const key = req.get(API_KEY_HEADER);
+    if (!key) {
+      return this.fail({ message: 'API key requerida' });
+    }
+
+    authenticateApiKey(key, req.ip)
+      .then((result) => {
+        if (!result) {
+          return this.fail({ message: 'API key inválida, revocada o expirada' });
+        }
+
+        this.success(result.user, { apiKey: result.apiKey });
+      })
+      .catch((error) => this.error(error));
+  }
+}
+
+passport.use(new ApiKeyStrategy());
+
+module.exports = {
+  API_KEY_HEADER,
+  ApiKeyStrategy
+};
@@ -1,4 +1,5 @@
 const { MongoClient } = require("mongodb")
+const { LIVE_INDEX_FILTER } = require("../utils/softDelete")
 
 let db = null
 let client = null
@@ -39,6 +40,36 @@ const getDB = () => {
   return db
 }
 
+// Código de error de MongoDB standalone (sin replica set) al usar transacciones
+const TRANSACTIONS_NOT_SUPPORTED = 20
+
+/**
+ * Ejecuta una operación dentro de una transacción. En despliegues sin replica set
+ * (MongoDB standalone) no hay transacciones y la operación se ejecuta sin sesión.
+ * @param {Function} operation - async (session) => resultado
+ * @returns {Promise<*>} Resultado de la operación
+ */
+const withTransaction = async (operation) => {
+  const session = client.startSession()
+
+  try {
+    let result
+    await session.withTransaction(async () => {
+      result = await operation(session)
+    })
+    return result
+  } catch (error) {
+    if (error.code !== TRANSACTIONS_NOT_SUPPORTED) {
+      throw error
+    }
+
+    console.warn("MongoDB no admite transacciones en este despliegue; la operación se ejecuta sin transacción")
+    return await operation(undefined)
+  } finally {
+    await session.endSession()
+  }
+}
+
 const closeDB = async () => {
   if (client) {
     await client.close()
@@ -48,63 +79,208 @@ const closeDB = async () => {
   }
 }
 
-const createIndexes = async () => {
-  try {
-    const database = getDB()
+// Colecciones con papelera (utils/softDelete)
+const SOFT_DELETE_COLLECTIONS = ["restaurants", "dishes", "reviews", "categories"]
+
+// Documentos duplicados entre los no eliminados de una colección para las claves de un índice único
+const findLiveDuplicates = async (collection, keys, filter) =>
+  await collection
+    .aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: Object.fromEntries(Object.keys(keys).map((field) => [field, `$${field}`])),
+          ids: { $push: "$_id" },
+        },
+      },
+      { $match: { "ids.1": { $exists: true } } },
+      { $limit: 5 },
+    ])
+    .toArray()
 
-    // Índices para usuarios
-    await database.collection("users").createIndex({ email: 1 }, { unique: true })
-    await database.collection("users").createIndex({ role: 1 })
+/**
+ * Crea un índice único que solo cuenta los documentos no eliminados, en lugar del índice único anterior
+ * sobre las mismas claves (que también contaba los documentos de la papelera). Si ya hay documentos
+ * no eliminados duplicados, no se toca el índice anterior y se lanza un error con algunos de ellos.
+ * @param {Collection} collection - Colección de MongoDB
+ * @param {object} keys - Claves del índice
+ * @param {object} partialFilterExpression - Condición adicional de los documentos indexados
+ * @returns {Promise<void>}
+ */
+const buildLiveUniqueIndex = async (collection, keys, partialFilterExpression = {}) => {
+  const filter = { ...partialFilterExpression, ...LIVE_INDEX_FILTER }
+  const legacyName = Object.entries(keys)
+    .map(([field, direction]) => `${field}_${direction}`)
+    .join("_")
 
-    // Índices para restaurantes
-    await database.collection("restaurants").createIndex({ name: 1 }, { unique: true })
-    await database.collection("restaurants").createIndex({ category: 1 })
-    await database.collection("restaurants").createIndex({ approved: 1 })
-    await database.collection("restaurants").createIndex({ location: "2dsphere" })
+  const duplicates = await findLiveDuplicates(collection, keys, filter)
+  if (duplicates.length > 0) {
+    const examples = duplicates.map((duplicate) => duplicate.ids.join(", ")).join("; ")
+    throw new Error(
+      `Hay documentos duplicados en ${collection.collectionName} (${examples}). ` +
+        `Elimina o corrige los duplicados y reinicia para crear el índice ${legacyName}_live`,
+    )
+  }
 
-    // Índices para platos
-    await database.collection("dishes").createIndex({ restaurantId: 1 })
-    await database.collection("dishes").createIndex({ name: 1, restaurantId: 1 }, { unique: true })
+  if (await collection.indexExists(legacyName)) {
+    await collection.dropIndex(legacyName)
+  }
 
-    // Índices para reseñas
-    await database.collection("reviews").createIndex({ restaurantId: 1 })
-    await database.collection("reviews").createIndex({ userId: 1 })
+  await collection.createIndex(keys, { name: `${legacyName}_live`, unique: true, partialFilterExpression: filter })
+}
 
-    // Index for dish reviews (when dishId exists)
-    await database.collection("reviews").createIndex(
-      { userId: 1, restaurantId: 1, dishId: 1 },
-      {
-        unique: true,
-        partialFilterExpression: { dishId: { $exists: true, $type: "objectId" } },
-      },
+// Cada índice se crea por separado: si uno falla (p. ej. por datos duplicados) se crean igualmente los demás
+const createIndexes = async () => {
+  const database = getDB()
+  const failed = []
+
+  const build = async (description, operation) => {
+    try {
+      await operation()
+    } catch (error) {
+      failed.push(description)
+      console.error(`Error creando el índice ${description}:`, error.message)
+    }
+  }
+
+  const createIndex = (name, keys, options = {}) =>
+    build(`${name} ${JSON.stringify(keys)}`, () => database.collection(name).createIndex(keys, options))
+
+  const createLiveUniqueIndex = (name, keys, partialFilterExpression) =>
+    build(`${name} ${JSON.stringify(keys)}`, () =>
+      buildLiveUniqueIndex(database.collection(name), keys, partialFilterExpression),
     )
 
-    // Index for restaurant-only reviews (when dishId doesn't exist)
-    await database.collection("reviews").createIndex(
-      { userId: 1, restaurantId: 1 },
-      {
-        unique: true,
-        partialFilterExpression: { dishId: { $exists: false } },
-      },
+  // Los documentos anteriores a la papelera no tienen deletedAt: se completa con null para que
+  // entren en los índices únicos de documentos no eliminados
+  for (const name of SOFT_DELETE_COLLECTIONS) {
+    await build(`${name} (deletedAt)`, () =>
+      database.collection(name).updateMany({ deletedAt: { $exists: false } }, { $set: { deletedAt: null } }),
     )
+  }
+
+  // Índices para usuarios
+  await createIndex("users", { email: 1 }, { unique: true })
+  await createIndex("users", { role: 1 })
+
+  // Índices para sesiones y refresh tokens
+  await createIndex("sessions", { userId: 1 })
+  await createIndex("sessions", { expiresAt: 1 }, { expireAfterSeconds: 0 })
+  await createIndex("refresh_tokens", { tokenHash: 1 }, { unique: true })
+  await createIndex("refresh_tokens", { sessionId: 1 })
+  await createIndex("refresh_tokens", { expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+  // Índices para códigos de verificación
+  await createIndex("verification_codes", { userId: 1, purpose: 1, createdAt: -1 })
+  await createIndex("verification_codes", { codeHash: 1 })
+  await createIndex("verification_codes", { expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+  // Índices para intentos de login (bloqueo por fuerza bruta)
+  await createIndex("login_attempts", { key: 1 }, { unique: true })
+  await createIndex("login_attempts", { expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+  // Índices para verificación en dos pasos
+  await createIndex("two_factor", { userId: 1 }, { unique: true })
+
+  // Índices para API keys
+  await createIndex("api_keys", { keyHash: 1 }, { unique: true })
+  await createIndex("api_keys", { userId: 1, createdAt: -1 })
+
+  // Índices para restaurantes
+  await createIndex("restaurants", { category: 1 })
+  await createLiveUniqueIndex("restaurants", { name: 1 })
+  await createIndex("restaurants", { approved: 1 })
+  await createIndex("restaurants", { status: 1, submittedAt: 1 })
+  await createIndex("restaurants", { location: "2dsphere" })
+  await createIndex("restaurants", { managers: 1 })
+  await createIndex("restaurants", { deletedAt: 1 })
+  await createIndex("restaurants", { "geocoding.needsReview": 1, createdAt: 1 })
+  await createIndex("restaurants", { "addressKeys.city": 1, "addressKeys.neighborhood": 1 })
+  await createIndex("restaurants", { "addressKeys.country": 1, "addressKeys.city": 1 })
+
+  // Índices para el nomenclátor de geocodificación
+  await createIndex("gazetteer", { location: "2dsphere" })
+  await createIndex(
+    "gazetteer",
+    { type: 1, normalizedName: 1, normalizedCity: 1, normalizedState: 1, normalizedCountry: 1 },
+    { unique: true },
+  )
+  await createIndex("gazetteer", { source: 1 })
+
+  // Índices para las instantáneas diarias del ranking
+  await createIndex("ranking_snapshots", { category: 1, city: 1, date: -1 }, { unique: true })
+  await createIndex("ranking_snapshots", { date: 1 })
 
-    await database.collection("reviews").createIndex({ createdAt: -1 })
+  // Índices para reclamaciones de propiedad
+  await createIndex("restaurant_claims", { restaurantId: 1, userId: 1, status: 1 })
+  await createIndex("restaurant_claims", { status: 1, createdAt: -1 })
 
-    // Índices para categorías
-    await database.collection("categories").createIndex({ name: 1 }, { unique: true })
+  // Índices para sugerencias de edición de restaurantes
+  await createIndex("restaurant_suggestions", { restaurantId: 1, status: 1, createdAt: -1 })
+  await createIndex("restaurant_suggestions", { userId: 1, status: 1 })
 
-    // indices para restaurantes favoritos 
-    await database.collection("FavoritosRestaurantes").createIndex({ restaurantId: 1, userId: 1 }, { unique: true })
-    await database.collection("FavoritosRestaurantes").createIndex({ restaurantId: 1 })
+  // Índices para el historial de moderación de restaurantes
+  await createIndex("restaurant_moderation", { restaurantId: 1, createdAt: -1 })
 
+  // Índices para platos
+  await createIndex("dishes", { restaurantId: 1 })
+  await createIndex("dishes", { deletedAt: 1 })
+  await createIndex("dishes", { deletedWith: 1 })
+  await createLiveUniqueIndex("dishes", { name: 1, restaurantId: 1 })
+  await createIndex("dishes", { categoryId: 1, available: 1, reviewCount: -1 })
+
+  // Índices para reseñas
+  await createIndex("reviews", { restaurantId: 1 })
+  await createIndex("reviews", { userId: 1 })
+  await createIndex("reviews", { dishId: 1 })
+
+  // Index for dish reviews (when dishId exists)
+  await createLiveUniqueIndex(
+    "reviews",
+    { userId: 1, restaurantId: 1, dishId: 1 },
+    { dishId: { $exists: true, $type: "objectId" } },
+  )
+
+  // Index for restaurant-only reviews (dishId null)
+  await createLiveUniqueIndex("reviews", { userId: 1, restaurantId: 1 }, { dishId: { $type: "null" } })
+
+  await createIndex("reviews", { createdAt: -1 })
+  await createIndex("reviews", { deletedAt: 1 })
+  await createIndex("reviews", { deletedWith: 1 })
+
+  // Índices para reacciones a reseñas (una por usuario y reseña)
+  await createIndex("review_reactions", { reviewId: 1, userId: 1 }, { unique: true })
+  await createIndex("review_reactions", { userId: 1 })
+
+  // Índices para categorías
+  await createIndex("categories", { deletedAt: 1 })
+  await createLiveUniqueIndex("categories", { name: 1 })
+
+  // indices para restaurantes favoritos 
+  await createIndex("FavoritosRestaurantes", { restaurantId: 1, userId: 1 }, { unique: true })
+  await createIndex("FavoritosRestaurantes", { restaurantId: 1 })
+  await createIndex("FavoritosRestaurantes", { userId: 1, createdAt: -1 })
+
+  // Índices para platos favoritos
+  await createIndex("dish_favorites", { dishId: 1, userId: 1 }, { unique: true })
+  await createIndex("dish_favorites", { userId: 1, createdAt: -1 })
+
+  // Índices para listas de favoritos
+  await createIndex("favorite_lists", { userId: 1, updatedAt: -1 })
+  await createIndex("favorite_lists", { shareToken: 1 }, { unique: true })
+  await createIndex("favorite_lists", { visibility: 1, updatedAt: -1 })
+  await createIndex("favorite_lists", { "items.type": 1, "items.targetId": 1 })
+
+  if (failed.length > 0) {
+    console.error(`No se pudieron crear ${failed.length} índices: ${failed.join(", ")}`)
+  } else {
     console.log("Índices de base de datos creados correctamente")
-  } catch (error) {
-    console.error("Error creando índices:", error)
   }
-} 
+}
 
 module.exports = {
   connectDB,
   getDB,
+  withTransaction,
   closeDB,
 }
@@ -3,15 +3,48 @@ const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
 const jwt = require('jsonwebtoken');
 const { getDB } = require('./database');
 const { ObjectId } = require('mongodb');
+const Session = require('../models/Session');
+const { getSigningKey, getVerificationKey, SUPPORTED_ALGORITHMS } = require('./keys');
+
+// Emisor de los tokens (otros servicios lo validan junto con la firma)
+const JWT_ISSUER = process.env.JWT_ISSUER || 'foodierank';
+
+// Duración del access token (corta, se renueva con el refresh token)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Duración del token de desafío de la verificación en dos pasos
+const CHALLENGE_TOKEN_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
 
 // Configuración de la estrategia JWT para Passport
+// La clave pública se elige según el kid de la cabecera del token
 const jwtOptions = {
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
-  secretOrKey: process.env.JWT_SECRET || 'fallback_secret_key'
+  secretOrKeyProvider: (req, rawJwtToken, done) => {
+    const decoded = jwt.decode(rawJwtToken, { complete: true });
+    const key = getVerificationKey(decoded?.header?.kid);
+
+    if (!key || decoded.header.alg !== key.alg) {
+      return done(new Error('Clave de firma desconocida'));
+    }
+
+    done(null, key.publicKey);
+  },
+  algorithms: SUPPORTED_ALGORITHMS,
+  issuer: JWT_ISSUER
 };
 
 passport.use(new JwtStrategy(jwtOptions, async (payload, done) => {
   try {
+    // Solo se aceptan tokens ligados a una sesión activa
+    if (!payload.sid) {
+      return done(null, false);
+    }
+
+    const session = await Session.findActiveById(payload.sid);
+    if (!session) {
+      return done(null, false);
+    }
+
     const db = getDB();
     const user = await db.collection('users').findOne(
       { _id: new ObjectId(payload.userId) },
@@ -19,6 +52,7 @@ passport.use(new JwtStrategy(jwtOptions, async (payload, done) => {
     );
 
     if (user) {
+      user.sessionId = payload.sid;
       return done(null, user);
     } else {
       return done(null, false);
@@ -28,23 +62,59 @@ passport.use(new JwtStrategy(jwtOptions, async (payload, done) => {
   }
 }));
 
-// Función para generar JWT token
-const generateToken = (userId, role) => {
+// Firmar un payload con la clave activa
+const signToken = (payload, expiresIn) => {
+  const { kid, alg, privateKey } = getSigningKey();
+
+  return jwt.sign(payload, privateKey, {
+    algorithm: alg,
+    keyid: kid,
+    issuer: JWT_ISSUER,
+    expiresIn
+  });
+};
+
+// Verificar firma, emisor y expiración de un token con la clave indicada por su kid
+const verifySignedToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = getVerificationKey(decoded?.header?.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Clave de firma desconocida');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg], issuer: JWT_ISSUER });
+};
+
+// Función para generar JWT token (access token de corta duración)
+const generateToken = (userId, role, sessionId) => {
   const payload = {
     userId: userId.toString(),
     role: role,
+    sid: sessionId.toString(),
     iat: Math.floor(Date.now() / 1000)
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: '7d' // Token válido por 7 días
-  });
+  return signToken(payload, ACCESS_TOKEN_EXPIRES_IN);
+};
+
+// Token de desafío 2FA: no abre sesión, solo permite completar el segundo paso del login
+const generateChallengeToken = (userId, purpose) => {
+  return signToken({ userId: userId.toString(), typ: purpose }, CHALLENGE_TOKEN_EXPIRES_IN);
+};
+
+// Verificar token de desafío 2FA para el propósito indicado
+const verifyChallengeToken = (token, purpose) => {
+  const payload = verifySignedToken(token);
+  if (payload.typ !== purpose) {
+    throw new jwt.JsonWebTokenError('Tipo de token inválido');
+  }
+  return payload;
 };
 
 // Función para verificar JWT token
 const verifyToken = (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    return verifySignedToken(token);
   } catch (error) {
     throw new Error('Token inválido');
   }
@@ -53,5 +123,9 @@ const verifyToken = (token) => {
 module.exports = {
   generateToken,
   verifyToken,
-  jwtOptions
+  generateChallengeToken,
+  verifyChallengeToken,
+  jwtOptions,
+  JWT_ISSUER,
+  ACCESS_TOKEN_EXPIRES_IN
 };
\ No newline at end of file
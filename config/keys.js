@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Directorio con las claves de firma de JWT:
+//   <kid>.pem      clave privada (puede firmar y verificar)
+//   <kid>.pub.pem  clave pública retirada (solo verifica tokens emitidos antes de la rotación)
+const KEYS_DIR = process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'keys');
+
+// Algoritmo de las claves nuevas (RS256 | ES256)
+const KEY_ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
+
+// Tiempo que una clave retirada sigue publicada; debe superar la duración del access token
+const RETIRED_KEY_TTL_MS = (Number.parseInt(process.env.JWT_RETIRED_KEY_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Cada cuánto se vuelve a leer el directorio para detectar rotaciones
+const RELOAD_INTERVAL_MS = (Number.parseInt(process.env.JWT_KEYS_RELOAD_SECONDS) || 60) * 1000;
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+let keyStore = null;
+
+// Algoritmo JWT que corresponde al tipo de clave
+const getKeyAlgorithm = (keyObject, file) => {
+  if (keyObject.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  throw new Error(`La clave ${file} no es RSA ni EC P-256`);
+};
+
+/**
+ * Lee las claves del directorio configurado
+ * @returns {object} { keys: Map<kid, clave>, activeKey }
+ */
+function readKeys() {
+  if (!fs.existsSync(KEYS_DIR)) {
+    throw new Error(`No existe el directorio de claves JWT (${KEYS_DIR}). Genera una clave con "npm run keys:rotate"`);
+  }
+
+  const keys = new Map();
+  const now = Date.now();
+
+  for (const file of fs.readdirSync(KEYS_DIR).sort()) {
+    if (!file.endsWith('.pem')) continue;
+
+    const filePath = path.join(KEYS_DIR, file);
+    const isRetired = file.endsWith('.pub.pem');
+    const kid = file.replace(/(\.pub)?\.pem$/, '');
+    const pem = fs.readFileSync(filePath);
+
+    if (isRetired) {
+      // Las claves retiradas caducan cuando ya no puede quedar ningún token firmado con ellas
+      const retiredAt = fs.statSync(filePath).mtimeMs;
+      if (now - retiredAt > RETIRED_KEY_TTL_MS) continue;
+
+      const publicKey = crypto.createPublicKey(pem);
+      keys.set(kid, { kid, alg: getKeyAlgorithm(publicKey, file), publicKey, privateKey: null });
+    } else {
+      const privateKey = crypto.createPrivateKey(pem);
+      keys.set(kid, {
+        kid,
+        alg: getKeyAlgorithm(privateKey, file),
+        publicKey: crypto.createPublicKey(privateKey),
+        privateKey
+      });
+    }
+  }
+
+  const signingKids = [...keys.values()].filter((key) => key.privateKey).map((key) => key.kid);
+  if (signingKids.length === 0) {
+    throw new Error(`No hay claves privadas JWT en ${KEYS_DIR}. Genera una clave con "npm run keys:rotate"`);
+  }
+
+  // Clave activa: JWT_ACTIVE_KID o, si no se indica, la más reciente (los kid generados son ordenables)
+  const activeKid = process.env.JWT_ACTIVE_KID || signingKids[signingKids.length - 1];
+  const activeKey = keys.get(activeKid);
+  if (!activeKey?.privateKey) {
+    throw new Error(`JWT_ACTIVE_KID="${activeKid}" no corresponde a ninguna clave privada de ${KEYS_DIR}`);
+  }
+
+  return { keys, activeKey, loadedAt: now };
+}
+
+/**
+ * Carga las claves de firma. Lanza un error si la configuración no es válida,
+ * de modo que el servidor no arranque sin claves seguras.
+ * @returns {object} Clave activa
+ */
+function loadKeys() {
+  keyStore = readKeys();
+  return keyStore.activeKey;
+}
+
+// Devuelve las claves en memoria, releyendo el directorio periódicamente
+const getKeyStore = () => {
+  if (!keyStore) {
+    loadKeys();
+  } else if (Date.now() - keyStore.loadedAt > RELOAD_INTERVAL_MS) {
+    try {
+      keyStore = readKeys();
+    } catch (error) {
+      // Se conservan las claves anteriores si el directorio queda en un estado inválido
+      console.error('Error recargando claves JWT:', error.message);
+      keyStore.loadedAt = Date.now();
+    }
+  }
+
+  return keyStore;
+};
+
+/**
+ * Obtiene la clave con la que se firman los tokens nuevos
+ * @returns {object} { kid, alg, privateKey, publicKey }
+ */
+function getSigningKey() {
+  return getKeyStore().activeKey;
+}
+
+/**
+ * Obtiene la clave pública para verificar un token según su kid
+ * @param {string} kid - Identificador de la clave (cabecera del JWT)
+ * @returns {object|null} { kid, alg, publicKey } o null si no existe
+ */
+function getVerificationKey(kid) {
+  if (!kid) return null;
+  return getKeyStore().keys.get(kid) || null;
+}
+
+/**
+ * Construye el JWKS con todas las claves públicas vigentes
+ * @returns {object} { keys: [...] }
+ */
+function getJwks() {
+  const { keys } = getKeyStore();
+
+  return {
+    keys: [...keys.values()].map((key) => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+}
+
+/**
+ * Rota las claves: genera una nueva clave activa, retira las privadas anteriores
+ * (conservando su parte pública) y elimina las retiradas que ya caducaron
+ * @returns {object} { kid, retired, removed }
+ */
+function rotateKeys() {
+  if (!SUPPORTED_ALGORITHMS.includes(KEY_ALGORITHM)) {
+    throw new Error(`JWT_ALGORITHM debe ser uno de: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+  }
+
+  fs.mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+
+  const existing = fs.readdirSync(KEYS_DIR).filter((file) => file.endsWith('.pem'));
+  const retired = [];
+  const removed = [];
+
+  // Generar la nueva clave
+  const { privateKey } = KEY_ALGORITHM === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const kid = `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+
+  fs.writeFileSync(
+    path.join(KEYS_DIR, `${kid}.pem`),
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    { mode: 0o600 }
+  );
+
+  for (const file of existing) {
+    const filePath = path.join(KEYS_DIR, file);
+
+    if (file.endsWith('.pub.pem')) {
+      if (Date.now() - fs.statSync(filePath).mtimeMs > RETIRED_KEY_TTL_MS) {
+        fs.unlinkSync(filePath);
+        removed.push(file.replace(/\.pub\.pem$/, ''));
+      }
+      continue;
+    }
+
+    // Retirar la clave privada anterior conservando solo la pública
+    const oldKid = file.replace(/\.pem$/, '');
+    const publicKey = crypto.createPublicKey(fs.readFileSync(filePath));
+    fs.writeFileSync(path.join(KEYS_DIR, `${oldKid}.pub.pem`), publicKey.export({ type: 'spki', format: 'pem' }));
+    fs.unlinkSync(filePath);
+    retired.push(oldKid);
+  }
+
+  keyStore = null;
+
+  return { kid, retired, removed };
+}
+
+module.exports = {
+  loadKeys,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  rotateKeys,
+  SUPPORTED_ALGORITHMS
+};
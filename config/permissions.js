@@ -0,0 +1,183 @@
+/**
+ * Matriz de permisos por rol
+ *
+ * Cada rol declara sus permisos propios y los roles de los que hereda. Los permisos
+ * sobre recursos con propietario tienen dos variantes: ":own" (solo recursos propios)
+ * y ":any" (cualquier recurso). Para un restaurante, sus propietarios son sus gestores.
+ */
+
+const ROLES = {
+  user: {
+    description: "Usuario registrado",
+    inherits: [],
+    permissions: [
+      "restaurant:create",
+      "restaurant:submit:own",
+      "review:create",
+      "review:update:own",
+      "review:delete:own",
+      "review:react",
+      "favorite:manage",
+      "list:create",
+      "list:manage:own",
+      "restaurant:claim",
+      "restaurant:suggest",
+      "user:read:own",
+      "user:update:own",
+      "apikey:manage:own",
+    ],
+  },
+  owner: {
+    description: "Propietario o gestor de uno o varios restaurantes (solo sobre los que gestiona)",
+    inherits: ["user"],
+    permissions: [
+      "restaurant:update:own",
+      "restaurant:managers:own",
+      "restaurant:suggestion:review:own",
+      "dish:create:own",
+      "dish:update:own",
+      "dish:delete:own",
+    ],
+  },
+  admin: {
+    description: "Administrador con acceso completo",
+    inherits: ["owner"],
+    permissions: [
+      "restaurant:approve",
+      "restaurant:submit:any",
+      "restaurant:update:any",
+      "restaurant:delete:any",
+      "restaurant:stats",
+      "restaurant:managers:any",
+      "restaurant:claim:review",
+      "restaurant:suggestion:review:any",
+      "dish:create:any",
+      "dish:update:any",
+      "dish:delete:any",
+      "review:update:any",
+      "review:delete:any",
+      "list:manage:any",
+      "category:create",
+      "category:update",
+      "category:delete",
+      "user:list",
+      "user:read:any",
+      "user:update:any",
+      "user:delete",
+      "user:unlock",
+      "session:manage:any",
+      "apikey:manage:any",
+      "apikey:configure",
+      "email:unverified_bypass",
+      "role:read",
+      "system:integrity",
+      "trash:manage",
+      "gazetteer:manage",
+      "ranking:manage",
+    ],
+  },
+}
+
+const ROLE_NAMES = Object.keys(ROLES)
+
+const isRole = (role) => Object.hasOwn(ROLES, role)
+
+// Resolver los permisos efectivos de un rol incluyendo los heredados
+const resolvePermissions = (role, path = []) => {
+  if (!isRole(role)) {
+    throw new Error(`Rol desconocido en la matriz de permisos: ${role}`)
+  }
+
+  if (path.includes(role)) {
+    throw new Error(`Herencia circular de roles: ${[...path, role].join(" -> ")}`)
+  }
+
+  const permissions = new Set(ROLES[role].permissions)
+  for (const parent of ROLES[role].inherits) {
+    for (const permission of resolvePermissions(parent, [...path, role])) {
+      permissions.add(permission)
+    }
+  }
+
+  return permissions
+}
+
+// Se resuelven al cargar el módulo: una matriz inválida impide arrancar el servidor
+const EFFECTIVE_PERMISSIONS = Object.fromEntries(ROLE_NAMES.map((role) => [role, resolvePermissions(role)]))
+
+/**
+ * Obtiene los permisos efectivos de un rol
+ * @param {string} role - Nombre del rol
+ * @returns {string[]} Permisos propios y heredados (vacío si el rol no existe)
+ */
+function getRolePermissions(role) {
+  return isRole(role) ? [...EFFECTIVE_PERMISSIONS[role]].sort() : []
+}
+
+/**
+ * Indica si un usuario tiene un permiso
+ * @param {object} user - Usuario (se usa su rol)
+ * @param {string} permission - Permiso, p. ej. "restaurant:approve"
+ * @returns {boolean} True si su rol lo concede
+ */
+function hasPermission(user, permission) {
+  return Boolean(user) && isRole(user.role) && EFFECTIVE_PERMISSIONS[user.role].has(permission)
+}
+
+/**
+ * Indica si un usuario puede realizar una acción sobre un recurso con propietario.
+ * Se concede con "<acción>:any" o con "<acción>:own" si el usuario es uno de los propietarios.
+ * @param {object} user - Usuario
+ * @param {string} action - Acción sin sufijo, p. ej. "review:delete"
+ * @param {ObjectId|string|Array} ownerIds - ID o lista de IDs de los propietarios del recurso
+ * @returns {boolean} True si la acción está permitida
+ */
+function canAccessResource(user, action, ownerIds) {
+  if (hasPermission(user, `${action}:any`)) {
+    return true
+  }
+
+  const userId = user?._id?.toString()
+  const isOwner = [ownerIds].flat().some((ownerId) => Boolean(ownerId) && ownerId.toString() === userId)
+  return isOwner && hasPermission(user, `${action}:own`)
+}
+
+/**
+ * Indica si un rol es igual a otro o hereda de él
+ * @param {string} role - Rol a comprobar
+ * @param {string} ancestor - Rol esperado
+ * @returns {boolean} True si role es ancestor o desciende de él
+ */
+function roleInheritsFrom(role, ancestor) {
+  if (role === ancestor) return true
+
+  return isRole(role) && ROLES[role].inherits.some((parent) => roleInheritsFrom(parent, ancestor))
+}
+
+/**
+ * Describe un rol para la API de administración
+ * @param {string} role - Nombre del rol
+ * @returns {object|null} Definición con permisos propios y efectivos
+ */
+function describeRole(role) {
+  if (!isRole(role)) return null
+
+  const definition = ROLES[role]
+  return {
+    name: role,
+    description: definition.description,
+    inherits: definition.inherits,
+    permissions: [...definition.permissions].sort(),
+    effectivePermissions: getRolePermissions(role),
+  }
+}
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  getRolePermissions,
+  hasPermission,
+  canAccessResource,
+  roleInheritsFrom,
+  describeRole,
+}
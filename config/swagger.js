@@ -1,4 +1,5 @@
 const { post } = require("../routers/restaurants")
+const { ROLE_NAMES } = require("./permissions")
 
 const swaggerDocument = {
   openapi: "3.0.0",
@@ -24,6 +25,11 @@ const swaggerDocument = {
         scheme: "bearer",
         bearerFormat: "JWT",
       },
+      apiKeyAuth: {
+        type: "apiKey",
+        in: "header",
+        name: "X-API-Key",
+      },
     },
     schemas: {
       User: {
@@ -32,7 +38,8 @@ const swaggerDocument = {
           _id: { type: "string", example: "507f1f77bcf86cd799439011" },
           name: { type: "string", example: "Juan Pérez" },
           email: { type: "string", format: "email", example: "juan@email.com" },
-          role: { type: "string", enum: ["user", "admin"], example: "user" },
+          role: { type: "string", enum: ROLE_NAMES, example: "user" },
+          emailVerified: { type: "boolean", example: true },
           phone: { type: "string", example: "3187471767" },
           createdAt: { type: "string", format: "date-time" },
           updatedAt: { type: "string", format: "date-time" },
@@ -62,6 +69,20 @@ const swaggerDocument = {
           approved: { type: "boolean", example: true },
           rating: { type: "number", example: 4.5 },
           reviewCount: { type: "number", example: 25 },
+          aspectRatings: {
+            type: "object",
+            description: "Valoración media (null sin valoraciones) y número de valoraciones de cada aspecto",
+            additionalProperties: {
+              type: "object",
+              properties: { rating: { type: "number", nullable: true }, count: { type: "number" } },
+            },
+            example: { service: { rating: 4.6, count: 18 } },
+          },
+          favoritesCount: { type: "number", example: 12 },
+          isFavorite: {
+            type: "boolean",
+            description: "Si el usuario autenticado lo tiene como favorito (solo con sesión iniciada)",
+          },
           createdAt: { type: "string", format: "date-time" },
           updatedAt: { type: "string", format: "date-time" },
         },
@@ -74,8 +95,23 @@ const swaggerDocument = {
           restaurantId: { type: "string", example: "507f1f77bcf86cd799439011" },
           comment: { type: "string", example: "Excelente comida y servicio" },
           rating: { type: "number", minimum: 1, maximum: 5, example: 5 },
+          aspectRatings: {
+            type: "object",
+            nullable: true,
+            description:
+              "Calificaciones de 1 a 5 por aspecto (restaurante: food, service, ambiance, value, cleanliness; " +
+              "plato: taste, portion, presentation, value)",
+            additionalProperties: { type: "integer", minimum: 1, maximum: 5 },
+            example: { food: 5, service: 4 },
+          },
           likes: { type: "number", example: 10 },
           dislikes: { type: "number", example: 1 },
+          myReaction: {
+            type: "string",
+            enum: ["like", "dislike"],
+            nullable: true,
+            description: "Reacción del usuario autenticado a la reseña",
+          },
           createdAt: { type: "string", format: "date-time" },
           updatedAt: { type: "string", format: "date-time" },
         },
@@ -137,6 +173,8 @@ const swaggerDocument = {
                     message: { type: "string", example: "Usuario registrado exitosamente" },
                     data: { $ref: "#/components/schemas/User" },
                     token: { type: "string", example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..." },
+                    refreshToken: { type: "string", example: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822c..." },
+                    expiresIn: { type: "string", example: "15m" },
                   },
                 },
               },
@@ -167,7 +205,8 @@ const swaggerDocument = {
         },
         responses: {
           200: {
-            description: "Login exitoso",
+            description:
+              "Login exitoso. Si el usuario tiene 2FA activo (o su rol lo exige) no se devuelven tokens sino twoFactorRequired/twoFactorSetupRequired y un challengeToken",
             content: {
               "application/json": {
                 schema: {
@@ -177,6 +216,54 @@ const swaggerDocument = {
                     message: { type: "string", example: "Login exitoso" },
                     data: { $ref: "#/components/schemas/User" },
                     token: { type: "string", example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..." },
+                    refreshToken: { type: "string", example: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822c..." },
+                    expiresIn: { type: "string", example: "15m" },
+                    twoFactorRequired: { type: "boolean", example: false },
+                    twoFactorSetupRequired: { type: "boolean", example: false },
+                    challengeToken: { type: "string" },
+                  },
+                },
+              },
+            },
+          },
+          401: { $ref: "#/components/responses/Unauthorized" },
+        },
+      },
+    },
+    "/api/v1/auth/refresh": {
+      post: {
+        tags: ["Autenticación"],
+        summary: "Renovar token de autenticación",
+        description:
+          "Consume el refresh token y emite un nuevo par de tokens. Reutilizar un refresh token ya consumido revoca toda la sesión.",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["refreshToken"],
+                properties: {
+                  refreshToken: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: "Token renovado exitosamente",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    message: { type: "string", example: "Token renovado exitosamente" },
+                    data: { $ref: "#/components/schemas/User" },
+                    token: { type: "string" },
+                    refreshToken: { type: "string" },
+                    expiresIn: { type: "string", example: "15m" },
                   },
                 },
               },
@@ -186,6 +273,17 @@ const swaggerDocument = {
         },
       },
     },
+    "/api/v1/auth/logout": {
+      post: {
+        tags: ["Autenticación"],
+        summary: "Cerrar sesión (revoca la sesión actual)",
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: "Sesión cerrada exitosamente" },
+          401: { $ref: "#/components/responses/Unauthorized" },
+        },
+      },
+    },
     "/api/v1/auth/profile": {
       get: {
         tags: ["Autenticación"],
@@ -433,43 +531,49 @@ const swaggerDocument = {
         },
       },
     },
-    "/api/v1/FavRestaurant": {
-      post: {
-        tags: ["Restaurantes Favoritos"],
-        summary: "Agregar o quitar restaurante de favoritos",
+    "/api/v1/favorites/restaurants/{id}": {
+      put: {
+        tags: ["Favoritos"],
+        summary: "Marcar restaurante como favorito",
         security: [{ bearerAuth: [] }],
-        requestBody: {
-          required: true,
-          content: {
-            "application/json": {
-              schema: {
-                type: "object",
-                properties: {
-                  restaurantId: { type: "string", example: "507f1f77bcf86cd799439011" },
-                  userId: { type: "string", example: "507f1f77bcf86cd799439011" },
-                },
-              },
-            },
-          },
-        },
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
         responses: {
           200: {
-            description: "Restaurante marcado como favorito",
+            description: "Restaurante marcado como favorito (repetir la petición no cambia nada)",
             content: {
               "application/json": {
                 schema: {
                   type: "object",
                   properties: {
                     success: { type: "boolean", example: true },
-                    message: { type: "string", example: "Restaurante marcado como favorito" },
+                    data: {
+                      type: "object",
+                      properties: {
+                        isFavorite: { type: "boolean", example: true },
+                        favoritesCount: { type: "number", example: 12 },
+                      },
+                    },
+                    message: { type: "string", example: "Restaurante añadido a favoritos" },
                   },
                 },
               },
             },
           },
+          401: { $ref: "#/components/responses/Unauthorized" },
           404: { $ref: "#/components/responses/NotFound" },
         },
-      }
+      },
+      delete: {
+        tags: ["Favoritos"],
+        summary: "Quitar restaurante de favoritos",
+        security: [{ bearerAuth: [] }],
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "Restaurante quitado de favoritos" },
+          401: { $ref: "#/components/responses/Unauthorized" },
+          404: { $ref: "#/components/responses/NotFound" },
+        },
+      },
     },
     "/api/v1/reviews": {
       get: {
@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const { asyncHandler, createError } = require('../middlewares/errorHandler');
+const { ROLE_NAMES } = require('../config/permissions');
 
 // Obtener todos los usuarios (solo admin)
 const getAllUsers = asyncHandler(async (req, res) => {
@@ -90,9 +91,9 @@ const changeUserRole = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { role } = req.body;
 
-  // Validar que el rol sea válido
-  if (!['user', 'admin'].includes(role)) {
-    throw createError(400, 'Rol inválido. Debe ser "user" o "admin"');
+  // Validar que el rol exista en la matriz de permisos
+  if (!ROLE_NAMES.includes(role)) {
+    throw createError(400, `Rol inválido. Roles disponibles: ${ROLE_NAMES.join(', ')}`);
   }
 
   // No permitir cambiar el propio rol
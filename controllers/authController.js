@@ -1,7 +1,19 @@
 const User = require('../models/User');
-const { generateToken } = require('../config/jwt');
+const Session = require('../models/Session');
+const { createSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../services/tokenService');
+const { sendVerificationCode, resendVerificationCode, verifyEmail: verifyEmailCode } = require('../services/verificationService');
+const { requestPasswordReset, resetPassword: resetPasswordWithToken } = require('../services/passwordResetService');
+const { assertLoginAllowed, registerLoginFailure, registerLoginSuccess } = require('../services/loginProtectionService');
+const twoFactorService = require('../services/twoFactorService');
+const { generateChallengeToken, verifyChallengeToken } = require('../config/jwt');
 const { asyncHandler, createError } = require('../middlewares/errorHandler');
 
+// Datos del dispositivo que abre o renueva la sesión
+const getDeviceInfo = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip
+});
+
 // Registrar nuevo usuario
 const register = asyncHandler(async (req, res) => {
   const { name, email, password } = req.body;
@@ -14,15 +26,24 @@ const register = asyncHandler(async (req, res) => {
 
   // Crear nuevo usuario
   const user = await User.create({ name, email, password });
+
+  // Enviar código de verificación (un fallo de envío no impide el registro)
+  try {
+    await sendVerificationCode(user);
+  } catch (error) {
+    console.error('Error enviando código de verificación:', error.message);
+  }
   
-  // Generar token JWT
-  const token = generateToken(user._id, user.role);
+  // Abrir sesión y generar tokens
+  const { token, refreshToken, expiresIn } = await createSession(user, getDeviceInfo(req));
 
   res.status(201).json({
     success: true,
     message: 'Usuario registrado exitosamente',
     data: user,
-    token
+    token,
+    refreshToken,
+    expiresIn
   });
 });
 
@@ -30,29 +51,149 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
+  // Rechazar si la cuenta o la IP están bloqueadas y aplicar retardo progresivo
+  await assertLoginAllowed(email, req.ip);
+
   // Buscar usuario por email (incluyendo password para verificación)
   const user = await User.findByEmail(email);
   if (!user) {
+    await registerLoginFailure(email, req.ip);
     throw createError(401, 'Credenciales inválidas');
   }
 
   // Verificar contraseña
   const isPasswordValid = await User.verifyPassword(password, user.password);
   if (!isPasswordValid) {
+    await registerLoginFailure(email, req.ip);
     throw createError(401, 'Credenciales inválidas');
   }
 
+  // Con 2FA activo no se abre sesión hasta verificar el segundo factor
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Introduce el código de verificación en dos pasos',
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user._id, '2fa_login')
+    });
+  }
+
+  // El rol exige 2FA pero aún no está configurado
+  if (twoFactorService.isTwoFactorRequired(user)) {
+    return res.json({
+      success: true,
+      message: 'Tu cuenta requiere configurar la verificación en dos pasos',
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(user._id, '2fa_setup')
+    });
+  }
+
+  await registerLoginSuccess(email);
+
   // Remover password del objeto usuario
   const { password: _, ...userWithoutPassword } = user;
 
-  // Generar token JWT
-  const token = generateToken(user._id, user.role);
+  // Abrir sesión y generar tokens
+  const { token, refreshToken, expiresIn } = await createSession(user, getDeviceInfo(req));
 
   res.json({
     success: true,
     message: 'Login exitoso',
     data: userWithoutPassword,
-    token
+    token,
+    refreshToken,
+    expiresIn
+  });
+});
+
+// Completar el login con el código 2FA o un código de recuperación
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let payload;
+  try {
+    payload = verifyChallengeToken(challengeToken, '2fa_login');
+  } catch (error) {
+    throw createError(401, 'Token de desafío inválido o expirado');
+  }
+
+  const user = await User.findById(payload.userId);
+  if (!user) {
+    throw createError(401, 'Token de desafío inválido o expirado');
+  }
+
+  // El segundo factor comparte el bloqueo por intentos fallidos del login
+  await assertLoginAllowed(user.email, req.ip);
+
+  const isValid = await twoFactorService.verifySecondFactor(user._id, { code, recoveryCode });
+  if (!isValid) {
+    await registerLoginFailure(user.email, req.ip);
+    throw createError(401, 'Código de verificación inválido');
+  }
+
+  await registerLoginSuccess(user.email);
+
+  const { token, refreshToken, expiresIn } = await createSession(user, getDeviceInfo(req));
+
+  res.json({
+    success: true,
+    message: 'Login exitoso',
+    data: user,
+    token,
+    refreshToken,
+    expiresIn
+  });
+});
+
+// Iniciar la configuración de 2FA (devuelve el secreto y la URI para el código QR)
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const data = await twoFactorService.startSetup(req.user);
+
+  res.json({
+    success: true,
+    message: 'Escanea el código QR con tu app autenticadora y confirma con un código',
+    data
+  });
+});
+
+// Confirmar y activar 2FA
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const recoveryCodes = await twoFactorService.confirmSetup(req.user, req.body.code);
+
+  const response = {
+    success: true,
+    message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro',
+    data: { recoveryCodes }
+  };
+
+  // Si se configuró durante el login (token de desafío), se abre la sesión
+  if (req.twoFactorChallenge) {
+    await registerLoginSuccess(req.user.email);
+    const { token, refreshToken, expiresIn } = await createSession(req.user, getDeviceInfo(req));
+    Object.assign(response, { token, refreshToken, expiresIn });
+  }
+
+  res.json(response);
+});
+
+// Desactivar 2FA
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  await twoFactorService.disable(req.user, req.body.code);
+
+  res.json({
+    success: true,
+    message: 'Verificación en dos pasos desactivada'
+  });
+});
+
+// Regenerar los códigos de recuperación
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code);
+
+  res.json({
+    success: true,
+    message: 'Códigos de recuperación regenerados. Los anteriores dejan de ser válidos',
+    data: { recoveryCodes }
   });
 });
 
@@ -73,20 +214,37 @@ const getProfile = asyncHandler(async (req, res) => {
 const updateProfile = asyncHandler(async (req, res) => {
   const { name, email } = req.body;
   const userId = req.user._id;
+  const emailChanged = email && email !== req.user.email;
 
   // Si se actualiza el email, verificar que no esté en uso
-  if (email && email !== req.user.email) {
+  if (emailChanged) {
     const existingUser = await User.findByEmail(email);
     if (existingUser && existingUser._id.toString() !== userId.toString()) {
       throw createError(400, 'El email ya está en uso');
     }
   }
 
-  const updatedUser = await User.updateById(userId, { name, email });
+  // Un email nuevo queda pendiente de verificación
+  const updateData = { name, email };
+  if (emailChanged) {
+    updateData.emailVerified = false;
+  }
+
+  await User.updateById(userId, updateData);
+  const updatedUser = await User.findById(userId);
   if (!updatedUser) {
     throw createError(404, 'Usuario no encontrado');
   }
 
+  // El nuevo email debe verificarse de nuevo
+  if (emailChanged) {
+    try {
+      await sendVerificationCode(updatedUser);
+    } catch (error) {
+      console.error('Error enviando código de verificación:', error.message);
+    }
+  }
+
   res.json({
     success: true,
     message: 'Perfil actualizado exitosamente',
@@ -114,35 +272,128 @@ const changePassword = asyncHandler(async (req, res) => {
   // Actualizar contraseña
   await User.updateById(userId, { password: newPassword });
 
+  // Cerrar todas las demás sesiones del usuario
+  const revokedSessions = await revokeAllSessions(userId, 'password_change', req.user.sessionId);
+
   res.json({
     success: true,
-    message: 'Contraseña actualizada exitosamente'
+    message: 'Contraseña actualizada exitosamente',
+    revokedSessions
   });
 });
 
-// Refresh token (renovar token)
+// Refresh token (rota el refresh token y emite un nuevo access token)
 const refreshToken = asyncHandler(async (req, res) => {
-  const user = req.user; // El usuario ya está disponible por el middleware de autenticación
-
-  // Generar nuevo token
-  const token = generateToken(user._id, user.role);
+  const { user, token, refreshToken: newRefreshToken, expiresIn } = await rotateRefreshToken(req.body.refreshToken, getDeviceInfo(req));
 
   res.json({
     success: true,
     message: 'Token renovado exitosamente',
     data: user,
-    token
+    token,
+    refreshToken: newRefreshToken,
+    expiresIn
   });
 });
 
-// Logout (en este caso solo envía respuesta, el token se maneja en el frontend)
+// Logout (revoca la sesión actual y todos sus refresh tokens)
 const logout = asyncHandler(async (req, res) => {
+  await revokeSession(req.user.sessionId);
+
+  res.json({
+    success: true,
+    message: 'Sesión cerrada exitosamente'
+  });
+});
+
+// Verificar email con el código recibido
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { email, code } = req.body;
+
+  const user = await verifyEmailCode(email, code);
+
+  res.json({
+    success: true,
+    message: 'Email verificado exitosamente',
+    data: user
+  });
+});
+
+// Reenviar código de verificación al usuario actual
+const resendVerification = asyncHandler(async (req, res) => {
+  await resendVerificationCode(req.user);
+
+  res.json({
+    success: true,
+    message: 'Código de verificación enviado'
+  });
+});
+
+// Solicitar recuperación de contraseña
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // Se procesa en segundo plano para que la respuesta (y su tiempo) no revele si el email existe
+  requestPasswordReset(email).catch((error) => {
+    console.error('Error procesando recuperación de contraseña:', error.message);
+  });
+
+  res.json({
+    success: true,
+    message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+  });
+});
+
+// Restablecer contraseña con el token recibido por correo
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  await resetPasswordWithToken(token, newPassword);
+
+  res.json({
+    success: true,
+    message: 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña'
+  });
+});
+
+// Listar sesiones activas del usuario actual
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveByUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: sessions.map((session) => Session.toResponse(session, req.user.sessionId))
+  });
+});
+
+// Cerrar una sesión concreta del usuario actual
+const deleteSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await Session.findById(id);
+  if (!session || session.userId.toString() !== req.user._id.toString()) {
+    throw createError(404, 'Sesión no encontrada');
+  }
+
+  await revokeSession(id, 'user_revoked');
+
   res.json({
     success: true,
     message: 'Sesión cerrada exitosamente'
   });
 });
 
+// Cerrar sesión en todos los dispositivos
+const logoutAll = asyncHandler(async (req, res) => {
+  const revokedSessions = await revokeAllSessions(req.user._id, 'logout_all');
+
+  res.json({
+    success: true,
+    message: 'Todas las sesiones han sido cerradas',
+    revokedSessions
+  });
+});
+
 module.exports = {
   register,
   login,
@@ -150,5 +401,17 @@ module.exports = {
   updateProfile,
   changePassword,
   refreshToken,
-  logout
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  deleteSession,
+  logoutAll,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
\ No newline at end of file
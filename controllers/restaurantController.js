@@ -1,58 +1,163 @@
 const Restaurant = require('../models/Restaurant');
-const Dish = require('../models/Dish');
 const Review = require('../models/Review');
+const User = require('../models/User');
 const { asyncHandler, createError } = require('../middlewares/errorHandler');
+const { hasPermission } = require('../config/permissions');
+const {
+  canManageRestaurant,
+  addManager,
+  removeManager,
+  transferOwnership
+} = require('../services/ownershipService');
+const { deleteRestaurantCascade } = require('../services/integrityService');
+const { trashRestaurant } = require('../services/trashService');
+const {
+  canSubmit,
+  initialStatus,
+  recordCreation,
+  moderateRestaurant,
+  getModerationHistory,
+  hideModerationNotes
+} = require('../services/moderationService');
+const { normalizeOpeningHours, normalizeSpecialHours } = require('../utils/openingHours');
+const { toPolygon, boundingBoxToGeometry } = require('../utils/geo');
+const { resolveLocation, reverseGeocode, completeAddressComponents } = require('../services/geocodingService');
+const {
+  getRankingAsOf,
+  getRestaurantRankHistory,
+  getRankingMovers,
+  getRankingNewEntries
+} = require('../services/rankingService');
+const { markFavorites } = require('../services/favoriteService');
+
+// Campos que los gestores pueden modificar (el estado de moderación, gestores y estadísticas no se tocan aquí)
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'category',
+  'contact',
+  'cuisine',
+  'priceRange',
+  'features',
+  'image',
+  'openingHours',
+  'specialHours',
+  'timezone'
+];
+
+// Restaurantes tal como se devuelven al usuario: con isFavorite y sin las notas internas de moderación
+// (solo las ven los moderadores)
+const presentRestaurants = async (restaurants, user) =>
+  hideModerationNotes(await markFavorites('restaurant', restaurants, user), user);
+
+// Instante para el filtro de horario: openNow=true es ahora, openAt una fecha ISO 8601
+const parseOpenAt = ({ openNow, openAt }) => {
+  if (openAt) {
+    const date = new Date(openAt);
+    if (Number.isNaN(date.getTime())) {
+      throw createError(400, 'openAt debe ser una fecha válida');
+    }
+    return date;
+  }
 
-// Crear nuevo restaurante
-const createRestaurant = asyncHandler(async (req, res) => {
-  const restaurantData = req.body;
+  return openNow === 'true' ? new Date() : undefined;
+};
+
+// Los restaurantes no aprobados solo los ven los moderadores, quien los envió y sus gestores
+const canSeeRestaurant = (user, restaurant) => {
+  return restaurant.approved || hasPermission(user, 'restaurant:approve') || (Boolean(user) && canSubmit(user, restaurant));
+};
 
-  // Si es usuario regular, el restaurante necesita aprobación
-  if (req.user.role !== 'admin') {
-    restaurantData.approved = false;
+// Cargar el restaurante de la ruta y comprobar que el usuario puede realizar la acción
+const loadManagedRestaurant = async (req, action) => {
+  const restaurant = await Restaurant.findById(req.params.id);
+  if (!restaurant) {
+    throw createError(404, 'Restaurante no encontrado');
   }
 
-  const restaurant = await Restaurant.create(restaurantData);
+  if (!canManageRestaurant(req.user, restaurant, action)) {
+    throw createError(403, 'No tienes permisos para gestionar este restaurante');
+  }
+
+  return restaurant;
+};
+
+// Mensajes de creación según el estado inicial
+const CREATE_MESSAGES = {
+  draft: 'Restaurante guardado como borrador. Envíalo a revisión cuando esté listo',
+  pending: 'Restaurante creado exitosamente. Pendiente de aprobación por un administrador',
+  approved: 'Restaurante creado y aprobado exitosamente'
+};
+
+// Crear nuevo restaurante
+const createRestaurant = asyncHandler(async (req, res) => {
+  // Si no puede aprobar restaurantes, el restaurante necesita aprobación
+  const status = initialStatus(req.user, req.body.draft === true || req.body.draft === 'true');
+
+  // Sin coordenadas se geocodifica la dirección con el nomenclátor local, que también completa
+  // la ciudad y el barrio de la dirección estructurada
+  const { location, geocoding } = await resolveLocation(req.body);
+  const restaurant = await Restaurant.create({
+    ...req.body,
+    location,
+    geocoding,
+    addressComponents: await completeAddressComponents(req.body.address, { location, geocoding }),
+    createdBy: req.user._id,
+    status
+  });
+
+  await recordCreation(restaurant, req.user);
 
   res.status(201).json({
     success: true,
-    message: req.user.role === 'admin' 
-      ? 'Restaurante creado y aprobado exitosamente'
-      : 'Restaurante creado exitosamente. Pendiente de aprobación por un administrador',
+    message: CREATE_MESSAGES[status],
     data: restaurant
   });
 });
 
 // Obtener todos los restaurantes
 const getAllRestaurants = asyncHandler(async (req, res) => {
-  const { 
-    page = 1, 
-    limit = 10, 
-    sortBy = 'rating', 
+  const {
+    page = 1,
+    limit = 1000,
+    sortBy = 'rating',
     sortOrder = 'desc',
     category,
+    city,
+    neighborhood,
+    country,
     search,
     minRating,
+    minAspectRatings,
     approved
   } = req.query;
 
+  // Solo quien puede aprobar restaurantes puede listar los pendientes
+  const canApprove = hasPermission(req.user, 'restaurant:approve');
+
   const options = {
-    page: parseInt(page),
-    limit: parseInt(limit),
+    page: parseInt(page) || 1,
+    limit: limit === 'all' ? 1000 : parseInt(limit) || 10,
     sortBy,
     sortOrder,
     category,
     search,
+    city,
+    neighborhood,
+    country,
     minRating: minRating ? parseFloat(minRating) : undefined,
-    approved: approved !== undefined ? approved === 'true' : (req.user?.role === 'admin' ? undefined : true)
+    minAspectRatings,
+    approved: canApprove && approved !== undefined ? approved === 'true' : true,
+    openAt: parseOpenAt(req.query)
   };
 
   const result = await Restaurant.findAll(options);
+  result.restaurants = await presentRestaurants(result.restaurants, req.user);
 
   res.json({
     success: true,
-    data: result.restaurants,
-    pagination: result.pagination
+    data: result,
+    message: 'Restaurantes obtenidos exitosamente'
   });
 });
 
@@ -61,106 +166,164 @@ const getRestaurantById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const restaurant = await Restaurant.findById(id);
-  if (!restaurant) {
-    throw createError(404, 'Restaurante no encontrado');
-  }
-
-  // Si no es admin y el restaurante no está aprobado, no permitir acceso
-  if (req.user?.role !== 'admin' && !restaurant.approved) {
+  if (!restaurant || !canSeeRestaurant(req.user, restaurant)) {
     throw createError(404, 'Restaurante no encontrado');
   }
 
   // Obtener reseñas del restaurante
   const reviewsResult = await Review.findByRestaurant(id, { limit: 5, sortBy: 'createdAt', sortOrder: 'desc' });
+  const [presented] = await presentRestaurants([restaurant], req.user);
 
   res.json({
     success: true,
     data: {
-      ...restaurant,
+      ...presented,
       recentReviews: reviewsResult.reviews
-    }
+    },
+    message: 'Restaurante obtenido exitosamente'
   });
 });
 
-// Actualizar restaurante
+// Actualizar restaurante (gestores del restaurante o admin)
 const updateRestaurant = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const updateData = req.body;
+  const restaurant = await loadManagedRestaurant(req, 'restaurant:update');
 
-  // Verificar que el restaurante existe
-  const existingRestaurant = await Restaurant.findById(id);
-  if (!existingRestaurant) {
-    throw createError(404, 'Restaurante no encontrado');
+  const updateData = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) updateData[field] = req.body[field];
+  }
+
+  // Una nueva dirección o ubicación se normaliza como al crear y, sin coordenadas, se geocodifica.
+  // Si la dirección no se encuentra se conserva la ubicación anterior, marcada para revisión
+  if (req.body.address !== undefined || req.body.location !== undefined) {
+    const { location, geocoding } = await resolveLocation(req.body);
+    updateData.location = location || restaurant.location || null;
+    updateData.geocoding = geocoding;
+
+    if (req.body.address !== undefined) {
+      const { address, addressComponents, addressKeys } = new Restaurant({
+        address: req.body.address,
+        addressComponents: await completeAddressComponents(req.body.address, { location, geocoding })
+      });
+      Object.assign(updateData, { address, addressComponents, addressKeys });
+    }
+  }
+
+  // Guardar los horarios con la misma forma que al crear el restaurante
+  if (updateData.openingHours !== undefined) {
+    updateData.openingHours = normalizeOpeningHours(updateData.openingHours);
+  }
+  if (updateData.specialHours !== undefined) {
+    updateData.specialHours = normalizeSpecialHours(updateData.specialHours);
   }
 
-  // Solo admin puede aprobar/desaprobar
-  if (req.user.role !== 'admin') {
-    delete updateData.approved;
+  if (Object.keys(updateData).length === 0) {
+    throw createError(400, 'No se ha indicado ningún campo a actualizar');
   }
 
-  const updatedRestaurant = await Restaurant.updateById(id, updateData);
+  const updatedRestaurant = await Restaurant.updateById(restaurant._id, updateData);
 
   res.json({
     success: true,
     message: 'Restaurante actualizado exitosamente',
-    data: updatedRestaurant
+    data: hideModerationNotes(updatedRestaurant, req.user)
   });
 });
 
-// Eliminar restaurante (solo admin)
+// Eliminar restaurante (solo admin): por defecto va a la papelera con sus platos y reseñas;
+// con ?permanent=true se elimina definitivamente junto con favoritos y reclamaciones
 const deleteRestaurant = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+  const restaurant = await loadManagedRestaurant(req, 'restaurant:delete');
 
-  // Verificar que el restaurante existe
-  const restaurant = await Restaurant.findById(id);
-  if (!restaurant) {
+  if (req.query.permanent === 'true') {
+    if (!hasPermission(req.user, 'trash:manage')) {
+      throw createError(403, 'No tienes permisos para eliminar definitivamente');
+    }
+
+    const removed = await deleteRestaurantCascade(restaurant);
+    if (!removed.restaurant) {
+      throw createError(404, 'Restaurante no encontrado');
+    }
+
+    return res.json({
+      success: true,
+      message: 'Restaurante y sus datos asociados eliminados definitivamente',
+      data: { removed }
+    });
+  }
+
+  const trashed = await trashRestaurant(restaurant, req.user);
+  if (!trashed.restaurant) {
     throw createError(404, 'Restaurante no encontrado');
   }
 
-  // Eliminar platos asociados
-  await Dish.deleteByRestaurant(id);
+  res.json({
+    success: true,
+    message: 'Restaurante enviado a la papelera junto con sus platos y reseñas',
+    data: { trashed }
+  });
+});
 
-  // Eliminar el restaurante
-  const deleted = await Restaurant.deleteById(id);
-  if (!deleted) {
-    throw createError(500, 'Error al eliminar el restaurante');
-  }
+// Crear el handler de una acción de moderación (los permisos los comprueba moderationService)
+const moderationHandler = (action, message) => asyncHandler(async (req, res) => {
+  const { reason, notes } = req.body;
+
+  const restaurant = await moderateRestaurant(req.params.id, action, req.user, { reason, notes });
 
   res.json({
     success: true,
-    message: 'Restaurante y sus platos asociados eliminados exitosamente'
+    message,
+    data: hideModerationNotes(restaurant, req.user)
   });
 });
 
-// Aprobar restaurante (solo admin)
-const approveRestaurant = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+// Aprobar restaurante pendiente, rechazado o suspendido (moderadores)
+const approveRestaurant = moderationHandler('approve', 'Restaurante aprobado exitosamente');
+
+// Rechazar restaurante pendiente indicando el motivo (moderadores)
+const rejectRestaurant = moderationHandler('reject', 'Restaurante rechazado');
+
+// Suspender restaurante aprobado indicando el motivo (moderadores)
+const suspendRestaurant = moderationHandler('suspend', 'Restaurante suspendido');
+
+// Enviar a revisión un borrador o un restaurante rechazado (quien lo envió o sus gestores)
+const submitRestaurant = moderationHandler('submit', 'Restaurante enviado a revisión');
 
-  const restaurant = await Restaurant.approve(id);
+// Retirar de revisión un restaurante pendiente y devolverlo a borrador
+const withdrawRestaurant = moderationHandler('withdraw', 'Restaurante devuelto a borrador');
+
+// Historial de moderación de un restaurante
+const getRestaurantModeration = asyncHandler(async (req, res) => {
+  const restaurant = await Restaurant.findById(req.params.id);
   if (!restaurant) {
     throw createError(404, 'Restaurante no encontrado');
   }
 
+  const history = await getModerationHistory(restaurant, req.user);
+
   res.json({
     success: true,
-    message: 'Restaurante aprobado exitosamente',
-    data: restaurant
+    data: {
+      status: Restaurant.getStatus(restaurant),
+      history
+    },
+    message: 'Historial de moderación obtenido exitosamente'
   });
 });
 
 // Obtener restaurantes por categoría
 const getRestaurantsByCategory = asyncHandler(async (req, res) => {
   const { category } = req.params;
-  const { 
-    page = 1, 
-    limit = 10, 
-    sortBy = 'rating', 
-    sortOrder = 'desc' 
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = 'rating',
+    sortOrder = 'desc'
   } = req.query;
 
   const options = {
-    page: parseInt(page),
-    limit: parseInt(limit),
+    page: parseInt(page) || 1,
+    limit: parseInt(limit) || 10,
     sortBy,
     sortOrder
   };
@@ -169,52 +332,196 @@ const getRestaurantsByCategory = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: result.restaurants,
+    data: await presentRestaurants(result.restaurants, req.user),
     pagination: result.pagination
   });
 });
 
 // Obtener ranking de restaurantes
 const getRestaurantRanking = asyncHandler(async (req, res) => {
-  const { limit = 10, category } = req.query;
+  const { limit = 10, category, city, neighborhood, country, explain } = req.query;
 
   const options = {
-    limit: parseInt(limit),
-    category
+    limit: Math.min(parseInt(limit) || 10, 100),
+    category,
+    city,
+    neighborhood,
+    country,
+    openAt: parseOpenAt(req.query),
+    explain: explain === 'true'
   };
 
-  const ranking = await Restaurant.getRanking(options);
+  const ranking = await presentRestaurants(await Restaurant.getRanking(options), req.user);
+
+  const place = neighborhood || city || country;
 
   res.json({
     success: true,
     data: ranking,
-    message: `Top ${ranking.length} restaurantes${category ? ` en categoría ${category}` : ''}`
+    message: `Top ${ranking.length} restaurantes${category ? ` en categoría ${category}` : ''}${place ? ` en ${place}` : ''}`
+  });
+});
+
+// Segmento del ranking (categoría y ciudad) pedido en la query
+const rankingSegment = (query) => ({
+  category: query.category,
+  city: query.city
+});
+
+// Obtener el ranking tal como estaba en un día pasado
+const getRankingSnapshot = asyncHandler(async (req, res) => {
+  const snapshot = await getRankingAsOf(req.query.date, {
+    ...rankingSegment(req.query),
+    limit: Math.min(parseInt(req.query.limit) || 10, 100)
+  });
+
+  if (!snapshot) {
+    throw createError(404, `No hay ranking guardado hasta el ${req.query.date}`);
+  }
+
+  res.json({
+    success: true,
+    data: snapshot,
+    message: `Ranking del ${snapshot.date}`
+  });
+});
+
+// Obtener los restaurantes que más puestos han subido y bajado
+const getRankingMoversList = asyncHandler(async (req, res) => {
+  const movers = await getRankingMovers({
+    ...rankingSegment(req.query),
+    days: parseInt(req.query.days) || 7,
+    limit: Math.min(parseInt(req.query.limit) || 10, 100)
+  });
+
+  if (!movers) {
+    throw createError(404, 'Todavía no hay instantáneas del ranking');
+  }
+
+  res.json({
+    success: true,
+    data: movers,
+    message: movers.from
+      ? `Cambios en el ranking entre el ${movers.from} y el ${movers.to}`
+      : 'No hay una instantánea anterior con la que comparar'
+  });
+});
+
+// Obtener los restaurantes que han entrado en el ranking
+const getRankingNewEntriesList = asyncHandler(async (req, res) => {
+  const newEntries = await getRankingNewEntries({
+    ...rankingSegment(req.query),
+    days: parseInt(req.query.days) || 7,
+    limit: Math.min(parseInt(req.query.limit) || 10, 100)
+  });
+
+  if (!newEntries) {
+    throw createError(404, 'Todavía no hay instantáneas del ranking');
+  }
+
+  res.json({
+    success: true,
+    data: newEntries,
+    message: newEntries.from
+      ? `${newEntries.entries.length} nuevas entradas entre el ${newEntries.from} y el ${newEntries.to}`
+      : 'No hay una instantánea anterior con la que comparar'
+  });
+});
+
+// Obtener el puesto de un restaurante en el ranking a lo largo del tiempo
+const getRestaurantRankingHistory = asyncHandler(async (req, res) => {
+  const restaurant = await Restaurant.findById(req.params.id);
+
+  if (!restaurant || !canSeeRestaurant(req.user, restaurant)) {
+    throw createError(404, 'Restaurante no encontrado');
+  }
+
+  const history = await getRestaurantRankHistory(req.params.id, {
+    ...rankingSegment(req.query),
+    from: req.query.from,
+    to: req.query.to
+  });
+
+  res.json({
+    success: true,
+    data: history,
+    message: 'Histórico del ranking obtenido exitosamente'
   });
 });
 
-// Obtener restaurantes cercanos
+// Filtros y paginación comunes de las búsquedas geográficas
+const geoSearchOptions = (query) => ({
+  page: parseInt(query.page) || 1,
+  limit: Math.min(parseInt(query.limit) || 10, 100),
+  category: query.category,
+  minRating: query.minRating ? parseFloat(query.minRating) : undefined,
+  minAspectRatings: query.minAspectRatings,
+  city: query.city,
+  neighborhood: query.neighborhood,
+  country: query.country,
+  openAt: parseOpenAt(query)
+});
+
+// Obtener restaurantes cercanos (acepta lat/lng/radius y los nombres antiguos latitude/longitude/maxDistance)
 const getNearbyRestaurants = asyncHandler(async (req, res) => {
-  const { longitude, latitude, maxDistance = 5000, limit = 10 } = req.query;
+  const longitude = req.query.lng ?? req.query.longitude;
+  const latitude = req.query.lat ?? req.query.latitude;
+  const maxDistance = parseInt(req.query.radius ?? req.query.maxDistance) || 5000;
 
   if (!longitude || !latitude) {
-    throw createError(400, 'Se requieren coordenadas (longitude y latitude)');
+    throw createError(400, 'Latitud y longitud son requeridas');
   }
 
-  const options = {
-    limit: parseInt(limit)
-  };
+  const [result, origin] = await Promise.all([
+    Restaurant.findNearby(parseFloat(longitude), parseFloat(latitude), maxDistance, geoSearchOptions(req.query)),
+    // Lugar del punto de búsqueda según el nomenclátor local (null si no hay nada cerca)
+    reverseGeocode(parseFloat(longitude), parseFloat(latitude))
+  ]);
+
+  res.json({
+    success: true,
+    data: await presentRestaurants(result.restaurants, req.user),
+    pagination: result.pagination,
+    origin,
+    message: `${result.pagination.totalRestaurants} restaurantes encontrados en un radio de ${maxDistance/1000}km`
+  });
+});
+
+// Obtener restaurantes dentro del área visible de un mapa (rectángulo oeste/sur/este/norte)
+const getRestaurantsInViewport = asyncHandler(async (req, res) => {
+  const [west, south, east, north] = ['west', 'south', 'east', 'north'].map((side) => parseFloat(req.query[side]));
 
-  const nearbyRestaurants = await Restaurant.findNearby(
-    parseFloat(longitude), 
-    parseFloat(latitude), 
-    parseInt(maxDistance),
-    options
+  const result = await Restaurant.findWithin(
+    boundingBoxToGeometry({ west, south, east, north }),
+    geoSearchOptions(req.query)
   );
 
   res.json({
     success: true,
-    data: nearbyRestaurants,
-    message: `${nearbyRestaurants.length} restaurantes encontrados en un radio de ${maxDistance/1000}km`
+    data: await presentRestaurants(result.restaurants, req.user),
+    pagination: result.pagination,
+    message: `${result.pagination.totalRestaurants} restaurantes encontrados en el área`
+  });
+});
+
+// Obtener restaurantes dentro de un polígono dibujado en el mapa
+const getRestaurantsInPolygon = asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await Restaurant.findWithin(toPolygon(req.body.polygon), geoSearchOptions(req.query));
+  } catch (error) {
+    // MongoDB rechaza con BadValue los polígonos cuyos lados se cruzan
+    if (error.code === 2) {
+      throw createError(400, 'El polígono no es válido: sus lados no pueden cruzarse');
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    data: await presentRestaurants(result.restaurants, req.user),
+    pagination: result.pagination,
+    message: `${result.pagination.totalRestaurants} restaurantes encontrados en el polígono`
   });
 });
 
@@ -233,14 +540,11 @@ const getPendingRestaurants = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10 } = req.query;
 
   const options = {
-    page: parseInt(page),
-    limit: parseInt(limit),
-    approved: false,
-    sortBy: 'createdAt',
-    sortOrder: 'asc'
+    page: parseInt(page) || 1,
+    limit: parseInt(limit) || 10
   };
 
-  const result = await Restaurant.findAll(options);
+  const result = await Restaurant.findByStatus('pending', options);
 
   res.json({
     success: true,
@@ -250,6 +554,80 @@ const getPendingRestaurants = asyncHandler(async (req, res) => {
   });
 });
 
+// Obtener los restaurantes que gestiona el usuario actual
+const getManagedRestaurants = asyncHandler(async (req, res) => {
+  const restaurants = await Restaurant.findManagedBy(req.user._id);
+
+  res.json({
+    success: true,
+    data: await presentRestaurants(restaurants, req.user),
+    message: 'Restaurantes gestionados obtenidos exitosamente'
+  });
+});
+
+// Listar los gestores de un restaurante
+const getRestaurantManagers = asyncHandler(async (req, res) => {
+  const restaurant = await loadManagedRestaurant(req, 'restaurant:managers');
+
+  const managers = await Promise.all((restaurant.managers || []).map((managerId) => User.findById(managerId)));
+
+  res.json({
+    success: true,
+    data: managers.filter(Boolean).map(({ _id, name, email, role }) => ({ _id, name, email, role })),
+    message: 'Gestores obtenidos exitosamente'
+  });
+});
+
+// Añadir un gestor al restaurante
+const addRestaurantManager = asyncHandler(async (req, res) => {
+  const restaurant = await loadManagedRestaurant(req, 'restaurant:managers');
+
+  await addManager(restaurant, req.body.userId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Gestor añadido exitosamente'
+  });
+});
+
+// Quitar un gestor del restaurante
+const removeRestaurantManager = asyncHandler(async (req, res) => {
+  const restaurant = await loadManagedRestaurant(req, 'restaurant:managers');
+
+  await removeManager(restaurant, req.params.userId, req.user);
+
+  res.json({
+    success: true,
+    message: 'Gestor eliminado exitosamente'
+  });
+});
+
+// Transferir la propiedad del restaurante a otro usuario
+const transferRestaurant = asyncHandler(async (req, res) => {
+  const restaurant = await loadManagedRestaurant(req, 'restaurant:managers');
+
+  await transferOwnership(restaurant, req.body.userId);
+
+  res.json({
+    success: true,
+    message: 'Propiedad transferida exitosamente'
+  });
+});
+
+// Ciudades con restaurantes y cuántos tiene cada una
+const getRestaurantCities = asyncHandler(async (req, res) => {
+  const cities = await Restaurant.getCities({
+    country: req.query.country,
+    limit: Math.min(parseInt(req.query.limit) || 100, 500)
+  });
+
+  res.json({
+    success: true,
+    data: cities,
+    message: 'Ciudades obtenidas exitosamente'
+  });
+});
+
 module.exports = {
   createRestaurant,
   getAllRestaurants,
@@ -257,9 +635,26 @@ module.exports = {
   updateRestaurant,
   deleteRestaurant,
   approveRestaurant,
+  rejectRestaurant,
+  suspendRestaurant,
+  submitRestaurant,
+  withdrawRestaurant,
+  getRestaurantModeration,
   getRestaurantsByCategory,
   getRestaurantRanking,
+  getRankingSnapshot,
+  getRankingMoversList,
+  getRankingNewEntriesList,
+  getRestaurantRankingHistory,
   getNearbyRestaurants,
+  getRestaurantCities,
+  getRestaurantsInViewport,
+  getRestaurantsInPolygon,
   getRestaurantStats,
-  getPendingRestaurants
-};
\ No newline at end of file
+  getPendingRestaurants,
+  getManagedRestaurants,
+  getRestaurantManagers,
+  addRestaurantManager,
+  removeRestaurantManager,
+  transferRestaurant
+};
@@ -1,6 +1,10 @@
 const passport = require("passport")
+const rateLimit = require("express-rate-limit")
 const { createError } = require("./errorHandler")
-require("../config/jwt") // Inicializar configuración de JWT
+const { verifyChallengeToken } = require("../config/jwt") // Inicializa también la configuración de JWT
+const { API_KEY_HEADER } = require("../config/apiKey") // Registra la estrategia de API keys
+const { hasPermission, canAccessResource, roleInheritsFrom } = require("../config/permissions")
+const User = require("../models/User")
 
 // Middleware para requerir autenticación
 const requireAuth = (req, res, next) => {
@@ -18,45 +22,145 @@ const requireAuth = (req, res, next) => {
   })(req, res, next)
 }
 
-// Middleware para requerir rol de administrador
-const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return next(createError(401, "Autenticación requerida"))
+// Límite de peticiones por API key (rateLimit de cada clave, peticiones por minuto)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  message: {
+    success: false,
+    message: "Límite de peticiones de la API key superado, intenta de nuevo más tarde",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+// Identifica la API key de la cabecera X-API-Key al inicio de la petición, antes del límite general
+// por IP. Solo una clave válida cambia ese límite por el de la propia clave; con una clave inválida
+// se sigue aplicando el límite por IP (y las rutas que aceptan API keys responden 401).
+const identifyApiKey = (req, res, next) => {
+  if (!req.get(API_KEY_HEADER)) {
+    return next()
   }
 
-  if (req.user.role !== "admin") {
-    return next(createError(403, "Acceso denegado. Se requieren permisos de administrador"))
+  passport.authenticate("apikey", { session: false }, (err, user, info) => {
+    if (err) {
+      return next(err)
+    }
+
+    if (!user) {
+      return next()
+    }
+
+    req.apiKey = info.apiKey
+    req.apiKeyUser = user
+    apiKeyLimiter(req, res, next)
+  })(req, res, next)
+}
+
+// Autenticar con la API key de la cabecera X-API-Key y comprobar que tenga el scope indicado
+const authenticateApiKey = (scope, req, res, next) => {
+  // La clave ya se identificó (y contó para su límite) al inicio de la petición
+  if (req.apiKey) {
+    if (!req.apiKey.scopes.includes(scope)) {
+      return next(createError(403, `La API key no tiene el scope requerido (${scope})`))
+    }
+
+    req.user = req.apiKeyUser
+    return next()
   }
 
-  next()
+  passport.authenticate("apikey", { session: false }, (err, user, info) => {
+    if (err) {
+      return next(err)
+    }
+
+    if (!user) {
+      return next(createError(401, info?.message || "API key inválida"))
+    }
+
+    if (!info.apiKey.scopes.includes(scope)) {
+      return next(createError(403, `La API key no tiene el scope requerido (${scope})`))
+    }
+
+    req.user = user
+    req.apiKey = info.apiKey
+    apiKeyLimiter(req, res, next)
+  })(req, res, next)
 }
 
-const requireRole = (role) => {
+// Middleware que acepta el access token (JWT) o una API key con el scope indicado
+const requireAuthOrApiKey = (scope) => {
+  return (req, res, next) => {
+    if (req.get(API_KEY_HEADER)) {
+      return authenticateApiKey(scope, req, res, next)
+    }
+
+    requireAuth(req, res, next)
+  }
+}
+
+// Middleware para rutas públicas: si se envía una API key, debe ser válida y tener el scope
+// (así las integraciones quedan sujetas a su propio límite y se registra su uso)
+const acceptApiKey = (scope) => {
+  return (req, res, next) => {
+    if (!req.get(API_KEY_HEADER)) {
+      return next()
+    }
+
+    authenticateApiKey(scope, req, res, next)
+  }
+}
+
+// Middleware que acepta un token de desafío 2FA (body.challengeToken) en lugar del access token.
+// Permite a usuarios con 2FA obligatorio configurarlo antes de tener una sesión.
+const requireAuthOrChallenge = (purpose) => {
+  return async (req, res, next) => {
+    if (!req.body?.challengeToken) {
+      return requireAuth(req, res, next)
+    }
+
+    try {
+      const payload = verifyChallengeToken(req.body.challengeToken, purpose)
+      const user = await User.findById(payload.userId)
+      if (!user) {
+        return next(createError(401, "Token de desafío inválido"))
+      }
+
+      req.user = user
+      req.twoFactorChallenge = true
+      next()
+    } catch (error) {
+      next(createError(401, "Token de desafío inválido o expirado"))
+    }
+  }
+}
+
+// Middleware para requerir un permiso de la matriz de roles (config/permissions.js)
+const requirePermission = (permission) => {
   return (req, res, next) => {
     if (!req.user) {
       return next(createError(401, "Autenticación requerida"))
     }
 
-    if (req.user.role !== role) {
-      return next(createError(403, `Acceso denegado. Se requieren permisos de ${role}`))
+    if (!hasPermission(req.user, permission)) {
+      return next(createError(403, `Acceso denegado. Se requiere el permiso ${permission}`))
     }
 
     next()
   }
 }
 
-// Middleware para verificar si el usuario es propietario del recurso o admin
-const requireOwnershipOrAdmin = (userIdField = "userId") => {
+// Middleware para acciones sobre recursos de un usuario: "<acción>:any" o "<acción>:own" si es el propietario
+const requireOwnershipOrPermission = (action, userIdField = "userId") => {
   return (req, res, next) => {
     if (!req.user) {
       return next(createError(401, "Autenticación requerida"))
     }
 
     const resourceUserId = req.params[userIdField] || req.body[userIdField]
-    const currentUserId = req.user._id.toString()
 
-    // Permitir si es admin o propietario del recurso
-    if (req.user.role === "admin" || currentUserId === resourceUserId) {
+    if (canAccessResource(req.user, action, resourceUserId)) {
       return next()
     }
 
@@ -64,6 +168,60 @@ const requireOwnershipOrAdmin = (userIdField = "userId") => {
   }
 }
 
+// Middleware para requerir un rol (o un rol que herede de él)
+const requireRole = (role) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(createError(401, "Autenticación requerida"))
+    }
+
+    if (!roleInheritsFrom(req.user.role, role)) {
+      return next(createError(403, `Acceso denegado. Se requieren permisos de ${role}`))
+    }
+
+    next()
+  }
+}
+
+// Middleware para requerir rol de administrador
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return next(createError(401, "Autenticación requerida"))
+  }
+
+  if (!roleInheritsFrom(req.user.role, "admin")) {
+    return next(createError(403, "Acceso denegado. Se requieren permisos de administrador"))
+  }
+
+  next()
+}
+
+// Acciones que exigen email verificado (EMAIL_VERIFICATION_REQUIRED_FOR, separadas por comas)
+const emailVerificationRequiredFor = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? "reviews,restaurants")
+  .split(",")
+  .map((action) => action.trim())
+  .filter(Boolean)
+
+// Middleware para bloquear a usuarios sin email verificado según la política configurada.
+// Las cuentas anteriores al flujo de verificación (sin el campo emailVerified) no se bloquean.
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(createError(401, "Autenticación requerida"))
+    }
+
+    if (!emailVerificationRequiredFor.includes(action) || hasPermission(req.user, "email:unverified_bypass")) {
+      return next()
+    }
+
+    if (req.user.emailVerified === false) {
+      return next(createError(403, "Debes verificar tu email antes de realizar esta acción"))
+    }
+
+    next()
+  }
+}
+
 // Middleware opcional de autenticación (no falla si no hay token)
 const optionalAuth = (req, res, next) => {
   passport.authenticate("jwt", { session: false }, (err, user, info) => {
@@ -82,8 +240,14 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
   requireAuth,
+  requireAuthOrChallenge,
+  requireAuthOrApiKey,
+  acceptApiKey,
+  identifyApiKey,
+  requirePermission,
+  requireOwnershipOrPermission,
   requireAdmin,
-  requireRole, // Added requireRole to exports
-  requireOwnershipOrAdmin,
+  requireRole,
+  requireVerifiedEmail,
   optionalAuth,
 }
@@ -76,12 +76,19 @@ const errorHandler = (err, req, res, next) => {
     })
   }
 
-  // Error personalizado con status
+  // Error personalizado con status (423/429 indican cuándo reintentar)
   if (err.status) {
-    return res.status(err.status).json({
+    const body = {
       success: false,
       message: err.message || "Error del servidor",
-    })
+    }
+
+    if (err.retryAfter) {
+      res.set("Retry-After", String(err.retryAfter))
+      body.retryAfter = err.retryAfter
+    }
+
+    return res.status(err.status).json(body)
   }
 
   // Error por defecto del servidor
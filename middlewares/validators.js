@@ -1,4 +1,32 @@
 const { body, param, query } = require("express-validator")
+const ApiKey = require("../models/ApiKey")
+const Dish = require("../models/Dish")
+const Favorite = require("../models/Favorite")
+const FavoriteList = require("../models/FavoriteList")
+const ReviewReaction = require("../models/ReviewReaction")
+const { isValidTimezone, validateOpeningHours, validateSpecialHours } = require("../utils/openingHours")
+const { isPoint, validatePolygon } = require("../utils/geo")
+const { validateRankingConfig } = require("../utils/ranking")
+const { RATING_ASPECTS, validateAspectRatings } = require("../utils/ratingAspects")
+
+// Adaptar un validador que devuelve una lista de errores a express-validator
+const fromErrorList = (validate) => (value) => {
+  const errors = validate(value)
+  if (errors.length > 0) throw new Error(errors.join(". "))
+  return true
+}
+
+// Horario semanal, excepciones por fecha y zona horaria (null elimina el horario)
+const validateOpeningHoursFields = [
+  body("openingHours").optional({ values: "null" }).custom(fromErrorList(validateOpeningHours)),
+
+  body("specialHours").optional().custom(fromErrorList(validateSpecialHours)),
+
+  body("timezone")
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage("La zona horaria debe ser un identificador IANA válido (p. ej. Europe/Madrid)"),
+]
 
 // Validaciones para autenticación
 const validateRegister = [
@@ -19,6 +47,94 @@ const validateLogin = [
   body("password").notEmpty().withMessage("La contraseña es requerida"),
 ]
 
+const validateRefreshToken = [
+  body("refreshToken").isString().notEmpty().withMessage("El refresh token es requerido"),
+]
+
+const validateEmailVerification = [
+  body("email").trim().isEmail().normalizeEmail().withMessage("Debe proporcionar un email válido"),
+
+  body("code")
+    .trim()
+    .isAlphanumeric()
+    .isLength({ min: 6, max: 6 })
+    .withMessage("El código de verificación debe tener 6 caracteres"),
+]
+
+const validateForgotPassword = [
+  body("email").trim().isEmail().normalizeEmail().withMessage("Debe proporcionar un email válido"),
+]
+
+const validateResetPassword = [
+  body("token").isString().notEmpty().withMessage("El token de recuperación es requerido"),
+
+  body("newPassword").isString().notEmpty().withMessage("La nueva contraseña es requerida"),
+]
+
+// Validaciones para verificación en dos pasos
+const validateTwoFactorCode = [
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("El código debe tener 6 dígitos"),
+]
+
+const validateTwoFactorLogin = [
+  body("challengeToken").isString().notEmpty().withMessage("El token de desafío es requerido"),
+
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error("Debe proporcionar un código de verificación o un código de recuperación")
+    }
+    return true
+  }),
+
+  body("code")
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("El código debe tener 6 dígitos"),
+
+  body("recoveryCode").optional().isString().trim().notEmpty().withMessage("El código de recuperación no es válido"),
+]
+
+const validateTwoFactorDisable = [
+  body("code").isString().trim().notEmpty().withMessage("El código de verificación o de recuperación es requerido"),
+]
+
+// Coordenadas en cualquiera de los formatos que acepta Restaurant: [longitud, latitud],
+// { coordinates: [longitud, latitud] }, { lng, lat } o { longitude, latitude }
+const toCoordinatePair = (value) => {
+  if (Array.isArray(value)) return value
+  if (Array.isArray(value?.coordinates)) return value.coordinates
+  if (value?.lng !== undefined || value?.lat !== undefined) return [value.lng, value.lat]
+  if (value?.longitude !== undefined || value?.latitude !== undefined) return [value.longitude, value.latitude]
+  return null
+}
+
+// Coordenadas opcionales de un restaurante (en location o en address)
+const validateCoordinates = [
+  body(["location.coordinates", "address.coordinates"])
+    .optional({ values: "null" })
+    .custom((value) => isPoint(toCoordinatePair(value)))
+    .withMessage("Las coordenadas deben ser [longitud, latitud] con números válidos"),
+]
+
+// Partes de una dirección estructurada (address como objeto)
+const validateAddressFields = [
+  body(["address.street", "address.neighborhood", "address.city", "address.state", "address.country"])
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Cada parte de la dirección debe ser un texto de hasta 100 caracteres"),
+
+  body(["address.postalCode", "address.zipCode"])
+    .optional({ values: "falsy" })
+    .isPostalCode("any")
+    .withMessage("El código postal no es válido"),
+]
+
 // Validaciones para restaurantes
 const validateRestaurant = [
   body("name").trim().isLength({ min: 2, max: 100 }).withMessage("El nombre debe tener entre 2 y 100 caracteres"),
@@ -30,20 +146,169 @@ const validateRestaurant = [
 
   body("category").trim().notEmpty().withMessage("La categoría es requerida"),
 
-  body("location.address")
+  // Como texto o por partes; también se acepta en location.address
+  body("address")
+    .custom((address, { req }) => {
+      const value = address ?? req.body.location?.address
+      if (typeof value === "string") {
+        return value.trim().length >= 10 && value.trim().length <= 200
+      }
+      return typeof value === "object" && value !== null && !Array.isArray(value)
+    })
+    .withMessage("La dirección es requerida: un texto de entre 10 y 200 caracteres o un objeto con sus partes"),
+
+  ...validateAddressFields,
+
+  // Sin coordenadas se geocodifica la dirección
+  ...validateCoordinates,
+
+  body("image").optional().isURL().withMessage("La imagen debe ser una URL válida"),
+
+  body("draft").optional().isBoolean().withMessage("Borrador debe ser true o false"),
+
+  ...validateOpeningHoursFields,
+]
+
+const validateUpdateRestaurant = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage("La descripción debe tener entre 10 y 500 caracteres"),
+
+  body("category").optional().trim().notEmpty().withMessage("La categoría no puede estar vacía"),
+
+  body("contact.email").optional({ values: "falsy" }).isEmail().withMessage("El email de contacto no es válido"),
+
+  body("contact.website").optional({ values: "falsy" }).isURL().withMessage("La web debe ser una URL válida"),
+
+  body("cuisine").optional().isArray().withMessage("cuisine debe ser un array"),
+
+  body("features").optional().isArray().withMessage("features debe ser un array"),
+
+  body("image").optional().isURL().withMessage("La imagen debe ser una URL válida"),
+
+  body("address")
+    .optional()
+    .custom((address) =>
+      typeof address === "string" ? address.trim().length >= 5 : typeof address === "object" && address !== null,
+    )
+    .withMessage("La dirección debe ser un texto de al menos 5 caracteres o un objeto con sus partes"),
+
+  ...validateAddressFields,
+
+  ...validateCoordinates,
+
+  ...validateOpeningHoursFields,
+]
+
+// Validaciones para sugerencias de edición de restaurantes
+const validateRestaurantSuggestion = [
+  body("restaurantId").isMongoId().withMessage("ID de restaurante inválido"),
+
+  body("changes").isObject().withMessage("changes debe ser un objeto con los campos a cambiar"),
+
+  body("changes.name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+
+  body("changes.description")
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage("La descripción debe tener entre 10 y 500 caracteres"),
+
+  body("changes.category").optional().trim().notEmpty().withMessage("La categoría no puede estar vacía"),
+
+  body("changes.address")
+    .optional()
+    .isString()
     .trim()
     .isLength({ min: 10, max: 200 })
     .withMessage("La dirección debe tener entre 10 y 200 caracteres"),
 
-  body("location.coordinates.coordinates")
-    .isArray({ min: 2, max: 2 })
-    .withMessage("Las coordenadas deben ser un array con longitud y latitud"),
+  body("changes.contact").optional().isObject().withMessage("contact debe ser un objeto"),
 
-  body("location.coordinates.coordinates.*")
-    .isFloat({ min: -180, max: 180 })
-    .withMessage("Las coordenadas deben ser números válidos"),
+  body("changes.contact.phone").optional().isString().trim(),
 
-  body("image").optional().isURL().withMessage("La imagen debe ser una URL válida"),
+  body("changes.contact.email")
+    .optional({ values: "falsy" })
+    .isEmail()
+    .withMessage("El email de contacto no es válido"),
+
+  body("changes.contact.website").optional({ values: "falsy" }).isURL().withMessage("La web debe ser una URL válida"),
+
+  body("changes.cuisine").optional().isArray().withMessage("cuisine debe ser un array"),
+
+  body("changes.features").optional().isArray().withMessage("features debe ser un array"),
+
+  body("changes.priceRange").optional().isString().trim(),
+
+  body("comment")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("El comentario no puede superar 500 caracteres"),
+]
+
+// Validaciones para reclamaciones de propiedad de restaurantes
+const validateRestaurantClaim = [
+  body("restaurantId").isMongoId().withMessage("ID de restaurante inválido"),
+
+  body("evidence.description")
+    .trim()
+    .isLength({ min: 20, max: 1000 })
+    .withMessage("Describe tu relación con el restaurante (entre 20 y 1000 caracteres)"),
+
+  body("evidence.documents")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Se admiten como máximo 10 documentos"),
+
+  body("evidence.documents.*").isURL().withMessage("Cada documento debe ser una URL válida"),
+
+  body("evidence.contactEmail").optional().isEmail().withMessage("El email de contacto no es válido"),
+
+  body("evidence.contactPhone").optional().trim().isLength({ max: 30 }).withMessage("Teléfono de contacto inválido"),
+]
+
+const validateClaimReview = [
+  body("note").optional().isString().trim().isLength({ max: 500 }).withMessage("La nota no puede superar 500 caracteres"),
+]
+
+const validateManager = [body("userId").isMongoId().withMessage("userId debe ser un ID válido")]
+
+// Validaciones para decisiones de moderación de restaurantes
+const validateModeration = [
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage("El motivo debe tener entre 5 y 500 caracteres"),
+
+  body("notes")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Las notas no pueden superar 1000 caracteres"),
+]
+
+// Validaciones para los filtros de la cola de moderación
+const validateModerationQueue = [
+  query("createdBy").optional().isMongoId().withMessage("createdBy debe ser un ID válido"),
+
+  query(["from", "to"]).optional().isISO8601().withMessage("Las fechas deben tener formato ISO 8601"),
 ]
 
 // Validaciones para platos
@@ -57,7 +322,12 @@ const validateDish = [
 
   body("price").isFloat({ min: 0 }).withMessage("El precio debe ser un número positivo"),
 
-  body("restaurantId").isMongoId().withMessage("ID de restaurante inválido"),
+  // El restaurante se indica en restaurant o en restaurantId
+  body("restaurant").optional().isMongoId().withMessage("ID de restaurante inválido"),
+
+  body("restaurantId").if(body("restaurant").not().exists()).isMongoId().withMessage("ID de restaurante inválido"),
+
+  body("category").optional().isMongoId().withMessage("ID de categoría inválido"),
 
   body("image").optional().isURL().withMessage("La imagen debe ser una URL válida"),
 ]
@@ -83,6 +353,61 @@ const validateUpdateDish = [
   body("image").optional().isURL().withMessage("La imagen debe ser una URL válida"),
 ]
 
+// Rango de precio de los listados y el ranking de platos
+const validatePriceBand = [
+  query(["minPrice", "maxPrice"]).optional().isFloat({ min: 0 }).withMessage("El precio debe ser un número positivo"),
+]
+
+// Validaciones para los listados de platos
+// Valoración mínima por aspecto en los listados (minAspectRatings[service]=4)
+const aspectFilter = (type) => [
+  query("minAspectRatings")
+    .optional()
+    .isObject()
+    .withMessage("minAspectRatings debe indicar la valoración mínima por aspecto (minAspectRatings[service]=4)"),
+
+  query("minAspectRatings.*")
+    .isFloat({ min: 1, max: 5 })
+    .withMessage("La valoración mínima de cada aspecto debe ser entre 1 y 5"),
+
+  query("minAspectRatings")
+    .optional()
+    .custom((value) => Object.keys(value).every((aspect) => RATING_ASPECTS[type].includes(aspect)))
+    .withMessage(`Los aspectos válidos son: ${RATING_ASPECTS[type].join(", ")}`),
+]
+
+const validateDishFilters = [
+  ...validatePriceBand,
+
+  query("page").optional().isInt({ min: 1 }).withMessage("La página debe ser un número entero mayor a 0"),
+
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("El límite debe ser un número entre 1 y 100"),
+
+  query("sortBy").optional().isIn(Dish.SORT_FIELDS).withMessage("Campo de ordenamiento inválido"),
+
+  query("sortOrder").optional().isIn(["asc", "desc"]).withMessage("Orden debe ser asc o desc"),
+
+  query("minRating").optional().isFloat({ min: 1, max: 5 }).withMessage("Calificación mínima debe ser entre 1 y 5"),
+
+  ...aspectFilter("dish"),
+]
+
+// Validaciones del ranking de platos
+const validateDishRanking = [
+  ...validatePriceBand,
+
+  query("category").optional().isString().trim().notEmpty().withMessage("Categoría inválida"),
+
+  query("city")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("La ciudad debe tener entre 2 y 100 caracteres"),
+
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("El límite debe ser un número entre 1 y 100"),
+]
+
 // Validaciones para reseñas
 const validateReview = [
   body("comment")
@@ -92,12 +417,19 @@ const validateReview = [
 
   body("rating").isInt({ min: 1, max: 5 }).withMessage("La calificación debe ser un número entero entre 1 y 5"),
 
-  body("restaurantId").optional().isMongoId().withMessage("ID de restaurante inválido"),
+  // Los aspectos válidos dependen de si se reseña un plato o el restaurante
+  body("aspectRatings")
+    .optional({ values: "null" })
+    .custom((aspectRatings, { req }) =>
+      fromErrorList((value) => validateAspectRatings(value, req.body.dish ? "dish" : "restaurant"))(aspectRatings),
+    ),
+
+  body(["restaurantId", "restaurant"]).optional().isMongoId().withMessage("ID de restaurante inválido"),
 
   body("dish").optional().isMongoId().withMessage("ID de plato inválido"),
 
   body().custom((value, { req }) => {
-    if (!req.body.restaurantId && !req.body.dish) {
+    if (!req.body.restaurantId && !req.body.restaurant && !req.body.dish) {
       throw new Error("Debe especificar un restaurante o plato para la reseña")
     }
     return true
@@ -116,6 +448,9 @@ const validateUpdateReview = [
     .optional()
     .isInt({ min: 1, max: 5 })
     .withMessage("La calificación debe ser un número entero entre 1 y 5"),
+
+  // Aquí no se sabe si la reseña es de un plato: la ruta comprueba que los aspectos correspondan
+  body("aspectRatings").optional({ values: "null" }).custom(fromErrorList(validateAspectRatings)),
 ]
 
 // Validaciones para categorías
@@ -191,11 +526,280 @@ const validateRestaurantFilters = [
   query("approved").optional().isBoolean().withMessage("Aprobado debe ser true o false"),
 ]
 
+// Filtro por aspectos en los listados de restaurantes
+const validateRestaurantAspectFilters = aspectFilter("restaurant")
+
+// Validaciones para el filtro por horario de apertura
+const validateOpeningFilter = [
+  query("openNow").optional().isBoolean().withMessage("openNow debe ser true o false"),
+
+  query("openAt").optional().isISO8601().withMessage("openAt debe ser una fecha ISO 8601"),
+]
+
+// Filtros exactos por ciudad, barrio y país de la dirección
+const validateAddressFilter = [
+  query(["city", "neighborhood", "country"])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Ciudad, barrio y país deben tener entre 2 y 100 caracteres"),
+]
+
+// Validaciones del listado de ciudades
+const validateCitiesQuery = [
+  query("country").optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage("País inválido"),
+
+  query("limit").optional().isInt({ min: 1, max: 500 }).withMessage("El límite debe ser un número entre 1 y 500"),
+]
+
+// Validaciones del ranking de restaurantes
+const validateRankingQuery = [
+  ...validateOpeningFilter,
+
+  ...validateAddressFilter,
+
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("El límite debe ser un número entre 1 y 100"),
+
+  query("explain").optional().isBoolean().withMessage("explain debe ser true o false"),
+]
+
+// Segmento del histórico del ranking: global, una categoría, una ciudad o una categoría en una ciudad
+const validateRankingSegment = [
+  query("category").optional().isString().trim().isLength({ min: 2 }).withMessage("Categoría inválida"),
+
+  query("city")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("La ciudad debe tener entre 2 y 100 caracteres"),
+]
+
+// Día de una instantánea del ranking
+const snapshotDate = (field) =>
+  query(field).isDate({ format: "YYYY-MM-DD", strictMode: true }).withMessage(`${field} debe tener formato YYYY-MM-DD`)
+
+// Validaciones del ranking de un día pasado
+const validateRankingSnapshotQuery = [
+  ...validateRankingSegment,
+
+  snapshotDate("date"),
+
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("El límite debe ser un número entre 1 y 100"),
+]
+
+// Validaciones de los restaurantes que más se han movido y las nuevas entradas del ranking
+const validateRankingChangesQuery = [
+  ...validateRankingSegment,
+
+  query("days").optional().isInt({ min: 1, max: 365 }).withMessage("days debe ser un número entre 1 y 365"),
+
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("El límite debe ser un número entre 1 y 100"),
+]
+
+// Validaciones del histórico de puestos de un restaurante
+const validateRankHistoryQuery = [
+  ...validateRankingSegment,
+
+  snapshotDate("from").optional(),
+
+  snapshotDate("to").optional(),
+]
+
+// Cambios en la configuración del ranking (solo los parámetros que se quieren cambiar)
+const validateRankingConfigUpdate = [body().custom(fromErrorList(validateRankingConfig))]
+
+// Validaciones comunes de las búsquedas geográficas (paginación y filtros)
+const validateGeoSearch = [
+  ...validateOpeningFilter,
+
+  ...validateAddressFilter,
+
+  query("page").optional().isInt({ min: 1 }).withMessage("La página debe ser un número entero mayor a 0"),
+
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("El límite debe ser un número entre 1 y 100"),
+
+  query("category").optional().trim().isLength({ min: 2 }).withMessage("Categoría inválida"),
+
+  query("minRating").optional().isFloat({ min: 1, max: 5 }).withMessage("Calificación mínima debe ser entre 1 y 5"),
+
+  ...validateRestaurantAspectFilters,
+]
+
+// Validaciones para la búsqueda de restaurantes cercanos
+const validateNearbySearch = [
+  ...validateGeoSearch,
+
+  query(["lat", "latitude"])
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("La latitud debe estar entre -90 y 90"),
+
+  query(["lng", "longitude"])
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("La longitud debe estar entre -180 y 180"),
+
+  query(["radius", "maxDistance"])
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage("El radio debe ser un número de metros entre 1 y 100000"),
+]
+
+// Validaciones para la búsqueda en el área visible del mapa
+const validateViewportSearch = [
+  ...validateGeoSearch,
+
+  query(["west", "east"])
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("west y east deben ser longitudes entre -180 y 180"),
+
+  query(["south", "north"])
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("south y north deben ser latitudes entre -90 y 90"),
+
+  query("north")
+    .custom((north, { req }) => Number.parseFloat(north) > Number.parseFloat(req.query.south))
+    .withMessage("north debe ser mayor que south"),
+
+  query("east")
+    .custom((east, { req }) => Number.parseFloat(east) !== Number.parseFloat(req.query.west))
+    .withMessage("west y east no pueden coincidir"),
+]
+
+// Validaciones para la búsqueda dentro de un polígono
+const validatePolygonSearch = [
+  ...validateGeoSearch,
+
+  body("polygon").custom(fromErrorList(validatePolygon)),
+]
+
 // Validación para reacciones a reseñas
 const validateReviewReaction = [
-  body("type").isIn(["like", "dislike"]).withMessage("El tipo debe ser like o dislike"),
+  body("type")
+    .isIn(ReviewReaction.TYPES)
+    .withMessage(`El tipo debe ser uno de: ${ReviewReaction.TYPES.join(", ")}`),
+
+  param("id").isMongoId().withMessage("ID de reseña inválido"),
+]
 
-  param("reviewId").isMongoId().withMessage("ID de reseña inválido"),
+// Validaciones para listas de favoritos
+const listVisibility = body("visibility")
+  .optional()
+  .isIn(FavoriteList.VISIBILITIES)
+  .withMessage(`La visibilidad debe ser una de: ${FavoriteList.VISIBILITIES.join(", ")}`)
+
+const listDescription = body("description")
+  .optional({ values: "null" })
+  .isString()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage("La descripción no puede tener más de 500 caracteres")
+
+const listItemNote = body("note")
+  .optional({ values: "null" })
+  .isString()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage("La nota no puede tener más de 500 caracteres")
+
+const listItemPosition = body("position")
+  .optional()
+  .isInt({ min: 0 })
+  .withMessage("La posición debe ser un entero mayor o igual que 0")
+  .toInt()
+
+const validateFavoriteList = [
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("El nombre debe tener entre 1 y 100 caracteres"),
+  listDescription,
+  listVisibility,
+]
+
+const validateListUpdate = [
+  param("id").isMongoId().withMessage("ID de lista inválido"),
+
+  body("name")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("El nombre debe tener entre 1 y 100 caracteres"),
+  listDescription,
+  listVisibility,
+]
+
+const validateListItem = [
+  param("id").isMongoId().withMessage("ID de lista inválido"),
+
+  body("type")
+    .isIn(Favorite.TYPES)
+    .withMessage(`El tipo debe ser uno de: ${Favorite.TYPES.join(", ")}`),
+
+  body("targetId").isMongoId().withMessage("targetId debe ser un ID válido"),
+  listItemNote,
+  listItemPosition,
+]
+
+const validateListItemUpdate = [
+  param("id").isMongoId().withMessage("ID de lista inválido"),
+  param("itemId").isMongoId().withMessage("ID de elemento inválido"),
+  listItemNote,
+  listItemPosition,
+]
+
+const validateListOrder = [
+  param("id").isMongoId().withMessage("ID de lista inválido"),
+
+  body("itemIds").isArray().withMessage("itemIds debe ser un array con los IDs de los elementos"),
+
+  body("itemIds.*").isMongoId().withMessage("itemIds debe contener IDs válidos"),
+]
+
+const validatePublicListsQuery = [
+  query("user").optional().isMongoId().withMessage("ID de usuario inválido"),
+  ...validatePagination,
+]
+
+const validateShareToken = [param("token").isBase64({ urlSafe: true }).withMessage("Enlace inválido")]
+
+// Validaciones para API keys
+const validateApiKey = [
+  body("name").trim().isLength({ min: 2, max: 100 }).withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+
+  body("scopes").isArray({ min: 1 }).withMessage("Debe indicar al menos un scope"),
+
+  body("scopes.*").isIn(ApiKey.SCOPES).withMessage(`Scope inválido. Valores permitidos: ${ApiKey.SCOPES.join(", ")}`),
+
+  body("expiresAt").optional({ values: "null" }).isISO8601().withMessage("expiresAt debe ser una fecha válida"),
+
+  body("rateLimit")
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage("rateLimit debe ser un número entero de peticiones por minuto"),
+
+  body("userId").optional().isMongoId().withMessage("userId debe ser un ID válido"),
+]
+
+const validateUpdateApiKey = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+
+  body("scopes").optional().isArray({ min: 1 }).withMessage("Debe indicar al menos un scope"),
+
+  body("scopes.*").isIn(ApiKey.SCOPES).withMessage(`Scope inválido. Valores permitidos: ${ApiKey.SCOPES.join(", ")}`),
+
+  body("rateLimit")
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage("rateLimit debe ser un número entero de peticiones por minuto"),
 ]
 
 // Validación para actualización de usuario
@@ -223,9 +827,25 @@ const validatePasswordChange = [
 module.exports = {
   validateRegister,
   validateLogin,
+  validateRefreshToken,
+  validateEmailVerification,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
   validateRestaurant,
+  validateUpdateRestaurant,
+  validateRestaurantSuggestion,
+  validateRestaurantClaim,
+  validateClaimReview,
+  validateManager,
+  validateModeration,
+  validateModerationQueue,
   validateDish,
   validateUpdateDish,
+  validateDishFilters,
+  validateDishRanking,
   validateReview,
   validateUpdateReview,
   validateCategory,
@@ -233,7 +853,28 @@ module.exports = {
   validateObjectId,
   validatePagination,
   validateRestaurantFilters,
+  validateRestaurantAspectFilters,
+  validateOpeningFilter,
+  validateAddressFilter,
+  validateCitiesQuery,
+  validateRankingQuery,
+  validateRankingConfigUpdate,
+  validateRankingSnapshotQuery,
+  validateRankingChangesQuery,
+  validateRankHistoryQuery,
+  validateNearbySearch,
+  validateViewportSearch,
+  validatePolygonSearch,
   validateReviewReaction,
+  validateFavoriteList,
+  validateListUpdate,
+  validateListItem,
+  validateListItemUpdate,
+  validateListOrder,
+  validatePublicListsQuery,
+  validateShareToken,
   validateUserUpdate,
   validatePasswordChange,
+  validateApiKey,
+  validateUpdateApiKey,
 }
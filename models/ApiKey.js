@@ -0,0 +1,121 @@
+const crypto = require("crypto")
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+
+// Scopes que se pueden conceder a una API key
+const API_KEY_SCOPES = [
+  "restaurants:read",
+  "restaurants:write",
+  "dishes:read",
+  "dishes:write",
+  "reviews:read",
+  "categories:read",
+]
+
+class ApiKey {
+  constructor(apiKeyData) {
+    this.userId = new ObjectId(apiKeyData.userId)
+    this.name = apiKeyData.name
+    this.prefix = apiKeyData.prefix
+    this.keyHash = apiKeyData.keyHash
+    this.scopes = apiKeyData.scopes || []
+    this.rateLimit = apiKeyData.rateLimit
+    this.expiresAt = apiKeyData.expiresAt || null
+    this.lastUsedAt = null
+    this.lastUsedIp = null
+    this.createdAt = new Date()
+    this.updatedAt = new Date()
+    this.revokedAt = null
+  }
+
+  // Hash SHA-256 de la clave (nunca se guarda en claro)
+  static hash(key) {
+    return crypto.createHash("sha256").update(key).digest("hex")
+  }
+
+  // Crear una API key
+  static async create(apiKeyData) {
+    const db = getDB()
+
+    const apiKey = new ApiKey(apiKeyData)
+    const result = await db.collection("api_keys").insertOne(apiKey)
+
+    return {
+      _id: result.insertedId,
+      ...apiKey,
+    }
+  }
+
+  // Buscar API key por ID
+  static async findById(id) {
+    const db = getDB()
+    return await db.collection("api_keys").findOne({ _id: new ObjectId(id) })
+  }
+
+  // Buscar una API key activa (no revocada ni expirada) a partir de la clave en claro
+  static async findActiveByKey(key) {
+    const db = getDB()
+
+    return await db.collection("api_keys").findOne({
+      keyHash: ApiKey.hash(key),
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    })
+  }
+
+  // Listar API keys (opcionalmente de un usuario)
+  static async findAll(filter = {}) {
+    const db = getDB()
+
+    const query = {}
+    if (filter.userId) {
+      query.userId = new ObjectId(filter.userId)
+    }
+    if (!filter.includeRevoked) {
+      query.revokedAt = null
+    }
+
+    return await db.collection("api_keys").find(query).sort({ createdAt: -1 }).toArray()
+  }
+
+  // Actualizar nombre, scopes o límite de una API key
+  static async updateById(id, updateData) {
+    const db = getDB()
+
+    return await db.collection("api_keys").findOneAndUpdate(
+      { _id: new ObjectId(id), revokedAt: null },
+      { $set: { ...updateData, updatedAt: new Date() } },
+      { returnDocument: "after" },
+    )
+  }
+
+  // Registrar el último uso de una API key
+  static async touch(id, ip) {
+    const db = getDB()
+
+    await db
+      .collection("api_keys")
+      .updateOne({ _id: new ObjectId(id) }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip || null } })
+  }
+
+  // Revocar una API key
+  static async revoke(id) {
+    const db = getDB()
+
+    const result = await db
+      .collection("api_keys")
+      .updateOne({ _id: new ObjectId(id), revokedAt: null }, { $set: { revokedAt: new Date() } })
+
+    return result.modifiedCount > 0
+  }
+
+  // Datos de la API key que se exponen al cliente (sin el hash)
+  static toResponse(apiKey) {
+    const { keyHash, ...apiKeyWithoutHash } = apiKey
+    return apiKeyWithoutHash
+  }
+}
+
+ApiKey.SCOPES = API_KEY_SCOPES
+
+module.exports = ApiKey
@@ -1,10 +1,12 @@
 const { getDB } = require('../config/database');
 const { ObjectId } = require('mongodb');
+const { NOT_DELETED, DELETED, notDeleted, buildDeletion, RESTORE, findDeleted } = require('../utils/softDelete');
 
 class Category {
   constructor(categoryData) {
     this.name = categoryData.name;
     this.description = categoryData.description;
+    this.deletedAt = null;
     this.createdAt = categoryData.createdAt || new Date();
     this.updatedAt = categoryData.updatedAt || new Date();
   }
@@ -25,13 +27,13 @@ class Category {
   // Buscar categoría por ID
   static async findById(id) {
     const db = getDB();
-    return await db.collection('categories').findOne({ _id: new ObjectId(id) });
+    return await db.collection('categories').findOne(notDeleted({ _id: new ObjectId(id) }));
   }
 
   // Buscar categoría por nombre
   static async findByName(name) {
     const db = getDB();
-    return await db.collection('categories').findOne({ name });
+    return await db.collection('categories').findOne(notDeleted({ name }));
   }
 
   // Obtener todas las categorías
@@ -43,11 +45,13 @@ class Category {
     const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
     const pipeline = [
+      { $match: NOT_DELETED },
       {
         $lookup: {
           from: 'restaurants',
           localField: 'name',
           foreignField: 'category',
+          pipeline: [{ $match: NOT_DELETED }],
           as: 'restaurants'
         }
       },
@@ -68,7 +72,7 @@ class Category {
 
     const [categories, total] = await Promise.all([
       db.collection('categories').aggregate(pipeline).toArray(),
-      db.collection('categories').countDocuments()
+      db.collection('categories').countDocuments(NOT_DELETED)
     ]);
 
     return {
@@ -88,6 +92,7 @@ class Category {
     const db = getDB();
     
     const pipeline = [
+      { $match: NOT_DELETED },
       {
         $lookup: {
           from: 'restaurants',
@@ -96,7 +101,8 @@ class Category {
             { 
               $match: { 
                 $expr: { $eq: ['$category', '$$categoryName'] },
-                approved: true
+                approved: true,
+                ...NOT_DELETED
               }
             }
           ],
@@ -110,7 +116,8 @@ class Category {
           pipeline: [
             { 
               $match: { 
-                $expr: { $eq: ['$category', '$$categoryName'] }
+                $expr: { $eq: ['$category', '$$categoryName'] },
+                ...NOT_DELETED
               }
             }
           ],
@@ -151,24 +158,53 @@ class Category {
     return result.value;
   }
 
-  // Eliminar categoría
-  static async deleteById(id) {
+  // Enviar categoría a la papelera
+  static async deleteById(id, deletedBy) {
     const db = getDB();
     
     // Verificar que no hay restaurantes usando esta categoría
-    const category = await db.collection('categories').findOne({ _id: new ObjectId(id) });
+    const category = await db.collection('categories').findOne(notDeleted({ _id: new ObjectId(id) }));
     if (!category) {
       throw new Error('Categoría no encontrada');
     }
 
-    const restaurantsUsingCategory = await db.collection('restaurants').countDocuments({
+    const restaurantsUsingCategory = await db.collection('restaurants').countDocuments(notDeleted({
       category: category.name
-    });
+    }));
 
     if (restaurantsUsingCategory > 0) {
       throw new Error(`No se puede eliminar la categoría. ${restaurantsUsingCategory} restaurante(s) la están usando`);
     }
 
+    const result = await db.collection('categories').updateOne(
+      notDeleted({ _id: new ObjectId(id) }),
+      buildDeletion(deletedBy)
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Sacar categoría de la papelera
+  static async restoreById(id) {
+    const db = getDB();
+    const result = await db.collection('categories').updateOne({ _id: new ObjectId(id), ...DELETED }, RESTORE);
+    return result.modifiedCount > 0;
+  }
+
+  // Buscar categoría en la papelera por ID
+  static async findDeletedById(id) {
+    const db = getDB();
+    return await db.collection('categories').findOne({ _id: new ObjectId(id), ...DELETED });
+  }
+
+  // Listar categorías en la papelera
+  static async findDeleted(options = {}) {
+    const db = getDB();
+    return await findDeleted(db.collection('categories'), options);
+  }
+
+  // Eliminar categoría definitivamente
+  static async purgeById(id) {
+    const db = getDB();
     const result = await db.collection('categories').deleteOne({ _id: new ObjectId(id) });
     return result.deletedCount > 0;
   }
@@ -179,9 +215,9 @@ class Category {
     const { limit = 10 } = options;
 
     return await db.collection('categories')
-      .find({
+      .find(notDeleted({
         name: { $regex: searchTerm, $options: 'i' }
-      })
+      }))
       .limit(limit)
       .sort({ name: 1 })
       .toArray();
@@ -192,6 +228,7 @@ class Category {
     const db = getDB();
     
     const pipeline = [
+      { $match: NOT_DELETED },
       {
         $lookup: {
           from: 'restaurants',
@@ -200,7 +237,8 @@ class Category {
             { 
               $match: { 
                 $expr: { $eq: ['$category', '$$categoryName'] },
-                approved: true
+                approved: true,
+                ...NOT_DELETED
               }
             }
           ],
@@ -243,9 +281,10 @@ class Category {
   static async getStats() {
     const db = getDB();
     
-    const totalCategories = await db.collection('categories').countDocuments();
+    const totalCategories = await db.collection('categories').countDocuments(NOT_DELETED);
     
     const categoryStats = await db.collection('categories').aggregate([
+      { $match: NOT_DELETED },
       {
         $lookup: {
           from: 'restaurants',
@@ -253,7 +292,8 @@ class Category {
           pipeline: [
             { 
               $match: { 
-                $expr: { $eq: ['$category', '$$categoryName'] }
+                $expr: { $eq: ['$category', '$$categoryName'] },
+                ...NOT_DELETED
               }
             }
           ],
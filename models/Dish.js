@@ -1,5 +1,31 @@
 const { getDB } = require("../config/database")
 const { ObjectId } = require("mongodb")
+const { NOT_DELETED, DELETED, notDeleted, buildDeletion, RESTORE, findDeleted } = require("../utils/softDelete")
+const { normalizePlaceName } = require("../utils/geo")
+const { rankingStages } = require("../utils/ranking")
+const {
+  RATING_ASPECTS,
+  aspectAccumulators,
+  toAspectRatings,
+  aspectRatingQuery,
+  aspectSortField,
+} = require("../utils/ratingAspects")
+const RankingConfig = require("./RankingConfig")
+const Favorite = require("./Favorite")
+const FavoriteList = require("./FavoriteList")
+
+// Campos por los que se pueden ordenar los listados de platos (los aspectos, por su valoración media)
+const DISH_SORT_FIELDS = ["name", "price", "rating", "reviewCount", "createdAt", ...RATING_ASPECTS.dish]
+
+// Orden del ranking de platos; a igual puntuación, el que tiene más reseñas
+const DISH_RANKING_SORT = { rankingScore: -1, reviewCount: -1, _id: 1 }
+
+// Valoración media, número de reseñas y valoraciones por aspecto a partir de la agregación de sus reseñas
+const toRatingStats = (stats) => ({
+  rating: stats ? Math.round(stats.avgRating * 10) / 10 : 0,
+  reviewCount: stats ? stats.count : 0,
+  aspectRatings: toAspectRatings("dish", stats),
+})
 
 class Dish {
   constructor(dishData) {
@@ -17,6 +43,13 @@ class Dish {
     this.tags = dishData.tags || []
     this.image = dishData.image || null
     this.available = dishData.available !== undefined ? dishData.available : true
+    // Valoración media de las reseñas del plato (se mantiene desde Review)
+    this.rating = 0
+    this.reviewCount = 0
+    this.aspectRatings = toAspectRatings("dish")
+    this.favoritesCount = 0
+    this.deletedAt = null
+    this.createdBy = dishData.createdBy ? new ObjectId(dishData.createdBy) : null
     this.createdAt = dishData.createdAt || new Date()
     this.updatedAt = dishData.updatedAt || new Date()
   }
@@ -28,19 +61,23 @@ class Dish {
     const restaurantId = dishData.restaurant || dishData.restaurantId
 
     // Verificar que el restaurante exista y esté aprobado
-    const restaurant = await db.collection("restaurants").findOne({
-      _id: new ObjectId(restaurantId),
-      approved: true,
-    })
+    const restaurant = await db.collection("restaurants").findOne(
+      notDeleted({
+        _id: new ObjectId(restaurantId),
+        approved: true,
+      }),
+    )
 
     if (!restaurant) {
       throw new Error("Restaurante no encontrado o no aprobado")
     }
 
     if (dishData.category) {
-      const category = await db.collection("categories").findOne({
-        _id: new ObjectId(dishData.category),
-      })
+      const category = await db.collection("categories").findOne(
+        notDeleted({
+          _id: new ObjectId(dishData.category),
+        }),
+      )
 
       if (!category) {
         throw new Error("Categoría no encontrada")
@@ -63,7 +100,7 @@ class Dish {
     const dish = await db
       .collection("dishes")
       .aggregate([
-        { $match: { _id: new ObjectId(id) } },
+        { $match: notDeleted({ _id: new ObjectId(id) }) },
         {
           $lookup: {
             from: "restaurants",
@@ -87,16 +124,27 @@ class Dish {
   // Obtener platos de un restaurante
   static async findByRestaurant(restaurantId, options = {}) {
     const db = getDB()
-    const { page = 1, limit = 20, sortBy = "name", sortOrder = "asc", available } = options
+    const {
+      page = 1,
+      limit = 20,
+      sortBy = "name",
+      sortOrder = "asc",
+      available,
+      minRating,
+      minAspectRatings,
+    } = options
 
     const skip = (page - 1) * limit
-    const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 }
+    const sort = { [aspectSortField("dish", sortBy)]: sortOrder === "desc" ? -1 : 1, _id: 1 }
 
     // Construir query
-    const query = { restaurantId: new ObjectId(restaurantId) }
+    const query = notDeleted({ restaurantId: new ObjectId(restaurantId), ...aspectRatingQuery(minAspectRatings) })
     if (available !== undefined) {
       query.available = available
     }
+    if (minRating) {
+      query.rating = { $gte: Number.parseFloat(minRating) }
+    }
 
     const [dishes, total] = await Promise.all([
       db.collection("dishes").find(query).sort(sort).skip(skip).limit(limit).toArray(),
@@ -126,14 +174,16 @@ class Dish {
       search,
       minPrice,
       maxPrice,
+      minRating,
+      minAspectRatings,
       available = true,
     } = options
 
     const skip = (page - 1) * limit
-    const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 }
+    const sort = { [aspectSortField("dish", sortBy)]: sortOrder === "desc" ? -1 : 1, _id: 1 }
 
     // Construir query de filtros
-    const query = { available }
+    const query = notDeleted({ available, ...aspectRatingQuery(minAspectRatings) })
 
     if (search) {
       query.$or = [{ name: { $regex: search, $options: "i" } }, { description: { $regex: search, $options: "i" } }]
@@ -145,6 +195,10 @@ class Dish {
       if (maxPrice) query.price.$lte = Number.parseFloat(maxPrice)
     }
 
+    if (minRating) {
+      query.rating = { $gte: Number.parseFloat(minRating) }
+    }
+
     const pipeline = [
       { $match: query },
       {
@@ -206,16 +260,46 @@ class Dish {
 
     updateData.updatedAt = new Date()
 
-    const result = await db
+    return await db
       .collection("dishes")
       .findOneAndUpdate({ _id: new ObjectId(id) }, { $set: updateData }, { returnDocument: "after" })
+  }
 
-    return result.value
+  // Enviar plato a la papelera
+  static async deleteById(id, deletedBy) {
+    const db = getDB()
+    const result = await db
+      .collection("dishes")
+      .updateOne(notDeleted({ _id: new ObjectId(id) }), buildDeletion(deletedBy))
+    return result.modifiedCount > 0
+  }
+
+  // Sacar plato de la papelera
+  static async restoreById(id) {
+    const db = getDB()
+    const result = await db.collection("dishes").updateOne({ _id: new ObjectId(id), ...DELETED }, RESTORE)
+    return result.modifiedCount > 0
   }
 
-  // Eliminar plato
-  static async deleteById(id) {
+  // Buscar plato en la papelera por ID
+  static async findDeletedById(id) {
     const db = getDB()
+    return await db.collection("dishes").findOne({ _id: new ObjectId(id), ...DELETED })
+  }
+
+  // Listar platos en la papelera
+  static async findDeleted(options = {}) {
+    const db = getDB()
+    return await findDeleted(db.collection("dishes"), options)
+  }
+
+  // Eliminar plato definitivamente (junto con sus favoritos y sus entradas en listas)
+  static async purgeById(id) {
+    const db = getDB()
+
+    await Favorite.deleteByTargets("dish", [id])
+    await FavoriteList.removeTargets("dish", [id])
+
     const result = await db.collection("dishes").deleteOne({ _id: new ObjectId(id) })
     return result.deletedCount > 0
   }
@@ -224,12 +308,12 @@ class Dish {
   static async toggleAvailability(id) {
     const db = getDB()
 
-    const dish = await db.collection("dishes").findOne({ _id: new ObjectId(id) })
+    const dish = await db.collection("dishes").findOne(notDeleted({ _id: new ObjectId(id) }))
     if (!dish) {
       throw new Error("Plato no encontrado")
     }
 
-    const result = await db.collection("dishes").findOneAndUpdate(
+    return await db.collection("dishes").findOneAndUpdate(
       { _id: new ObjectId(id) },
       {
         $set: {
@@ -239,8 +323,6 @@ class Dish {
       },
       { returnDocument: "after" },
     )
-
-    return result.value
   }
 
   // Buscar platos por nombre
@@ -251,6 +333,7 @@ class Dish {
     const pipeline = [
       {
         $match: {
+          ...NOT_DELETED,
           name: { $regex: searchTerm, $options: "i" },
           available: true,
         },
@@ -286,6 +369,7 @@ class Dish {
     const pipeline = [
       {
         $match: {
+          ...NOT_DELETED,
           price: { $gte: minPrice, $lte: maxPrice },
           available: true,
         },
@@ -312,6 +396,141 @@ class Dish {
     return await db.collection("dishes").aggregate(pipeline).toArray()
   }
 
+  // Actualizar la valoración media y el número de reseñas de un plato
+  static async updateRating(id) {
+    const db = getDB()
+
+    const [stats] = await db
+      .collection("reviews")
+      .aggregate([
+        { $match: notDeleted({ dishId: new ObjectId(id) }) },
+        {
+          $group: {
+            _id: null,
+            avgRating: { $avg: "$rating" },
+            count: { $sum: 1 },
+            ...aspectAccumulators("dish"),
+          },
+        },
+      ])
+      .toArray()
+
+    const ratingStats = toRatingStats(stats)
+
+    await db.collection("dishes").updateOne({ _id: new ObjectId(id) }, { $set: ratingStats })
+
+    return ratingStats
+  }
+
+  // Recalcular la valoración de todos los platos (p. ej. los creados antes de guardarla)
+  static async recomputeRatings() {
+    const db = getDB()
+
+    const stats = await db
+      .collection("reviews")
+      .aggregate([
+        { $match: notDeleted({ dishId: { $type: "objectId" } }) },
+        {
+          $group: {
+            _id: "$dishId",
+            avgRating: { $avg: "$rating" },
+            count: { $sum: 1 },
+            ...aspectAccumulators("dish"),
+          },
+        },
+      ])
+      .toArray()
+
+    if (stats.length > 0) {
+      await db.collection("dishes").bulkWrite(
+        stats.map((dishStats) => ({
+          updateOne: { filter: { _id: dishStats._id }, update: { $set: toRatingStats(dishStats) } },
+        })),
+        { ordered: false },
+      )
+    }
+
+    // Los platos sin reseñas no salen de la agregación
+    await db
+      .collection("dishes")
+      .updateMany(
+        { _id: { $nin: stats.map((dishStats) => dishStats._id) } },
+        { $set: toRatingStats() },
+      )
+
+    return stats.length
+  }
+
+  // Media de todas las reseñas de platos (media a priori del ranking bayesiano de platos)
+  static async getRatingMean() {
+    const db = getDB()
+
+    const [stats] = await db
+      .collection("dishes")
+      .aggregate([
+        { $match: notDeleted({ reviewCount: { $gt: 0 } }) },
+        {
+          $group: {
+            _id: null,
+            ratingSum: { $sum: { $multiply: ["$rating", "$reviewCount"] } },
+            reviewCount: { $sum: "$reviewCount" },
+          },
+        },
+      ])
+      .toArray()
+
+    return stats ? stats.ratingSum / stats.reviewCount : 0
+  }
+
+  // Ranking de platos disponibles de restaurantes aprobados, con la fórmula y el mínimo de reseñas
+  // del ranking de restaurantes. Filtros: categoría del plato, ciudad del restaurante y rango de precio
+  static async getRanking(options = {}) {
+    const db = getDB()
+    const { limit = 10, categoryId, city, minPrice, maxPrice } = options
+
+    const config = await RankingConfig.get()
+    const context = { at: new Date(), priorMean: await Dish.getRatingMean() }
+
+    const matchStage = notDeleted({ available: true, reviewCount: { $gte: config.minReviews } })
+    if (categoryId) {
+      matchStage.categoryId = new ObjectId(categoryId)
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      matchStage.price = {}
+      if (minPrice !== undefined) matchStage.price.$gte = minPrice
+      if (maxPrice !== undefined) matchStage.price.$lte = maxPrice
+    }
+
+    const restaurantMatch = notDeleted({ approved: true })
+    if (city) {
+      restaurantMatch["addressKeys.city"] = normalizePlaceName(city)
+    }
+
+    const pipeline = [
+      { $match: matchStage },
+      {
+        $lookup: {
+          from: "restaurants",
+          localField: "restaurantId",
+          foreignField: "_id",
+          as: "restaurant",
+          pipeline: [
+            { $match: restaurantMatch },
+            { $project: { name: 1, category: 1, "addressComponents.city": 1, "addressComponents.neighborhood": 1 } },
+          ],
+        },
+      },
+      { $match: { "restaurant.0": { $exists: true } } },
+      { $set: { restaurant: { $arrayElemAt: ["$restaurant", 0] } } },
+      ...rankingStages(config, context),
+      { $sort: DISH_RANKING_SORT },
+      { $limit: limit },
+      { $unset: "_ranking" },
+    ]
+
+    return await db.collection("dishes").aggregate(pipeline).toArray()
+  }
+
   // Obtener estadísticas de platos
   static async getStats() {
     const db = getDB()
@@ -319,6 +538,7 @@ class Dish {
     const stats = await db
       .collection("dishes")
       .aggregate([
+        { $match: NOT_DELETED },
         {
           $group: {
             _id: null,
@@ -335,6 +555,7 @@ class Dish {
     const dishesByRestaurant = await db
       .collection("dishes")
       .aggregate([
+        { $match: NOT_DELETED },
         {
           $lookup: {
             from: "restaurants",
@@ -370,14 +591,47 @@ class Dish {
     }
   }
 
-  // Eliminar todos los platos de un restaurante
-  static async deleteByRestaurant(restaurantId) {
+  // Enviar a la papelera los platos de un restaurante que se elimina
+  static async deleteByRestaurant(restaurantId, deletedBy, { session } = {}) {
     const db = getDB()
-    const result = await db.collection("dishes").deleteMany({
-      restaurantId: new ObjectId(restaurantId),
-    })
-    return result.deletedCount
+    const result = await db
+      .collection("dishes")
+      .updateMany(notDeleted({ restaurantId: new ObjectId(restaurantId) }), buildDeletion(deletedBy, restaurantId), {
+        session,
+      })
+    return result.modifiedCount
+  }
+
+  // Restaurar los platos que se eliminaron junto con su restaurante
+  static async restoreByRestaurant(restaurantId, { session } = {}) {
+    const db = getDB()
+    const result = await db
+      .collection("dishes")
+      .updateMany({ deletedWith: new ObjectId(restaurantId), ...DELETED }, RESTORE, { session })
+    return result.modifiedCount
+  }
+
+  // Eliminar definitivamente todos los platos de un restaurante (junto con sus favoritos y sus entradas
+  // en listas). Devuelve { dishes, favorites }
+  static async purgeByRestaurant(restaurantId, { session } = {}) {
+    const db = getDB()
+
+    const dishIds = await db
+      .collection("dishes")
+      .distinct("_id", { restaurantId: new ObjectId(restaurantId) }, { session })
+
+    if (dishIds.length === 0) {
+      return { dishes: 0, favorites: 0 }
+    }
+
+    const favorites = await Favorite.deleteByTargets("dish", dishIds, { session })
+    await FavoriteList.removeTargets("dish", dishIds, { session })
+
+    const result = await db.collection("dishes").deleteMany({ _id: { $in: dishIds } }, { session })
+    return { dishes: result.deletedCount, favorites }
   }
 }
 
+Dish.SORT_FIELDS = DISH_SORT_FIELDS
+
 module.exports = Dish
@@ -0,0 +1,217 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+const { notDeleted } = require("../utils/softDelete")
+
+// Colección de favoritos de cada tipo, campo con el elemento marcado y colección del elemento.
+// Los restaurantes favoritos se guardan en FavoritosRestaurantes, donde ya estaban sus índices
+const FAVORITE_TARGETS = {
+  restaurant: { collection: "FavoritosRestaurantes", field: "restaurantId", targets: "restaurants" },
+  dish: { collection: "dish_favorites", field: "dishId", targets: "dishes" },
+}
+
+// Datos del elemento que acompañan a cada favorito en los listados (solo restaurantes aprobados)
+const TARGET_LOOKUPS = {
+  restaurant: [
+    { $match: notDeleted({ approved: true }) },
+    { $project: { name: 1, category: 1, image: 1, rating: 1, reviewCount: 1, favoritesCount: 1, address: 1 } },
+  ],
+  dish: [
+    { $match: notDeleted({}) },
+    {
+      $lookup: {
+        from: "restaurants",
+        localField: "restaurantId",
+        foreignField: "_id",
+        as: "restaurant",
+        pipeline: [{ $match: notDeleted({ approved: true }) }, { $project: { name: 1, category: 1 } }],
+      },
+    },
+    { $unwind: "$restaurant" },
+    { $project: { name: 1, price: 1, image: 1, rating: 1, reviewCount: 1, favoritesCount: 1, restaurant: 1 } },
+  ],
+}
+
+// Código de MongoDB para claves duplicadas
+const DUPLICATE_KEY = 11000
+
+// Restaurante o plato marcado como favorito por un usuario. Cada elemento guarda en favoritesCount
+// cuántos usuarios lo tienen como favorito; se ajusta solo cuando se crea o se elimina un favorito
+class Favorite {
+  // Marcar como favorito; devuelve false si ya lo era
+  static async add(type, targetId, userId) {
+    const db = getDB()
+    const { collection, field, targets } = FAVORITE_TARGETS[type]
+
+    try {
+      await db.collection(collection).insertOne({
+        [field]: new ObjectId(targetId),
+        userId: new ObjectId(userId),
+        createdAt: new Date(),
+      })
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return false
+      throw error
+    }
+
+    await db.collection(targets).updateOne({ _id: new ObjectId(targetId) }, { $inc: { favoritesCount: 1 } })
+    return true
+  }
+
+  // Quitar de favoritos; devuelve false si no lo era
+  static async remove(type, targetId, userId) {
+    const db = getDB()
+    const { collection, field, targets } = FAVORITE_TARGETS[type]
+
+    const result = await db.collection(collection).deleteOne({
+      [field]: new ObjectId(targetId),
+      userId: new ObjectId(userId),
+    })
+    if (result.deletedCount === 0) return false
+
+    await db.collection(targets).updateOne({ _id: new ObjectId(targetId) }, { $inc: { favoritesCount: -1 } })
+    return true
+  }
+
+  // IDs (como texto) de los elementos de la lista que el usuario tiene como favoritos
+  static async findFavoriteIds(type, targetIds, userId) {
+    const db = getDB()
+    const { collection, field } = FAVORITE_TARGETS[type]
+    if (targetIds.length === 0) return new Set()
+
+    const favorites = await db
+      .collection(collection)
+      .find(
+        { [field]: { $in: targetIds.map((targetId) => new ObjectId(targetId)) }, userId: new ObjectId(userId) },
+        { projection: { [field]: 1 } },
+      )
+      .toArray()
+
+    return new Set(favorites.map((favorite) => favorite[field].toString()))
+  }
+
+  // Favoritos de un usuario, del más reciente al más antiguo, con los datos del elemento
+  static async findByUser(type, userId, options = {}) {
+    const db = getDB()
+    const { collection, field, targets } = FAVORITE_TARGETS[type]
+    const { page = 1, limit = 20 } = options
+
+    const skip = (page - 1) * limit
+
+    // Los elementos eliminados o no aprobados no se muestran
+    const visibleFavorites = [
+      { $match: { userId: new ObjectId(userId), [field]: { $exists: true } } },
+      {
+        $lookup: {
+          from: targets,
+          localField: field,
+          foreignField: "_id",
+          as: type,
+          pipeline: TARGET_LOOKUPS[type],
+        },
+      },
+      { $unwind: `$${type}` },
+    ]
+
+    const [favorites, countResult] = await Promise.all([
+      db
+        .collection(collection)
+        .aggregate([
+          ...visibleFavorites,
+          { $sort: { createdAt: -1, _id: -1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { _id: 0, favoritedAt: "$createdAt", [type]: 1 } },
+        ])
+        .toArray(),
+      db
+        .collection(collection)
+        .aggregate([...visibleFavorites, { $count: "total" }])
+        .toArray(),
+    ])
+
+    const total = countResult[0]?.total || 0
+
+    return {
+      favorites,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalFavorites: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    }
+  }
+
+  // Datos de unos restaurantes o platos como aparecen en los listados de favoritos, por ID (como
+  // texto). Los eliminados o no aprobados no se incluyen
+  static async findTargets(type, targetIds) {
+    const db = getDB()
+    if (targetIds.length === 0) return new Map()
+
+    const found = await db
+      .collection(FAVORITE_TARGETS[type].targets)
+      .aggregate([
+        { $match: { _id: { $in: targetIds.map((targetId) => new ObjectId(targetId)) } } },
+        ...TARGET_LOOKUPS[type],
+      ])
+      .toArray()
+
+    return new Map(found.map((target) => [target._id.toString(), target]))
+  }
+
+  // Eliminar los favoritos de unos elementos (al eliminarlos definitivamente)
+  static async deleteByTargets(type, targetIds, { session } = {}) {
+    const db = getDB()
+    const { collection, field } = FAVORITE_TARGETS[type]
+    if (targetIds.length === 0) return 0
+
+    const result = await db
+      .collection(collection)
+      .deleteMany({ [field]: { $in: targetIds.map((targetId) => new ObjectId(targetId)) } }, { session })
+    return result.deletedCount
+  }
+
+  // Elementos cuyo favoritesCount no coincide con sus favoritos, con el valor correcto
+  static async findCounterMismatches(type) {
+    const db = getDB()
+    const { collection, field, targets } = FAVORITE_TARGETS[type]
+
+    return await db
+      .collection(targets)
+      .aggregate([
+        {
+          $lookup: {
+            from: collection,
+            localField: "_id",
+            foreignField: field,
+            as: "favorites",
+            pipeline: [{ $project: { _id: 1 } }],
+          },
+        },
+        { $project: { favoritesCount: 1, expected: { $size: "$favorites" } } },
+        { $match: { $expr: { $ne: [{ $ifNull: ["$favoritesCount", 0] }, "$expected"] } } },
+      ])
+      .toArray()
+  }
+
+  // Corregir favoritesCount con los valores de findCounterMismatches
+  static async fixCounters(type, mismatches) {
+    const db = getDB()
+    if (mismatches.length === 0) return 0
+
+    const result = await db.collection(FAVORITE_TARGETS[type].targets).bulkWrite(
+      mismatches.map((target) => ({
+        updateOne: { filter: { _id: target._id }, update: { $set: { favoritesCount: target.expected } } },
+      })),
+      { ordered: false },
+    )
+
+    return result.modifiedCount
+  }
+}
+
+Favorite.TYPES = Object.keys(FAVORITE_TARGETS)
+Favorite.TARGETS = FAVORITE_TARGETS
+
+module.exports = Favorite
@@ -0,0 +1,243 @@
+const crypto = require("crypto")
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+
+// Visibilidad de una lista: solo su autor (private), cualquiera con el enlace (unlisted) o cualquiera,
+// también en los listados públicos (public)
+const LIST_VISIBILITIES = ["private", "unlisted", "public"]
+
+// Visibilidades con las que funciona el enlace para compartir
+const SHARED_VISIBILITIES = ["unlisted", "public"]
+
+// Token del enlace para compartir una lista
+const generateShareToken = () => crypto.randomBytes(16).toString("base64url")
+
+// Elemento de una lista: un restaurante o un plato con una nota opcional
+const toItem = ({ type, targetId, note }) => ({
+  _id: new ObjectId(),
+  type,
+  targetId: new ObjectId(targetId),
+  note: note || null,
+  addedAt: new Date(),
+})
+
+// Lista de restaurantes y platos de un usuario ("Quiero probar", "Para una cita"...). Los elementos
+// se guardan en la lista en el orden que elige su autor
+class FavoriteList {
+  constructor(listData) {
+    this.userId = new ObjectId(listData.userId)
+    this.name = listData.name
+    this.description = listData.description || null
+    this.visibility = listData.visibility || "private"
+    this.shareToken = generateShareToken()
+    this.items = []
+    this.createdAt = new Date()
+    this.updatedAt = new Date()
+  }
+
+  // Crear una lista vacía
+  static async create(listData) {
+    const db = getDB()
+
+    const list = new FavoriteList(listData)
+    const result = await db.collection("favorite_lists").insertOne(list)
+
+    return {
+      _id: result.insertedId,
+      ...list,
+    }
+  }
+
+  // Buscar lista por ID
+  static async findById(id) {
+    const db = getDB()
+    return await db.collection("favorite_lists").findOne({ _id: new ObjectId(id) })
+  }
+
+  // Buscar una lista compartida por el token de su enlace (las privadas no se comparten)
+  static async findByShareToken(shareToken) {
+    const db = getDB()
+    return await db.collection("favorite_lists").findOne({ shareToken, visibility: { $in: SHARED_VISIBILITIES } })
+  }
+
+  // Contar las listas de un usuario
+  static async countByUser(userId) {
+    const db = getDB()
+    return await db.collection("favorite_lists").countDocuments({ userId: new ObjectId(userId) })
+  }
+
+  // Listas de un usuario (o solo las públicas) sin sus elementos, las modificadas más recientemente primero
+  static async findByUser(userId, { publicOnly = false } = {}) {
+    const db = getDB()
+
+    const query = { userId: new ObjectId(userId) }
+    if (publicOnly) query.visibility = "public"
+
+    return await db
+      .collection("favorite_lists")
+      .aggregate([
+        { $match: query },
+        { $sort: { updatedAt: -1, _id: -1 } },
+        { $set: { itemCount: { $size: "$items" } } },
+        { $unset: "items" },
+      ])
+      .toArray()
+  }
+
+  // Listas públicas de todos los usuarios, las modificadas más recientemente primero
+  static async findPublic(options = {}) {
+    const db = getDB()
+    const { page = 1, limit = 20 } = options
+
+    const skip = (page - 1) * limit
+    const query = { visibility: "public", "items.0": { $exists: true } }
+
+    const [lists, total] = await Promise.all([
+      db
+        .collection("favorite_lists")
+        .aggregate([
+          { $match: query },
+          { $sort: { updatedAt: -1, _id: -1 } },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: "users",
+              localField: "userId",
+              foreignField: "_id",
+              as: "user",
+              pipeline: [{ $project: { name: 1 } }],
+            },
+          },
+          { $set: { user: { $arrayElemAt: ["$user", 0] }, itemCount: { $size: "$items" } } },
+          { $project: { items: 0, shareToken: 0 } },
+        ])
+        .toArray(),
+      db.collection("favorite_lists").countDocuments(query),
+    ])
+
+    return {
+      lists,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalLists: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    }
+  }
+
+  // Actualizar nombre, descripción o visibilidad
+  static async updateById(id, updateData) {
+    const db = getDB()
+
+    return await db
+      .collection("favorite_lists")
+      .findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $set: { ...updateData, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+  }
+
+  // Eliminar lista
+  static async deleteById(id) {
+    const db = getDB()
+    const result = await db.collection("favorite_lists").deleteOne({ _id: new ObjectId(id) })
+    return result.deletedCount > 0
+  }
+
+  // Añadir un elemento en una posición (al final si no se indica). Devuelve la lista actualizada, o null
+  // si el elemento ya estaba o la lista tiene maxItems elementos
+  static async addItem(id, item, { position, maxItems }) {
+    const db = getDB()
+    const newItem = toItem(item)
+
+    return await db.collection("favorite_lists").findOneAndUpdate(
+      {
+        _id: new ObjectId(id),
+        items: { $not: { $elemMatch: { type: newItem.type, targetId: newItem.targetId } } },
+        [`items.${maxItems - 1}`]: { $exists: false },
+      },
+      {
+        $push: { items: position === undefined ? newItem : { $each: [newItem], $position: position } },
+        $set: { updatedAt: new Date() },
+      },
+      { returnDocument: "after" },
+    )
+  }
+
+  // Cambiar la nota de un elemento. Devuelve la lista actualizada o null si el elemento no existe
+  static async updateItemNote(id, itemId, note) {
+    const db = getDB()
+
+    return await db
+      .collection("favorite_lists")
+      .findOneAndUpdate(
+        { _id: new ObjectId(id), "items._id": new ObjectId(itemId) },
+        { $set: { "items.$.note": note || null, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+  }
+
+  // Guardar los elementos en otro orden si la lista no ha cambiado desde que se leyó (updatedAt).
+  // Devuelve la lista actualizada o null si otra petición la modificó entretanto
+  static async replaceItems(list, items) {
+    const db = getDB()
+
+    return await db
+      .collection("favorite_lists")
+      .findOneAndUpdate(
+        { _id: list._id, updatedAt: list.updatedAt },
+        { $set: { items, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+  }
+
+  // Quitar un elemento. Devuelve la lista actualizada o null si el elemento no existe
+  static async removeItem(id, itemId) {
+    const db = getDB()
+
+    return await db
+      .collection("favorite_lists")
+      .findOneAndUpdate(
+        { _id: new ObjectId(id), "items._id": new ObjectId(itemId) },
+        { $pull: { items: { _id: new ObjectId(itemId) } }, $set: { updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+  }
+
+  // Generar un nuevo enlace para compartir (el anterior deja de funcionar)
+  static async regenerateShareToken(id) {
+    const db = getDB()
+
+    return await db
+      .collection("favorite_lists")
+      .findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $set: { shareToken: generateShareToken(), updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+  }
+
+  // Quitar de todas las listas unos restaurantes o platos (al eliminarlos definitivamente)
+  static async removeTargets(type, targetIds, { session } = {}) {
+    const db = getDB()
+    if (targetIds.length === 0) return 0
+
+    const ids = targetIds.map((targetId) => new ObjectId(targetId))
+    const result = await db
+      .collection("favorite_lists")
+      .updateMany(
+        { items: { $elemMatch: { type, targetId: { $in: ids } } } },
+        { $pull: { items: { type, targetId: { $in: ids } } } },
+        { session },
+      )
+    return result.modifiedCount
+  }
+}
+
+FavoriteList.VISIBILITIES = LIST_VISIBILITIES
+
+module.exports = FavoriteList
@@ -0,0 +1,114 @@
+const { getDB } = require("../config/database")
+const { normalizePlaceName } = require("../utils/geo")
+
+// Tipos de lugar del nomenclátor, de menor a mayor precisión
+const PLACE_TYPES = ["city", "neighborhood", "street"]
+
+// Nomenclátor importado localmente (ciudades, barrios y calles) para geocodificar sin servicios externos
+class Gazetteer {
+  constructor(entryData) {
+    this.type = entryData.type
+    this.name = entryData.name
+    this.normalizedName = normalizePlaceName(entryData.name)
+    // Ciudad a la que pertenece un barrio o una calle (en las ciudades, la propia ciudad)
+    this.city = entryData.city || (entryData.type === "city" ? entryData.name : "")
+    this.normalizedCity = normalizePlaceName(this.city)
+    this.state = entryData.state || ""
+    this.normalizedState = normalizePlaceName(this.state)
+    this.country = entryData.country || ""
+    this.normalizedCountry = normalizePlaceName(this.country)
+    this.location = {
+      type: "Point",
+      coordinates: [entryData.longitude, entryData.latitude],
+    }
+    this.population = entryData.population || 0
+    this.source = entryData.source
+    this.importedAt = new Date()
+  }
+
+  // Importar entradas; las que ya existen (mismo tipo, nombre, ciudad, provincia y país) se actualizan
+  static async importEntries(entries, source) {
+    const db = getDB()
+    if (entries.length === 0) return { inserted: 0, updated: 0 }
+
+    const operations = entries.map((entryData) => {
+      const entry = new Gazetteer({ ...entryData, source })
+      return {
+        replaceOne: {
+          filter: {
+            type: entry.type,
+            normalizedName: entry.normalizedName,
+            normalizedCity: entry.normalizedCity,
+            normalizedState: entry.normalizedState,
+            normalizedCountry: entry.normalizedCountry,
+          },
+          replacement: entry,
+          upsert: true,
+        },
+      }
+    })
+
+    const result = await db.collection("gazetteer").bulkWrite(operations, { ordered: false })
+    return { inserted: result.upsertedCount, updated: result.modifiedCount }
+  }
+
+  // Eliminar las entradas importadas desde un origen
+  static async deleteBySource(source) {
+    const db = getDB()
+    const result = await db.collection("gazetteer").deleteMany({ source })
+    return result.deletedCount
+  }
+
+  // Buscar lugares de un tipo por nombre normalizado, opcionalmente dentro de una ciudad
+  static async findByName(type, normalizedName, { normalizedCity } = {}) {
+    const db = getDB()
+
+    const query = { type, normalizedName }
+    if (normalizedCity) query.normalizedCity = normalizedCity
+
+    return await db.collection("gazetteer").find(query).sort({ population: -1 }).limit(20).toArray()
+  }
+
+  // Lugar de un tipo más cercano a un punto, con la distancia en metros
+  static async findNearest(type, longitude, latitude, maxDistance) {
+    const db = getDB()
+
+    const [place] = await db
+      .collection("gazetteer")
+      .aggregate([
+        {
+          $geoNear: {
+            near: { type: "Point", coordinates: [longitude, latitude] },
+            key: "location",
+            distanceField: "distance",
+            maxDistance,
+            spherical: true,
+            query: { type },
+          },
+        },
+        { $limit: 1 },
+      ])
+      .toArray()
+
+    return place || null
+  }
+
+  // Número de entradas por tipo y origen
+  static async getStats() {
+    const db = getDB()
+
+    const stats = await db
+      .collection("gazetteer")
+      .aggregate([
+        { $group: { _id: { type: "$type", source: "$source" }, count: { $sum: 1 } } },
+        { $sort: { "_id.source": 1, "_id.type": 1 } },
+      ])
+      .toArray()
+
+    return stats.map(({ _id, count }) => ({ type: _id.type, source: _id.source, count }))
+  }
+}
+
+Gazetteer.PLACE_TYPES = PLACE_TYPES
+
+module.exports = Gazetteer
@@ -0,0 +1,64 @@
+const { getDB } = require("../config/database")
+
+// Contador de intentos fallidos de login por clave ("account:<email>" o "ip:<ip>")
+class LoginAttempt {
+  // Buscar el registro de intentos de una clave
+  static async findByKey(key) {
+    const db = getDB()
+    return await db.collection("login_attempts").findOne({ key })
+  }
+
+  // Registrar un intento fallido. Reinicia el contador si la ventana o el bloqueo ya expiraron
+  static async recordFailure(key, windowMs) {
+    const db = getDB()
+    const now = new Date()
+
+    await db.collection("login_attempts").deleteOne({
+      key,
+      $or: [
+        { lockedUntil: { $lte: now } },
+        { lockedUntil: null, lastFailureAt: { $lt: new Date(now.getTime() - windowMs) } },
+      ],
+    })
+
+    return await db.collection("login_attempts").findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + windowMs),
+        },
+        $setOnInsert: {
+          lockedUntil: null,
+          createdAt: now,
+        },
+      },
+      { upsert: true, returnDocument: "after" },
+    )
+  }
+
+  // Bloquear una clave hasta la fecha indicada
+  static async lock(key, lockedUntil) {
+    const db = getDB()
+
+    await db.collection("login_attempts").updateOne(
+      { key },
+      {
+        $set: {
+          lockedUntil,
+          expiresAt: lockedUntil,
+        },
+      },
+    )
+  }
+
+  // Eliminar el registro de intentos de una clave (login correcto o desbloqueo)
+  static async reset(key) {
+    const db = getDB()
+    const result = await db.collection("login_attempts").deleteOne({ key })
+    return result.deletedCount > 0
+  }
+}
+
+module.exports = LoginAttempt
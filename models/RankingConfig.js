@@ -0,0 +1,41 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+const { DEFAULT_RANKING_CONFIG, mergeRankingConfig } = require("../utils/ranking")
+
+// Identificador del único documento de configuración
+const CONFIG_ID = "ranking"
+
+// Configuración del ranking de restaurantes editable por los administradores. Se lee sobre
+// DEFAULT_RANKING_CONFIG, así que los parámetros que falten (p. ej. los de una fórmula nueva) toman
+// su valor por defecto
+class RankingConfig {
+  // Configuración vigente (version 0 si nunca se ha modificado)
+  static async get() {
+    const db = getDB()
+
+    const { _id, ...stored } = (await db.collection("ranking_config").findOne({ _id: CONFIG_ID })) || {}
+
+    return mergeRankingConfig({ ...DEFAULT_RANKING_CONFIG, version: 0, updatedBy: null, updatedAt: null }, stored)
+  }
+
+  // Aplicar un cambio parcial ya validado; devuelve la configuración anterior y la nueva
+  static async update(changes, updatedBy) {
+    const db = getDB()
+
+    const previous = await RankingConfig.get()
+    const { version, ...config } = mergeRankingConfig(previous, changes)
+
+    await db.collection("ranking_config").updateOne(
+      { _id: CONFIG_ID },
+      {
+        $set: { ...config, updatedBy: new ObjectId(updatedBy), updatedAt: new Date() },
+        $inc: { version: 1 },
+      },
+      { upsert: true },
+    )
+
+    return { previous, config: await RankingConfig.get() }
+  }
+}
+
+module.exports = RankingConfig
@@ -0,0 +1,106 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+
+// Instantánea diaria del ranking de un segmento: global (sin categoría ni ciudad), una categoría,
+// una ciudad o una categoría en una ciudad. Guarda los primeros puestos en el orden del ranking
+class RankingSnapshot {
+  constructor(snapshotData) {
+    // Día de la instantánea (YYYY-MM-DD, UTC)
+    this.date = snapshotData.date
+    this.category = snapshotData.category || null
+    // Ciudad normalizada (addressKeys.city) y su nombre para mostrar
+    this.city = snapshotData.city || null
+    this.cityName = snapshotData.cityName || null
+    this.formula = snapshotData.formula
+    this.configVersion = snapshotData.configVersion
+    // Restaurantes del segmento en el ranking (las entradas pueden ser solo los primeros)
+    this.size = snapshotData.size
+    this.entries = snapshotData.entries.map((entry, index) => ({
+      restaurantId: new ObjectId(entry.restaurantId),
+      name: entry.name,
+      rank: entry.rank || index + 1,
+      score: entry.score,
+      rating: entry.rating,
+      reviewCount: entry.reviewCount,
+    }))
+    this.takenAt = snapshotData.takenAt || new Date()
+  }
+
+  // Guardar las instantáneas de un día; si ya existían para ese día y segmento se sustituyen
+  static async replaceMany(snapshots) {
+    const db = getDB()
+    if (snapshots.length === 0) return 0
+
+    const operations = snapshots.map((snapshotData) => {
+      const snapshot = new RankingSnapshot(snapshotData)
+      return {
+        replaceOne: {
+          filter: { date: snapshot.date, category: snapshot.category, city: snapshot.city },
+          replacement: snapshot,
+          upsert: true,
+        },
+      }
+    })
+
+    await db.collection("ranking_snapshots").bulkWrite(operations, { ordered: false })
+    return snapshots.length
+  }
+
+  // Comprobar si ya hay instantáneas de un día
+  static async existsForDate(date) {
+    const db = getDB()
+    return (await db.collection("ranking_snapshots").findOne({ date }, { projection: { _id: 1 } })) !== null
+  }
+
+  // Segmentos con restaurantes en la instantánea más reciente anterior a un día
+  static async findPreviousSegments(date) {
+    const db = getDB()
+
+    const [previous] = await db
+      .collection("ranking_snapshots")
+      .find({ date: { $lt: date } })
+      .sort({ date: -1 })
+      .limit(1)
+      .project({ date: 1 })
+      .toArray()
+    if (!previous) return []
+
+    return await db
+      .collection("ranking_snapshots")
+      .find({ date: previous.date, size: { $gt: 0 } })
+      .project({ _id: 0, category: 1, city: 1, cityName: 1 })
+      .toArray()
+  }
+
+  // Instantánea más reciente de un segmento, opcionalmente no posterior a un día
+  static async findLatest({ category = null, city = null } = {}, onOrBefore = null) {
+    const db = getDB()
+
+    const query = { category, city }
+    if (onOrBefore) query.date = { $lte: onOrBefore }
+
+    const [snapshot] = await db.collection("ranking_snapshots").find(query).sort({ date: -1 }).limit(1).toArray()
+    return snapshot || null
+  }
+
+  // Puesto de un restaurante en las instantáneas de un segmento entre dos días (null si no estaba
+  // entre los puestos guardados)
+  static async findRestaurantHistory(restaurantId, { category = null, city = null } = {}, { from, to }) {
+    const db = getDB()
+    const id = new ObjectId(restaurantId)
+
+    const snapshots = await db
+      .collection("ranking_snapshots")
+      .find({ category, city, date: { $gte: from, $lte: to } })
+      .sort({ date: 1 })
+      .project({ date: 1, size: 1, entries: { $elemMatch: { restaurantId: id } } })
+      .toArray()
+
+    return snapshots.map(({ date, size, entries = [] }) => {
+      const entry = entries.find((candidate) => candidate.restaurantId.equals(id))
+      return { date, size, rank: entry?.rank ?? null, score: entry?.score ?? null }
+    })
+  }
+}
+
+module.exports = RankingSnapshot
@@ -0,0 +1,66 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+const crypto = require("crypto")
+
+class RefreshToken {
+  constructor(tokenData) {
+    this.tokenHash = tokenData.tokenHash
+    this.sessionId = new ObjectId(tokenData.sessionId)
+    this.userId = new ObjectId(tokenData.userId)
+    this.expiresAt = tokenData.expiresAt
+    this.usedAt = null
+    this.replacedBy = null
+    this.createdAt = tokenData.createdAt || new Date()
+  }
+
+  // Hash SHA-256 del token opaco (nunca se guarda el token en claro)
+  static hash(token) {
+    return crypto.createHash("sha256").update(token).digest("hex")
+  }
+
+  // Guardar un nuevo refresh token
+  static async create(token, tokenData) {
+    const db = getDB()
+
+    const refreshToken = new RefreshToken({
+      ...tokenData,
+      tokenHash: RefreshToken.hash(token),
+    })
+    const result = await db.collection("refresh_tokens").insertOne(refreshToken)
+
+    return {
+      _id: result.insertedId,
+      ...refreshToken,
+    }
+  }
+
+  // Buscar refresh token por su valor en claro
+  static async findByToken(token) {
+    const db = getDB()
+    return await db.collection("refresh_tokens").findOne({ tokenHash: RefreshToken.hash(token) })
+  }
+
+  // Marcar un token como usado. Devuelve null si otro proceso ya lo consumió
+  static async markUsed(id) {
+    const db = getDB()
+
+    return await db
+      .collection("refresh_tokens")
+      .findOneAndUpdate(
+        { _id: new ObjectId(id), usedAt: null },
+        { $set: { usedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+  }
+
+  // Enlazar un token usado con el que lo reemplazó
+  static async setReplacedBy(id, replacedById) {
+    const db = getDB()
+
+    await db
+      .collection("refresh_tokens")
+      .updateOne({ _id: new ObjectId(id) }, { $set: { replacedBy: new ObjectId(replacedById) } })
+  }
+}
+
+module.exports = RefreshToken
@@ -1,5 +1,121 @@
 const { getDB } = require("../config/database")
 const { ObjectId } = require("mongodb")
+const { NOT_DELETED, DELETED, notDeleted, buildDeletion, RESTORE, findDeleted } = require("../utils/softDelete")
+const {
+  DEFAULT_TIMEZONE,
+  normalizeOpeningHours,
+  normalizeSpecialHours,
+  getOpeningStatus,
+  withOpeningStatus,
+} = require("../utils/openingHours")
+const { metersToRadians, normalizePlaceName } = require("../utils/geo")
+const { reviewWeightExpression, rankingStages, explainScore } = require("../utils/ranking")
+const { aspectAccumulators, toAspectRatings, aspectRatingQuery, aspectSortField } = require("../utils/ratingAspects")
+const RankingConfig = require("./RankingConfig")
+
+// Estados de moderación. approved se mantiene sincronizado (true solo en "approved") para las
+// consultas públicas
+const RESTAURANT_STATUSES = ["draft", "pending", "approved", "rejected", "suspended"]
+
+// Condiciones que identifican un estado. Los restaurantes anteriores a la moderación no tienen
+// status y se interpretan a partir de approved
+const statusConditions = (status) => {
+  if (status === "approved") return [{ status: "approved" }, { status: { $exists: false }, approved: true }]
+  if (status === "pending") return [{ status: "pending" }, { status: { $exists: false }, approved: false }]
+  return [{ status }]
+}
+
+// Partes de la dirección estructurada que se guardan junto al texto para mostrar
+const ADDRESS_FIELDS = ["street", "neighborhood", "city", "state", "postalCode", "country"]
+
+// Partes por las que se puede filtrar; se guardan normalizadas en addressKeys para comparar sin
+// distinguir mayúsculas ni tildes
+const ADDRESS_FILTERS = ["city", "neighborhood", "country"]
+
+// Filtros exactos por ciudad, barrio o país
+const addressQuery = (filters = {}) => {
+  const query = {}
+  for (const field of ADDRESS_FILTERS) {
+    if (filters[field]) query[`addressKeys.${field}`] = normalizePlaceName(filters[field])
+  }
+  return query
+}
+
+// Recorrer un cursor quedándose con los restaurantes abiertos en "at" hasta reunir limit. El horario
+// depende de la zona horaria de cada restaurante, por lo que el filtro no se puede expresar en la consulta
+const collectOpen = async (cursor, at, limit = Number.POSITIVE_INFINITY) => {
+  const open = []
+
+  for await (const restaurant of cursor) {
+    if (getOpeningStatus(restaurant, at).isOpen) open.push(restaurant)
+    if (open.length >= limit) break
+  }
+
+  await cursor.close()
+  return open
+}
+
+// Agregación sobre las reseñas que suma por restaurante los pesos (antigüedad y reputación del autor)
+// y las valoraciones ponderadas
+const rankingStatsPipeline = (match, config, at) => [
+  { $match: notDeleted(match) },
+  ...(config.reputationWeighting.enabled
+    ? [
+        {
+          $lookup: {
+            from: "users",
+            localField: "userId",
+            foreignField: "_id",
+            pipeline: [{ $project: { reputation: 1 } }],
+            as: "author",
+          },
+        },
+      ]
+    : []),
+  { $set: { weight: reviewWeightExpression(config, { at, reputation: { $first: "$author.reputation" } }) } },
+  {
+    $group: {
+      _id: "$restaurantId",
+      weightSum: { $sum: "$weight" },
+      weightedRatingSum: { $sum: { $multiply: ["$weight", "$rating"] } },
+    },
+  },
+]
+
+// Orden del ranking: puntuación y, a igualdad, más reseñas
+const RANKING_SORT = { rankingScore: -1, reviewCount: -1, _id: 1 }
+
+// Filtros comunes de las búsquedas geográficas (solo restaurantes aprobados)
+const geoSearchQuery = ({ category, minRating, minAspectRatings, ...filters } = {}) => {
+  const query = notDeleted({ approved: true, ...addressQuery(filters), ...aspectRatingQuery(minAspectRatings) })
+  if (category) query.category = category
+  if (minRating) query.rating = { $gte: Number.parseFloat(minRating) }
+  return query
+}
+
+// Paginar una búsqueda geográfica ya ordenada. Con openAt se descartan los cerrados antes de paginar
+const paginateGeoSearch = async (collection, pipeline, countQuery, { page = 1, limit = 10, openAt } = {}) => {
+  const skip = (page - 1) * limit
+  const open = openAt ? await collectOpen(collection.aggregate(pipeline), openAt) : null
+
+  const [restaurants, total] = open
+    ? [open.slice(skip, skip + limit), open.length]
+    : await Promise.all([
+        collection.aggregate([...pipeline, { $skip: skip }, { $limit: limit }]).toArray(),
+        collection.countDocuments(countQuery),
+      ])
+
+  return {
+    restaurants: restaurants.map((restaurant) => withOpeningStatus(restaurant, openAt)),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalRestaurants: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    },
+  }
+}
 
 class Restaurant {
   constructor(restaurantData) {
@@ -8,6 +124,9 @@ class Restaurant {
     this.category = restaurantData.category || ""
 
     this.address = this._processAddress(restaurantData.address)
+    // Dirección estructurada (vacía si solo se recibe el texto, hasta que geocodingService la completa)
+    this.addressComponents = restaurantData.addressComponents || Restaurant.getAddressComponents(restaurantData.address)
+    this.addressKeys = Restaurant.getAddressKeys(this.addressComponents)
 
     this.contact = {
       phone: restaurantData.contact?.phone || "",
@@ -21,15 +140,33 @@ class Restaurant {
 
     this.features = Array.isArray(restaurantData.features) ? restaurantData.features : []
 
-    this.location = {
-      type: "Point",
-      coordinates: this._extractCoordinates(restaurantData),
-    }
+    // Sin coordenadas el restaurante queda sin ubicación (y fuera de las búsquedas geográficas) en
+    // lugar de situarse en [0, 0]; geocodingService la completa a partir de la dirección
+    const coordinates = this._extractCoordinates(restaurantData)
+    this.location = coordinates ? { type: "Point", coordinates } : null
+    // Origen de la ubicación y, si se ha geocodificado, confianza de la coincidencia
+    this.geocoding = restaurantData.geocoding || null
+
+    // Horario semanal, excepciones por fecha y zona horaria en la que se interpretan
+    this.openingHours = normalizeOpeningHours(restaurantData.openingHours)
+    this.specialHours = normalizeSpecialHours(restaurantData.specialHours)
+    this.timezone = restaurantData.timezone || DEFAULT_TIMEZONE
 
     this.image = restaurantData.image || null
-    this.approved = restaurantData.approved !== undefined ? restaurantData.approved : true
+    const approved = restaurantData.approved !== undefined ? restaurantData.approved : true
+    this.status = restaurantData.status || (approved ? "approved" : "pending")
+    this.approved = this.status === "approved"
+    // Última decisión de moderación (el historial completo está en restaurant_moderation)
+    this.moderation = { reason: null, notes: null, moderatedBy: null, moderatedAt: null }
+    this.submittedAt = this.status === "pending" ? new Date() : null
+    this.createdBy = restaurantData.createdBy ? new ObjectId(restaurantData.createdBy) : null
+    // Usuarios con reclamación de propiedad aprobada que gestionan el restaurante
+    this.managers = []
     this.rating = 0
     this.reviewCount = 0
+    this.aspectRatings = toAspectRatings("restaurant")
+    this.favoritesCount = 0
+    this.deletedAt = null
     this.createdAt = restaurantData.createdAt || new Date()
     this.updatedAt = restaurantData.updatedAt || new Date()
   }
@@ -44,14 +181,32 @@ class Restaurant {
     // If it's an object, construct address string
     const parts = []
     if (addressData.street) parts.push(addressData.street)
+    if (addressData.neighborhood) parts.push(addressData.neighborhood)
     if (addressData.city) parts.push(addressData.city)
     if (addressData.state) parts.push(addressData.state)
-    if (addressData.zipCode) parts.push(addressData.zipCode)
+    if (addressData.postalCode || addressData.zipCode) parts.push(addressData.postalCode || addressData.zipCode)
     if (addressData.country) parts.push(addressData.country)
 
     return parts.join(", ")
   }
 
+  // Partes de una dirección recibida como objeto (zipCode se acepta como nombre antiguo de postalCode)
+  static getAddressComponents(addressData) {
+    const source = addressData && typeof addressData === "object" ? addressData : {}
+
+    return Object.fromEntries(
+      ADDRESS_FIELDS.map((field) => {
+        const value = String((field === "postalCode" ? source.postalCode ?? source.zipCode : source[field]) ?? "")
+        return [field, value.trim() || null]
+      }),
+    )
+  }
+
+  // Valores normalizados de las partes por las que se filtra
+  static getAddressKeys(components) {
+    return Object.fromEntries(ADDRESS_FILTERS.map((field) => [field, normalizePlaceName(components?.[field]) || null]))
+  }
+
   _extractCoordinates(restaurantData) {
     // First try to get coordinates from location field
     if (restaurantData.location?.coordinates) {
@@ -63,24 +218,24 @@ class Restaurant {
       return this._parseCoordinates(restaurantData.address.coordinates)
     }
 
-    // If no coordinates provided, return default
-    return [0, 0]
+    // No coordinates provided
+    return null
   }
 
   _parseCoordinates(coordinatesData) {
     // Handle different coordinate formats
     if (!coordinatesData) {
-      return [0, 0] // Default coordinates
+      return null
     }
 
     // If coordinates are already an array [lng, lat]
     if (Array.isArray(coordinatesData)) {
-      return coordinatesData.length >= 2 ? coordinatesData : [0, 0]
+      return coordinatesData.length >= 2 ? coordinatesData : null
     }
 
     // If coordinates are nested in a coordinates property
     if (coordinatesData.coordinates && Array.isArray(coordinatesData.coordinates)) {
-      return coordinatesData.coordinates.length >= 2 ? coordinatesData.coordinates : [0, 0]
+      return coordinatesData.coordinates.length >= 2 ? coordinatesData.coordinates : null
     }
 
     // If coordinates are provided as separate lng/lat properties
@@ -93,7 +248,7 @@ class Restaurant {
       return [coordinatesData.longitude, coordinatesData.latitude]
     }
 
-    return [0, 0] // Default fallback
+    return null
   }
 
   // Crear un nuevo restaurante
@@ -112,15 +267,16 @@ class Restaurant {
   // Buscar restaurante por ID
   static async findById(id) {
     const db = getDB()
-    const restaurant = await db.collection("restaurants").findOne({ _id: new ObjectId(id) })
+    const restaurant = await db.collection("restaurants").findOne(notDeleted({ _id: new ObjectId(id) }))
 
     if (restaurant) {
       // Agregar información adicional
       const dishes = await db
         .collection("dishes")
-        .find({ restaurantId: new ObjectId(id) })
+        .find(notDeleted({ restaurantId: new ObjectId(id) }))
         .toArray()
       restaurant.dishes = dishes
+      withOpeningStatus(restaurant)
     }
 
     return restaurant
@@ -138,13 +294,22 @@ class Restaurant {
       search,
       minRating,
       approved = true,
+      openAt,
+      city,
+      neighborhood,
+      country,
+      minAspectRatings,
     } = options
 
     const skip = (page - 1) * limit
-    const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 }
+    const sort = { [aspectSortField("restaurant", sortBy)]: sortOrder === "desc" ? -1 : 1 }
 
     // Construir query de filtros
-    const query = { approved }
+    const query = notDeleted({
+      approved,
+      ...addressQuery({ city, neighborhood, country }),
+      ...aspectRatingQuery(minAspectRatings),
+    })
 
     if (category) {
       query.category = category
@@ -158,13 +323,18 @@ class Restaurant {
       query.rating = { $gte: Number.parseFloat(minRating) }
     }
 
-    const [restaurants, total] = await Promise.all([
-      db.collection("restaurants").find(query).sort(sort).skip(skip).limit(limit).toArray(),
-      db.collection("restaurants").countDocuments(query),
-    ])
+    // Con filtro de horario se pagina sobre los restaurantes abiertos
+    const open = openAt ? await collectOpen(db.collection("restaurants").find(query).sort(sort), openAt) : null
+
+    const [restaurants, total] = open
+      ? [open.slice(skip, skip + limit), open.length]
+      : await Promise.all([
+          db.collection("restaurants").find(query).sort(sort).skip(skip).limit(limit).toArray(),
+          db.collection("restaurants").countDocuments(query),
+        ])
 
     return {
-      restaurants,
+      restaurants: restaurants.map((restaurant) => withOpeningStatus(restaurant, openAt)),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit),
@@ -176,41 +346,193 @@ class Restaurant {
   }
 
   // Actualizar restaurante
-  static async updateById(id, updateData) {
+  static async updateById(id, updateData, { session } = {}) {
     const db = getDB()
 
     updateData.updatedAt = new Date()
 
+    return await db
+      .collection("restaurants")
+      .findOneAndUpdate({ _id: new ObjectId(id) }, { $set: updateData }, { returnDocument: "after", session })
+  }
+
+  // Enviar restaurante a la papelera
+  static async deleteById(id, deletedBy, { session } = {}) {
+    const db = getDB()
     const result = await db
       .collection("restaurants")
-      .findOneAndUpdate({ _id: new ObjectId(id) }, { $set: updateData }, { returnDocument: "after" })
+      .updateOne(notDeleted({ _id: new ObjectId(id) }), buildDeletion(deletedBy), { session })
+    return result.modifiedCount > 0
+  }
 
-    return result.value
+  // Sacar restaurante de la papelera
+  static async restoreById(id, { session } = {}) {
+    const db = getDB()
+    const result = await db
+      .collection("restaurants")
+      .updateOne({ _id: new ObjectId(id), ...DELETED }, RESTORE, { session })
+    return result.modifiedCount > 0
+  }
+
+  // Buscar restaurante en la papelera por ID
+  static async findDeletedById(id) {
+    const db = getDB()
+    return await db.collection("restaurants").findOne({ _id: new ObjectId(id), ...DELETED })
+  }
+
+  // Listar restaurantes en la papelera
+  static async findDeleted(options = {}) {
+    const db = getDB()
+    return await findDeleted(db.collection("restaurants"), options)
   }
 
-  // Eliminar restaurante
-  static async deleteById(id) {
+  // Eliminar restaurante definitivamente
+  static async purgeById(id, { session } = {}) {
     const db = getDB()
-    const result = await db.collection("restaurants").deleteOne({ _id: new ObjectId(id) })
+    const result = await db.collection("restaurants").deleteOne({ _id: new ObjectId(id) }, { session })
     return result.deletedCount > 0
   }
 
-  // Aprobar restaurante
-  static async approve(id) {
+  // Añadir un gestor al restaurante
+  static async addManager(id, userId) {
     const db = getDB()
 
-    const result = await db.collection("restaurants").findOneAndUpdate(
+    const result = await db.collection("restaurants").updateOne(
+      { _id: new ObjectId(id) },
+      {
+        $addToSet: { managers: new ObjectId(userId) },
+        $set: { updatedAt: new Date() },
+      },
+    )
+
+    return result.modifiedCount > 0
+  }
+
+  // Quitar un gestor del restaurante
+  static async removeManager(id, userId) {
+    const db = getDB()
+
+    const result = await db.collection("restaurants").updateOne(
+      { _id: new ObjectId(id) },
+      {
+        $pull: { managers: new ObjectId(userId) },
+        $set: { updatedAt: new Date() },
+      },
+    )
+
+    return result.modifiedCount > 0
+  }
+
+  // Reemplazar los gestores del restaurante (transferencia de propiedad)
+  static async setManagers(id, userIds) {
+    const db = getDB()
+
+    await db.collection("restaurants").updateOne(
       { _id: new ObjectId(id) },
       {
         $set: {
-          approved: true,
+          managers: userIds.map((userId) => new ObjectId(userId)),
           updatedAt: new Date(),
         },
       },
-      { returnDocument: "after" },
     )
+  }
+
+  // Obtener los restaurantes que gestiona un usuario
+  static async findManagedBy(userId) {
+    const db = getDB()
+    return await db
+      .collection("restaurants")
+      .find(notDeleted({ managers: new ObjectId(userId) }))
+      .sort({ name: 1 })
+      .toArray()
+  }
+
+  // Cambiar el estado de moderación de un restaurante
+  static async setStatus(id, from, to, { moderatedBy = null, reason = null, notes = null } = {}) {
+    const db = getDB()
+
+    const update = {
+      status: to,
+      approved: to === "approved",
+      moderation: {
+        reason,
+        notes,
+        moderatedBy: moderatedBy ? new ObjectId(moderatedBy) : null,
+        moderatedAt: new Date(),
+      },
+      updatedAt: new Date(),
+    }
+    if (to === "pending") {
+      update.submittedAt = new Date()
+    }
+
+    // Solo cambia si sigue en el estado de origen (evita aplicar dos decisiones a la vez)
+    return await db
+      .collection("restaurants")
+      .findOneAndUpdate(
+        notDeleted({ _id: new ObjectId(id), $or: statusConditions(from) }),
+        { $set: update },
+        { returnDocument: "after" },
+      )
+  }
+
+  // Estado de moderación de un restaurante (los antiguos solo tienen approved)
+  static getStatus(restaurant) {
+    return restaurant.status || (restaurant.approved ? "approved" : "pending")
+  }
+
+  // Cola de moderación: restaurantes en un estado con filtros, los enviados hace más tiempo primero
+  static async findByStatus(status, options = {}) {
+    const db = getDB()
+    const { page = 1, limit = 20, sortOrder = "asc", category, createdBy, search, from, to } = options
+
+    const skip = (page - 1) * limit
+    const direction = sortOrder === "desc" ? -1 : 1
+
+    const query = notDeleted({ $or: statusConditions(status) })
+
+    if (category) {
+      query.category = category
+    }
+
+    if (createdBy) {
+      query.createdBy = new ObjectId(createdBy)
+    }
 
-    return result.value
+    if (search) {
+      query.$and = [
+        { $or: [{ name: { $regex: search, $options: "i" } }, { description: { $regex: search, $options: "i" } }] },
+      ]
+    }
+
+    if (from || to) {
+      query.createdAt = {}
+      if (from) query.createdAt.$gte = new Date(from)
+      if (to) query.createdAt.$lte = new Date(to)
+    }
+
+    const [restaurants, total] = await Promise.all([
+      db
+        .collection("restaurants")
+        .find(query)
+        .sort({ submittedAt: direction, createdAt: direction })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      db.collection("restaurants").countDocuments(query),
+    ])
+
+    return {
+      restaurants,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRestaurants: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    }
   }
 
   // Actualizar rating del restaurante
@@ -220,12 +542,14 @@ class Restaurant {
     const reviewStats = await db
       .collection("reviews")
       .aggregate([
-        { $match: { restaurantId: new ObjectId(id) } },
+        { $match: notDeleted({ restaurantId: new ObjectId(id) }) },
         {
           $group: {
             _id: null,
             avgRating: { $avg: "$rating" },
             count: { $sum: 1 },
+            // Los aspectos de restaurante solo se valoran en las reseñas del restaurante, no de sus platos
+            ...aspectAccumulators("restaurant", { $eq: [{ $ifNull: ["$dishId", null] }, null] }),
           },
         },
       ])
@@ -233,6 +557,7 @@ class Restaurant {
 
     const rating = reviewStats.length > 0 ? Math.round(reviewStats[0].avgRating * 10) / 10 : 0
     const reviewCount = reviewStats.length > 0 ? reviewStats[0].count : 0
+    const aspectRatings = toAspectRatings("restaurant", reviewStats[0])
 
     await db.collection("restaurants").updateOne(
       { _id: new ObjectId(id) },
@@ -240,12 +565,16 @@ class Restaurant {
         $set: {
           rating,
           reviewCount,
+          aspectRatings,
           updatedAt: new Date(),
         },
       },
     )
 
-    return { rating, reviewCount }
+    // Las estadísticas del ranking dependen de las mismas reseñas
+    await Restaurant.updateRankingStats(id)
+
+    return { rating, reviewCount, aspectRatings }
   }
 
   // Obtener restaurantes por categoría
@@ -254,11 +583,13 @@ class Restaurant {
     const { page = 1, limit = 10, sortBy = "rating", sortOrder = "desc" } = options
 
     const skip = (page - 1) * limit
-    const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 }
+    const sort = { [aspectSortField("restaurant", sortBy)]: sortOrder === "desc" ? -1 : 1 }
+
+    const query = notDeleted({ category, approved: true })
 
     const [restaurants, total] = await Promise.all([
-      db.collection("restaurants").find({ category, approved: true }).sort(sort).skip(skip).limit(limit).toArray(),
-      db.collection("restaurants").countDocuments({ category, approved: true }),
+      db.collection("restaurants").find(query).sort(sort).skip(skip).limit(limit).toArray(),
+      db.collection("restaurants").countDocuments(query),
     ])
 
     return {
@@ -273,76 +604,299 @@ class Restaurant {
     }
   }
 
-  // Obtener ranking de restaurantes
+  // Obtener ranking de restaurantes con la fórmula configurada (utils/ranking). Con explain cada
+  // restaurante incluye el desarrollo de su puntuación
   static async getRanking(options = {}) {
     const db = getDB()
-    const { limit = 10, category } = options
+    const { limit = 10, category, openAt, explain = false, ...filters } = options
+
+    const config = await RankingConfig.get()
+    const context = { at: new Date(), priorMean: await Restaurant.getRatingMean() }
 
-    const matchStage = { approved: true }
+    const matchStage = notDeleted({
+      approved: true,
+      reviewCount: { $gte: config.minReviews },
+      ...addressQuery(filters),
+    })
     if (category) {
       matchStage.category = category
     }
 
     const pipeline = [
       { $match: matchStage },
-      {
-        $lookup: {
-          from: "reviews",
-          localField: "_id",
-          foreignField: "restaurantId",
-          as: "reviews",
+      ...rankingStages(config, context),
+      { $sort: RANKING_SORT },
+      // Con filtro de horario el límite se aplica después de descartar los cerrados
+      ...(openAt ? [] : [{ $limit: limit }]),
+    ]
+
+    const cursor = db.collection("restaurants").aggregate(pipeline)
+    const ranking = openAt ? await collectOpen(cursor, openAt, limit) : await cursor.toArray()
+
+    return ranking.map(({ _ranking, ...restaurant }) => {
+      if (!explain) return withOpeningStatus(restaurant, openAt)
+
+      const rankingExplanation = explainScore({ ...restaurant, _ranking }, config, context)
+      return withOpeningStatus({ ...restaurant, rankingExplanation }, openAt)
+    })
+  }
+
+  // Todos los restaurantes del ranking en orden, con los datos que guardan las instantáneas diarias
+  static async getRankingScores() {
+    const db = getDB()
+
+    const config = await RankingConfig.get()
+    const context = { at: new Date(), priorMean: await Restaurant.getRatingMean() }
+
+    const restaurants = await db
+      .collection("restaurants")
+      .aggregate([
+        { $match: notDeleted({ approved: true, reviewCount: { $gte: config.minReviews } }) },
+        ...rankingStages(config, context),
+        { $sort: RANKING_SORT },
+        {
+          $project: {
+            name: 1,
+            category: 1,
+            rating: 1,
+            reviewCount: 1,
+            rankingScore: 1,
+            "addressKeys.city": 1,
+            "addressComponents.city": 1,
+          },
         },
-      },
-      {
-        $addFields: {
-          // Calcular score ponderado basado en rating, cantidad de reseñas y recencia
-          weightedScore: {
-            $cond: {
-              if: { $gt: ["$reviewCount", 0] },
-              then: {
-                $add: [
-                  { $multiply: ["$rating", 0.7] }, // 70% peso al rating
-                  { $multiply: [{ $min: [{ $divide: ["$reviewCount", 10] }, 1] }, 0.3] }, // 30% peso a cantidad de reseñas (máximo 1)
-                ],
-              },
-              else: 0,
+      ])
+      .toArray()
+
+    return { config, restaurants }
+  }
+
+  // Media de todas las reseñas de los restaurantes aprobados (media a priori del ranking bayesiano)
+  static async getRatingMean() {
+    const db = getDB()
+
+    const [stats] = await db
+      .collection("restaurants")
+      .aggregate([
+        { $match: notDeleted({ approved: true, reviewCount: { $gt: 0 } }) },
+        {
+          $group: {
+            _id: null,
+            ratingSum: { $sum: { $multiply: ["$rating", "$reviewCount"] } },
+            reviewCount: { $sum: "$reviewCount" },
+          },
+        },
+      ])
+      .toArray()
+
+    return stats ? stats.ratingSum / stats.reviewCount : 0
+  }
+
+  // Recalcular las estadísticas del ranking de un restaurante a partir de sus reseñas
+  static async updateRankingStats(id, config = null) {
+    const db = getDB()
+    const rankingConfig = config || (await RankingConfig.get())
+    const at = new Date()
+
+    const [stats] = await db
+      .collection("reviews")
+      .aggregate(rankingStatsPipeline({ restaurantId: new ObjectId(id) }, rankingConfig, at))
+      .toArray()
+
+    const rankingStats = {
+      weightSum: stats?.weightSum || 0,
+      weightedRatingSum: stats?.weightedRatingSum || 0,
+      computedAt: at,
+    }
+
+    await db.collection("restaurants").updateOne({ _id: new ObjectId(id) }, { $set: { rankingStats } })
+
+    return rankingStats
+  }
+
+  // Recalcular las estadísticas del ranking de todos los restaurantes (tras cambiar el peso de las reseñas)
+  static async recomputeRankingStats(config) {
+    const db = getDB()
+    const at = new Date()
+
+    await db
+      .collection("reviews")
+      .aggregate([
+        ...rankingStatsPipeline({}, config, at),
+        {
+          $project: {
+            rankingStats: {
+              weightSum: "$weightSum",
+              weightedRatingSum: "$weightedRatingSum",
+              computedAt: { $literal: at },
             },
           },
         },
-      },
-      { $sort: { weightedScore: -1, reviewCount: -1, rating: -1 } },
-      { $limit: limit },
+        { $merge: { into: "restaurants", on: "_id", whenMatched: "merge", whenNotMatched: "discard" } },
+      ])
+      .toArray()
+
+    // Los restaurantes sin reseñas no salen de la agregación (los recalculados entretanto tienen fecha posterior)
+    await db
+      .collection("restaurants")
+      .updateMany(
+        { $or: [{ rankingStats: { $exists: false } }, { "rankingStats.computedAt": { $lt: at } }] },
+        { $set: { rankingStats: { weightSum: 0, weightedRatingSum: 0, computedAt: at } } },
+      )
+
+    return await db.collection("restaurants").countDocuments({ "rankingStats.computedAt": at })
+  }
+
+  // Obtener restaurantes cercanos ordenados por distancia (distance, en metros)
+  static async findNearby(longitude, latitude, maxDistance = 5000, options = {}) {
+    const db = getDB()
+    const query = geoSearchQuery(options)
+
+    const pipeline = [
       {
-        $project: {
-          reviews: 0, // No incluir las reseñas completas en el resultado
+        $geoNear: {
+          near: { type: "Point", coordinates: [longitude, latitude] },
+          key: "location",
+          distanceField: "distance",
+          maxDistance,
+          spherical: true,
+          query,
         },
       },
+      { $set: { distance: { $round: ["$distance", 0] } } },
     ]
 
-    return await db.collection("restaurants").aggregate(pipeline).toArray()
+    // $geoNear no se puede usar en countDocuments: el total se cuenta sobre el mismo círculo
+    const countQuery = {
+      ...query,
+      location: { $geoWithin: { $centerSphere: [[longitude, latitude], metersToRadians(maxDistance)] } },
+    }
+
+    return await paginateGeoSearch(db.collection("restaurants"), pipeline, countQuery, options)
   }
 
-  // Obtener restaurantes cercanos
-  static async findNearby(longitude, latitude, maxDistance = 5000, options = {}) {
+  // Obtener los restaurantes dentro de una geometría GeoJSON (viewport o polígono), mejor valorados primero
+  static async findWithin(geometry, options = {}) {
     const db = getDB()
-    const { limit = 10 } = options
+    const query = { ...geoSearchQuery(options), location: { $geoWithin: { $geometry: geometry } } }
 
-    return await db
+    const pipeline = [{ $match: query }, { $sort: { rating: -1, reviewCount: -1, _id: 1 } }]
+
+    return await paginateGeoSearch(db.collection("restaurants"), pipeline, query, options)
+  }
+
+  // Restaurantes con la ubicación marcada para revisión (geocodificación dudosa o no encontrada)
+  static async findGeocodingReview(options = {}) {
+    const db = getDB()
+    const { page = 1, limit = 20 } = options
+
+    const skip = (page - 1) * limit
+    const query = notDeleted({ "geocoding.needsReview": true })
+
+    const [restaurants, total] = await Promise.all([
+      db.collection("restaurants").find(query).sort({ createdAt: 1 }).skip(skip).limit(limit).toArray(),
+      db.collection("restaurants").countDocuments(query),
+    ])
+
+    return {
+      restaurants,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRestaurants: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    }
+  }
+
+  // Dar por buena la ubicación geocodificada de un restaurante
+  static async confirmGeocoding(id, reviewedBy) {
+    const db = getDB()
+
+    return await db.collection("restaurants").findOneAndUpdate(
+      notDeleted({ _id: new ObjectId(id), "geocoding.needsReview": true, location: { $ne: null } }),
+      {
+        $set: {
+          "geocoding.needsReview": false,
+          "geocoding.reviewedBy": new ObjectId(reviewedBy),
+          "geocoding.reviewedAt": new Date(),
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: "after" },
+    )
+  }
+
+  // Restaurantes sin ubicación o en [0, 0] (valor por defecto de versiones anteriores), por orden de _id
+  static async findWithoutLocation(limit = 100, afterId = null) {
+    const db = getDB()
+
+    const query = notDeleted({ $or: [{ location: null }, { "location.coordinates": [0, 0] }] })
+    if (afterId) query._id = { $gt: new ObjectId(afterId) }
+
+    return await db.collection("restaurants").find(query).sort({ _id: 1 }).limit(limit).toArray()
+  }
+
+  // Guardar la ubicación calculada de un restaurante
+  static async setLocation(id, location, geocoding) {
+    const db = getDB()
+    const result = await db
       .collection("restaurants")
-      .find({
-        approved: true,
-        "location.coordinates": {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates: [longitude, latitude],
-            },
-            $maxDistance: maxDistance,
+      .updateOne({ _id: new ObjectId(id) }, { $set: { location, geocoding, updatedAt: new Date() } })
+    return result.modifiedCount > 0
+  }
+
+  // Restaurantes anteriores a la dirección estructurada, por orden de _id
+  static async findWithoutAddressComponents(limit = 100, afterId = null) {
+    const db = getDB()
+
+    const query = notDeleted({ addressComponents: { $exists: false } })
+    if (afterId) query._id = { $gt: new ObjectId(afterId) }
+
+    return await db.collection("restaurants").find(query).sort({ _id: 1 }).limit(limit).toArray()
+  }
+
+  // Guardar la dirección estructurada de un restaurante junto con sus valores normalizados
+  static async setAddressComponents(id, addressComponents) {
+    const db = getDB()
+    const addressKeys = Restaurant.getAddressKeys(addressComponents)
+    const result = await db
+      .collection("restaurants")
+      .updateOne({ _id: new ObjectId(id) }, { $set: { addressComponents, addressKeys, updatedAt: new Date() } })
+    return result.modifiedCount > 0
+  }
+
+  // Ciudades con restaurantes aprobados y cuántos tiene cada una, de más a menos
+  static async getCities({ country, limit = 100 } = {}) {
+    const db = getDB()
+
+    const cities = await db
+      .collection("restaurants")
+      .aggregate([
+        { $match: notDeleted({ approved: true, "addressKeys.city": { $ne: null }, ...addressQuery({ country }) }) },
+        {
+          $group: {
+            _id: { city: "$addressKeys.city", country: "$addressKeys.country" },
+            name: { $first: "$addressComponents.city" },
+            state: { $first: "$addressComponents.state" },
+            country: { $first: "$addressComponents.country" },
+            restaurantCount: { $sum: 1 },
+            avgRating: { $avg: "$rating" },
           },
         },
-      })
-      .limit(limit)
+        { $sort: { restaurantCount: -1, name: 1 } },
+        { $limit: limit },
+      ])
       .toArray()
+
+    return cities.map(({ name, state, country, restaurantCount, avgRating }) => ({
+      name,
+      state,
+      country,
+      restaurantCount,
+      avgRating: Math.round(avgRating * 10) / 10,
+    }))
   }
 
   // Obtener estadísticas de restaurantes
@@ -352,6 +906,7 @@ class Restaurant {
     const stats = await db
       .collection("restaurants")
       .aggregate([
+        { $match: NOT_DELETED },
         {
           $group: {
             _id: null,
@@ -364,10 +919,23 @@ class Restaurant {
       ])
       .toArray()
 
+    const statusCounts = await db
+      .collection("restaurants")
+      .aggregate([
+        { $match: NOT_DELETED },
+        {
+          $group: {
+            _id: { $ifNull: ["$status", { $cond: ["$approved", "approved", "pending"] }] },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray()
+
     const categoryStats = await db
       .collection("restaurants")
       .aggregate([
-        { $match: { approved: true } },
+        { $match: notDeleted({ approved: true }) },
         {
           $group: {
             _id: "$category",
@@ -383,10 +951,14 @@ class Restaurant {
       total: stats[0]?.total || 0,
       approved: stats[0]?.approved || 0,
       pending: stats[0]?.pending || 0,
+      byStatus: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
       avgRating: Math.round((stats[0]?.avgRating || 0) * 10) / 10,
       byCategory: categoryStats,
     }
   }
 }
 
+Restaurant.STATUSES = RESTAURANT_STATUSES
+Restaurant.ADDRESS_FIELDS = ADDRESS_FIELDS
+
 module.exports = Restaurant
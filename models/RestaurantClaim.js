@@ -0,0 +1,147 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+
+// Estados de una reclamación de propiedad
+const CLAIM_STATUSES = ["pending", "approved", "rejected", "cancelled"]
+
+class RestaurantClaim {
+  constructor(claimData) {
+    this.restaurantId = new ObjectId(claimData.restaurantId)
+    this.userId = new ObjectId(claimData.userId)
+    this.evidence = {
+      description: claimData.evidence?.description || "",
+      documents: Array.isArray(claimData.evidence?.documents) ? claimData.evidence.documents : [],
+      contactPhone: claimData.evidence?.contactPhone || "",
+      contactEmail: claimData.evidence?.contactEmail || "",
+    }
+    this.status = "pending"
+    this.reviewedBy = null
+    this.reviewedAt = null
+    this.reviewNote = null
+    this.createdAt = new Date()
+    this.updatedAt = new Date()
+  }
+
+  // Crear una reclamación de propiedad
+  static async create(claimData) {
+    const db = getDB()
+
+    const claim = new RestaurantClaim(claimData)
+    const result = await db.collection("restaurant_claims").insertOne(claim)
+
+    return {
+      _id: result.insertedId,
+      ...claim,
+    }
+  }
+
+  // Buscar reclamación por ID
+  static async findById(id) {
+    const db = getDB()
+    return await db.collection("restaurant_claims").findOne({ _id: new ObjectId(id) })
+  }
+
+  // Buscar la reclamación pendiente de un usuario sobre un restaurante
+  static async findPending(restaurantId, userId) {
+    const db = getDB()
+
+    return await db.collection("restaurant_claims").findOne({
+      restaurantId: new ObjectId(restaurantId),
+      userId: new ObjectId(userId),
+      status: "pending",
+    })
+  }
+
+  // Listar reclamaciones con filtros y paginación
+  static async findAll(options = {}) {
+    const db = getDB()
+    const { page = 1, limit = 10, status, userId, restaurantId } = options
+
+    const query = {}
+    if (status) query.status = status
+    if (userId) query.userId = new ObjectId(userId)
+    if (restaurantId) query.restaurantId = new ObjectId(restaurantId)
+
+    const skip = (page - 1) * limit
+
+    const [claims, total] = await Promise.all([
+      db
+        .collection("restaurant_claims")
+        .aggregate([
+          { $match: query },
+          { $sort: { createdAt: -1 } },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: "restaurants",
+              localField: "restaurantId",
+              foreignField: "_id",
+              as: "restaurant",
+              pipeline: [{ $project: { name: 1, address: 1 } }],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "userId",
+              foreignField: "_id",
+              as: "user",
+              pipeline: [{ $project: { name: 1, email: 1 } }],
+            },
+          },
+          {
+            $addFields: {
+              restaurant: { $arrayElemAt: ["$restaurant", 0] },
+              user: { $arrayElemAt: ["$user", 0] },
+            },
+          },
+        ])
+        .toArray(),
+      db.collection("restaurant_claims").countDocuments(query),
+    ])
+
+    return {
+      claims,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalClaims: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    }
+  }
+
+  // Resolver una reclamación pendiente. Devuelve null si ya no estaba pendiente
+  static async resolve(id, status, { reviewedBy = null, reviewNote = null } = {}) {
+    const db = getDB()
+
+    return await db.collection("restaurant_claims").findOneAndUpdate(
+      { _id: new ObjectId(id), status: "pending" },
+      {
+        $set: {
+          status,
+          reviewedBy: reviewedBy ? new ObjectId(reviewedBy) : null,
+          reviewedAt: new Date(),
+          reviewNote,
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: "after" },
+    )
+  }
+
+  // Eliminar las reclamaciones de un restaurante
+  static async deleteByRestaurant(restaurantId, { session } = {}) {
+    const db = getDB()
+    const result = await db
+      .collection("restaurant_claims")
+      .deleteMany({ restaurantId: new ObjectId(restaurantId) }, { session })
+    return result.deletedCount
+  }
+}
+
+RestaurantClaim.STATUSES = CLAIM_STATUSES
+
+module.exports = RestaurantClaim
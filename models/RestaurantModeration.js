@@ -0,0 +1,67 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+
+// Historial de moderación de restaurantes: una entrada por cada cambio de estado
+class RestaurantModeration {
+  constructor(entryData) {
+    this.restaurantId = new ObjectId(entryData.restaurantId)
+    this.action = entryData.action
+    this.from = entryData.from || null
+    this.to = entryData.to
+    this.reason = entryData.reason || null
+    this.notes = entryData.notes || null
+    this.userId = entryData.userId ? new ObjectId(entryData.userId) : null
+    this.createdAt = new Date()
+  }
+
+  // Registrar un cambio de estado
+  static async create(entryData) {
+    const db = getDB()
+
+    const entry = new RestaurantModeration(entryData)
+    const result = await db.collection("restaurant_moderation").insertOne(entry)
+
+    return {
+      _id: result.insertedId,
+      ...entry,
+    }
+  }
+
+  // Historial de un restaurante, del cambio más reciente al más antiguo
+  static async findByRestaurant(restaurantId) {
+    const db = getDB()
+
+    return await db
+      .collection("restaurant_moderation")
+      .aggregate([
+        { $match: { restaurantId: new ObjectId(restaurantId) } },
+        { $sort: { createdAt: -1 } },
+        {
+          $lookup: {
+            from: "users",
+            localField: "userId",
+            foreignField: "_id",
+            as: "user",
+            pipeline: [{ $project: { name: 1, role: 1 } }],
+          },
+        },
+        {
+          $addFields: {
+            user: { $arrayElemAt: ["$user", 0] },
+          },
+        },
+      ])
+      .toArray()
+  }
+
+  // Eliminar el historial de un restaurante
+  static async deleteByRestaurant(restaurantId, { session } = {}) {
+    const db = getDB()
+    const result = await db
+      .collection("restaurant_moderation")
+      .deleteMany({ restaurantId: new ObjectId(restaurantId) }, { session })
+    return result.deletedCount
+  }
+}
+
+module.exports = RestaurantModeration
@@ -0,0 +1,155 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+
+// Estados de una sugerencia de edición
+const SUGGESTION_STATUSES = ["pending", "accepted", "rejected", "cancelled"]
+
+class RestaurantSuggestion {
+  constructor(suggestionData) {
+    this.restaurantId = new ObjectId(suggestionData.restaurantId)
+    this.userId = new ObjectId(suggestionData.userId)
+    // Cambios por campo: [{ field, from, to }] (from es el valor al crear la sugerencia)
+    this.changes = suggestionData.changes
+    this.comment = suggestionData.comment || ""
+    this.status = "pending"
+    this.reviewedBy = null
+    this.reviewedAt = null
+    this.reviewNote = null
+    this.createdAt = new Date()
+    this.updatedAt = new Date()
+  }
+
+  // Crear una sugerencia de edición
+  static async create(suggestionData) {
+    const db = getDB()
+
+    const suggestion = new RestaurantSuggestion(suggestionData)
+    const result = await db.collection("restaurant_suggestions").insertOne(suggestion)
+
+    return {
+      _id: result.insertedId,
+      ...suggestion,
+    }
+  }
+
+  // Buscar sugerencia por ID
+  static async findById(id) {
+    const db = getDB()
+    return await db.collection("restaurant_suggestions").findOne({ _id: new ObjectId(id) })
+  }
+
+  // Buscar la sugerencia pendiente de un usuario sobre un restaurante
+  static async findPending(restaurantId, userId) {
+    const db = getDB()
+
+    return await db.collection("restaurant_suggestions").findOne({
+      restaurantId: new ObjectId(restaurantId),
+      userId: new ObjectId(userId),
+      status: "pending",
+    })
+  }
+
+  // Listar sugerencias con filtros y paginación. Con userId y managedRestaurantIds se devuelven
+  // las del usuario y las de los restaurantes que gestiona
+  static async findAll(options = {}) {
+    const db = getDB()
+    const { page = 1, limit = 10, status, userId, restaurantId, managedRestaurantIds } = options
+
+    const query = {}
+    if (status) query.status = status
+    if (restaurantId) query.restaurantId = new ObjectId(restaurantId)
+    if (userId && managedRestaurantIds) {
+      query.$or = [
+        { userId: new ObjectId(userId) },
+        { restaurantId: { $in: managedRestaurantIds.map((id) => new ObjectId(id)) } },
+      ]
+    } else if (userId) {
+      query.userId = new ObjectId(userId)
+    }
+
+    const skip = (page - 1) * limit
+
+    const [suggestions, total] = await Promise.all([
+      db
+        .collection("restaurant_suggestions")
+        .aggregate([
+          { $match: query },
+          { $sort: { createdAt: -1 } },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: "restaurants",
+              localField: "restaurantId",
+              foreignField: "_id",
+              as: "restaurant",
+              pipeline: [{ $project: { name: 1, address: 1 } }],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "userId",
+              foreignField: "_id",
+              as: "user",
+              pipeline: [{ $project: { name: 1, reputation: 1 } }],
+            },
+          },
+          {
+            $addFields: {
+              restaurant: { $arrayElemAt: ["$restaurant", 0] },
+              user: { $arrayElemAt: ["$user", 0] },
+            },
+          },
+        ])
+        .toArray(),
+      db.collection("restaurant_suggestions").countDocuments(query),
+    ])
+
+    return {
+      suggestions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSuggestions: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    }
+  }
+
+  // Resolver una sugerencia pendiente. Devuelve null si ya no estaba pendiente
+  static async resolve(id, status, { reviewedBy = null, reviewNote = null, session } = {}) {
+    const db = getDB()
+
+    return await db.collection("restaurant_suggestions").findOneAndUpdate(
+      { _id: new ObjectId(id), status: "pending" },
+      {
+        $set: {
+          status,
+          reviewedBy: reviewedBy ? new ObjectId(reviewedBy) : null,
+          reviewedAt: new Date(),
+          reviewNote,
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: "after", session },
+    )
+  }
+
+  // Eliminar las sugerencias de un restaurante. Devuelve los autores afectados para recalcular
+  // su reputación
+  static async deleteByRestaurant(restaurantId, { session } = {}) {
+    const db = getDB()
+    const query = { restaurantId: new ObjectId(restaurantId) }
+
+    const userIds = await db.collection("restaurant_suggestions").distinct("userId", query, { session })
+    const result = await db.collection("restaurant_suggestions").deleteMany(query, { session })
+
+    return { suggestions: result.deletedCount, userIds: userIds.map((userId) => userId.toString()) }
+  }
+}
+
+RestaurantSuggestion.STATUSES = SUGGESTION_STATUSES
+
+module.exports = RestaurantSuggestion
@@ -1,6 +1,11 @@
 const { getDB } = require("../config/database")
 const { ObjectId } = require("mongodb")
+const { NOT_DELETED, DELETED, notDeleted, buildDeletion, RESTORE, findDeleted } = require("../utils/softDelete")
 const Restaurant = require("./Restaurant")
+const Dish = require("./Dish")
+const ReviewReaction = require("./ReviewReaction")
+const User = require("./user")
+const { normalizeAspectRatings } = require("../utils/ratingAspects")
 
 class Review {
   constructor(reviewData) {
@@ -9,8 +14,11 @@ class Review {
     this.dishId = reviewData.dishId ? new ObjectId(reviewData.dishId) : null
     this.comment = reviewData.comment
     this.rating = reviewData.rating
+    // Valoraciones opcionales por aspecto (utils/ratingAspects)
+    this.aspectRatings = normalizeAspectRatings(reviewData.aspectRatings)
     this.likes = 0
     this.dislikes = 0
+    this.deletedAt = null
     this.createdAt = reviewData.createdAt || new Date()
     this.updatedAt = reviewData.updatedAt || new Date()
   }
@@ -28,21 +36,25 @@ class Review {
 
     if (reviewData.dishId) {
       // Para reseñas de platos: solo verificar si ya reseñó este plato específico
-      const existingDishReview = await db.collection("reviews").findOne({
-        userId: new ObjectId(reviewData.userId),
-        dishId: new ObjectId(reviewData.dishId),
-      })
+      const existingDishReview = await db.collection("reviews").findOne(
+        notDeleted({
+          userId: new ObjectId(reviewData.userId),
+          dishId: new ObjectId(reviewData.dishId),
+        }),
+      )
 
       if (existingDishReview) {
         throw new Error("Ya has reseñado este plato")
       }
     } else {
       // Para reseñas de restaurante: verificar si ya reseñó el restaurante sin plato específico
-      const existingRestaurantReview = await db.collection("reviews").findOne({
-        userId: new ObjectId(reviewData.userId),
-        restaurantId: new ObjectId(reviewData.restaurantId),
-        dishId: null,
-      })
+      const existingRestaurantReview = await db.collection("reviews").findOne(
+        notDeleted({
+          userId: new ObjectId(reviewData.userId),
+          restaurantId: new ObjectId(reviewData.restaurantId),
+          dishId: null,
+        }),
+      )
 
       if (existingRestaurantReview) {
         throw new Error("Ya has reseñado este restaurante")
@@ -50,10 +62,12 @@ class Review {
     }
 
     // Verificar que el restaurante exista y esté aprobado
-    const restaurant = await db.collection("restaurants").findOne({
-      _id: new ObjectId(reviewData.restaurantId),
-      approved: true,
-    })
+    const restaurant = await db.collection("restaurants").findOne(
+      notDeleted({
+        _id: new ObjectId(reviewData.restaurantId),
+        approved: true,
+      }),
+    )
 
     console.log(
       "[v0] Restaurant lookup result:",
@@ -63,9 +77,11 @@ class Review {
     )
 
     if (!restaurant) {
-      const unapprovedRestaurant = await db.collection("restaurants").findOne({
-        _id: new ObjectId(reviewData.restaurantId),
-      })
+      const unapprovedRestaurant = await db.collection("restaurants").findOne(
+        notDeleted({
+          _id: new ObjectId(reviewData.restaurantId),
+        }),
+      )
 
       if (unapprovedRestaurant) {
         console.log("[v0] Restaurant exists but is not approved:", unapprovedRestaurant.approved)
@@ -80,8 +96,10 @@ class Review {
     const review = new Review(reviewData)
     const result = await db.collection("reviews").insertOne(review)
 
-    // Actualizar rating del restaurante
+    // Actualizar rating del restaurante (y del plato) y estadísticas del autor
     await Restaurant.updateRating(reviewData.restaurantId)
+    if (review.dishId) await Dish.updateRating(review.dishId)
+    await User.updateReviewStats(reviewData.userId)
 
     return {
       _id: result.insertedId,
@@ -96,7 +114,7 @@ class Review {
     const review = await db
       .collection("reviews")
       .aggregate([
-        { $match: { _id: new ObjectId(id) } },
+        { $match: notDeleted({ _id: new ObjectId(id) }) },
         {
           $lookup: {
             from: "users",
@@ -146,7 +164,7 @@ class Review {
     const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 }
 
     const pipeline = [
-      { $match: { restaurantId: new ObjectId(restaurantId) } },
+      { $match: notDeleted({ restaurantId: new ObjectId(restaurantId) }) },
       {
         $lookup: {
           from: "users",
@@ -178,7 +196,7 @@ class Review {
 
     const [reviews, total] = await Promise.all([
       db.collection("reviews").aggregate(pipeline).toArray(),
-      db.collection("reviews").countDocuments({ restaurantId: new ObjectId(restaurantId) }),
+      db.collection("reviews").countDocuments(notDeleted({ restaurantId: new ObjectId(restaurantId) })),
     ])
 
     return {
@@ -193,6 +211,12 @@ class Review {
     }
   }
 
+  // Restaurantes que ha reseñado un usuario
+  static async findRestaurantIdsByUser(userId) {
+    const db = getDB()
+    return await db.collection("reviews").distinct("restaurantId", notDeleted({ userId: new ObjectId(userId) }))
+  }
+
   // Obtener reseñas de un usuario
   static async findByUser(userId, options = {}) {
     const db = getDB()
@@ -202,7 +226,7 @@ class Review {
     const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 }
 
     const pipeline = [
-      { $match: { userId: new ObjectId(userId) } },
+      { $match: notDeleted({ userId: new ObjectId(userId) }) },
       {
         $lookup: {
           from: "restaurants",
@@ -234,7 +258,7 @@ class Review {
 
     const [reviews, total] = await Promise.all([
       db.collection("reviews").aggregate(pipeline).toArray(),
-      db.collection("reviews").countDocuments({ userId: new ObjectId(userId) }),
+      db.collection("reviews").countDocuments(notDeleted({ userId: new ObjectId(userId) })),
     ])
 
     return {
@@ -254,164 +278,145 @@ class Review {
     const db = getDB()
 
     // Verificar que la reseña pertenezca al usuario
-    const existingReview = await db.collection("reviews").findOne({
-      _id: new ObjectId(id),
-      userId: new ObjectId(userId),
-    })
+    const existingReview = await db.collection("reviews").findOne(
+      notDeleted({
+        _id: new ObjectId(id),
+        userId: new ObjectId(userId),
+      }),
+    )
 
     if (!existingReview) {
       throw new Error("Reseña no encontrada o no tienes permisos para editarla")
     }
 
     updateData.updatedAt = new Date()
+    if (updateData.aspectRatings !== undefined) {
+      updateData.aspectRatings = normalizeAspectRatings(updateData.aspectRatings)
+    }
 
     const result = await db
       .collection("reviews")
       .findOneAndUpdate({ _id: new ObjectId(id) }, { $set: updateData }, { returnDocument: "after" })
 
-    // Si se actualizó el rating, recalcular rating del restaurante
-    if (updateData.rating) {
+    // Si se actualizó el rating (o los aspectos), recalcular rating del restaurante (y del plato) y
+    // estadísticas del autor
+    if (updateData.rating || updateData.aspectRatings !== undefined) {
       await Restaurant.updateRating(existingReview.restaurantId)
+      if (existingReview.dishId) await Dish.updateRating(existingReview.dishId)
+      await User.updateReviewStats(existingReview.userId)
     }
 
-    return result.value
+    return result
   }
 
-  // Eliminar reseña
-  static async deleteById(id, userId) {
+  // Enviar reseña a la papelera (los permisos se comprueban en la ruta). Sus reacciones se
+  // conservan para poder restaurarla
+  static async deleteById(id, deletedBy) {
     const db = getDB()
 
-    // Obtener la reseña para verificar permisos y obtener restaurantId
-    const review = await db.collection("reviews").findOne({
-      _id: new ObjectId(id),
-      userId: new ObjectId(userId),
-    })
+    const review = await db
+      .collection("reviews")
+      .findOneAndUpdate(notDeleted({ _id: new ObjectId(id) }), buildDeletion(deletedBy))
 
     if (!review) {
-      throw new Error("Reseña no encontrada o no tienes permisos para eliminarla")
+      return false
     }
 
-    // Eliminar reacciones asociadas a la reseña
-    await db.collection("FavoritosRestaurantes").deleteMany({
-      FavRestaurant: new ObjectId(id),
-    })
-
-    // Eliminar la reseña
-    const result = await db.collection("reviews").deleteOne({
-      _id: new ObjectId(id),
-    })
-
-    // Actualizar rating del restaurante
+    // Actualizar rating del restaurante (y del plato) y estadísticas del autor
     await Restaurant.updateRating(review.restaurantId)
+    if (review.dishId) await Dish.updateRating(review.dishId)
+    await User.updateReviewStats(review.userId)
 
-    return result.deletedCount > 0
+    return true
   }
 
-  // Dar like a un plato
-  static async addReaction(FavRestaurant, userId) {
+  // Sacar reseña de la papelera
+  static async restoreById(id) {
     const db = getDB()
 
-    // Verificar que la reseña existe y no es del mismo usuario
-    const review = await db.collection("reviews").findOne({
-      _id: new ObjectId(FavRestaurant),
-    })
+    const review = await db.collection("reviews").findOneAndUpdate({ _id: new ObjectId(id), ...DELETED }, RESTORE)
 
     if (!review) {
-      throw new Error("Reseña no encontrada")
+      return false
     }
 
-    if (review.userId.toString() === userId.toString()) {
-      throw new Error("No puedes reaccionar a tu propia reseña")
-    }
+    await Restaurant.updateRating(review.restaurantId)
+    if (review.dishId) await Dish.updateRating(review.dishId)
+    await User.updateReviewStats(review.userId)
 
-    // Verificar si ya existe una reacción del usuario
-    const existingReaction = await db.collection("FavoritosRestaurantes").findOne({
-      FavRestaurant: new ObjectId(FavRestaurant),
-      userId: new ObjectId(userId),
-    })
+    return true
+  }
 
-    let likesChange = 0
-    let dislikesChange = 0
-
-    if (existingReaction) {
-      // Si la reacción es la misma, eliminarla
-      if (existingReaction.type === reactionType) {
-        await db.collection("FavoritosRestaurantes").deleteOne({
-          FavRestaurant: new ObjectId(FavRestaurant),
-          userId: new ObjectId(userId),
-        })
-
-        if (reactionType === "like") {
-          likesChange = -1
-        } else {
-          dislikesChange = -1
-        }
-      } else {
-        // Cambiar el tipo de reacción
-        await db.collection("FavoritosRestaurantes").updateOne(
-          {
-            FavRestaurant: new ObjectId(FavRestaurant),
-            userId: new ObjectId(userId),
-          },
-          {
-            $set: {
-              type: reactionType,
-              updatedAt: new Date(),
-            },
-          },
-        )
-
-        if (reactionType === "like") {
-          likesChange = 1
-          dislikesChange = -1
-        } else {
-          likesChange = -1
-          dislikesChange = 1
-        }
-      }
-    } else {
-      // Crear nueva reacción
-      await db.collection("FavoritosRestaurantes").insertOne({
-        favoriteRestaurandId: new ObjectId(FavRestaurant),
-        userId: new ObjectId(userId),
-        type: reactionType,
-        createdAt: new Date(),
-      })
+  // Buscar reseña en la papelera por ID
+  static async findDeletedById(id) {
+    const db = getDB()
+    return await db.collection("reviews").findOne({ _id: new ObjectId(id), ...DELETED })
+  }
 
-      if (reactionType === "like") {
-        likesChange = 1
-      } else {
-        dislikesChange = 1
-      }
-    }
+  // Listar reseñas en la papelera
+  static async findDeleted(options = {}) {
+    const db = getDB()
+    return await findDeleted(db.collection("reviews"), options)
+  }
 
-    // Actualizar contadores en la reseña
-    const updatedReview = await db.collection("reviews").findOneAndUpdate(
-      {
-        _id: new ObjectId(FavRestaurant),
-      },
-      {
-        $inc: {
-          likes: likesChange,
-          dislikes: dislikesChange,
-        },
-      },
-      {
-        returnDocument: "after",
-      },
-    )
+  // Eliminar reseña definitivamente junto con sus reacciones
+  static async purgeById(id) {
+    const db = getDB()
+
+    await ReviewReaction.deleteByReviews([id])
 
-    return updatedReview.value
+    const result = await db.collection("reviews").deleteOne({ _id: new ObjectId(id) })
+    return result.deletedCount > 0
   }
 
-  // Obtener reacción de un usuario a una reseña
-  static async getUserReaction(FavRestaurant, userId) {
+  // Enviar a la papelera las reseñas de un restaurante que se elimina (incluidas las de sus platos).
+  // Devuelve los autores afectados para recalcular sus estadísticas
+  static async deleteByRestaurant(restaurantId, deletedBy, { session } = {}) {
     const db = getDB()
+    const query = notDeleted({ restaurantId: new ObjectId(restaurantId) })
 
-    return await db.collection("FavoritosRestaurantes").findOne({
-      FavRestaurant: new ObjectId(FavRestaurant),
-      userId: new ObjectId(userId),
-    })
+    const userIds = await db.collection("reviews").distinct("userId", query, { session })
+    const result = await db
+      .collection("reviews")
+      .updateMany(query, buildDeletion(deletedBy, restaurantId), { session })
+
+    return { reviews: result.modifiedCount, userIds: userIds.map((userId) => userId.toString()) }
+  }
+
+  // Restaurar las reseñas que se eliminaron junto con su restaurante
+  static async restoreByRestaurant(restaurantId, { session } = {}) {
+    const db = getDB()
+    const query = { deletedWith: new ObjectId(restaurantId), ...DELETED }
+
+    const userIds = await db.collection("reviews").distinct("userId", query, { session })
+    const result = await db.collection("reviews").updateMany(query, RESTORE, { session })
+
+    return { reviews: result.modifiedCount, userIds: userIds.map((userId) => userId.toString()) }
+  }
+
+  // Eliminar definitivamente las reseñas de un restaurante (incluidas las de sus platos) y sus reacciones.
+  // Devuelve los usuarios afectados para recalcular sus estadísticas
+  static async purgeByRestaurant(restaurantId, { session } = {}) {
+    const db = getDB()
+
+    const reviews = await db
+      .collection("reviews")
+      .find({ restaurantId: new ObjectId(restaurantId) }, { projection: { _id: 1, userId: 1 }, session })
+      .toArray()
+
+    if (reviews.length === 0) {
+      return { reviews: 0, reactions: 0, userIds: [] }
+    }
+
+    const reviewIds = reviews.map((review) => review._id)
+
+    const reactions = await ReviewReaction.deleteByReviews(reviewIds, { session })
+
+    const result = await db.collection("reviews").deleteMany({ _id: { $in: reviewIds } }, { session })
+
+    const userIds = [...new Set(reviews.map((review) => review.userId.toString()))]
+
+    return { reviews: result.deletedCount, reactions, userIds }
   }
 
   // Obtener todas las reseñas (admin)
@@ -423,6 +428,7 @@ class Review {
     const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 }
 
     const pipeline = [
+      { $match: NOT_DELETED },
       {
         $lookup: {
           from: "users",
@@ -464,7 +470,7 @@ class Review {
 
     const [reviews, total] = await Promise.all([
       db.collection("reviews").aggregate(pipeline).toArray(),
-      db.collection("reviews").countDocuments(),
+      db.collection("reviews").countDocuments(NOT_DELETED),
     ])
 
     return {
@@ -486,6 +492,7 @@ class Review {
     const stats = await db
       .collection("reviews")
       .aggregate([
+        { $match: NOT_DELETED },
         {
           $group: {
             _id: null,
@@ -501,6 +508,7 @@ class Review {
     const ratingDistribution = await db
       .collection("reviews")
       .aggregate([
+        { $match: NOT_DELETED },
         {
           $group: {
             _id: "$rating",
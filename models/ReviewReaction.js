@@ -0,0 +1,193 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+
+// Tipos de reacción: la reseña es útil (like) o no lo es (dislike)
+const REACTION_TYPES = ["like", "dislike"]
+
+// Contador de la reseña que lleva la cuenta de cada tipo
+const COUNTER_FIELDS = { like: "likes", dislike: "dislikes" }
+
+// Código de MongoDB para claves duplicadas
+const DUPLICATE_KEY = 11000
+
+// Cambios en los contadores de la reseña al pasar de una reacción a otra (null = sin reacción)
+const counterChanges = (previousType, type) => {
+  const changes = { likes: 0, dislikes: 0 }
+  if (previousType) changes[COUNTER_FIELDS[previousType]] -= 1
+  if (type) changes[COUNTER_FIELDS[type]] += 1
+  return changes
+}
+
+// Número de reacciones de un tipo a partir de las reacciones de la reseña agrupadas por tipo
+const reactionCount = (type) => ({
+  $sum: {
+    $map: { input: "$reactions", in: { $cond: [{ $eq: ["$$this._id", type] }, "$$this.count", 0] } },
+  },
+})
+
+// Reacción de un usuario a una reseña. Cada usuario tiene como mucho una por reseña (índice único
+// reviewId + userId) y los contadores likes/dislikes de la reseña se ajustan con el cambio exacto que
+// devuelve la operación atómica sobre la reacción
+class ReviewReaction {
+  constructor(reactionData) {
+    this.reviewId = new ObjectId(reactionData.reviewId)
+    this.userId = new ObjectId(reactionData.userId)
+    this.type = reactionData.type
+    this.createdAt = reactionData.createdAt || new Date()
+    this.updatedAt = reactionData.updatedAt || new Date()
+  }
+
+  // Ajustar los contadores de la reseña; devuelve la reseña actualizada
+  static async applyCounterChanges(reviewId, previousType, type) {
+    const db = getDB()
+    const changes = counterChanges(previousType, type)
+
+    if (changes.likes === 0 && changes.dislikes === 0) {
+      return await db.collection("reviews").findOne({ _id: new ObjectId(reviewId) })
+    }
+
+    return await db
+      .collection("reviews")
+      .findOneAndUpdate({ _id: new ObjectId(reviewId) }, { $inc: changes }, { returnDocument: "after" })
+  }
+
+  // Fijar la reacción de un usuario (crearla o cambiar de tipo); repetirla no cambia nada.
+  // Devuelve { previousType, type, review }
+  static async set(reviewId, userId, type) {
+    const db = getDB()
+    const reaction = new ReviewReaction({ reviewId, userId, type })
+
+    let previous
+    try {
+      previous = await db.collection("review_reactions").findOneAndUpdate(
+        { reviewId: reaction.reviewId, userId: reaction.userId },
+        {
+          $set: { type, updatedAt: reaction.updatedAt },
+          $setOnInsert: { createdAt: reaction.createdAt },
+        },
+        { upsert: true, returnDocument: "before" },
+      )
+    } catch (error) {
+      // Dos peticiones simultáneas pueden intentar crear la reacción: la segunda la actualiza
+      if (error.code !== DUPLICATE_KEY) throw error
+      return await ReviewReaction.set(reviewId, userId, type)
+    }
+
+    const previousType = previous?.type || null
+    const review = await ReviewReaction.applyCounterChanges(reviewId, previousType, type)
+
+    return { previousType, type, review }
+  }
+
+  // Quitar la reacción de un usuario. Devuelve { previousType, type: null, review }
+  static async remove(reviewId, userId) {
+    const db = getDB()
+
+    const previous = await db.collection("review_reactions").findOneAndDelete({
+      reviewId: new ObjectId(reviewId),
+      userId: new ObjectId(userId),
+    })
+
+    const previousType = previous?.type || null
+    const review = await ReviewReaction.applyCounterChanges(reviewId, previousType, null)
+
+    return { previousType, type: null, review }
+  }
+
+  // Reacción de un usuario a una reseña (like, dislike o null)
+  static async findType(reviewId, userId) {
+    const db = getDB()
+
+    const reaction = await db
+      .collection("review_reactions")
+      .findOne({ reviewId: new ObjectId(reviewId), userId: new ObjectId(userId) }, { projection: { type: 1 } })
+
+    return reaction?.type || null
+  }
+
+  // Añadir a cada reseña la reacción del usuario (myReaction: like, dislike o null)
+  static async withUserReactions(reviews, userId) {
+    const db = getDB()
+    if (reviews.length === 0) return reviews
+
+    const reactions = await db
+      .collection("review_reactions")
+      .find(
+        { reviewId: { $in: reviews.map((review) => review._id) }, userId: new ObjectId(userId) },
+        { projection: { reviewId: 1, type: 1 } },
+      )
+      .toArray()
+
+    const types = new Map(reactions.map((reaction) => [reaction.reviewId.toString(), reaction.type]))
+
+    return reviews.map((review) => ({ ...review, myReaction: types.get(review._id.toString()) || null }))
+  }
+
+  // Eliminar las reacciones de unas reseñas (al eliminarlas definitivamente)
+  static async deleteByReviews(reviewIds, { session } = {}) {
+    const db = getDB()
+    const result = await db
+      .collection("review_reactions")
+      .deleteMany({ reviewId: { $in: reviewIds.map((reviewId) => new ObjectId(reviewId)) } }, { session })
+    return result.deletedCount
+  }
+
+  // Reseñas cuyos contadores no coinciden con sus reacciones, con los valores correctos
+  static async findCounterMismatches() {
+    const db = getDB()
+
+    return await db
+      .collection("reviews")
+      .aggregate([
+        {
+          $lookup: {
+            from: "review_reactions",
+            localField: "_id",
+            foreignField: "reviewId",
+            as: "reactions",
+            pipeline: [{ $group: { _id: "$type", count: { $sum: 1 } } }],
+          },
+        },
+        {
+          $project: {
+            likes: 1,
+            dislikes: 1,
+            expected: { likes: reactionCount("like"), dislikes: reactionCount("dislike") },
+          },
+        },
+        {
+          $match: {
+            $expr: {
+              $or: [
+                { $ne: [{ $ifNull: ["$likes", 0] }, "$expected.likes"] },
+                { $ne: [{ $ifNull: ["$dislikes", 0] }, "$expected.dislikes"] },
+              ],
+            },
+          },
+        },
+      ])
+      .toArray()
+  }
+
+  // Corregir los contadores de unas reseñas con los valores de findCounterMismatches
+  static async fixCounters(mismatches) {
+    const db = getDB()
+    if (mismatches.length === 0) return 0
+
+    const result = await db.collection("reviews").bulkWrite(
+      mismatches.map((review) => ({
+        updateOne: {
+          filter: { _id: review._id },
+          update: { $set: { likes: review.expected.likes, dislikes: review.expected.dislikes } },
+        },
+      })),
+      { ordered: false },
+    )
+
+    return result.modifiedCount
+  }
+}
+
+ReviewReaction.TYPES = REACTION_TYPES
+
+module.exports = ReviewReaction
@@ -0,0 +1,129 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+
+class Session {
+  constructor(sessionData) {
+    this.userId = new ObjectId(sessionData.userId)
+    this.userAgent = sessionData.userAgent || null
+    this.ip = sessionData.ip || null
+    this.createdAt = sessionData.createdAt || new Date()
+    this.lastUsedAt = sessionData.lastUsedAt || new Date()
+    this.expiresAt = sessionData.expiresAt
+    this.revokedAt = null
+    this.revokedReason = null
+  }
+
+  // Crear una nueva sesión (familia de refresh tokens)
+  static async create(sessionData) {
+    const db = getDB()
+
+    const session = new Session(sessionData)
+    const result = await db.collection("sessions").insertOne(session)
+
+    return {
+      _id: result.insertedId,
+      ...session,
+    }
+  }
+
+  // Buscar sesión por ID
+  static async findById(id) {
+    const db = getDB()
+    return await db.collection("sessions").findOne({ _id: new ObjectId(id) })
+  }
+
+  // Obtener las sesiones activas de un usuario
+  static async findActiveByUser(userId) {
+    const db = getDB()
+
+    return await db
+      .collection("sessions")
+      .find({
+        userId: new ObjectId(userId),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+      .sort({ lastUsedAt: -1 })
+      .toArray()
+  }
+
+  // Buscar sesión activa (no revocada ni expirada) por ID
+  static async findActiveById(id) {
+    const db = getDB()
+
+    return await db.collection("sessions").findOne({
+      _id: new ObjectId(id),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+  }
+
+  // Registrar uso de la sesión y extender su expiración
+  static async touch(id, expiresAt, ip) {
+    const db = getDB()
+
+    const update = { lastUsedAt: new Date() }
+    if (expiresAt) {
+      update.expiresAt = expiresAt
+    }
+    if (ip) {
+      update.ip = ip
+    }
+
+    await db.collection("sessions").updateOne({ _id: new ObjectId(id) }, { $set: update })
+  }
+
+  // Datos de la sesión que se exponen al cliente
+  static toResponse(session, currentSessionId = null) {
+    return {
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: currentSessionId ? session._id.toString() === currentSessionId.toString() : false,
+    }
+  }
+
+  // Revocar una sesión
+  static async revoke(id, reason = "logout") {
+    const db = getDB()
+
+    const result = await db.collection("sessions").updateOne(
+      { _id: new ObjectId(id), revokedAt: null },
+      {
+        $set: {
+          revokedAt: new Date(),
+          revokedReason: reason,
+        },
+      },
+    )
+
+    return result.modifiedCount > 0
+  }
+
+  // Revocar todas las sesiones de un usuario, opcionalmente conservando una
+  static async revokeAllByUser(userId, reason = "logout_all", exceptSessionId = null) {
+    const db = getDB()
+
+    const query = { userId: new ObjectId(userId), revokedAt: null }
+    if (exceptSessionId) {
+      query._id = { $ne: new ObjectId(exceptSessionId) }
+    }
+
+    const result = await db.collection("sessions").updateMany(
+      query,
+      {
+        $set: {
+          revokedAt: new Date(),
+          revokedReason: reason,
+        },
+      },
+    )
+
+    return result.modifiedCount
+  }
+}
+
+module.exports = Session
@@ -0,0 +1,102 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+
+// Datos de verificación en dos pasos, separados de "users" para que nunca se filtren en perfiles
+class TwoFactor {
+  // Buscar configuración 2FA de un usuario
+  static async findByUser(userId) {
+    const db = getDB()
+    return await db.collection("two_factor").findOne({ userId: new ObjectId(userId) })
+  }
+
+  // Guardar un secreto pendiente de confirmar (inicio del alta)
+  static async savePendingSecret(userId, secret) {
+    const db = getDB()
+
+    await db.collection("two_factor").updateOne(
+      { userId: new ObjectId(userId) },
+      {
+        $set: {
+          pendingSecret: secret,
+          updatedAt: new Date(),
+        },
+        $setOnInsert: {
+          secret: null,
+          enabled: false,
+          recoveryCodes: [],
+          lastUsedStep: null,
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true },
+    )
+  }
+
+  // Activar 2FA con el secreto pendiente ya confirmado
+  static async enable(userId, secret, recoveryCodes, lastUsedStep) {
+    const db = getDB()
+
+    await db.collection("two_factor").updateOne(
+      { userId: new ObjectId(userId) },
+      {
+        $set: {
+          secret,
+          pendingSecret: null,
+          enabled: true,
+          enabledAt: new Date(),
+          recoveryCodes,
+          lastUsedStep,
+          updatedAt: new Date(),
+        },
+      },
+    )
+  }
+
+  // Registrar el último paso TOTP usado. Devuelve false si el código ya se había usado (replay)
+  static async useStep(userId, step) {
+    const db = getDB()
+
+    const result = await db.collection("two_factor").updateOne(
+      {
+        userId: new ObjectId(userId),
+        $or: [{ lastUsedStep: null }, { lastUsedStep: { $lt: step } }],
+      },
+      { $set: { lastUsedStep: step, updatedAt: new Date() } },
+    )
+
+    return result.modifiedCount > 0
+  }
+
+  // Consumir un código de recuperación (hash). Devuelve true si existía
+  static async consumeRecoveryCode(userId, codeHash) {
+    const db = getDB()
+
+    const result = await db.collection("two_factor").updateOne(
+      { userId: new ObjectId(userId), recoveryCodes: codeHash },
+      {
+        $pull: { recoveryCodes: codeHash },
+        $set: { updatedAt: new Date() },
+      },
+    )
+
+    return result.modifiedCount > 0
+  }
+
+  // Reemplazar los códigos de recuperación
+  static async setRecoveryCodes(userId, recoveryCodes) {
+    const db = getDB()
+
+    await db
+      .collection("two_factor")
+      .updateOne({ userId: new ObjectId(userId) }, { $set: { recoveryCodes, updatedAt: new Date() } })
+  }
+
+  // Eliminar la configuración 2FA de un usuario
+  static async deleteByUser(userId) {
+    const db = getDB()
+    const result = await db.collection("two_factor").deleteOne({ userId: new ObjectId(userId) })
+    return result.deletedCount > 0
+  }
+}
+
+module.exports = TwoFactor
@@ -0,0 +1,121 @@
+const { getDB } = require("../config/database")
+const { ObjectId } = require("mongodb")
+const crypto = require("crypto")
+
+// Intentos fallidos permitidos antes de invalidar un código
+const MAX_ATTEMPTS = 5
+
+class VerificationCode {
+  constructor(codeData) {
+    this.userId = new ObjectId(codeData.userId)
+    this.purpose = codeData.purpose
+    this.codeHash = codeData.codeHash
+    this.attempts = 0
+    this.expiresAt = codeData.expiresAt
+    this.usedAt = null
+    this.createdAt = codeData.createdAt || new Date()
+  }
+
+  // Hash SHA-256 del código (nunca se guarda el código en claro)
+  static hash(code) {
+    return crypto.createHash("sha256").update(String(code)).digest("hex")
+  }
+
+  // Crear un nuevo código, invalidando los anteriores del mismo propósito
+  static async create(code, codeData) {
+    const db = getDB()
+
+    await VerificationCode.deletePending(codeData.userId, codeData.purpose)
+
+    const verificationCode = new VerificationCode({
+      ...codeData,
+      codeHash: VerificationCode.hash(code),
+    })
+    const result = await db.collection("verification_codes").insertOne(verificationCode)
+
+    return {
+      _id: result.insertedId,
+      ...verificationCode,
+    }
+  }
+
+  // Obtener el último código emitido para un usuario y propósito
+  static async findLatest(userId, purpose) {
+    const db = getDB()
+
+    const [latest] = await db
+      .collection("verification_codes")
+      .find({ userId: new ObjectId(userId), purpose })
+      .sort({ createdAt: -1 })
+      .limit(1)
+      .toArray()
+
+    return latest || null
+  }
+
+  // Consumir un código de un usuario. Devuelve true solo si es válido y no se había usado
+  static async consume(userId, purpose, code) {
+    const db = getDB()
+
+    const active = await db.collection("verification_codes").findOne({
+      userId: new ObjectId(userId),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: MAX_ATTEMPTS },
+    })
+
+    if (!active) {
+      return false
+    }
+
+    if (active.codeHash !== VerificationCode.hash(code)) {
+      await db.collection("verification_codes").updateOne({ _id: active._id }, { $inc: { attempts: 1 } })
+      return false
+    }
+
+    return await VerificationCode.markUsed(active._id)
+  }
+
+  // Consumir un token largo buscándolo directamente por su hash. Devuelve el documento o null
+  static async consumeToken(purpose, token) {
+    const db = getDB()
+
+    return await db.collection("verification_codes").findOneAndUpdate(
+      {
+        codeHash: VerificationCode.hash(token),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { usedAt: new Date() } },
+      { returnDocument: "after" },
+    )
+  }
+
+  // Eliminar los códigos pendientes de un usuario para un propósito
+  static async deletePending(userId, purpose) {
+    const db = getDB()
+
+    const result = await db.collection("verification_codes").deleteMany({
+      userId: new ObjectId(userId),
+      purpose,
+      usedAt: null,
+    })
+
+    return result.deletedCount
+  }
+
+  // Marcar un código como usado de forma atómica
+  static async markUsed(id) {
+    const db = getDB()
+
+    const result = await db
+      .collection("verification_codes")
+      .updateOne({ _id: new ObjectId(id), usedAt: null }, { $set: { usedAt: new Date() } })
+
+    return result.modifiedCount > 0
+  }
+}
+
+module.exports = VerificationCode
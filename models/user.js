@@ -1,6 +1,10 @@
 const { getDB } = require('../config/database');
 const bcrypt = require('bcrypt');
 const { ObjectId } = require('mongodb');
+const { notDeleted } = require('../utils/softDelete');
+
+// Puntos de reputación por cada sugerencia de edición aceptada
+const REPUTATION_PER_ACCEPTED_EDIT = 10;
 
 class User {
   constructor(userData) {
@@ -8,6 +12,13 @@ class User {
     this.email = userData.email;
     this.password = userData.password;
     this.role = userData.role || 'user';
+    this.emailVerified = userData.emailVerified === true;
+    this.twoFactorEnabled = userData.twoFactorEnabled === true;
+    this.reviewCount = 0;
+    this.averageRating = 0;
+    this.acceptedEdits = 0;
+    this.rejectedEdits = 0;
+    this.reputation = 0;
     this.createdAt = userData.createdAt || new Date();
     this.updatedAt = userData.updatedAt || new Date();
   }
@@ -109,6 +120,54 @@ class User {
     return result.value;
   }
 
+  // Recalcular las estadísticas de reseñas del usuario
+  static async updateReviewStats(id) {
+    const db = getDB();
+
+    const reviewStats = await db.collection('reviews').aggregate([
+      { $match: notDeleted({ userId: new ObjectId(id) }) },
+      {
+        $group: {
+          _id: null,
+          avgRating: { $avg: '$rating' },
+          count: { $sum: 1 }
+        }
+      }
+    ]).toArray();
+
+    const reviewCount = reviewStats.length > 0 ? reviewStats[0].count : 0;
+    const averageRating = reviewStats.length > 0 ? Math.round(reviewStats[0].avgRating * 10) / 10 : 0;
+
+    await db.collection('users').updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { reviewCount, averageRating } }
+    );
+
+    return { reviewCount, averageRating };
+  }
+
+  // Recalcular las sugerencias de edición aceptadas y rechazadas del usuario y su reputación
+  static async updateEditStats(id) {
+    const db = getDB();
+
+    const counts = await db.collection('restaurant_suggestions').aggregate([
+      { $match: { userId: new ObjectId(id), status: { $in: ['accepted', 'rejected'] } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]).toArray();
+
+    const countOf = (status) => counts.find((entry) => entry._id === status)?.count || 0;
+    const acceptedEdits = countOf('accepted');
+    const rejectedEdits = countOf('rejected');
+    const reputation = acceptedEdits * REPUTATION_PER_ACCEPTED_EDIT;
+
+    await db.collection('users').updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { acceptedEdits, rejectedEdits, reputation } }
+    );
+
+    return { acceptedEdits, rejectedEdits, reputation };
+  }
+
   // Eliminar usuario
   static async deleteById(id) {
     const db = getDB();
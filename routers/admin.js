@@ -0,0 +1,639 @@
+const express = require("express")
+const { requireAuth, requirePermission } = require("../middlewares/auth")
+const {
+  validateObjectId,
+  validatePagination,
+  validateModerationQueue,
+  validateRankingConfigUpdate,
+} = require("../middlewares/validators")
+const { asyncHandler, createError, handleValidationErrors } = require("../middlewares/errorHandler")
+const Restaurant = require("../models/Restaurant")
+const Gazetteer = require("../models/Gazetteer")
+const { checkIntegrity } = require("../services/integrityService")
+const {
+  RETENTION_DAYS,
+  listTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  purgeExpired,
+} = require("../services/trashService")
+const { MIN_CONFIDENCE, completeAddressComponents } = require("../services/geocodingService")
+const {
+  getRankingSettings,
+  updateRankingConfig,
+  recomputeRankingStats,
+  takeRankingSnapshot,
+} = require("../services/rankingService")
+
+const router = express.Router()
+
+// Total de contadores desajustados (count) o corregidos (repaired) del informe de integridad
+const counterTotal = (report, field) =>
+  [report.reactionCounters, ...Object.values(report.favoriteCounters)].reduce(
+    (total, counters) => total + counters[field],
+    0,
+  )
+
+/**
+ * @swagger
+ * /api/v1/admin/integrity:
+ *   get:
+ *     summary: Comprobar la integridad referencial de los datos (solo admin)
+ *     description: Busca documentos que referencian restaurantes, platos, reseñas, usuarios o sesiones que ya no existen y contadores desajustados (likes/dislikes de las reseñas y favoritesCount de restaurantes y platos). No modifica nada.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Informe con el número de huérfanos y ejemplos de IDs por referencia
+ *       403:
+ *         description: Acceso denegado
+ */
+router.get(
+  "/integrity",
+  requireAuth,
+  requirePermission("system:integrity"),
+  asyncHandler(async (req, res) => {
+    const report = await checkIntegrity()
+    const counters = counterTotal(report, "count")
+
+    res.json({
+      success: true,
+      data: report,
+      message:
+        report.totalOrphans || counters
+          ? `Se han encontrado ${report.totalOrphans} documentos huérfanos y ${counters} contadores desajustados`
+          : "No se han encontrado documentos huérfanos ni contadores desajustados",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/integrity/repair:
+ *   post:
+ *     summary: Reparar las referencias rotas (solo admin)
+ *     description: Elimina los documentos huérfanos (o retira la referencia si está en un array, como los gestores de un restaurante), recalcula ratings y estadísticas de usuario afectados y corrige los contadores de reacciones de las reseñas y de favoritos de restaurantes y platos.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Informe con los documentos reparados por referencia
+ *       403:
+ *         description: Acceso denegado
+ */
+router.post(
+  "/integrity/repair",
+  requireAuth,
+  requirePermission("system:integrity"),
+  asyncHandler(async (req, res) => {
+    const report = await checkIntegrity({ repair: true })
+    const counters = counterTotal(report, "repaired")
+
+    res.json({
+      success: true,
+      data: report,
+      message: `Se han reparado ${report.totalOrphans} documentos huérfanos y ${counters} contadores`,
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/moderation:
+ *   get:
+ *     summary: Cola de moderación de restaurantes (solo admin)
+ *     description: Restaurantes en un estado de moderación, los enviados hace más tiempo primero.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, pending, approved, rejected, suspended]
+ *           default: pending
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdBy
+ *         description: ID del usuario que envió el restaurante
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Creados desde esta fecha (ISO 8601)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         description: Creados hasta esta fecha (ISO 8601)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Restaurantes de la cola con paginación
+ *       400:
+ *         description: Filtros inválidos
+ *       403:
+ *         description: Acceso denegado
+ */
+router.get(
+  "/moderation",
+  requireAuth,
+  requirePermission("restaurant:approve"),
+  validatePagination,
+  validateModerationQueue,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { status = "pending", category, createdBy, search, from, to, sortOrder, page = 1, limit = 20 } = req.query
+
+    if (!Restaurant.STATUSES.includes(status)) {
+      throw createError(400, `Estado inválido. Estados válidos: ${Restaurant.STATUSES.join(", ")}`)
+    }
+
+    const result = await Restaurant.findByStatus(status, {
+      page: Number.parseInt(page) || 1,
+      limit: Number.parseInt(limit) || 20,
+      sortOrder,
+      category,
+      createdBy,
+      search,
+      from,
+      to,
+    })
+
+    res.json({
+      success: true,
+      data: result.restaurants,
+      pagination: result.pagination,
+      message: `${result.pagination.totalRestaurants} restaurantes en estado ${status}`,
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/trash:
+ *   get:
+ *     summary: Listar la papelera (solo admin)
+ *     description: Documentos eliminados de un tipo, los más recientes primero. Se eliminan definitivamente tras TRASH_RETENTION_DAYS días.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [restaurants, dishes, reviews, categories]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Documentos en la papelera con paginación
+ *       400:
+ *         description: Tipo de papelera inválido
+ *       403:
+ *         description: Acceso denegado
+ */
+router.get(
+  "/trash",
+  requireAuth,
+  requirePermission("trash:manage"),
+  validatePagination,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { type, page = 1, limit = 20 } = req.query
+
+    const result = await listTrash(type, {
+      page: Number.parseInt(page) || 1,
+      limit: Number.parseInt(limit) || 20,
+    })
+
+    res.json({
+      success: true,
+      data: result.items,
+      pagination: result.pagination,
+      retentionDays: RETENTION_DAYS,
+      message: `${result.pagination.totalItems} documentos en la papelera`,
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/trash/purge:
+ *   post:
+ *     summary: Purgar la papelera ahora (solo admin)
+ *     description: Elimina definitivamente los documentos que llevan más de TRASH_RETENTION_DAYS días en la papelera, igual que la tarea periódica.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Documentos eliminados por tipo
+ *       403:
+ *         description: Acceso denegado
+ */
+router.post(
+  "/trash/purge",
+  requireAuth,
+  requirePermission("trash:manage"),
+  asyncHandler(async (req, res) => {
+    const purged = await purgeExpired()
+
+    res.json({
+      success: true,
+      data: purged,
+      message: "Papelera purgada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restaurar un documento de la papelera (solo admin)
+ *     description: Un restaurante se restaura con los platos y reseñas que se eliminaron con él. Un plato o reseña solo se restaura si su restaurante no está en la papelera.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [restaurants, dishes, reviews, categories]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Documento restaurado
+ *       404:
+ *         description: El documento no está en la papelera
+ *       409:
+ *         description: El restaurante del plato o reseña (o el plato de la reseña) está en la papelera, o ya existe otro documento con el mismo nombre (o reseña del mismo autor)
+ */
+router.post(
+  "/trash/:type/:id/restore",
+  requireAuth,
+  requirePermission("trash:manage"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { type, id } = req.params
+
+    const restored = await restoreFromTrash(type, id)
+
+    res.json({
+      success: true,
+      data: { restored },
+      message: "Documento restaurado exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/trash/{type}/{id}:
+ *   delete:
+ *     summary: Eliminar definitivamente un documento de la papelera (solo admin)
+ *     description: Un restaurante se elimina con todos sus platos, reseñas, favoritos y reclamaciones.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [restaurants, dishes, reviews, categories]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Documento eliminado definitivamente
+ *       404:
+ *         description: El documento no está en la papelera
+ */
+router.delete(
+  "/trash/:type/:id",
+  requireAuth,
+  requirePermission("trash:manage"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { type, id } = req.params
+
+    await purgeFromTrash(type, id)
+
+    res.json({
+      success: true,
+      message: "Documento eliminado definitivamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/geocoding/review:
+ *   get:
+ *     summary: Restaurantes con la ubicación pendiente de revisión
+ *     description: Direcciones geocodificadas con una confianza inferior a GEOCODING_MIN_CONFIDENCE o que no se han encontrado en el nomenclátor, las más antiguas primero.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Restaurantes pendientes con paginación
+ *       403:
+ *         description: Acceso denegado
+ */
+router.get(
+  "/geocoding/review",
+  requireAuth,
+  requirePermission("restaurant:approve"),
+  validatePagination,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await Restaurant.findGeocodingReview({
+      page: Number.parseInt(req.query.page) || 1,
+      limit: Number.parseInt(req.query.limit) || 20,
+    })
+
+    res.json({
+      success: true,
+      data: result.restaurants,
+      pagination: result.pagination,
+      minConfidence: MIN_CONFIDENCE,
+      message: `${result.pagination.totalRestaurants} restaurantes con la ubicación pendiente de revisión`,
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/geocoding/{id}/confirm:
+ *   patch:
+ *     summary: Dar por buena la ubicación geocodificada de un restaurante
+ *     description: Para corregirla, actualiza el restaurante con sus coordenadas (PUT /api/v1/restaurants/{id}).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ubicación confirmada
+ *       404:
+ *         description: El restaurante no tiene una ubicación pendiente de revisión
+ */
+router.patch(
+  "/geocoding/:id/confirm",
+  requireAuth,
+  requirePermission("restaurant:approve"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const restaurant = await Restaurant.confirmGeocoding(req.params.id, req.user._id)
+    if (!restaurant) {
+      throw createError(404, "El restaurante no tiene una ubicación pendiente de revisión")
+    }
+
+    // Con la ubicación confirmada ya se pueden completar la ciudad y el barrio de la dirección
+    const addressComponents = await completeAddressComponents(
+      restaurant.addressComponents || restaurant.address,
+      restaurant,
+    )
+    await Restaurant.setAddressComponents(restaurant._id, addressComponents)
+
+    res.json({
+      success: true,
+      data: { ...restaurant, addressComponents, addressKeys: Restaurant.getAddressKeys(addressComponents) },
+      message: "Ubicación confirmada",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/gazetteer:
+ *   get:
+ *     summary: Contenido del nomenclátor local (solo admin)
+ *     description: Número de lugares por tipo y origen. Se importa con npm run gazetteer:import.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recuento por tipo y origen
+ *       403:
+ *         description: Acceso denegado
+ */
+router.get(
+  "/gazetteer",
+  requireAuth,
+  requirePermission("gazetteer:manage"),
+  asyncHandler(async (req, res) => {
+    const stats = await Gazetteer.getStats()
+
+    res.json({
+      success: true,
+      data: stats,
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/ranking:
+ *   get:
+ *     summary: Configuración del ranking de restaurantes (solo admin)
+ *     description: Configuración vigente, fórmulas disponibles con sus parámetros y media global de las reseñas.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Configuración del ranking
+ *       403:
+ *         description: Acceso denegado
+ *   put:
+ *     summary: Cambiar la configuración del ranking (solo admin)
+ *     description: >-
+ *       Solo se envían los parámetros que cambian. Si cambia el decaimiento temporal o la ponderación
+ *       por reputación se recalculan las estadísticas de todos los restaurantes.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               formula:
+ *                 type: string
+ *                 enum: [bayesian, weighted]
+ *               minReviews:
+ *                 type: integer
+ *               formulas:
+ *                 type: object
+ *                 example: { "bayesian": { "priorWeight": 10 } }
+ *               timeDecay:
+ *                 type: object
+ *                 example: { "enabled": true, "halfLifeDays": 180 }
+ *               reputationWeighting:
+ *                 type: object
+ *                 example: { "enabled": true, "maxBoost": 1, "fullReputation": 100 }
+ *     responses:
+ *       200:
+ *         description: Configuración actualizada y número de restaurantes recalculados
+ *       400:
+ *         description: Parámetros inválidos
+ */
+router.get(
+  "/ranking",
+  requireAuth,
+  requirePermission("ranking:manage"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getRankingSettings(),
+    })
+  }),
+)
+
+router.put(
+  "/ranking",
+  requireAuth,
+  requirePermission("ranking:manage"),
+  validateRankingConfigUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await updateRankingConfig(req.body, req.user)
+
+    res.json({
+      success: true,
+      data: result,
+      message: "Configuración del ranking actualizada",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/ranking/recompute:
+ *   post:
+ *     summary: Recalcular las estadísticas del ranking de todos los restaurantes (solo admin)
+ *     description: También recalcula la valoración de todos los platos.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Número de restaurantes recalculados y de platos con reseñas
+ */
+router.post(
+  "/ranking/recompute",
+  requireAuth,
+  requirePermission("ranking:manage"),
+  asyncHandler(async (req, res) => {
+    const result = await recomputeRankingStats()
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Ranking recalculado para ${result.recomputed} restaurantes y ${result.dishes} platos`,
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/admin/ranking/snapshot:
+ *   post:
+ *     summary: Guardar ahora la instantánea del ranking de hoy (solo admin)
+ *     description: Sustituye la instantánea de hoy si ya existía (p. ej. tras cambiar la configuración).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Día y número de segmentos guardados
+ */
+router.post(
+  "/ranking/snapshot",
+  requireAuth,
+  requirePermission("ranking:manage"),
+  asyncHandler(async (req, res) => {
+    const result = await takeRankingSnapshot()
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Instantánea del ranking del ${result.date} guardada (${result.segments} segmentos)`,
+    })
+  }),
+)
+
+module.exports = router
@@ -0,0 +1,282 @@
+const express = require("express")
+const { requireAuth } = require("../middlewares/auth")
+const { validateApiKey, validateUpdateApiKey, validateObjectId } = require("../middlewares/validators")
+const { asyncHandler, handleValidationErrors, createError } = require("../middlewares/errorHandler")
+const { hasPermission, canAccessResource } = require("../config/permissions")
+const ApiKey = require("../models/ApiKey")
+const User = require("../models/User")
+const { createApiKey } = require("../services/apiKeyService")
+
+const router = express.Router()
+
+// Obtener una API key comprobando que pertenece al usuario actual (o que puede gestionar todas)
+const findAccessibleApiKey = async (req) => {
+  const apiKey = await ApiKey.findById(req.params.id)
+
+  if (!apiKey || !canAccessResource(req.user, "apikey:manage", apiKey.userId)) {
+    throw createError(404, "API key no encontrada")
+  }
+
+  return apiKey
+}
+
+/**
+ * @swagger
+ * /api/v1/api-keys:
+ *   get:
+ *     summary: Listar API keys del usuario actual
+ *     description: Los administradores pueden indicar userId para ver las claves de otro usuario.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: API keys obtenidas exitosamente
+ */
+router.get(
+  "/",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { userId, includeRevoked } = req.query
+
+    const apiKeys = await ApiKey.findAll({
+      userId: hasPermission(req.user, "apikey:manage:any") && userId ? userId : req.user._id,
+      includeRevoked: includeRevoked === "true",
+    })
+
+    res.json({
+      success: true,
+      data: apiKeys.map(ApiKey.toResponse),
+      message: "API keys obtenidas exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/api-keys:
+ *   post:
+ *     summary: Crear API key
+ *     description: La clave completa solo se devuelve en esta respuesta. rateLimit y userId solo los pueden indicar administradores.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Sincronización de menús"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [restaurants:read, restaurants:write, dishes:read, dishes:write, reviews:read, categories:read]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               rateLimit:
+ *                 type: integer
+ *                 description: Peticiones por minuto
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: API key creada exitosamente
+ *       403:
+ *         description: Solo los administradores pueden fijar rateLimit o userId
+ */
+router.post(
+  "/",
+  requireAuth,
+  validateApiKey,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { name, scopes, expiresAt, rateLimit, userId } = req.body
+
+    if (!hasPermission(req.user, "apikey:configure") && (rateLimit || userId)) {
+      throw createError(403, "Solo los administradores pueden fijar rateLimit o userId")
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw createError(400, "expiresAt debe ser una fecha futura")
+    }
+
+    if (userId && !(await User.findById(userId))) {
+      throw createError(404, "Usuario no encontrado")
+    }
+
+    const { apiKey, key } = await createApiKey(userId || req.user._id, {
+      name,
+      scopes,
+      expiresAt,
+      rateLimit: rateLimit ? Number.parseInt(rateLimit) : undefined,
+    })
+
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey, key },
+      message: "API key creada exitosamente. Guárdala en un lugar seguro, no se volverá a mostrar",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/api-keys/{id}:
+ *   get:
+ *     summary: Obtener API key por ID
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key obtenida exitosamente
+ *       404:
+ *         description: API key no encontrada
+ */
+router.get(
+  "/:id",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const apiKey = await findAccessibleApiKey(req)
+
+    res.json({
+      success: true,
+      data: ApiKey.toResponse(apiKey),
+      message: "API key obtenida exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/api-keys/{id}:
+ *   patch:
+ *     summary: Actualizar nombre, scopes o límite de una API key
+ *     description: rateLimit solo lo pueden modificar administradores.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               rateLimit:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: API key actualizada exitosamente
+ *       404:
+ *         description: API key no encontrada
+ */
+router.patch(
+  "/:id",
+  requireAuth,
+  validateObjectId("id"),
+  validateUpdateApiKey,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { name, scopes, rateLimit } = req.body
+
+    if (!hasPermission(req.user, "apikey:configure") && rateLimit) {
+      throw createError(403, "Solo los administradores pueden modificar rateLimit")
+    }
+
+    const apiKey = await findAccessibleApiKey(req)
+    if (apiKey.revokedAt) {
+      throw createError(400, "No se puede modificar una API key revocada")
+    }
+
+    const updateData = {}
+    if (name) updateData.name = name
+    if (scopes) updateData.scopes = [...new Set(scopes)]
+    if (rateLimit) updateData.rateLimit = Number.parseInt(rateLimit)
+
+    const updatedApiKey = await ApiKey.updateById(apiKey._id, updateData)
+
+    res.json({
+      success: true,
+      data: ApiKey.toResponse(updatedApiKey),
+      message: "API key actualizada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/api-keys/{id}:
+ *   delete:
+ *     summary: Revocar API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revocada exitosamente
+ *       404:
+ *         description: API key no encontrada
+ */
+router.delete(
+  "/:id",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const apiKey = await findAccessibleApiKey(req)
+
+    await ApiKey.revoke(apiKey._id)
+
+    res.json({
+      success: true,
+      message: "API key revocada exitosamente",
+    })
+  }),
+)
+
+module.exports = router
@@ -2,13 +2,21 @@ const express = require('express');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
-const { requireAuth } = require('../middlewares/auth');
+const { requireAuth, requireAuthOrChallenge } = require('../middlewares/auth');
 const { handleValidationErrors } = require('../middlewares/errorHandler');
 const {
+  validateObjectId,
   validateRegister,
   validateLogin,
   validateUserUpdate,
-  validatePasswordChange
+  validatePasswordChange,
+  validateRefreshToken,
+  validateEmailVerification,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
 } = require('../middlewares/validators');
 
 /**
@@ -168,21 +176,88 @@ router.put('/profile', requireAuth, validateUserUpdate, handleValidationErrors,
  */
 router.put('/change-password', requireAuth, validatePasswordChange, handleValidationErrors, authController.changePassword);
 
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Solicitar enlace de recuperación de contraseña
+ *     description: Responde siempre igual, exista o no el email, para no revelar qué cuentas están registradas.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "juan@email.com"
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida
+ */
+router.post('/forgot-password', validateForgotPassword, handleValidationErrors, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Restablecer contraseña con el token recibido por correo
+ *     description: El token es de un solo uso. Al restablecer la contraseña se cierran todas las sesiones abiertas.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: "NuevoPassword123"
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida exitosamente
+ *       400:
+ *         description: Token inválido o expirado, o contraseña que no cumple los requisitos
+ */
+router.post('/reset-password', validateResetPassword, handleValidationErrors, authController.resetPassword);
+
 /**
  * @swagger
  * /api/v1/auth/refresh:
  *   post:
  *     tags: [Autenticación]
  *     summary: Renovar token de autenticación
- *     security:
- *       - bearerAuth: []
+ *     description: Consume el refresh token y devuelve un nuevo access token junto con un nuevo refresh token. Reutilizar un refresh token ya consumido revoca toda la sesión.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token renovado exitosamente
  *       401:
- *         description: Token de autenticación requerido
+ *         description: Refresh token inválido, expirado, reutilizado o sesión revocada
  */
-router.post('/refresh', requireAuth, authController.refreshToken);
+router.post('/refresh', validateRefreshToken, handleValidationErrors, authController.refreshToken);
 
 /**
  * @swagger
@@ -190,6 +265,7 @@ router.post('/refresh', requireAuth, authController.refreshToken);
  *   post:
  *     tags: [Autenticación]
  *     summary: Cerrar sesión
+ *     description: Revoca la sesión actual; su access token y sus refresh tokens dejan de ser válidos.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -198,4 +274,258 @@ router.post('/refresh', requireAuth, authController.refreshToken);
  */
 router.post('/logout', requireAuth, authController.logout);
 
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Verificar email con el código enviado por correo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - code
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "juan@email.com"
+ *               code:
+ *                 type: string
+ *                 example: "A1B2C3"
+ *     responses:
+ *       200:
+ *         description: Email verificado exitosamente
+ *       400:
+ *         description: Código de verificación inválido o expirado
+ */
+router.post('/verify-email', validateEmailVerification, handleValidationErrors, authController.verifyEmail);
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Reenviar código de verificación de email
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Código de verificación enviado
+ *       400:
+ *         description: El email ya está verificado
+ *       429:
+ *         description: Se solicitó otro código hace muy poco
+ */
+router.post('/resend-verification', requireAuth, authController.resendVerification);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     tags: [Autenticación]
+ *     summary: Listar sesiones activas del usuario actual
+ *     description: Devuelve dispositivo (user-agent), IP, fecha de creación y último uso de cada sesión. La sesión desde la que se hace la petición se marca con current=true.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones activas
+ *       401:
+ *         description: Token de autenticación requerido
+ */
+router.get('/sessions', requireAuth, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   delete:
+ *     tags: [Autenticación]
+ *     summary: Cerrar sesión en todos los dispositivos
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Todas las sesiones han sido cerradas
+ *       401:
+ *         description: Token de autenticación requerido
+ */
+router.delete('/sessions', requireAuth, authController.logoutAll);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     tags: [Autenticación]
+ *     summary: Cerrar una sesión concreta del usuario actual
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada exitosamente
+ *       404:
+ *         description: Sesión no encontrada
+ */
+router.delete('/sessions/:id', requireAuth, validateObjectId('id'), handleValidationErrors, authController.deleteSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/verify:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Completar el login con verificación en dos pasos
+ *     description: Recibe el challengeToken devuelto por /auth/login cuando twoFactorRequired=true y un código TOTP o un código de recuperación (de un solo uso). Los fallos cuentan para el bloqueo por intentos fallidos.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "AB12-CD34"
+ *     responses:
+ *       200:
+ *         description: Login exitoso (devuelve token, refreshToken y expiresIn)
+ *       401:
+ *         description: Token de desafío o código inválido
+ *       423:
+ *         description: Cuenta bloqueada temporalmente
+ */
+router.post('/2fa/verify', validateTwoFactorLogin, handleValidationErrors, authController.verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Iniciar la configuración de la verificación en dos pasos
+ *     description: Devuelve el secreto TOTP y la URI otpauth:// para generar el código QR. Acepta el access token o, si el rol exige 2FA y aún no está configurado, el challengeToken devuelto por /auth/login.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secreto generado
+ *       400:
+ *         description: La verificación en dos pasos ya está activada
+ *       401:
+ *         description: Token de autenticación requerido
+ */
+router.post('/2fa/setup', requireAuthOrChallenge('2fa_setup'), authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enable:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Confirmar y activar la verificación en dos pasos
+ *     description: Devuelve 10 códigos de recuperación que solo se muestran una vez. Si se usa el challengeToken del login, también abre la sesión.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verificación en dos pasos activada
+ *       400:
+ *         description: Código inválido o configuración no iniciada
+ */
+router.post('/2fa/enable', requireAuthOrChallenge('2fa_setup'), validateTwoFactorCode, handleValidationErrors, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Desactivar la verificación en dos pasos
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Código TOTP o código de recuperación
+ *     responses:
+ *       200:
+ *         description: Verificación en dos pasos desactivada
+ *       400:
+ *         description: Código inválido
+ *       403:
+ *         description: El rol del usuario exige verificación en dos pasos
+ */
+router.post('/2fa/disable', requireAuth, validateTwoFactorDisable, handleValidationErrors, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Regenerar los códigos de recuperación
+ *     description: Invalida los códigos anteriores. Requiere un código TOTP vigente.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Nuevos códigos de recuperación
+ *       400:
+ *         description: Código inválido
+ */
+router.post('/2fa/recovery-codes', requireAuth, validateTwoFactorCode, handleValidationErrors, authController.regenerateRecoveryCodes);
+
 module.exports = router;
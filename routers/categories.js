@@ -1,7 +1,7 @@
 const express = require("express")
-const { requireAuth, requireRole } = require("../middlewares/auth")
+const { requireAuth, requirePermission, acceptApiKey } = require("../middlewares/auth")
 const { validateCategory, validateUpdateCategory } = require("../middlewares/validators")
-const { asyncHandler } = require("../middlewares/errorHandler")
+const { asyncHandler, createError } = require("../middlewares/errorHandler")
 const Category = require("../models/Category")
 
 const router = express.Router()
@@ -33,6 +33,7 @@ const router = express.Router()
  */
 router.get(
   "/",
+  acceptApiKey("categories:read"),
   asyncHandler(async (req, res) => {
     const { page = 1, limit = 10, active } = req.query
 
@@ -64,6 +65,7 @@ router.get(
  */
 router.get(
   "/active",
+  acceptApiKey("categories:read"),
   asyncHandler(async (req, res) => {
     const categories = await Category.findActive()
 
@@ -107,7 +109,7 @@ router.get(
 router.post(
   "/",
   requireAuth,
-  requireRole("admin"),
+  requirePermission("category:create"),
   validateCategory,
   asyncHandler(async (req, res) => {
     const categoryData = {
@@ -145,6 +147,7 @@ router.post(
  */
 router.get(
   "/:id",
+  acceptApiKey("categories:read"),
   asyncHandler(async (req, res) => {
     const { id } = req.params
 
@@ -202,7 +205,7 @@ router.get(
 router.put(
   "/:id",
   requireAuth,
-  requireRole("admin"),
+  requirePermission("category:update"),
   validateUpdateCategory,
   asyncHandler(async (req, res) => {
     const { id } = req.params
@@ -222,6 +225,7 @@ router.put(
  * /api/v1/categories/{id}:
  *   delete:
  *     summary: Eliminar categoría (solo admin)
+ *     description: La categoría pasa a la papelera y puede restaurarse desde /api/v1/admin/trash. No se puede eliminar si algún restaurante la usa.
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -234,15 +238,28 @@ router.put(
  *     responses:
  *       200:
  *         description: Categoría eliminada exitosamente
+ *       400:
+ *         description: La categoría está en uso
+ *       404:
+ *         description: Categoría no encontrada
  */
 router.delete(
   "/:id",
   requireAuth,
-  requireRole("admin"),
+  requirePermission("category:delete"),
   asyncHandler(async (req, res) => {
     const { id } = req.params
 
-    await Category.delete(id)
+    const category = await Category.findById(id)
+    if (!category) {
+      throw createError(404, "Categoría no encontrada")
+    }
+
+    try {
+      await Category.deleteById(id, req.user._id)
+    } catch (error) {
+      throw createError(400, error.message)
+    }
 
     res.json({
       success: true,
@@ -279,6 +296,7 @@ router.delete(
  */
 router.get(
   "/:id/restaurants",
+  acceptApiKey("categories:read"),
   asyncHandler(async (req, res) => {
     const { id } = req.params
     const { page = 1, limit = 10 } = req.query
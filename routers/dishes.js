@@ -1,11 +1,34 @@
 const express = require("express")
-const { requireAuth, requireRole } = require("../middlewares/auth")
-const { validateDish, validateUpdateDish } = require("../middlewares/validators")
-const { asyncHandler } = require("../middlewares/errorHandler")
+const { requireAuthOrApiKey, acceptApiKey } = require("../middlewares/auth")
+const {
+  validateDish,
+  validateUpdateDish,
+  validateDishFilters,
+  validateDishRanking,
+} = require("../middlewares/validators")
+const { asyncHandler, handleValidationErrors } = require("../middlewares/errorHandler")
 const Dish = require("../models/Dish")
+const Restaurant = require("../models/Restaurant")
+const Category = require("../models/Category")
+const { canManageRestaurant, canManageDish } = require("../services/ownershipService")
 
 const router = express.Router()
 
+// Campos que se pueden modificar de un plato (el restaurante, las estadísticas y las fechas no se tocan aquí)
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "ingredients",
+  "allergens",
+  "nutritionalInfo",
+  "preparationTime",
+  "spicyLevel",
+  "tags",
+  "image",
+  "available",
+]
+
 /**
  * @swagger
  * /api/v1/dishes:
@@ -47,14 +70,44 @@ const router = express.Router()
  *         name: maxPrice
  *         schema:
  *           type: number
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [name, price, rating, reviewCount, createdAt, taste, portion, presentation, value]
+ *           default: name
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: minRating
+ *         description: Solo platos con al menos esta valoración media
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minAspectRatings
+ *         description: Valoración mínima por aspecto (taste, portion, presentation, value), p. ej. minAspectRatings[taste]=4
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
  *     responses:
  *       200:
  *         description: Lista de platos obtenida exitosamente
  */
 router.get(
   "/",
+  acceptApiKey("dishes:read"),
+  validateDishFilters,
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
     const { page = 1, limit = 10, restaurant, category, available, search, minPrice, maxPrice } = req.query
+    const { sortBy, sortOrder, minRating, minAspectRatings } = req.query
 
     const options = {
       page: Number.parseInt(page),
@@ -64,6 +117,10 @@ router.get(
     if (search) options.search = search
     if (minPrice) options.minPrice = minPrice
     if (maxPrice) options.maxPrice = maxPrice
+    if (minRating) options.minRating = minRating
+    if (minAspectRatings) options.minAspectRatings = minAspectRatings
+    if (sortBy) options.sortBy = sortBy
+    if (sortOrder) options.sortOrder = sortOrder
     if (available !== undefined) options.available = available === "true"
 
     const dishes = await Dish.findAll(options)
@@ -92,18 +149,51 @@ router.get(
  *         name: category
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [name, price, rating, reviewCount, createdAt, taste, portion, presentation, value]
+ *           default: name
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: minRating
+ *         description: Solo platos con al menos esta valoración media
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minAspectRatings
+ *         description: Valoración mínima por aspecto (taste, portion, presentation, value), p. ej. minAspectRatings[taste]=4
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
  *     responses:
  *       200:
  *         description: Platos del restaurante obtenidos exitosamente
  */
 router.get(
   "/restaurant/:restaurantId",
+  acceptApiKey("dishes:read"),
+  validateDishFilters,
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
     const { restaurantId } = req.params
-    const { category } = req.query
+    const { category, sortBy, sortOrder, minRating, minAspectRatings } = req.query
 
     const filter = { restaurant: restaurantId, available: true }
     if (category) filter.category = category
+    if (minRating) filter.minRating = minRating
+    if (minAspectRatings) filter.minAspectRatings = minAspectRatings
+    if (sortBy) filter.sortBy = sortBy
+    if (sortOrder) filter.sortOrder = sortOrder
 
     const dishes = await Dish.findByRestaurant(restaurantId, filter)
 
@@ -115,14 +205,96 @@ router.get(
   }),
 )
 
+/**
+ * @swagger
+ * /api/v1/dishes/ranking:
+ *   get:
+ *     summary: Ranking de platos mejor valorados
+ *     description: >-
+ *       Platos disponibles de restaurantes aprobados, ordenados por rankingScore con la misma fórmula y
+ *       mínimo de reseñas que el ranking de restaurantes (la media a priori es la de las reseñas de platos).
+ *     tags: [Dishes]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         description: Categoría del plato (ID o nombre)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         description: Ciudad del restaurante
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Ranking obtenido exitosamente
+ *       404:
+ *         description: Categoría no encontrada
+ */
+router.get(
+  "/ranking",
+  acceptApiKey("dishes:read"),
+  validateDishRanking,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { category, city, minPrice, maxPrice, limit } = req.query
+
+    const options = {
+      limit: Math.min(Number.parseInt(limit) || 10, 100),
+      city,
+    }
+
+    if (category) {
+      // Se admite el ID de la categoría o su nombre
+      const found = /^[a-f\d]{24}$/i.test(category)
+        ? await Category.findById(category)
+        : await Category.findByName(category)
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: "Categoría no encontrada",
+        })
+      }
+      options.categoryId = found._id
+    }
+
+    if (minPrice !== undefined) options.minPrice = Number.parseFloat(minPrice)
+    if (maxPrice !== undefined) options.maxPrice = Number.parseFloat(maxPrice)
+
+    const ranking = await Dish.getRanking(options)
+
+    res.json({
+      success: true,
+      data: ranking,
+      message: `Top ${ranking.length} platos${category ? ` en ${category}` : ""}${city ? ` en ${city}` : ""}`,
+    })
+  }),
+)
+
 /**
  * @swagger
  * /api/v1/dishes:
  *   post:
  *     summary: Crear nuevo plato
+ *     description: Solo los gestores del restaurante o un administrador pueden añadirle platos.
  *     tags: [Dishes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -147,15 +319,36 @@ router.get(
  *     responses:
  *       201:
  *         description: Plato creado exitosamente
+ *       403:
+ *         description: El usuario no gestiona el restaurante
+ *       404:
+ *         description: Restaurante no encontrado
  */
 router.post(
   "/",
-  requireAuth,
+  requireAuthOrApiKey("dishes:write"),
   validateDish,
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
+    const restaurant = await Restaurant.findById(req.body.restaurant || req.body.restaurantId)
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: "Restaurante no encontrado",
+      })
+    }
+
+    // Solo los gestores del restaurante (o un administrador) pueden añadirle platos
+    if (!canManageRestaurant(req.user, restaurant, "dish:create")) {
+      return res.status(403).json({
+        success: false,
+        message: "No tienes permisos para añadir platos a este restaurante",
+      })
+    }
+
     const dishData = {
       ...req.body,
-      createdBy: req.user.id,
+      createdBy: req.user._id,
     }
 
     const dish = await Dish.create(dishData)
@@ -188,6 +381,7 @@ router.post(
  */
 router.get(
   "/:id",
+  acceptApiKey("dishes:read"),
   asyncHandler(async (req, res) => {
     const { id } = req.params
 
@@ -215,6 +409,7 @@ router.get(
  *     tags: [Dishes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -242,8 +437,9 @@ router.get(
  */
 router.put(
   "/:id",
-  requireAuth,
+  requireAuthOrApiKey("dishes:write"),
   validateUpdateDish,
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
     const { id } = req.params
 
@@ -255,14 +451,19 @@ router.put(
       })
     }
 
-    if (req.user.role !== "admin" && dish.createdBy !== req.user.id) {
+    if (!(await canManageDish(req.user, dish, "dish:update"))) {
       return res.status(403).json({
         success: false,
         message: "No tienes permisos para actualizar este plato",
       })
     }
 
-    const updatedDish = await Dish.updateById(id, req.body)
+    const updateData = {}
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field]
+    }
+
+    const updatedDish = await Dish.updateById(id, updateData)
 
     res.json({
       success: true,
@@ -277,9 +478,11 @@ router.put(
  * /api/v1/dishes/{id}:
  *   delete:
  *     summary: Eliminar plato
+ *     description: El plato pasa a la papelera y puede restaurarse desde /api/v1/admin/trash
  *     tags: [Dishes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -292,7 +495,7 @@ router.put(
  */
 router.delete(
   "/:id",
-  requireAuth,
+  requireAuthOrApiKey("dishes:write"),
   asyncHandler(async (req, res) => {
     const { id } = req.params
 
@@ -304,7 +507,7 @@ router.delete(
       })
     }
 
-    if (req.user.role !== "admin" && dish.createdBy !== req.user.id) {
+    if (!(await canManageDish(req.user, dish, "dish:delete"))) {
       return res.status(403).json({
         success: false,
         message: "No tienes permisos para eliminar este plato",
@@ -315,7 +518,7 @@ router.delete(
     console.log("[v0] Dish.deleteById method exists:", typeof Dish.deleteById === "function")
 
     try {
-      await Dish.deleteById(id)
+      await Dish.deleteById(id, req.user._id)
       console.log("[v0] Dish deletion successful")
     } catch (error) {
       console.log("[v0] Dish deletion error:", error.message)
@@ -0,0 +1,221 @@
+const express = require("express")
+const { requireAuth, requirePermission } = require("../middlewares/auth")
+const { validateObjectId, validatePagination } = require("../middlewares/validators")
+const { asyncHandler, handleValidationErrors } = require("../middlewares/errorHandler")
+const { addFavorite, removeFavorite, getFavorites } = require("../services/favoriteService")
+
+const router = express.Router()
+
+// Mensajes de cada tipo de favorito
+const MESSAGES = {
+  restaurant: {
+    list: "Restaurantes favoritos obtenidos exitosamente",
+    added: "Restaurante añadido a favoritos",
+    unchanged: "El restaurante ya estaba en favoritos",
+    removed: "Restaurante quitado de favoritos",
+    notFavorite: "El restaurante no estaba en favoritos",
+  },
+  dish: {
+    list: "Platos favoritos obtenidos exitosamente",
+    added: "Plato añadido a favoritos",
+    unchanged: "El plato ya estaba en favoritos",
+    removed: "Plato quitado de favoritos",
+    notFavorite: "El plato no estaba en favoritos",
+  },
+}
+
+const listFavorites = (type) =>
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query
+
+    const result = await getFavorites(req.user, type, {
+      page: Number.parseInt(page) || 1,
+      limit: Math.min(Number.parseInt(limit) || 20, 100),
+    })
+
+    res.json({
+      success: true,
+      data: result,
+      message: MESSAGES[type].list,
+    })
+  })
+
+const markFavorite = (type) =>
+  asyncHandler(async (req, res) => {
+    const { added, favoritesCount } = await addFavorite(req.user, type, req.params.id)
+
+    res.json({
+      success: true,
+      data: { isFavorite: true, favoritesCount },
+      message: added ? MESSAGES[type].added : MESSAGES[type].unchanged,
+    })
+  })
+
+const unmarkFavorite = (type) =>
+  asyncHandler(async (req, res) => {
+    const removed = await removeFavorite(req.user, type, req.params.id)
+
+    res.json({
+      success: true,
+      data: { isFavorite: false },
+      message: removed ? MESSAGES[type].removed : MESSAGES[type].notFavorite,
+    })
+  })
+
+/**
+ * @swagger
+ * /api/v1/favorites/restaurants:
+ *   get:
+ *     summary: Listar mis restaurantes favoritos
+ *     description: Del más reciente al más antiguo. Los restaurantes eliminados o no aprobados no aparecen.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Favoritos con la fecha en que se marcaron (favoritedAt) y los datos del restaurante
+ */
+router.get("/restaurants", requireAuth, validatePagination, handleValidationErrors, listFavorites("restaurant"))
+
+/**
+ * @swagger
+ * /api/v1/favorites/restaurants/{id}:
+ *   put:
+ *     summary: Marcar un restaurante como favorito
+ *     description: Repetir la petición no cambia nada.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restaurante en favoritos, con su favoritesCount actualizado
+ *       404:
+ *         description: Restaurante no encontrado
+ *   delete:
+ *     summary: Quitar un restaurante de favoritos
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restaurante quitado de favoritos (o no lo era)
+ */
+router.put(
+  "/restaurants/:id",
+  requireAuth,
+  requirePermission("favorite:manage"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  markFavorite("restaurant"),
+)
+
+router.delete(
+  "/restaurants/:id",
+  requireAuth,
+  requirePermission("favorite:manage"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  unmarkFavorite("restaurant"),
+)
+
+/**
+ * @swagger
+ * /api/v1/favorites/dishes:
+ *   get:
+ *     summary: Listar mis platos favoritos
+ *     description: Del más reciente al más antiguo, con el nombre y la categoría de su restaurante. Los platos eliminados o de restaurantes no aprobados no aparecen.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Favoritos con la fecha en que se marcaron (favoritedAt) y los datos del plato
+ */
+router.get("/dishes", requireAuth, validatePagination, handleValidationErrors, listFavorites("dish"))
+
+/**
+ * @swagger
+ * /api/v1/favorites/dishes/{id}:
+ *   put:
+ *     summary: Marcar un plato como favorito
+ *     description: Repetir la petición no cambia nada.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plato en favoritos, con su favoritesCount actualizado
+ *       404:
+ *         description: Plato no encontrado
+ *   delete:
+ *     summary: Quitar un plato de favoritos
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plato quitado de favoritos (o no lo era)
+ */
+router.put(
+  "/dishes/:id",
+  requireAuth,
+  requirePermission("favorite:manage"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  markFavorite("dish"),
+)
+
+router.delete(
+  "/dishes/:id",
+  requireAuth,
+  requirePermission("favorite:manage"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  unmarkFavorite("dish"),
+)
+
+module.exports = router
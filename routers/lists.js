@@ -0,0 +1,543 @@
+const express = require("express")
+const { requireAuth, requirePermission, optionalAuth } = require("../middlewares/auth")
+const {
+  validateObjectId,
+  validateFavoriteList,
+  validateListUpdate,
+  validateListItem,
+  validateListItemUpdate,
+  validateListOrder,
+  validatePublicListsQuery,
+  validateShareToken,
+} = require("../middlewares/validators")
+const { asyncHandler, handleValidationErrors } = require("../middlewares/errorHandler")
+const {
+  getUserLists,
+  getPublicLists,
+  getList,
+  getSharedList,
+  createList,
+  updateList,
+  deleteList,
+  regenerateShareLink,
+  addListItem,
+  updateListItem,
+  reorderList,
+  removeListItem,
+} = require("../services/favoriteService")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/v1/lists:
+ *   get:
+ *     summary: Listar mis listas
+ *     description: Sin sus elementos (con itemCount), las modificadas más recientemente primero.
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Listas obtenidas exitosamente
+ *   post:
+ *     summary: Crear una lista
+ *     description: La lista empieza vacía. private solo la ve su autor, unlisted cualquiera con el enlace (shareUrl) y public además aparece en los listados públicos.
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Quiero probar"
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, unlisted, public]
+ *                 default: private
+ *     responses:
+ *       201:
+ *         description: Lista creada exitosamente
+ *       409:
+ *         description: El usuario ya tiene el máximo de listas (LIST_MAX_PER_USER)
+ */
+router.get(
+  "/",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const lists = await getUserLists(req.user)
+
+    res.json({
+      success: true,
+      data: lists,
+      message: "Listas obtenidas exitosamente",
+    })
+  }),
+)
+
+router.post(
+  "/",
+  requireAuth,
+  requirePermission("list:create"),
+  validateFavoriteList,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const list = await createList(req.user, req.body)
+
+    res.status(201).json({
+      success: true,
+      data: list,
+      message: "Lista creada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/lists/public:
+ *   get:
+ *     summary: Listar listas públicas
+ *     description: Sin sus elementos. Sin user, las listas públicas no vacías de todos los usuarios (paginadas); con user, todas las listas públicas de ese usuario.
+ *     tags: [Lists]
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Listas obtenidas exitosamente
+ */
+router.get(
+  "/public",
+  validatePublicListsQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { user, page = 1, limit = 20 } = req.query
+
+    const result = await getPublicLists({
+      userId: user,
+      page: Number.parseInt(page) || 1,
+      limit: Math.min(Number.parseInt(limit) || 20, 100),
+    })
+
+    res.json({
+      success: true,
+      data: result,
+      message: "Listas obtenidas exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/lists/shared/{token}:
+ *   get:
+ *     summary: Ver una lista compartida por enlace
+ *     description: Funciona con las listas unlisted y public. Los restaurantes y platos que ya no están disponibles no aparecen.
+ *     tags: [Lists]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista obtenida exitosamente
+ *       404:
+ *         description: Lista no encontrada, privada o con un enlace que ya no es válido
+ */
+router.get(
+  "/shared/:token",
+  validateShareToken,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const list = await getSharedList(req.params.token)
+
+    res.json({
+      success: true,
+      data: list,
+      message: "Lista obtenida exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/lists/{id}:
+ *   get:
+ *     summary: Obtener una lista con sus elementos
+ *     description: Su autor (o un administrador) la ve siempre, incluidos los elementos que ya no están disponibles (available false); el resto, solo si es pública.
+ *     tags: [Lists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista obtenida exitosamente
+ *       404:
+ *         description: Lista no encontrada
+ *   patch:
+ *     summary: Cambiar el nombre, la descripción o la visibilidad de una lista
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, unlisted, public]
+ *     responses:
+ *       200:
+ *         description: Lista actualizada exitosamente
+ *       403:
+ *         description: La lista es de otro usuario
+ *       404:
+ *         description: Lista no encontrada
+ *   delete:
+ *     summary: Eliminar una lista
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista eliminada exitosamente
+ *       403:
+ *         description: La lista es de otro usuario
+ *       404:
+ *         description: Lista no encontrada
+ */
+router.get(
+  "/:id",
+  optionalAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const list = await getList(req.user, req.params.id)
+
+    res.json({
+      success: true,
+      data: list,
+      message: "Lista obtenida exitosamente",
+    })
+  }),
+)
+
+router.patch(
+  "/:id",
+  requireAuth,
+  validateListUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const list = await updateList(req.user, req.params.id, req.body)
+
+    res.json({
+      success: true,
+      data: list,
+      message: "Lista actualizada exitosamente",
+    })
+  }),
+)
+
+router.delete(
+  "/:id",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    await deleteList(req.user, req.params.id)
+
+    res.json({
+      success: true,
+      message: "Lista eliminada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/lists/{id}/share-link:
+ *   post:
+ *     summary: Generar un nuevo enlace para compartir la lista
+ *     description: El enlace anterior deja de funcionar. Las listas privadas no tienen enlace hasta que se cambia su visibilidad.
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista con el nuevo shareUrl
+ *       403:
+ *         description: La lista es de otro usuario
+ *       404:
+ *         description: Lista no encontrada
+ */
+router.post(
+  "/:id/share-link",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const list = await regenerateShareLink(req.user, req.params.id)
+
+    res.json({
+      success: true,
+      data: list,
+      message: "Enlace para compartir regenerado exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/lists/{id}/items:
+ *   post:
+ *     summary: Añadir un restaurante o plato a una lista
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - targetId
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [restaurant, dish]
+ *               targetId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *                 example: "Pedir la burrata"
+ *               position:
+ *                 type: integer
+ *                 description: Posición desde 0 (por defecto, al final)
+ *     responses:
+ *       201:
+ *         description: Elemento añadido; devuelve la lista actualizada
+ *       404:
+ *         description: Lista, restaurante o plato no encontrado
+ *       409:
+ *         description: El elemento ya está en la lista o la lista está llena (LIST_MAX_ITEMS)
+ */
+router.post(
+  "/:id/items",
+  requireAuth,
+  validateListItem,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const list = await addListItem(req.user, req.params.id, req.body)
+
+    res.status(201).json({
+      success: true,
+      data: list,
+      message: "Elemento añadido a la lista",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/lists/{id}/items/{itemId}:
+ *   patch:
+ *     summary: Cambiar la nota o la posición de un elemento
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Elemento actualizado; devuelve la lista actualizada
+ *       404:
+ *         description: Lista o elemento no encontrado
+ *       409:
+ *         description: La lista ha cambiado mientras se reordenaba
+ *   delete:
+ *     summary: Quitar un elemento de una lista
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Elemento quitado; devuelve la lista actualizada
+ *       404:
+ *         description: Lista o elemento no encontrado
+ */
+router.patch(
+  "/:id/items/:itemId",
+  requireAuth,
+  validateListItemUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const list = await updateListItem(req.user, req.params.id, req.params.itemId, req.body)
+
+    res.json({
+      success: true,
+      data: list,
+      message: "Elemento actualizado exitosamente",
+    })
+  }),
+)
+
+router.delete(
+  "/:id/items/:itemId",
+  requireAuth,
+  validateObjectId("id"),
+  validateObjectId("itemId"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const list = await removeListItem(req.user, req.params.id, req.params.itemId)
+
+    res.json({
+      success: true,
+      data: list,
+      message: "Elemento quitado de la lista",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/lists/{id}/order:
+ *   put:
+ *     summary: Reordenar los elementos de una lista
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemIds
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 description: IDs de todos los elementos de la lista en el nuevo orden
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Lista reordenada exitosamente
+ *       400:
+ *         description: itemIds no contiene exactamente los elementos de la lista
+ *       409:
+ *         description: La lista ha cambiado mientras se reordenaba
+ */
+router.put(
+  "/:id/order",
+  requireAuth,
+  validateListOrder,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const list = await reorderList(req.user, req.params.id, req.body.itemIds)
+
+    res.json({
+      success: true,
+      data: list,
+      message: "Lista reordenada exitosamente",
+    })
+  }),
+)
+
+module.exports = router
@@ -0,0 +1,297 @@
+const express = require("express")
+const { requireAuth, requirePermission } = require("../middlewares/auth")
+const { validateRestaurantClaim, validateClaimReview, validateObjectId } = require("../middlewares/validators")
+const { asyncHandler, handleValidationErrors, createError } = require("../middlewares/errorHandler")
+const { hasPermission } = require("../config/permissions")
+const RestaurantClaim = require("../models/RestaurantClaim")
+const { submitClaim, approveClaim, rejectClaim, cancelClaim } = require("../services/ownershipService")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/v1/restaurant-claims:
+ *   post:
+ *     summary: Reclamar la propiedad de un restaurante
+ *     description: La reclamación queda pendiente hasta que un administrador la revise.
+ *     tags: [Restaurant Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - restaurantId
+ *               - evidence
+ *             properties:
+ *               restaurantId:
+ *                 type: string
+ *               evidence:
+ *                 type: object
+ *                 properties:
+ *                   description:
+ *                     type: string
+ *                     example: "Soy el titular de la licencia de actividad del local"
+ *                   documents:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       format: uri
+ *                   contactPhone:
+ *                     type: string
+ *                   contactEmail:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Reclamación enviada exitosamente
+ *       409:
+ *         description: Ya existe una reclamación pendiente
+ */
+router.post(
+  "/",
+  requireAuth,
+  requirePermission("restaurant:claim"),
+  validateRestaurantClaim,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const claim = await submitClaim(req.user, req.body.restaurantId, req.body.evidence)
+
+    res.status(201).json({
+      success: true,
+      data: claim,
+      message: "Reclamación enviada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-claims:
+ *   get:
+ *     summary: Listar reclamaciones de propiedad
+ *     description: Los administradores ven todas las reclamaciones; el resto de usuarios solo las suyas.
+ *     tags: [Restaurant Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: restaurantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reclamaciones obtenidas exitosamente
+ */
+router.get(
+  "/",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { status, restaurantId, page = 1, limit = 10 } = req.query
+
+    if (status && !RestaurantClaim.STATUSES.includes(status)) {
+      throw createError(400, "Estado de reclamación inválido")
+    }
+
+    const isReviewer = hasPermission(req.user, "restaurant:claim:review")
+
+    const result = await RestaurantClaim.findAll({
+      page: Number.parseInt(page) || 1,
+      limit: Math.min(Number.parseInt(limit) || 10, 50),
+      status,
+      restaurantId: isReviewer ? restaurantId : undefined,
+      userId: isReviewer ? undefined : req.user._id,
+    })
+
+    res.json({
+      success: true,
+      data: result,
+      message: "Reclamaciones obtenidas exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-claims/{id}:
+ *   get:
+ *     summary: Obtener una reclamación por ID
+ *     tags: [Restaurant Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reclamación obtenida exitosamente
+ *       404:
+ *         description: Reclamación no encontrada
+ */
+router.get(
+  "/:id",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const claim = await RestaurantClaim.findById(req.params.id)
+
+    const isOwnClaim = claim && claim.userId.toString() === req.user._id.toString()
+    if (!claim || (!isOwnClaim && !hasPermission(req.user, "restaurant:claim:review"))) {
+      throw createError(404, "Reclamación no encontrada")
+    }
+
+    res.json({
+      success: true,
+      data: claim,
+      message: "Reclamación obtenida exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-claims/{id}/approve:
+ *   patch:
+ *     summary: Aprobar una reclamación (solo admin)
+ *     description: El solicitante pasa a gestionar el restaurante y obtiene el rol owner.
+ *     tags: [Restaurant Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reclamación aprobada exitosamente
+ *       404:
+ *         description: Reclamación no encontrada o ya resuelta
+ */
+router.patch(
+  "/:id/approve",
+  requireAuth,
+  requirePermission("restaurant:claim:review"),
+  validateObjectId("id"),
+  validateClaimReview,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const claim = await approveClaim(req.params.id, req.user, req.body.note)
+
+    res.json({
+      success: true,
+      data: claim,
+      message: "Reclamación aprobada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-claims/{id}/reject:
+ *   patch:
+ *     summary: Rechazar una reclamación (solo admin)
+ *     tags: [Restaurant Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reclamación rechazada exitosamente
+ *       404:
+ *         description: Reclamación no encontrada o ya resuelta
+ */
+router.patch(
+  "/:id/reject",
+  requireAuth,
+  requirePermission("restaurant:claim:review"),
+  validateObjectId("id"),
+  validateClaimReview,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const claim = await rejectClaim(req.params.id, req.user, req.body.note)
+
+    res.json({
+      success: true,
+      data: claim,
+      message: "Reclamación rechazada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-claims/{id}:
+ *   delete:
+ *     summary: Cancelar una reclamación propia pendiente
+ *     tags: [Restaurant Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reclamación cancelada exitosamente
+ */
+router.delete(
+  "/:id",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const claim = await cancelClaim(req.params.id, req.user)
+
+    res.json({
+      success: true,
+      data: claim,
+      message: "Reclamación cancelada exitosamente",
+    })
+  }),
+)
+
+module.exports = router
@@ -0,0 +1,310 @@
+const express = require("express")
+const { requireAuth, requirePermission } = require("../middlewares/auth")
+const { validateRestaurantSuggestion, validateClaimReview, validateObjectId } = require("../middlewares/validators")
+const { asyncHandler, handleValidationErrors, createError } = require("../middlewares/errorHandler")
+const { hasPermission } = require("../config/permissions")
+const Restaurant = require("../models/Restaurant")
+const RestaurantSuggestion = require("../models/RestaurantSuggestion")
+const {
+  canSeeSuggestion,
+  submitSuggestion,
+  acceptSuggestion,
+  rejectSuggestion,
+  cancelSuggestion,
+} = require("../services/suggestionService")
+const { hideModerationNotes } = require("../services/moderationService")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/v1/restaurant-suggestions:
+ *   post:
+ *     summary: Sugerir cambios en los datos de un restaurante
+ *     description: Solo se guardan los campos que cambian respecto al restaurante actual. La sugerencia queda pendiente hasta que un moderador o un gestor del restaurante la revise.
+ *     tags: [Restaurant Suggestions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - restaurantId
+ *               - changes
+ *             properties:
+ *               restaurantId:
+ *                 type: string
+ *               changes:
+ *                 type: object
+ *                 description: name, description, category, address, contact (phone, email, website), cuisine, priceRange o features
+ *                 example:
+ *                   contact:
+ *                     phone: "+34 91 765 4321"
+ *               comment:
+ *                 type: string
+ *                 example: "He llamado hoy y el número antiguo ya no existe"
+ *     responses:
+ *       201:
+ *         description: Sugerencia enviada exitosamente
+ *       400:
+ *         description: La sugerencia no cambia ningún dato o incluye campos no permitidos
+ *       409:
+ *         description: Ya existe una sugerencia pendiente del usuario para el restaurante
+ */
+router.post(
+  "/",
+  requireAuth,
+  requirePermission("restaurant:suggest"),
+  validateRestaurantSuggestion,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const suggestion = await submitSuggestion(req.user, req.body.restaurantId, req.body.changes, req.body.comment)
+
+    res.status(201).json({
+      success: true,
+      data: suggestion,
+      message: "Sugerencia enviada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-suggestions:
+ *   get:
+ *     summary: Listar sugerencias de edición
+ *     description: Los administradores ven todas; los propietarios, las suyas y las de los restaurantes que gestionan; el resto de usuarios, solo las suyas.
+ *     tags: [Restaurant Suggestions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, cancelled]
+ *       - in: query
+ *         name: restaurantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sugerencias obtenidas exitosamente
+ */
+router.get(
+  "/",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { status, restaurantId, page = 1, limit = 10 } = req.query
+
+    if (status && !RestaurantSuggestion.STATUSES.includes(status)) {
+      throw createError(400, "Estado de sugerencia inválido")
+    }
+
+    const options = {
+      page: Number.parseInt(page) || 1,
+      limit: Math.min(Number.parseInt(limit) || 10, 50),
+      status,
+      restaurantId,
+    }
+
+    if (!hasPermission(req.user, "restaurant:suggestion:review:any")) {
+      options.userId = req.user._id
+
+      if (hasPermission(req.user, "restaurant:suggestion:review:own")) {
+        const managed = await Restaurant.findManagedBy(req.user._id)
+        options.managedRestaurantIds = managed.map((restaurant) => restaurant._id)
+      }
+    }
+
+    const result = await RestaurantSuggestion.findAll(options)
+
+    res.json({
+      success: true,
+      data: result,
+      message: "Sugerencias obtenidas exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-suggestions/{id}:
+ *   get:
+ *     summary: Obtener una sugerencia por ID
+ *     tags: [Restaurant Suggestions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sugerencia obtenida exitosamente
+ *       404:
+ *         description: Sugerencia no encontrada
+ */
+router.get(
+  "/:id",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const suggestion = await RestaurantSuggestion.findById(req.params.id)
+
+    if (!suggestion || !(await canSeeSuggestion(req.user, suggestion))) {
+      throw createError(404, "Sugerencia no encontrada")
+    }
+
+    res.json({
+      success: true,
+      data: suggestion,
+      message: "Sugerencia obtenida exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-suggestions/{id}/accept:
+ *   patch:
+ *     summary: Aceptar una sugerencia y aplicar sus cambios
+ *     description: Solo administradores o gestores del restaurante, y nunca sobre sugerencias propias. El autor suma reputación.
+ *     tags: [Restaurant Suggestions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sugerencia aceptada y restaurante actualizado
+ *       403:
+ *         description: No tienes permisos para revisar sugerencias de este restaurante
+ *       404:
+ *         description: Sugerencia no encontrada o ya resuelta
+ *       409:
+ *         description: Algún campo del restaurante ha cambiado desde la sugerencia
+ */
+router.patch(
+  "/:id/accept",
+  requireAuth,
+  validateObjectId("id"),
+  validateClaimReview,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await acceptSuggestion(req.params.id, req.user, req.body.note)
+
+    res.json({
+      success: true,
+      data: { ...result, restaurant: hideModerationNotes(result.restaurant, req.user) },
+      message: "Sugerencia aceptada y aplicada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-suggestions/{id}/reject:
+ *   patch:
+ *     summary: Rechazar una sugerencia
+ *     tags: [Restaurant Suggestions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sugerencia rechazada exitosamente
+ *       404:
+ *         description: Sugerencia no encontrada o ya resuelta
+ */
+router.patch(
+  "/:id/reject",
+  requireAuth,
+  validateObjectId("id"),
+  validateClaimReview,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const suggestion = await rejectSuggestion(req.params.id, req.user, req.body.note)
+
+    res.json({
+      success: true,
+      data: suggestion,
+      message: "Sugerencia rechazada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurant-suggestions/{id}:
+ *   delete:
+ *     summary: Cancelar una sugerencia propia pendiente
+ *     tags: [Restaurant Suggestions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sugerencia cancelada exitosamente
+ */
+router.delete(
+  "/:id",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const suggestion = await cancelSuggestion(req.params.id, req.user)
+
+    res.json({
+      success: true,
+      data: suggestion,
+      message: "Sugerencia cancelada exitosamente",
+    })
+  }),
+)
+
+module.exports = router
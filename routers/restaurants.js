@@ -1,11 +1,66 @@
 const express = require("express")
-const { requireAuth, requireRole } = require("../middlewares/auth")
-const { validateRestaurant } = require("../middlewares/validators")
-const { asyncHandler } = require("../middlewares/errorHandler")
-const Restaurant = require("../models/Restaurant")
+const {
+  requireAuth,
+  requireAuthOrApiKey,
+  requirePermission,
+  requireVerifiedEmail,
+  acceptApiKey,
+  optionalAuth,
+} = require("../middlewares/auth")
+const {
+  validateRestaurant,
+  validateUpdateRestaurant,
+  validateManager,
+  validateModeration,
+  validateObjectId,
+  validateOpeningFilter,
+  validateAddressFilter,
+  validateRestaurantAspectFilters,
+  validateCitiesQuery,
+  validateRankingQuery,
+  validateRankingSnapshotQuery,
+  validateRankingChangesQuery,
+  validateRankHistoryQuery,
+  validateNearbySearch,
+  validateViewportSearch,
+  validatePolygonSearch,
+} = require("../middlewares/validators")
+const { handleValidationErrors } = require("../middlewares/errorHandler")
+const {
+  createRestaurant,
+  getAllRestaurants,
+  getRestaurantById,
+  updateRestaurant,
+  deleteRestaurant,
+  approveRestaurant,
+  rejectRestaurant,
+  suspendRestaurant,
+  submitRestaurant,
+  withdrawRestaurant,
+  getRestaurantModeration,
+  getRestaurantsByCategory,
+  getRestaurantRanking,
+  getRankingSnapshot,
+  getRankingMoversList,
+  getRankingNewEntriesList,
+  getRestaurantRankingHistory,
+  getNearbyRestaurants,
+  getRestaurantCities,
+  getRestaurantsInViewport,
+  getRestaurantsInPolygon,
+  getRestaurantStats,
+  getPendingRestaurants,
+  getManagedRestaurants,
+  getRestaurantManagers,
+  addRestaurantManager,
+  removeRestaurantManager,
+  transferRestaurant,
+} = require("../controllers/restaurantController")
 
 const router = express.Router()
 
+// Las rutas fijas (/cities, /nearby, /viewport, /polygon, /ranking, /stats, /pending, /managed) van antes de /:id
+
 /**
  * @swagger
  * /api/v1/restaurants:
@@ -29,38 +84,107 @@ const router = express.Router()
  *           type: string
  *       - in: query
  *         name: city
+ *         description: Ciudad exacta de la dirección (sin distinguir mayúsculas ni tildes)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: neighborhood
+ *         description: Barrio exacto de la dirección
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: country
+ *         description: País exacto de la dirección
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         description: Texto libre en el nombre y la descripción
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sortBy
+ *         description: Campo por el que ordenar o un aspecto (food, service, ambiance, value, cleanliness) para ordenar por su valoración media
+ *         schema:
+ *           type: string
+ *           default: rating
+ *       - in: query
+ *         name: sortOrder
  *         schema:
  *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: minAspectRatings
+ *         description: Valoración mínima por aspecto, p. ej. minAspectRatings[service]=4
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
  *       - in: query
  *         name: approved
+ *         description: Solo para usuarios con permiso para aprobar restaurantes
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: openNow
+ *         description: Solo restaurantes abiertos en este momento
  *         schema:
  *           type: boolean
+ *       - in: query
+ *         name: openAt
+ *         description: Solo restaurantes abiertos en esta fecha y hora (ISO 8601)
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
  *         description: Lista de restaurantes obtenida exitosamente
  */
 router.get(
   "/",
-  asyncHandler(async (req, res) => {
-    const { page = 1, limit = 1000, category, city, approved = "true" } = req.query
-
-    const options = {
-      page: Number.parseInt(page),
-      limit: limit === "all" ? 1000 : Number.parseInt(limit),
-      approved: approved === "true" || approved === true,
-    }
-
-    if (category) options.category = category
-    if (city) options.search = city // Use search parameter for city filtering
-
-    const restaurants = await Restaurant.findAll(options)
+  acceptApiKey("restaurants:read"),
+  optionalAuth,
+  validateOpeningFilter,
+  validateAddressFilter,
+  validateRestaurantAspectFilters,
+  handleValidationErrors,
+  getAllRestaurants,
+)
 
-    res.json({
-      success: true,
-      data: restaurants,
-      message: "Restaurantes obtenidos exitosamente",
-    })
-  }),
+/**
+ * @swagger
+ * /api/v1/restaurants/cities:
+ *   get:
+ *     summary: Ciudades con restaurantes
+ *     description: Ciudades de la dirección estructurada de los restaurantes aprobados, con más restaurantes primero.
+ *     tags: [Restaurants]
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Lista de ciudades con name, state, country, restaurantCount y avgRating
+ */
+router.get(
+  "/cities",
+  acceptApiKey("restaurants:read"),
+  validateCitiesQuery,
+  handleValidationErrors,
+  getRestaurantCities,
 )
 
 /**
@@ -68,6 +192,7 @@ router.get(
  * /api/v1/restaurants/nearby:
  *   get:
  *     summary: Buscar restaurantes cercanos
+ *     description: Ordenados por distancia; cada restaurante incluye distance en metros.
  *     tags: [Restaurants]
  *     parameters:
  *       - in: query
@@ -82,47 +207,197 @@ router.get(
  *           type: number
  *       - in: query
  *         name: radius
+ *         description: Radio en metros
  *         schema:
- *           type: number
+ *           type: integer
  *           default: 5000
+ *           maximum: 100000
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: neighborhood
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: openNow
+ *         description: Solo restaurantes abiertos en este momento
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: openAt
+ *         description: Solo restaurantes abiertos en esta fecha y hora (ISO 8601)
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
- *         description: Restaurantes cercanos encontrados
+ *         description: Restaurantes cercanos encontrados, con paginación
  */
 router.get(
   "/nearby",
-  asyncHandler(async (req, res) => {
-    const { lat, lng, radius = 5000 } = req.query
-
-    if (!lat || !lng) {
-      return res.status(400).json({
-        success: false,
-        message: "Latitud y longitud son requeridas",
-      })
-    }
-
-    const restaurants = await Restaurant.findNearby(
-      Number.parseFloat(lat),
-      Number.parseFloat(lng),
-      Number.parseInt(radius),
-    )
+  acceptApiKey("restaurants:read"),
+  optionalAuth,
+  validateNearbySearch,
+  handleValidationErrors,
+  getNearbyRestaurants,
+)
 
-    res.json({
-      success: true,
-      data: restaurants,
-      message: "Restaurantes cercanos encontrados",
-    })
-  }),
+/**
+ * @swagger
+ * /api/v1/restaurants/viewport:
+ *   get:
+ *     summary: Restaurantes dentro del área visible de un mapa
+ *     description: Rectángulo en grados. Si west es mayor que east el área cruza el antimeridiano. Ordenados por valoración.
+ *     tags: [Restaurants]
+ *     parameters:
+ *       - in: query
+ *         name: west
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: south
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: east
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: north
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: neighborhood
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: openNow
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: openAt
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Restaurantes del área, con paginación
+ *       400:
+ *         description: Rectángulo inválido
+ */
+router.get(
+  "/viewport",
+  acceptApiKey("restaurants:read"),
+  optionalAuth,
+  validateViewportSearch,
+  handleValidationErrors,
+  getRestaurantsInViewport,
 )
 
 /**
  * @swagger
- * /api/v1/restaurants:
+ * /api/v1/restaurants/polygon:
  *   post:
- *     summary: Crear nuevo restaurante
+ *     summary: Restaurantes dentro de un polígono dibujado en el mapa
+ *     description: Solo lectura; se usa POST para enviar los vértices en el cuerpo. Ordenados por valoración.
  *     tags: [Restaurants]
- *     security:
- *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: neighborhood
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: openNow
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: openAt
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     requestBody:
  *       required: true
  *       content:
@@ -130,113 +405,968 @@ router.get(
  *           schema:
  *             type: object
  *             required:
- *               - name
- *               - location
- *               - category
+ *               - polygon
  *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               location:
- *                 type: object
- *               category:
- *                 type: string
+ *               polygon:
+ *                 type: array
+ *                 description: Vértices [longitud, latitud] (de 3 a 100, el anillo se cierra automáticamente)
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: number
+ *                 example: [[-3.71, 40.41], [-3.69, 40.41], [-3.69, 40.43], [-3.71, 40.43]]
  *     responses:
- *       201:
- *         description: Restaurante creado exitosamente
+ *       200:
+ *         description: Restaurantes del polígono, con paginación
+ *       400:
+ *         description: Polígono inválido
  */
 router.post(
-  "/",
-  requireAuth,
-  validateRestaurant,
-  asyncHandler(async (req, res) => {
-    const restaurantData = {
-      ...req.body,
-      createdBy: req.user.id,
-      approved: req.user.role === "admin", // Auto-aprobar si es admin
-    }
-
-    const restaurant = await Restaurant.create(restaurantData)
-
-    res.status(201).json({
-      success: true,
-      data: restaurant,
-      message: "Restaurante creado exitosamente",
-    })
-  }),
+  "/polygon",
+  acceptApiKey("restaurants:read"),
+  optionalAuth,
+  validatePolygonSearch,
+  handleValidationErrors,
+  getRestaurantsInPolygon,
 )
 
 /**
  * @swagger
- * /api/v1/restaurants/{id}:
+ * /api/v1/restaurants/ranking:
  *   get:
- *     summary: Obtener restaurante por ID
+ *     summary: Ranking de restaurantes mejor valorados
+ *     description: >-
+ *       Ordenado por rankingScore, calculado con la fórmula que configuran los administradores
+ *       (por defecto, media bayesiana frente a la media global de las reseñas).
  *     tags: [Restaurants]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: neighborhood
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: explain
+ *         description: Añadir a cada restaurante rankingExplanation con el desarrollo de su puntuación
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: openNow
+ *         description: Solo restaurantes abiertos en este momento
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: openAt
+ *         description: Solo restaurantes abiertos en esta fecha y hora (ISO 8601)
  *         schema:
  *           type: string
+ *           format: date-time
  *     responses:
  *       200:
- *         description: Restaurante obtenido exitosamente
+ *         description: Ranking obtenido exitosamente
  */
 router.get(
-  "/:id",
-  asyncHandler(async (req, res) => {
-    const { id } = req.params
-
-    const restaurant = await Restaurant.findById(id)
-    if (!restaurant) {
-      return res.status(404).json({
-        success: false,
-        message: "Restaurante no encontrado",
-      })
-    }
-
-    res.json({
-      success: true,
-      data: restaurant,
-      message: "Restaurante obtenido exitosamente",
-    })
-  }),
+  "/ranking",
+  acceptApiKey("restaurants:read"),
+  optionalAuth,
+  validateRankingQuery,
+  handleValidationErrors,
+  getRestaurantRanking,
 )
 
 /**
  * @swagger
- * /api/v1/restaurants/{id}/approve:
- *   patch:
- *     summary: Aprobar restaurante (solo admin)
+ * /api/v1/restaurants/ranking/snapshot:
+ *   get:
+ *     summary: Ranking tal como estaba en un día pasado
+ *     description: >-
+ *       Devuelve la última instantánea diaria del segmento (global, categoría, ciudad o categoría en una
+ *       ciudad) no posterior al día pedido.
  *     tags: [Restaurants]
- *     security:
- *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: date
  *         required: true
  *         schema:
  *           type: string
- *     responses:
- *       200:
- *         description: Restaurante aprobado exitosamente
- */
-router.patch(
-  "/:id/approve",
+ *           format: date
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Instantánea del ranking
+ *       404:
+ *         description: No hay instantáneas hasta ese día
+ */
+router.get(
+  "/ranking/snapshot",
+  acceptApiKey("restaurants:read"),
+  validateRankingSnapshotQuery,
+  handleValidationErrors,
+  getRankingSnapshot,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/ranking/movers:
+ *   get:
+ *     summary: Restaurantes que más puestos han subido y bajado en el ranking
+ *     description: Compara la última instantánea del segmento con la de hace days días.
+ *     tags: [Restaurants]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: days
+ *         description: Días hacia atrás de la instantánea con la que se compara
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *           maximum: 365
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: risers y fallers con su puesto actual, el anterior y el cambio
+ *       404:
+ *         description: Todavía no hay instantáneas del ranking
+ */
+router.get(
+  "/ranking/movers",
+  acceptApiKey("restaurants:read"),
+  validateRankingChangesQuery,
+  handleValidationErrors,
+  getRankingMoversList,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/ranking/new-entries:
+ *   get:
+ *     summary: Restaurantes que han entrado en el ranking
+ *     description: Restaurantes de la última instantánea del segmento que no estaban en la de hace days días.
+ *     tags: [Restaurants]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: days
+ *         description: Días hacia atrás de la instantánea con la que se compara
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *           maximum: 365
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Nuevas entradas en el orden del ranking
+ *       404:
+ *         description: Todavía no hay instantáneas del ranking
+ */
+router.get(
+  "/ranking/new-entries",
+  acceptApiKey("restaurants:read"),
+  validateRankingChangesQuery,
+  handleValidationErrors,
+  getRankingNewEntriesList,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/stats:
+ *   get:
+ *     summary: Estadísticas de restaurantes (solo admin)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Totales, aprobados, pendientes, valoración media y desglose por categoría
+ *       403:
+ *         description: Acceso denegado
+ */
+router.get(
+  "/stats",
+  requireAuth,
+  requirePermission("restaurant:stats"),
+  getRestaurantStats,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/pending:
+ *   get:
+ *     summary: Restaurantes pendientes de aprobación (solo admin)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Restaurantes pendientes, del más antiguo al más reciente
+ *       403:
+ *         description: Acceso denegado
+ */
+router.get(
+  "/pending",
+  requireAuth,
+  requirePermission("restaurant:approve"),
+  getPendingRestaurants,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/managed:
+ *   get:
+ *     summary: Restaurantes que gestiona el usuario actual
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Restaurantes gestionados obtenidos exitosamente
+ */
+router.get(
+  "/managed",
+  requireAuth,
+  getManagedRestaurants,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/category/{category}:
+ *   get:
+ *     summary: Restaurantes aprobados de una categoría
+ *     tags: [Restaurants]
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Restaurantes de la categoría obtenidos exitosamente
+ */
+router.get(
+  "/category/:category",
+  acceptApiKey("restaurants:read"),
+  optionalAuth,
+  getRestaurantsByCategory,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants:
+ *   post:
+ *     summary: Crear nuevo restaurante
+ *     description: Queda pendiente de revisión salvo que lo cree un moderador (aprobado) o se guarde como borrador.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - category
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               address:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *                 description: >-
+ *                   Texto o { street, neighborhood, city, state, postalCode, country }. Las partes se guardan en
+ *                   addressComponents para filtrar por ciudad, barrio y país; con solo texto se completan con el nomenclátor
+ *               location:
+ *                 type: object
+ *                 description: Coordenadas [longitud, latitud]. Si se omiten se geocodifica la dirección con el nomenclátor local
+ *               category:
+ *                 type: string
+ *               draft:
+ *                 type: boolean
+ *                 description: Guardar como borrador sin enviarlo a revisión
+ *               openingHours:
+ *                 type: object
+ *                 description: 'Intervalos por día (monday..sunday), p. ej. { "monday": [{ "open": "13:00", "close": "16:00" }] }'
+ *               specialHours:
+ *                 type: array
+ *                 description: 'Excepciones por fecha: [{ "date": "2025-12-25", "intervals": [], "note": "Navidad" }]'
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Madrid
+ *     responses:
+ *       201:
+ *         description: Restaurante creado exitosamente
+ */
+router.post(
+  "/",
+  requireAuthOrApiKey("restaurants:write"),
+  requirePermission("restaurant:create"),
+  requireVerifiedEmail("restaurants"),
+  validateRestaurant,
+  handleValidationErrors,
+  createRestaurant,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}:
+ *   get:
+ *     summary: Obtener restaurante por ID
+ *     description: Incluye sus platos y las 5 reseñas más recientes. Los restaurantes no aprobados solo los ven administradores, quien los envió y sus gestores.
+ *     tags: [Restaurants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restaurante obtenido exitosamente
+ *       404:
+ *         description: Restaurante no encontrado
+ */
+router.get(
+  "/:id",
+  acceptApiKey("restaurants:read"),
+  optionalAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  getRestaurantById,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}:
+ *   put:
+ *     summary: Actualizar restaurante (gestores del restaurante o admin)
+ *     description: Solo se modifican los campos enviados; el resto se conserva.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               contact:
+ *                 type: object
+ *               cuisine:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               priceRange:
+ *                 type: string
+ *               features:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               image:
+ *                 type: string
+ *               openingHours:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Horario semanal (null lo elimina)
+ *               specialHours:
+ *                 type: array
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Restaurante actualizado exitosamente
+ *       403:
+ *         description: No tienes permisos para gestionar este restaurante
+ */
+router.put(
+  "/:id",
+  requireAuthOrApiKey("restaurants:write"),
+  validateObjectId("id"),
+  validateUpdateRestaurant,
+  handleValidationErrors,
+  updateRestaurant,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}:
+ *   patch:
+ *     summary: Actualizar parcialmente un restaurante (gestores del restaurante o admin)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               contact:
+ *                 type: object
+ *               cuisine:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               priceRange:
+ *                 type: string
+ *               features:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               image:
+ *                 type: string
+ *               openingHours:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Horario semanal (null lo elimina)
+ *               specialHours:
+ *                 type: array
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Restaurante actualizado exitosamente
+ *       403:
+ *         description: No tienes permisos para gestionar este restaurante
+ */
+router.patch(
+  "/:id",
+  requireAuthOrApiKey("restaurants:write"),
+  validateObjectId("id"),
+  validateUpdateRestaurant,
+  handleValidationErrors,
+  updateRestaurant,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}:
+ *   delete:
+ *     summary: Eliminar restaurante (solo admin)
+ *     description: Envía el restaurante a la papelera junto con sus platos y reseñas. Con permanent=true se elimina definitivamente con todos sus datos asociados (requiere trash:manage).
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Restaurante enviado a la papelera (data.trashed) o eliminado definitivamente (data.removed)
+ *       403:
+ *         description: No tienes permisos para gestionar este restaurante
+ *       404:
+ *         description: Restaurante no encontrado
+ */
+router.delete(
+  "/:id",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  deleteRestaurant,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/approve:
+ *   patch:
+ *     summary: Aprobar restaurante (solo admin)
+ *     description: Aprueba un restaurante pendiente, rechazado o suspendido y avisa por correo a quien lo envió.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: Notas internas para otros moderadores
+ *     responses:
+ *       200:
+ *         description: Restaurante aprobado exitosamente
+ *       404:
+ *         description: Restaurante no encontrado
+ *       409:
+ *         description: El estado actual no permite aprobarlo
+ */
+router.patch(
+  "/:id/approve",
+  requireAuth,
+  requirePermission("restaurant:approve"),
+  validateObjectId("id"),
+  validateModeration,
+  handleValidationErrors,
+  approveRestaurant,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/reject:
+ *   patch:
+ *     summary: Rechazar restaurante pendiente (solo admin)
+ *     description: El motivo se envía por correo a quien lo envió, que puede corregirlo y volver a enviarlo.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Restaurante rechazado
+ *       409:
+ *         description: Solo se pueden rechazar restaurantes pendientes
+ */
+router.patch(
+  "/:id/reject",
+  requireAuth,
+  requirePermission("restaurant:approve"),
+  validateObjectId("id"),
+  validateModeration,
+  handleValidationErrors,
+  rejectRestaurant,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/suspend:
+ *   patch:
+ *     summary: Suspender restaurante aprobado (solo admin)
+ *     description: Deja de ser visible públicamente hasta que se vuelva a aprobar. Se avisa por correo a quien lo envió.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Restaurante suspendido
+ *       409:
+ *         description: Solo se pueden suspender restaurantes aprobados
+ */
+router.patch(
+  "/:id/suspend",
+  requireAuth,
+  requirePermission("restaurant:approve"),
+  validateObjectId("id"),
+  validateModeration,
+  handleValidationErrors,
+  suspendRestaurant,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/submit:
+ *   patch:
+ *     summary: Enviar a revisión un borrador o un restaurante rechazado
+ *     description: Solo quien envió el restaurante, sus gestores o un administrador.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restaurante enviado a revisión
+ *       403:
+ *         description: No tienes permisos para realizar esta acción
+ *       409:
+ *         description: El estado actual no permite enviarlo
+ */
+router.patch("/:id/submit", requireAuth, validateObjectId("id"), handleValidationErrors, submitRestaurant)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/withdraw:
+ *   patch:
+ *     summary: Retirar de revisión un restaurante pendiente (vuelve a borrador)
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restaurante devuelto a borrador
+ *       409:
+ *         description: Solo se pueden retirar restaurantes pendientes
+ */
+router.patch("/:id/withdraw", requireAuth, validateObjectId("id"), handleValidationErrors, withdrawRestaurant)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/moderation:
+ *   get:
+ *     summary: Historial de moderación de un restaurante
+ *     description: Visible para moderadores, quien envió el restaurante y sus gestores. Las notas internas solo las ven los moderadores.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Estado actual e historial, del cambio más reciente al más antiguo
+ *       403:
+ *         description: No tienes permisos para ver el historial de este restaurante
+ */
+router.get("/:id/moderation", requireAuth, validateObjectId("id"), handleValidationErrors, getRestaurantModeration)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/ranking-history:
+ *   get:
+ *     summary: Puesto de un restaurante en el ranking a lo largo del tiempo
+ *     description: >-
+ *       Un punto por instantánea diaria del segmento; rank es null los días en que el restaurante no
+ *       estaba entre los puestos guardados.
+ *     tags: [Restaurants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Primer día (por defecto, 90 días antes de to)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Último día (por defecto, hoy)
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Histórico del ranking, del día más antiguo al más reciente
+ *       404:
+ *         description: Restaurante no encontrado
+ */
+router.get(
+  "/:id/ranking-history",
+  acceptApiKey("restaurants:read"),
+  validateObjectId("id"),
+  validateRankHistoryQuery,
+  handleValidationErrors,
+  getRestaurantRankingHistory,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/managers:
+ *   get:
+ *     summary: Listar los gestores de un restaurante
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Gestores obtenidos exitosamente
+ */
+router.get(
+  "/:id/managers",
+  requireAuth,
+  validateObjectId("id"),
+  handleValidationErrors,
+  getRestaurantManagers,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/managers:
+ *   post:
+ *     summary: Añadir un gestor al restaurante
+ *     description: El usuario añadido obtiene el rol owner si era un usuario normal.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Gestor añadido exitosamente
+ */
+router.post(
+  "/:id/managers",
+  requireAuth,
+  validateObjectId("id"),
+  validateManager,
+  handleValidationErrors,
+  addRestaurantManager,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/managers/{userId}:
+ *   delete:
+ *     summary: Quitar un gestor del restaurante
+ *     description: Solo un administrador puede dejar el restaurante sin gestores.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Gestor eliminado exitosamente
+ */
+router.delete(
+  "/:id/managers/:userId",
+  requireAuth,
+  validateObjectId("id"),
+  validateObjectId("userId"),
+  handleValidationErrors,
+  removeRestaurantManager,
+)
+
+/**
+ * @swagger
+ * /api/v1/restaurants/{id}/transfer:
+ *   post:
+ *     summary: Transferir la propiedad del restaurante
+ *     description: El usuario indicado pasa a ser el único gestor; los gestores anteriores pierden el acceso.
+ *     tags: [Restaurants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Propiedad transferida exitosamente
+ */
+router.post(
+  "/:id/transfer",
   requireAuth,
-  requireRole("admin"),
-  asyncHandler(async (req, res) => {
-    const { id } = req.params
-
-    const restaurant = await Restaurant.approve(id)
-
-    res.json({
-      success: true,
-      data: restaurant,
-      message: "Restaurante aprobado exitosamente",
-    })
-  }),
+  validateObjectId("id"),
+  validateManager,
+  handleValidationErrors,
+  transferRestaurant,
 )
 
 module.exports = router
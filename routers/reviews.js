@@ -1,9 +1,23 @@
 const express = require("express")
-const { requireAuth } = require("../middlewares/auth")
-const { validateReview, validateUpdateReview } = require("../middlewares/validators")
-const { asyncHandler } = require("../middlewares/errorHandler")
+const {
+  requireAuth,
+  requirePermission,
+  requireVerifiedEmail,
+  acceptApiKey,
+  optionalAuth,
+} = require("../middlewares/auth")
+const { canAccessResource } = require("../config/permissions")
+const {
+  validateReview,
+  validateUpdateReview,
+  validateReviewReaction,
+  validateObjectId,
+} = require("../middlewares/validators")
+const { asyncHandler, handleValidationErrors } = require("../middlewares/errorHandler")
 const Review = require("../models/Review")
+const ReviewReaction = require("../models/ReviewReaction")
 const Dish = require("../models/Dish") // Import Dish model here
+const { validateAspectRatings } = require("../utils/ratingAspects")
 
 const router = express.Router()
 
@@ -38,10 +52,14 @@ const router = express.Router()
  *           type: string
  *     responses:
  *       200:
- *         description: Lista de reseñas obtenida exitosamente
+ *         description: >-
+ *           Lista de reseñas obtenida exitosamente. Con sesión iniciada, cada reseña incluye myReaction
+ *           (like, dislike o null)
  */
 router.get(
   "/",
+  acceptApiKey("reviews:read"),
+  optionalAuth,
   asyncHandler(async (req, res) => {
     const { page = 1, limit = 10, restaurant, dish, user } = req.query
 
@@ -55,6 +73,10 @@ router.get(
       limit: Number.parseInt(limit),
     })
 
+    if (req.user) {
+      reviews.reviews = await ReviewReaction.withUserReactions(reviews.reviews, req.user._id)
+    }
+
     res.json({
       success: true,
       data: reviews,
@@ -87,10 +109,14 @@ router.get(
  *           default: 10
  *     responses:
  *       200:
- *         description: Reseñas del restaurante obtenidas exitosamente
+ *         description: >-
+ *           Reseñas del restaurante obtenidas exitosamente. Con sesión iniciada, cada reseña incluye
+ *           myReaction (like, dislike o null)
  */
 router.get(
   "/restaurant/:restaurantId",
+  acceptApiKey("reviews:read"),
+  optionalAuth,
   asyncHandler(async (req, res) => {
     const { restaurantId } = req.params
     const { page = 1, limit = 10 } = req.query
@@ -100,6 +126,10 @@ router.get(
       limit: Number.parseInt(limit),
     })
 
+    if (req.user) {
+      reviews.reviews = await ReviewReaction.withUserReactions(reviews.reviews, req.user._id)
+    }
+
     res.json({
       success: true,
       data: reviews,
@@ -135,16 +165,27 @@ router.get(
  *                 type: number
  *                 minimum: 1
  *                 maximum: 5
+ *               aspectRatings:
+ *                 type: object
+ *                 description: Calificaciones opcionales de 1 a 5 por aspecto. Restaurante food, service, ambiance, value, cleanliness; plato taste, portion, presentation, value
+ *                 example:
+ *                   food: 5
+ *                   service: 4
  *               comment:
  *                 type: string
  *     responses:
  *       201:
  *         description: Reseña creada exitosamente
+ *       400:
+ *         description: Datos inválidos (p. ej. un aspecto que no corresponde al tipo de reseña)
  */
 router.post(
   "/",
   requireAuth,
+  requirePermission("review:create"),
+  requireVerifiedEmail("reviews"),
   validateReview,
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
     console.log("[v0] req.user:", req.user)
     console.log("[v0] req.body:", req.body)
@@ -214,12 +255,14 @@ router.post(
  *           type: string
  *     responses:
  *       200:
- *         description: Reseña obtenida exitosamente
+ *         description: Reseña obtenida exitosamente (con myReaction si hay sesión iniciada)
  *       404:
  *         description: Reseña no encontrada
  */
 router.get(
   "/:id",
+  acceptApiKey("reviews:read"),
+  optionalAuth,
   asyncHandler(async (req, res) => {
     const { id } = req.params
 
@@ -231,6 +274,10 @@ router.get(
       })
     }
 
+    if (req.user) {
+      review.myReaction = await ReviewReaction.findType(id, req.user._id)
+    }
+
     res.json({
       success: true,
       data: review,
@@ -264,16 +311,25 @@ router.get(
  *                 type: number
  *                 minimum: 1
  *                 maximum: 5
+ *               aspectRatings:
+ *                 type: object
+ *                 description: Calificaciones opcionales de 1 a 5 por aspecto. Restaurante food, service, ambiance, value, cleanliness; plato taste, portion, presentation, value
+ *                 example:
+ *                   food: 5
+ *                   service: 4
  *               comment:
  *                 type: string
  *     responses:
  *       200:
  *         description: Reseña actualizada exitosamente
+ *       400:
+ *         description: Datos inválidos (p. ej. un aspecto que no corresponde al tipo de reseña)
  */
 router.put(
   "/:id",
   requireAuth,
   validateUpdateReview,
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
     const { id } = req.params
 
@@ -286,14 +342,30 @@ router.put(
       })
     }
 
-    if (review.userId.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!canAccessResource(req.user, "review:update", review.userId)) {
       return res.status(403).json({
         success: false,
         message: "No tienes permisos para actualizar esta reseña",
       })
     }
 
-    const updatedReview = await Review.updateById(id, req.body, req.user.id)
+    // Los aspectos que se pueden valorar dependen de si la reseña es de un plato o del restaurante
+    const type = review.dishId ? "dish" : "restaurant"
+    const aspectErrors = req.body.aspectRatings ? validateAspectRatings(req.body.aspectRatings, type) : []
+    if (aspectErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Errores de validación",
+        errors: aspectErrors.map((message) => ({ field: "aspectRatings", message })),
+      })
+    }
+
+    const updateData = {}
+    for (const field of ["comment", "rating", "aspectRatings"]) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field]
+    }
+
+    const updatedReview = await Review.updateById(id, updateData, review.userId)
 
     res.json({
       success: true,
@@ -303,11 +375,36 @@ router.put(
   }),
 )
 
+// Cargar la reseña de la ruta para reaccionar a ella (no se puede reaccionar a una reseña propia)
+const loadReactableReview = async (req, res) => {
+  const review = await Review.findById(req.params.id)
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      message: "Reseña no encontrada",
+    })
+    return null
+  }
+
+  if (review.userId.toString() === req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: "No puedes reaccionar a tu propia reseña",
+    })
+    return null
+  }
+
+  return review
+}
+
 /**
  * @swagger
- * /api/v1/reviews/{id}/like:
+ * /api/v1/reviews/{id}/reactions:
  *   post:
- *     summary: Dar like a una reseña
+ *     summary: Marcar una reseña como útil (like) o no útil (dislike)
+ *     description: >-
+ *       Sustituye la reacción anterior del usuario a la reseña, si la había. Repetir la misma reacción
+ *       no cambia nada.
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
@@ -317,32 +414,55 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [like, dislike]
  *     responses:
  *       200:
- *         description: Like agregado exitosamente
+ *         description: Reacción guardada; devuelve los contadores de la reseña y la reacción del usuario
+ *       403:
+ *         description: No puedes reaccionar a tu propia reseña
+ *       404:
+ *         description: Reseña no encontrada
  */
 router.post(
-  "/api/v1/FavoriteRestaurant",
+  "/:id/reactions",
   requireAuth,
+  requirePermission("review:react"),
+  validateReviewReaction,
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const { id } = req.params
-    const { FavRestaurant } = req.params
+    const review = await loadReactableReview(req, res)
+    if (!review) return
 
-    const review = await Review.addReaction(id, FavRestaurant, req.user.id, req.restaurant.id,  "like")
+    const result = await ReviewReaction.set(review._id, req.user._id, req.body.type)
 
     res.json({
       success: true,
-      data: review,
-      message: "Like agregado exitosamente",
+      data: {
+        likes: result.review.likes,
+        dislikes: result.review.dislikes,
+        myReaction: result.type,
+      },
+      message: result.previousType === result.type ? "La reacción no ha cambiado" : "Reacción guardada exitosamente",
     })
   }),
 )
 
 /**
  * @swagger
- * /api/v1/reviews/{id}/dislike:
- *   post:
- *     summary: Dar dislike a una reseña
+ * /api/v1/reviews/{id}/reactions:
+ *   delete:
+ *     summary: Quitar la reacción del usuario a una reseña
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
@@ -354,20 +474,30 @@ router.post(
  *           type: string
  *     responses:
  *       200:
- *         description: Dislike agregado exitosamente
+ *         description: Reacción eliminada; devuelve los contadores de la reseña
+ *       404:
+ *         description: Reseña no encontrada
  */
-router.post(
-  "/:id/dislike",
+router.delete(
+  "/:id/reactions",
   requireAuth,
+  requirePermission("review:react"),
+  validateObjectId("id"),
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const { id } = req.params
+    const review = await loadReactableReview(req, res)
+    if (!review) return
 
-    const review = await Review.addReaction(id, req.user.id, "dislike")
+    const result = await ReviewReaction.remove(review._id, req.user._id)
 
     res.json({
       success: true,
-      data: review,
-      message: "Dislike agregado exitosamente",
+      data: {
+        likes: result.review.likes,
+        dislikes: result.review.dislikes,
+        myReaction: null,
+      },
+      message: result.previousType ? "Reacción eliminada exitosamente" : "No habías reaccionado a esta reseña",
     })
   }),
 )
@@ -377,6 +507,7 @@ router.post(
  * /api/v1/reviews/{id}:
  *   delete:
  *     summary: Eliminar reseña
+ *     description: La reseña pasa a la papelera y deja de contar en el rating del restaurante
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
@@ -405,14 +536,14 @@ router.delete(
       })
     }
 
-    if (review.userId.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!canAccessResource(req.user, "review:delete", review.userId)) {
       return res.status(403).json({
         success: false,
         message: "No tienes permisos para eliminar esta reseña",
       })
     }
 
-    await Review.deleteById(id, req.user.id)
+    await Review.deleteById(id, req.user._id)
 
     res.json({
       success: true,
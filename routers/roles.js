@@ -0,0 +1,77 @@
+const express = require("express")
+const { requireAuth, requirePermission } = require("../middlewares/auth")
+const { asyncHandler } = require("../middlewares/errorHandler")
+const { ROLE_NAMES, describeRole } = require("../config/permissions")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   get:
+ *     summary: Listar roles y sus permisos (solo admin)
+ *     description: Para cada rol devuelve los roles de los que hereda, sus permisos propios y los permisos efectivos (incluyendo los heredados).
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles obtenidos exitosamente
+ *       403:
+ *         description: Se requiere el permiso role:read
+ */
+router.get(
+  "/",
+  requireAuth,
+  requirePermission("role:read"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: ROLE_NAMES.map(describeRole),
+      message: "Roles obtenidos exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/roles/{role}:
+ *   get:
+ *     summary: Obtener la definición de un rol (solo admin)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rol obtenido exitosamente
+ *       404:
+ *         description: Rol no encontrado
+ */
+router.get(
+  "/:role",
+  requireAuth,
+  requirePermission("role:read"),
+  asyncHandler(async (req, res) => {
+    const role = describeRole(req.params.role)
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Rol no encontrado",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: role,
+      message: "Rol obtenido exitosamente",
+    })
+  }),
+)
+
+module.exports = router
@@ -1,8 +1,12 @@
 const express = require("express")
-const { requireAuth, requireRole } = require("../middlewares/auth")
-const { validateUserUpdate } = require("../middlewares/validators")
-const { asyncHandler } = require("../middlewares/errorHandler")
+const { requireAuth, requirePermission } = require("../middlewares/auth")
+const { canAccessResource } = require("../config/permissions")
+const { validateUserUpdate, validateObjectId } = require("../middlewares/validators")
+const { asyncHandler, handleValidationErrors } = require("../middlewares/errorHandler")
 const User = require("../models/User")
+const Session = require("../models/Session")
+const { revokeSession, revokeAllSessions } = require("../services/tokenService")
+const { unlockAccount } = require("../services/loginProtectionService")
 
 const router = express.Router()
 
@@ -37,7 +41,7 @@ const router = express.Router()
 router.get(
   "/",
   requireAuth,
-  requireRole("admin"),
+  requirePermission("user:list"),
   asyncHandler(async (req, res) => {
     const { page = 1, limit = 10, role } = req.query
     const filter = role ? { role } : {}
@@ -82,7 +86,7 @@ router.get(
     const { id } = req.params
 
     // Solo admin o el mismo usuario pueden ver el perfil
-    if (req.user.role !== "admin" && req.user.id !== id) {
+    if (!canAccessResource(req.user, "user:read", id)) {
       return res.status(403).json({
         success: false,
         message: "No tienes permisos para ver este perfil",
@@ -142,7 +146,7 @@ router.put(
     const { id } = req.params
 
     // Solo admin o el mismo usuario pueden actualizar el perfil
-    if (req.user.role !== "admin" && req.user.id !== id) {
+    if (!canAccessResource(req.user, "user:update", id)) {
       return res.status(403).json({
         success: false,
         message: "No tienes permisos para actualizar este perfil",
@@ -180,7 +184,7 @@ router.put(
 router.delete(
   "/:id",
   requireAuth,
-  requireRole("admin"),
+  requirePermission("user:delete"),
   asyncHandler(async (req, res) => {
     const { id } = req.params
 
@@ -193,4 +197,178 @@ router.delete(
   }),
 )
 
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions:
+ *   get:
+ *     summary: Listar sesiones activas de un usuario (solo admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sesiones del usuario obtenidas exitosamente
+ */
+router.get(
+  "/:id/sessions",
+  requireAuth,
+  requirePermission("session:manage:any"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    const sessions = await Session.findActiveByUser(id)
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => Session.toResponse(session, req.user.sessionId)),
+      message: "Sesiones del usuario obtenidas exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions:
+ *   delete:
+ *     summary: Cerrar todas las sesiones de un usuario (solo admin)
+ *     description: Útil cuando una cuenta ha sido comprometida.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sesiones del usuario cerradas exitosamente
+ */
+router.delete(
+  "/:id/sessions",
+  requireAuth,
+  requirePermission("session:manage:any"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    const revokedSessions = await revokeAllSessions(id, "admin_revoked")
+
+    res.json({
+      success: true,
+      data: { revokedSessions },
+      message: "Sesiones del usuario cerradas exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Cerrar una sesión concreta de un usuario (solo admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada exitosamente
+ *       404:
+ *         description: Sesión no encontrada
+ */
+router.delete(
+  "/:id/sessions/:sessionId",
+  requireAuth,
+  requirePermission("session:manage:any"),
+  validateObjectId("id"),
+  validateObjectId("sessionId"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { id, sessionId } = req.params
+
+    const session = await Session.findById(sessionId)
+    if (!session || session.userId.toString() !== id) {
+      return res.status(404).json({
+        success: false,
+        message: "Sesión no encontrada",
+      })
+    }
+
+    await revokeSession(sessionId, "admin_revoked")
+
+    res.json({
+      success: true,
+      message: "Sesión cerrada exitosamente",
+    })
+  }),
+)
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/unlock:
+ *   post:
+ *     summary: Desbloquear una cuenta bloqueada por intentos fallidos de login (solo admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cuenta desbloqueada exitosamente
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.post(
+  "/:id/unlock",
+  requireAuth,
+  requirePermission("user:unlock"),
+  validateObjectId("id"),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    const user = await User.findById(id)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Usuario no encontrado",
+      })
+    }
+
+    const wasLocked = await unlockAccount(user.email)
+
+    res.json({
+      success: true,
+      data: { wasLocked },
+      message: "Cuenta desbloqueada exitosamente",
+    })
+  }),
+)
+
 module.exports = router
@@ -0,0 +1,74 @@
+/**
+ * Importa un nomenclátor local para la geocodificación de direcciones
+ *
+ * Acepta un CSV (columnas type, name, city, state, country, latitude, longitude, population) o un
+ * FeatureCollection GeoJSON de puntos con esos datos en properties. type es city, neighborhood o street.
+ * Las entradas se identifican por tipo, nombre, ciudad, provincia y país: reimportar un fichero las actualiza.
+ *
+ * Uso: npm run gazetteer:import -- <fichero> [--source <nombre>] [--replace] [--geocode-missing] [--complete-addresses]
+ *   --source              Origen de las entradas (por defecto, el nombre del fichero)
+ *   --replace             Elimina antes las entradas del mismo origen
+ *   --geocode-missing     Geocodifica después los restaurantes sin ubicación
+ *   --complete-addresses  Crea la dirección estructurada (ciudad, barrio, país) de los restaurantes que no la tienen
+ */
+
+require("dotenv").config()
+const fs = require("fs")
+const path = require("path")
+const { connectDB, closeDB } = require("../config/database")
+const {
+  importGazetteer,
+  geocodeMissingLocations,
+  completeMissingAddresses,
+} = require("../services/geocodingService")
+
+// Errores de línea que se muestran como máximo
+const MAX_REPORTED_ERRORS = 20
+
+const args = process.argv.slice(2)
+const file = args.find((arg, i) => !arg.startsWith("--") && args[i - 1] !== "--source")
+const sourceIndex = args.indexOf("--source")
+
+const run = async () => {
+  if (!file) {
+    throw new Error("Indica el fichero: npm run gazetteer:import -- <fichero.csv|fichero.geojson>")
+  }
+
+  const extension = path.extname(file).toLowerCase()
+  const format = [".geojson", ".json"].includes(extension) ? "geojson" : "csv"
+  const source = sourceIndex >= 0 ? args[sourceIndex + 1] : path.basename(file, extension)
+  const content = fs.readFileSync(file, "utf8")
+
+  await connectDB()
+
+  const result = await importGazetteer(content, { format, source, replace: args.includes("--replace") })
+
+  console.log(`📍 Nomenclátor "${source}": ${result.inserted} nuevas, ${result.updated} actualizadas`)
+  if (result.removed > 0) console.log(`🗑️  ${result.removed} entradas anteriores eliminadas`)
+  if (result.skipped > 0) {
+    console.warn(`⚠️  ${result.skipped} entradas descartadas:`)
+    result.errors.slice(0, MAX_REPORTED_ERRORS).forEach((error) => console.warn(`   ${error}`))
+  }
+
+  if (args.includes("--geocode-missing")) {
+    const summary = await geocodeMissingLocations()
+    console.log(
+      `🧭 ${summary.processed} restaurantes sin ubicación: ${summary.geocoded} geocodificados, ` +
+        `${summary.needsReview} pendientes de revisión`,
+    )
+  }
+
+  if (args.includes("--complete-addresses")) {
+    const summary = await completeMissingAddresses()
+    console.log(
+      `🏙️  ${summary.processed} restaurantes sin dirección estructurada: ${summary.completed} con ciudad`,
+    )
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error("❌ Error importando el nomenclátor:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => closeDB())
@@ -0,0 +1,23 @@
+/**
+ * Rota las claves de firma de JWT
+ *
+ * Genera una nueva clave activa y retira las anteriores, que siguen publicadas en
+ * /.well-known/jwks.json durante JWT_RETIRED_KEY_TTL_MINUTES para que los tokens ya
+ * emitidos sigan siendo válidos hasta su expiración. La primera ejecución crea la clave inicial.
+ *
+ * Uso: npm run keys:rotate
+ */
+
+require("dotenv").config()
+const { rotateKeys } = require("../config/keys")
+
+try {
+  const { kid, retired, removed } = rotateKeys()
+
+  console.log(`🔑 Nueva clave activa: ${kid}`)
+  if (retired.length > 0) console.log(`📦 Claves retiradas: ${retired.join(", ")}`)
+  if (removed.length > 0) console.log(`🗑️  Claves caducadas eliminadas: ${removed.join(", ")}`)
+} catch (error) {
+  console.error("❌ Error rotando las claves JWT:", error.message)
+  process.exit(1)
+}
@@ -0,0 +1,75 @@
+const crypto = require("crypto")
+const ApiKey = require("../models/ApiKey")
+const User = require("../models/User")
+
+// Prefijo común que permite reconocer las claves de FoodieRank (p. ej. en escáneres de secretos)
+const KEY_PREFIX = "fr"
+
+// Peticiones por minuto que admite una API key si no se indica otro límite
+const DEFAULT_RATE_LIMIT = Number.parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT) || 60
+
+/**
+ * Genera una API key nueva con formato fr_<identificador>_<secreto>
+ * @returns {object} { key, prefix } - La clave completa y su parte pública identificable
+ */
+function generateApiKey() {
+  const prefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString("hex")}`
+  const secret = crypto.randomBytes(32).toString("base64url")
+
+  return { key: `${prefix}_${secret}`, prefix }
+}
+
+/**
+ * Crea una API key para un usuario. La clave en claro solo se devuelve aquí
+ * @param {ObjectId|string} userId - Propietario de la clave
+ * @param {object} data - { name, scopes, expiresAt, rateLimit }
+ * @returns {Promise<object>} { apiKey, key }
+ */
+async function createApiKey(userId, { name, scopes, expiresAt, rateLimit }) {
+  const { key, prefix } = generateApiKey()
+
+  const apiKey = await ApiKey.create({
+    userId,
+    name,
+    prefix,
+    keyHash: ApiKey.hash(key),
+    scopes: [...new Set(scopes)],
+    rateLimit: rateLimit || DEFAULT_RATE_LIMIT,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+  })
+
+  return { apiKey: ApiKey.toResponse(apiKey), key }
+}
+
+/**
+ * Valida una API key y devuelve su propietario. Registra el último uso
+ * @param {string} key - API key en claro
+ * @param {string} ip - IP de origen
+ * @returns {Promise<object|null>} { user, apiKey } o null si la clave no es válida
+ */
+async function authenticateApiKey(key, ip) {
+  if (!key || !key.startsWith(`${KEY_PREFIX}_`)) {
+    return null
+  }
+
+  const apiKey = await ApiKey.findActiveByKey(key)
+  if (!apiKey) {
+    return null
+  }
+
+  const user = await User.findById(apiKey.userId)
+  if (!user) {
+    return null
+  }
+
+  await ApiKey.touch(apiKey._id, ip)
+
+  return { user, apiKey }
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  generateApiKey,
+  createApiKey,
+  authenticateApiKey,
+}
@@ -0,0 +1,386 @@
+const Favorite = require("../models/Favorite")
+const FavoriteList = require("../models/FavoriteList")
+const { canAccessResource } = require("../config/permissions")
+const { createError } = require("../middlewares/errorHandler")
+
+// Máximo de listas por usuario y de elementos por lista
+const LIST_MAX_PER_USER = Number.parseInt(process.env.LIST_MAX_PER_USER) || 50
+const LIST_MAX_ITEMS = Number.parseInt(process.env.LIST_MAX_ITEMS) || 200
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3001"
+
+// Mensajes 404 de cada tipo de favorito
+const NOT_FOUND_MESSAGES = {
+  restaurant: "Restaurante no encontrado",
+  dish: "Plato no encontrado",
+}
+
+// Comprobar que el restaurante o plato existe y está visible (restaurante aprobado)
+const findVisibleTarget = async (type, targetId) => {
+  const target = (await Favorite.findTargets(type, [targetId])).get(targetId.toString())
+  if (!target) {
+    throw createError(404, NOT_FOUND_MESSAGES[type])
+  }
+  return target
+}
+
+/**
+ * Marca un restaurante o plato como favorito del usuario (si ya lo era no cambia nada)
+ * @param {object} user - Usuario
+ * @param {string} type - "restaurant" o "dish"
+ * @param {string} targetId - ID del restaurante o plato
+ * @returns {Promise<object>} { added, favoritesCount }
+ */
+async function addFavorite(user, type, targetId) {
+  const target = await findVisibleTarget(type, targetId)
+  const added = await Favorite.add(type, targetId, user._id)
+
+  return { added, favoritesCount: (target.favoritesCount || 0) + (added ? 1 : 0) }
+}
+
+/**
+ * Quita un restaurante o plato de los favoritos del usuario
+ * @param {object} user - Usuario
+ * @param {string} type - "restaurant" o "dish"
+ * @param {string} targetId - ID del restaurante o plato
+ * @returns {Promise<boolean>} False si no era favorito
+ */
+async function removeFavorite(user, type, targetId) {
+  return await Favorite.remove(type, targetId, user._id)
+}
+
+/**
+ * Favoritos de un usuario de un tipo, del más reciente al más antiguo
+ * @param {object} user - Usuario
+ * @param {string} type - "restaurant" o "dish"
+ * @param {object} options - { page, limit }
+ * @returns {Promise<object>} { favorites, pagination }
+ */
+async function getFavorites(user, type, options) {
+  return await Favorite.findByUser(type, user._id, options)
+}
+
+/**
+ * Añade isFavorite a cada restaurante o plato según los favoritos del usuario (sin usuario, no cambia nada)
+ * @param {string} type - "restaurant" o "dish"
+ * @param {Array<object>} items - Restaurantes o platos con _id
+ * @param {object|undefined} user - Usuario autenticado
+ * @returns {Promise<Array<object>>} Los mismos elementos con isFavorite
+ */
+async function markFavorites(type, items, user) {
+  if (!user || items.length === 0) return items
+
+  const favoriteIds = await Favorite.findFavoriteIds(
+    type,
+    items.map((item) => item._id),
+    user._id,
+  )
+
+  return items.map((item) => ({ ...item, isFavorite: favoriteIds.has(item._id.toString()) }))
+}
+
+const canManageList = (user, list) => canAccessResource(user, "list:manage", list.userId)
+
+// Enlace para compartir una lista (las privadas no tienen)
+const shareUrlOf = (list) => (list.visibility === "private" ? null : `${FRONTEND_URL}/lists/shared/${list.shareToken}`)
+
+// Elementos de una lista con los datos de su restaurante o plato. Los que ya no están disponibles
+// (eliminados o no aprobados) solo se muestran a quien gestiona la lista, con available: false
+const resolveItems = async (items, { includeUnavailable }) => {
+  const targets = {}
+  for (const type of Favorite.TYPES) {
+    const ids = items.filter((item) => item.type === type).map((item) => item.targetId)
+    targets[type] = await Favorite.findTargets(type, ids)
+  }
+
+  return items
+    .map((item) => {
+      const target = targets[item.type].get(item.targetId.toString()) || null
+      return { ...item, [item.type]: target, available: target !== null }
+    })
+    .filter((item) => includeUnavailable || item.available)
+}
+
+// Lista tal como se devuelve en la API: sin el token, con el enlace para compartir y sus elementos
+const toListResponse = async (list, { manageable }) => {
+  const { shareToken, items, ...rest } = list
+
+  return {
+    ...rest,
+    shareUrl: shareUrlOf(list),
+    items: await resolveItems(items, { includeUnavailable: manageable }),
+  }
+}
+
+// Cargar una lista que el usuario puede modificar
+const loadManagedList = async (user, listId) => {
+  const list = await FavoriteList.findById(listId)
+  if (!list) {
+    throw createError(404, "Lista no encontrada")
+  }
+
+  if (!canManageList(user, list)) {
+    throw createError(403, "No tienes permisos para modificar esta lista")
+  }
+
+  return list
+}
+
+/**
+ * Listas del usuario sin sus elementos (con itemCount y el enlace para compartir)
+ * @param {object} user - Usuario
+ * @returns {Promise<Array<object>>} Listas, las modificadas más recientemente primero
+ */
+async function getUserLists(user) {
+  const lists = await FavoriteList.findByUser(user._id)
+  return lists.map(({ shareToken, ...list }) => ({ ...list, shareUrl: shareUrlOf({ ...list, shareToken }) }))
+}
+
+/**
+ * Listas públicas, de un usuario o de todos
+ * @param {object} options - { userId, page, limit }
+ * @returns {Promise<object>} { lists, pagination } o { lists } si se filtra por usuario
+ */
+async function getPublicLists({ userId, page, limit } = {}) {
+  if (userId) {
+    const lists = await FavoriteList.findByUser(userId, { publicOnly: true })
+    return { lists: lists.map(({ shareToken, ...list }) => list) }
+  }
+
+  return await FavoriteList.findPublic({ page, limit })
+}
+
+/**
+ * Lista por ID: su autor (o un administrador) la ve siempre; el resto, solo si es pública
+ * @param {object|undefined} user - Usuario autenticado
+ * @param {string} listId - ID de la lista
+ * @returns {Promise<object>} Lista con sus elementos
+ */
+async function getList(user, listId) {
+  const list = await FavoriteList.findById(listId)
+  const manageable = Boolean(list) && Boolean(user) && canManageList(user, list)
+
+  // Las listas privadas y ocultas no se distinguen de las que no existen
+  if (!list || (!manageable && list.visibility !== "public")) {
+    throw createError(404, "Lista no encontrada")
+  }
+
+  return await toListResponse(list, { manageable })
+}
+
+/**
+ * Lista compartida por enlace (ocultas y públicas)
+ * @param {string} shareToken - Token del enlace
+ * @returns {Promise<object>} Lista con sus elementos disponibles
+ */
+async function getSharedList(shareToken) {
+  const list = await FavoriteList.findByShareToken(shareToken)
+  if (!list) {
+    throw createError(404, "Lista no encontrada")
+  }
+
+  return await toListResponse(list, { manageable: false })
+}
+
+/**
+ * Crea una lista vacía
+ * @param {object} user - Autor
+ * @param {object} listData - { name, description, visibility }
+ * @returns {Promise<object>} Lista creada
+ */
+async function createList(user, { name, description, visibility }) {
+  if ((await FavoriteList.countByUser(user._id)) >= LIST_MAX_PER_USER) {
+    throw createError(409, `No puedes tener más de ${LIST_MAX_PER_USER} listas`)
+  }
+
+  const list = await FavoriteList.create({ userId: user._id, name, description, visibility })
+  return await toListResponse(list, { manageable: true })
+}
+
+/**
+ * Cambia el nombre, la descripción o la visibilidad de una lista
+ * @param {object} user - Usuario
+ * @param {string} listId - ID de la lista
+ * @param {object} changes - { name, description, visibility }
+ * @returns {Promise<object>} Lista actualizada
+ */
+async function updateList(user, listId, changes) {
+  await loadManagedList(user, listId)
+
+  const updateData = {}
+  for (const field of ["name", "description", "visibility"]) {
+    if (changes[field] !== undefined) updateData[field] = changes[field]
+  }
+
+  const list = await FavoriteList.updateById(listId, updateData)
+  return await toListResponse(list, { manageable: true })
+}
+
+/**
+ * Elimina una lista
+ * @param {object} user - Usuario
+ * @param {string} listId - ID de la lista
+ * @returns {Promise<void>}
+ */
+async function deleteList(user, listId) {
+  await loadManagedList(user, listId)
+  await FavoriteList.deleteById(listId)
+}
+
+/**
+ * Genera un nuevo enlace para compartir la lista; el anterior deja de funcionar
+ * @param {object} user - Usuario
+ * @param {string} listId - ID de la lista
+ * @returns {Promise<object>} Lista con el nuevo shareUrl
+ */
+async function regenerateShareLink(user, listId) {
+  await loadManagedList(user, listId)
+
+  const list = await FavoriteList.regenerateShareToken(listId)
+  return await toListResponse(list, { manageable: true })
+}
+
+/**
+ * Añade un restaurante o plato a una lista
+ * @param {object} user - Usuario
+ * @param {string} listId - ID de la lista
+ * @param {object} item - { type, targetId, note, position } (position: índice desde 0; por defecto, al final)
+ * @returns {Promise<object>} Lista actualizada
+ */
+async function addListItem(user, listId, { type, targetId, note, position }) {
+  const list = await loadManagedList(user, listId)
+  await findVisibleTarget(type, targetId)
+
+  if (list.items.some((item) => item.type === type && item.targetId.toString() === targetId.toString())) {
+    throw createError(409, "Ya está en la lista")
+  }
+
+  if (list.items.length >= LIST_MAX_ITEMS) {
+    throw createError(409, `Una lista no puede tener más de ${LIST_MAX_ITEMS} elementos`)
+  }
+
+  const updated = await FavoriteList.addItem(
+    listId,
+    { type, targetId, note },
+    { position: position === undefined ? undefined : Math.min(position, list.items.length), maxItems: LIST_MAX_ITEMS },
+  )
+
+  // Otra petición lo ha añadido o ha llenado la lista entretanto
+  if (!updated) {
+    throw createError(409, "La lista ha cambiado, vuelve a intentarlo")
+  }
+
+  return await toListResponse(updated, { manageable: true })
+}
+
+// Guardar un nuevo orden de los elementos si la lista no ha cambiado desde que se leyó
+const saveItemOrder = async (list, items) => {
+  const updated = await FavoriteList.replaceItems(list, items)
+  if (!updated) {
+    throw createError(409, "La lista ha cambiado, vuelve a intentarlo")
+  }
+  return updated
+}
+
+/**
+ * Cambia la nota o la posición de un elemento de una lista
+ * @param {object} user - Usuario
+ * @param {string} listId - ID de la lista
+ * @param {string} itemId - ID del elemento
+ * @param {object} changes - { note, position } (position: índice desde 0)
+ * @returns {Promise<object>} Lista actualizada
+ */
+async function updateListItem(user, listId, itemId, { note, position }) {
+  let list = await loadManagedList(user, listId)
+
+  const index = list.items.findIndex((item) => item._id.toString() === itemId.toString())
+  if (index === -1) {
+    throw createError(404, "El elemento no está en la lista")
+  }
+
+  if (note !== undefined) {
+    list = await FavoriteList.updateItemNote(listId, itemId, note)
+    if (!list) {
+      throw createError(404, "El elemento no está en la lista")
+    }
+  }
+
+  if (position !== undefined) {
+    const items = list.items.filter((item) => item._id.toString() !== itemId.toString())
+    const item = list.items.find((candidate) => candidate._id.toString() === itemId.toString())
+    if (!item) {
+      throw createError(404, "El elemento no está en la lista")
+    }
+
+    items.splice(Math.min(position, items.length), 0, item)
+    list = await saveItemOrder(list, items)
+  }
+
+  return await toListResponse(list, { manageable: true })
+}
+
+/**
+ * Reordena todos los elementos de una lista
+ * @param {object} user - Usuario
+ * @param {string} listId - ID de la lista
+ * @param {Array<string>} itemIds - IDs de todos los elementos en el nuevo orden
+ * @returns {Promise<object>} Lista actualizada
+ */
+async function reorderList(user, listId, itemIds) {
+  const list = await loadManagedList(user, listId)
+
+  const itemsById = new Map(list.items.map((item) => [item._id.toString(), item]))
+  const uniqueIds = new Set(itemIds.map(String))
+  const isPermutation =
+    uniqueIds.size === itemIds.length &&
+    itemIds.length === list.items.length &&
+    [...uniqueIds].every((itemId) => itemsById.has(itemId))
+
+  if (!isPermutation) {
+    throw createError(400, "itemIds debe contener una vez cada elemento de la lista")
+  }
+
+  const updated = await saveItemOrder(
+    list,
+    itemIds.map((itemId) => itemsById.get(itemId.toString())),
+  )
+  return await toListResponse(updated, { manageable: true })
+}
+
+/**
+ * Quita un elemento de una lista
+ * @param {object} user - Usuario
+ * @param {string} listId - ID de la lista
+ * @param {string} itemId - ID del elemento
+ * @returns {Promise<object>} Lista actualizada
+ */
+async function removeListItem(user, listId, itemId) {
+  await loadManagedList(user, listId)
+
+  const list = await FavoriteList.removeItem(listId, itemId)
+  if (!list) {
+    throw createError(404, "El elemento no está en la lista")
+  }
+
+  return await toListResponse(list, { manageable: true })
+}
+
+module.exports = {
+  LIST_MAX_ITEMS,
+  addFavorite,
+  removeFavorite,
+  getFavorites,
+  markFavorites,
+  getUserLists,
+  getPublicLists,
+  getList,
+  getSharedList,
+  createList,
+  updateList,
+  deleteList,
+  regenerateShareLink,
+  addListItem,
+  updateListItem,
+  reorderList,
+  removeListItem,
+}
@@ -0,0 +1,446 @@
+const Gazetteer = require("../models/Gazetteer")
+const Restaurant = require("../models/Restaurant")
+const { isLongitude, isLatitude, normalizePlaceName } = require("../utils/geo")
+
+// Confianza mínima para aceptar una geocodificación sin revisión de un moderador
+const MIN_CONFIDENCE = Number.parseFloat(process.env.GEOCODING_MIN_CONFIDENCE) || 0.7
+
+// Confianza según el lugar que se ha encontrado: una calle sitúa el restaurante mucho mejor que el
+// centro de su ciudad
+const CONFIDENCE = {
+  street: 0.95,
+  neighborhood: 0.8,
+  city: 0.6,
+  // Calle encontrada sin ciudad, solo cuando su nombre es único en el nomenclátor
+  streetWithoutCity: 0.5,
+}
+
+// Penalización cuando hay varios candidatos y se elige el más poblado
+const AMBIGUITY_PENALTY = 0.8
+
+// Distancia máxima (metros) a la que se busca cada tipo de lugar en la geocodificación inversa
+const REVERSE_RADIUS = {
+  street: 250,
+  neighborhood: 2000,
+  city: 30000,
+}
+
+// Partes de la dirección que se completan con la geocodificación inversa según lo precisa que sea
+// la ubicación (la calle nunca: el nombre de la vía más cercana no tiene por qué ser el del portal)
+const COMPLETABLE_PARTS = {
+  precise: ["neighborhood", "city", "state", "country"],
+  city: ["city", "state", "country"],
+}
+
+// Restaurantes que se geocodifican por lote al completar ubicaciones pendientes
+const BACKFILL_BATCH_SIZE = 100
+
+// Columnas del CSV del nomenclátor
+const CSV_COLUMNS = ["type", "name", "city", "state", "country", "latitude", "longitude", "population"]
+
+// Separar una línea CSV respetando los campos entre comillas ("" es una comilla escapada)
+const parseCsvLine = (line) => {
+  const fields = []
+  let field = ""
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      fields.push(field.trim())
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  fields.push(field.trim())
+  return fields
+}
+
+// Leer un CSV con cabecera; las columnas pueden ir en cualquier orden
+const csvRecords = (content) => {
+  const [header, ...lines] = content
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+
+  const columns = parseCsvLine(header || "").map((column) => column.toLowerCase())
+  const missing = ["type", "name", "latitude", "longitude"].filter((column) => !columns.includes(column))
+  if (missing.length > 0) {
+    throw new Error(`Faltan columnas en el CSV: ${missing.join(", ")}. Columnas admitidas: ${CSV_COLUMNS.join(", ")}`)
+  }
+
+  return lines.map((line) => {
+    const values = parseCsvLine(line)
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+  })
+}
+
+// Leer un FeatureCollection GeoJSON de puntos con los datos del lugar en properties
+const geoJsonRecords = (content) => {
+  const collection = JSON.parse(content)
+  if (collection?.type !== "FeatureCollection" || !Array.isArray(collection.features)) {
+    throw new Error("El GeoJSON debe ser un FeatureCollection")
+  }
+
+  return collection.features.map((feature) => {
+    const isPoint = feature?.geometry?.type === "Point"
+    const [longitude, latitude] = isPoint ? feature.geometry.coordinates : []
+    return { ...feature?.properties, longitude, latitude }
+  })
+}
+
+// Convertir un registro leído del fichero en una entrada del nomenclátor o devolver el error
+const toEntry = (record) => {
+  const entry = {
+    type: String(record.type || "").trim().toLowerCase(),
+    name: String(record.name || "").trim(),
+    city: String(record.city || "").trim(),
+    state: String(record.state || "").trim(),
+    country: String(record.country || "").trim(),
+    longitude: Number.parseFloat(record.longitude),
+    latitude: Number.parseFloat(record.latitude),
+    population: Number.parseInt(record.population) || 0,
+  }
+
+  if (!Gazetteer.PLACE_TYPES.includes(entry.type)) {
+    return { error: `tipo inválido "${record.type}" (tipos válidos: ${Gazetteer.PLACE_TYPES.join(", ")})` }
+  }
+  if (!normalizePlaceName(entry.name)) return { error: "falta el nombre" }
+  if (entry.type !== "city" && !entry.city) return { error: `${entry.name}: los barrios y calles necesitan ciudad` }
+  if (!isLongitude(entry.longitude) || !isLatitude(entry.latitude)) {
+    return { error: `${entry.name}: coordenadas inválidas (se necesita un punto con longitud y latitud)` }
+  }
+
+  return { entry }
+}
+
+/**
+ * Lee un nomenclátor en CSV (columnas type, name, city, state, country, latitude, longitude y
+ * population) o GeoJSON (FeatureCollection de puntos con esos datos en properties)
+ * @param {string} content - Contenido del fichero
+ * @param {string} format - csv o geojson
+ * @returns {object} { entries, errors } con los errores por línea o elemento
+ */
+function parseGazetteer(content, format) {
+  const records = format === "geojson" ? geoJsonRecords(content) : csvRecords(content)
+  const entries = []
+  const errors = []
+
+  records.forEach((record, i) => {
+    const { entry, error } = toEntry(record)
+    // En el CSV la primera línea es la cabecera
+    const position = format === "geojson" ? `Elemento ${i + 1}` : `Línea ${i + 2}`
+
+    if (entry) entries.push(entry)
+    else errors.push(`${position}: ${error}`)
+  })
+
+  return { entries, errors }
+}
+
+/**
+ * Importa un nomenclátor. Con replace se eliminan antes las entradas del mismo origen
+ * @param {string} content - Contenido del fichero
+ * @param {object} options - { format, source, replace }
+ * @returns {Promise<object>} { inserted, updated, removed, skipped, errors }
+ */
+async function importGazetteer(content, { format = "csv", source, replace = false } = {}) {
+  const { entries, errors } = parseGazetteer(content, format)
+
+  const removed = replace ? await Gazetteer.deleteBySource(source) : 0
+  const { inserted, updated } = await Gazetteer.importEntries(entries, source)
+
+  return { inserted, updated, removed, skipped: errors.length, errors }
+}
+
+// Quitar el número de portal y "s/n" del final del nombre de una calle
+const streetName = (street) => normalizePlaceName(street).replace(/(\s+(\d+[a-z]?|s n))+$/, "")
+
+// Descomponer una dirección (texto o estructurada, como la que recibe _processAddress)
+const toAddressParts = (address) => {
+  if (typeof address === "string") {
+    // "Calle Mayor 12, Sol, 28013, Madrid": se descartan los códigos postales y números sueltos
+    const parts = address
+      .split(",")
+      .map((part) => part.trim())
+      .filter((part) => part && !/^[\d\s-]+$/.test(part))
+    return { parts }
+  }
+
+  const { street, neighborhood, city, state, country } = address || {}
+  return { street, neighborhood, city, state, country }
+}
+
+// Elegir entre varias ciudades con el mismo nombre usando provincia y país si se conocen
+const pickCity = (cities, { state, country }) => {
+  const matching = cities.filter(
+    (city) =>
+      (!state || city.normalizedState === normalizePlaceName(state)) &&
+      (!country || city.normalizedCountry === normalizePlaceName(country)),
+  )
+  const candidates = matching.length > 0 ? matching : cities
+
+  return {
+    place: candidates[0],
+    ambiguous: candidates.length > 1 || matching.length === 0,
+  }
+}
+
+// Localizar la ciudad de la dirección; en las direcciones de texto se prueba cada parte desde el final
+const findCity = async (parts) => {
+  if (!parts.parts) {
+    const cities = parts.city ? await Gazetteer.findByName("city", normalizePlaceName(parts.city)) : []
+    return cities.length > 0 ? { ...pickCity(cities, parts), parts } : null
+  }
+
+  for (let i = parts.parts.length - 1; i >= 0; i--) {
+    const cities = await Gazetteer.findByName("city", normalizePlaceName(parts.parts[i]))
+    if (cities.length > 0) {
+      // Lo anterior a la ciudad es la calle (primera parte) y, si hay más partes, el barrio
+      const before = parts.parts.slice(0, i)
+      return {
+        ...pickCity(cities, {}),
+        parts: { street: before[0], neighborhoods: before.slice(1) },
+      }
+    }
+  }
+
+  return null
+}
+
+const toMatch = (place, confidence, ambiguous = false) => ({
+  coordinates: place.location.coordinates,
+  confidence: Math.round(confidence * 100) / 100,
+  matchedType: place.type,
+  matchedName: place.name,
+  matchedCity: place.city,
+  ambiguous,
+})
+
+/**
+ * Geocodifica una dirección con el nomenclátor local. Busca la calle dentro de la ciudad, después
+ * el barrio y, si no, usa el centro de la ciudad, con menos confianza cuanto menos precisa es la coincidencia
+ * @param {string|object} address - Dirección de texto o { street, neighborhood, city, state, country }
+ * @returns {Promise<object|null>} { coordinates, confidence, matchedType, matchedName, matchedCity, ambiguous } o null
+ */
+async function geocodeAddress(address) {
+  const parts = toAddressParts(address)
+  const city = await findCity(parts)
+
+  if (city) {
+    const penalty = city.ambiguous ? AMBIGUITY_PENALTY : 1
+    const inCity = { normalizedCity: city.place.normalizedCity }
+
+    if (city.parts.street) {
+      const streets = await Gazetteer.findByName("street", streetName(city.parts.street), inCity)
+      if (streets.length > 0) return toMatch(streets[0], CONFIDENCE.street * penalty, city.ambiguous)
+    }
+
+    const neighborhoods = city.parts.neighborhoods || [city.parts.neighborhood]
+    for (const neighborhood of neighborhoods.filter(Boolean)) {
+      const places = await Gazetteer.findByName("neighborhood", normalizePlaceName(neighborhood), inCity)
+      if (places.length > 0) return toMatch(places[0], CONFIDENCE.neighborhood * penalty, city.ambiguous)
+    }
+
+    return toMatch(city.place, CONFIDENCE.city * penalty, city.ambiguous)
+  }
+
+  // Sin ciudad reconocible solo se acepta una calle cuyo nombre no se repita en el nomenclátor
+  const street = parts.parts ? parts.parts[0] : parts.street
+  if (street) {
+    const streets = await Gazetteer.findByName("street", streetName(street))
+    if (streets.length === 1) return toMatch(streets[0], CONFIDENCE.streetWithoutCity)
+  }
+
+  return null
+}
+
+/**
+ * Calcula la ubicación de un restaurante al crearlo o cambiar su dirección. Si trae coordenadas se
+ * usan tal cual; si no, se geocodifica la dirección. Las coincidencias por debajo de
+ * GEOCODING_MIN_CONFIDENCE y las direcciones no encontradas quedan marcadas para revisión
+ * @param {object} restaurantData - Datos recibidos (address, location)
+ * @returns {Promise<object>} { location, geocoding }
+ */
+async function resolveLocation(restaurantData) {
+  const { location } = new Restaurant(restaurantData)
+  if (location) {
+    return { location, geocoding: { status: "provided", needsReview: false } }
+  }
+
+  const address = restaurantData.address || restaurantData.location?.address
+  const match = address ? await geocodeAddress(address) : null
+
+  if (!match) {
+    return { location: null, geocoding: { status: "not_found", needsReview: true, geocodedAt: new Date() } }
+  }
+
+  const lowConfidence = match.confidence < MIN_CONFIDENCE
+
+  return {
+    location: { type: "Point", coordinates: match.coordinates },
+    geocoding: {
+      status: lowConfidence ? "low_confidence" : "geocoded",
+      confidence: match.confidence,
+      matchedType: match.matchedType,
+      matchedName: match.matchedName,
+      matchedCity: match.matchedCity,
+      ambiguous: match.ambiguous,
+      needsReview: lowConfidence,
+      geocodedAt: new Date(),
+    },
+  }
+}
+
+/**
+ * Geocodificación inversa: calle, barrio y ciudad más cercanos a un punto
+ * @param {number} longitude - Longitud
+ * @param {number} latitude - Latitud
+ * @returns {Promise<object|null>} { street, neighborhood, city, state, country, label } o null si no hay nada cerca
+ */
+async function reverseGeocode(longitude, latitude) {
+  const [street, neighborhood, city] = await Promise.all(
+    ["street", "neighborhood", "city"].map((type) =>
+      Gazetteer.findNearest(type, longitude, latitude, REVERSE_RADIUS[type]),
+    ),
+  )
+
+  const places = [street, neighborhood, city].filter(Boolean)
+  if (places.length === 0) return null
+
+  const reference = city || places[0]
+
+  return {
+    street: street?.name || null,
+    neighborhood: neighborhood?.name || null,
+    city: city?.name || reference.city || null,
+    state: reference.state || null,
+    country: reference.country || null,
+    label: [street?.name, neighborhood?.name, city?.name || reference.city].filter(Boolean).join(", "),
+  }
+}
+
+// Partes que se pueden completar según la ubicación. El centro de la ciudad queda en revisión por su
+// poca precisión, pero la ciudad es correcta salvo que hubiera otras con el mismo nombre
+const completableParts = (location, geocoding) => {
+  if (!location) return []
+  if (geocoding?.matchedType === "city") {
+    return geocoding.ambiguous && geocoding.needsReview ? [] : COMPLETABLE_PARTS.city
+  }
+  return geocoding?.needsReview ? [] : COMPLETABLE_PARTS.precise
+}
+
+/**
+ * Completa la dirección estructurada de un restaurante con el barrio, la ciudad, la provincia y el
+ * país del lugar en que está situado. Solo se rellenan las partes vacías, y nada si la dirección ya
+ * indica una ciudad distinta de la del nomenclátor
+ * @param {string|object} address - Dirección de texto o estructurada
+ * @param {object} resolved - { location, geocoding } calculados con resolveLocation
+ * @returns {Promise<object>} Partes de la dirección (Restaurant.ADDRESS_FIELDS)
+ */
+async function completeAddressComponents(address, { location, geocoding } = {}) {
+  const components = Restaurant.getAddressComponents(address)
+  const parts = completableParts(location, geocoding)
+  if (parts.length === 0) return components
+
+  const place = await reverseGeocode(...location.coordinates)
+  if (!place || (components.city && normalizePlaceName(components.city) !== normalizePlaceName(place.city))) {
+    return components
+  }
+
+  for (const part of parts) {
+    if (!components[part]) components[part] = place[part]
+  }
+
+  return components
+}
+
+/**
+ * Geocodifica los restaurantes sin ubicación o con las coordenadas por defecto [0, 0], por ejemplo
+ * después de importar un nomenclátor
+ * @returns {Promise<object>} { processed, geocoded, needsReview }
+ */
+async function geocodeMissingLocations() {
+  const summary = { processed: 0, geocoded: 0, needsReview: 0 }
+  let afterId = null
+
+  for (;;) {
+    const restaurants = await Restaurant.findWithoutLocation(BACKFILL_BATCH_SIZE, afterId)
+
+    for (const restaurant of restaurants) {
+      const { location, geocoding } = await resolveLocation({ address: restaurant.address })
+      await Restaurant.setLocation(restaurant._id, location, geocoding)
+      await Restaurant.setAddressComponents(
+        restaurant._id,
+        await completeAddressComponents(restaurant.addressComponents || restaurant.address, { location, geocoding }),
+      )
+
+      summary.processed++
+      if (location) summary.geocoded++
+      if (geocoding.needsReview) summary.needsReview++
+    }
+
+    if (restaurants.length < BACKFILL_BATCH_SIZE) break
+    afterId = restaurants[restaurants.length - 1]._id
+  }
+
+  return summary
+}
+
+/**
+ * Crea la dirección estructurada de los restaurantes anteriores a ella a partir de su ubicación, para
+ * que aparezcan en los filtros por ciudad, barrio y país
+ * @returns {Promise<object>} { processed, completed }
+ */
+async function completeMissingAddresses() {
+  const summary = { processed: 0, completed: 0 }
+  let afterId = null
+
+  for (;;) {
+    const restaurants = await Restaurant.findWithoutAddressComponents(BACKFILL_BATCH_SIZE, afterId)
+
+    for (const restaurant of restaurants) {
+      // Los restaurantes anteriores a la geocodificación tienen coordenadas introducidas a mano o [0, 0]
+      const located = restaurant.location?.coordinates?.some((coordinate) => coordinate !== 0)
+      const addressComponents = await completeAddressComponents(restaurant.address, {
+        location: located ? restaurant.location : null,
+        geocoding: restaurant.geocoding,
+      })
+      await Restaurant.setAddressComponents(restaurant._id, addressComponents)
+
+      summary.processed++
+      if (addressComponents.city) summary.completed++
+    }
+
+    if (restaurants.length < BACKFILL_BATCH_SIZE) break
+    afterId = restaurants[restaurants.length - 1]._id
+  }
+
+  return summary
+}
+
+module.exports = {
+  MIN_CONFIDENCE,
+  parseGazetteer,
+  importGazetteer,
+  geocodeAddress,
+  resolveLocation,
+  reverseGeocode,
+  completeAddressComponents,
+  geocodeMissingLocations,
+  completeMissingAddresses,
+}
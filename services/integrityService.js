@@ -0,0 +1,233 @@
+const { getDB, withTransaction } = require("../config/database")
+const Restaurant = require("../models/Restaurant")
+const RestaurantClaim = require("../models/RestaurantClaim")
+const RestaurantModeration = require("../models/RestaurantModeration")
+const RestaurantSuggestion = require("../models/RestaurantSuggestion")
+const Dish = require("../models/Dish")
+const Favorite = require("../models/Favorite")
+const FavoriteList = require("../models/FavoriteList")
+const Review = require("../models/Review")
+const ReviewReaction = require("../models/ReviewReaction")
+const User = require("../models/User")
+const { demoteIfUnmanaged } = require("./ownershipService")
+const { refreshReviewerRankings } = require("./rankingService")
+
+// Referencias entre colecciones que se comprueban en el chequeo de integridad, en orden:
+// al reparar, los huérfanos se eliminan y pueden dejar huérfanos en comprobaciones posteriores
+// (p. ej. las reacciones de una reseña eliminada). Las referencias dentro de arrays ("pull")
+// solo se retiran del array
+const REFERENCE_CHECKS = [
+  { collection: "dishes", field: "restaurantId", references: "restaurants" },
+  { collection: "reviews", field: "restaurantId", references: "restaurants" },
+  { collection: "reviews", field: "dishId", references: "dishes" },
+  { collection: "reviews", field: "userId", references: "users" },
+  { collection: "review_reactions", field: "reviewId", references: "reviews" },
+  { collection: "review_reactions", field: "userId", references: "users" },
+  { collection: "FavoritosRestaurantes", field: "restaurantId", references: "restaurants" },
+  { collection: "FavoritosRestaurantes", field: "userId", references: "users" },
+  { collection: "dish_favorites", field: "dishId", references: "dishes" },
+  { collection: "dish_favorites", field: "userId", references: "users" },
+  { collection: "favorite_lists", field: "userId", references: "users" },
+  { collection: "restaurant_claims", field: "restaurantId", references: "restaurants" },
+  { collection: "restaurant_claims", field: "userId", references: "users" },
+  { collection: "restaurant_moderation", field: "restaurantId", references: "restaurants" },
+  { collection: "restaurant_suggestions", field: "restaurantId", references: "restaurants" },
+  { collection: "restaurant_suggestions", field: "userId", references: "users" },
+  { collection: "restaurants", field: "managers", references: "users", repair: "pull" },
+  { collection: "sessions", field: "userId", references: "users" },
+  { collection: "refresh_tokens", field: "sessionId", references: "sessions" },
+  { collection: "api_keys", field: "userId", references: "users" },
+  { collection: "two_factor", field: "userId", references: "users" },
+  { collection: "verification_codes", field: "userId", references: "users" },
+]
+
+// Número máximo de IDs de ejemplo por comprobación en el informe
+const SAMPLE_SIZE = 20
+
+/**
+ * Elimina definitivamente un restaurante (esté o no en la papelera) junto con sus platos,
+ * reseñas (y sus reacciones), favoritos (del restaurante y de sus platos), sus entradas en listas,
+ * reclamaciones, sugerencias de edición e historial de moderación en una única transacción. Después recalcula las estadísticas de los autores de las
+ * reseñas y sugerencias eliminadas y retira el rol owner a los gestores que se quedan sin restaurantes.
+ * @param {object} restaurant - Restaurante a eliminar
+ * @returns {Promise<object>} Recuento de documentos eliminados
+ */
+async function deleteRestaurantCascade(restaurant) {
+  const removed = await withTransaction(async (session) => {
+    const dishes = await Dish.purgeByRestaurant(restaurant._id, { session })
+    const reviews = await Review.purgeByRestaurant(restaurant._id, { session })
+    const favorites = await Favorite.deleteByTargets("restaurant", [restaurant._id], { session })
+    await FavoriteList.removeTargets("restaurant", [restaurant._id], { session })
+    const claims = await RestaurantClaim.deleteByRestaurant(restaurant._id, { session })
+    const suggestions = await RestaurantSuggestion.deleteByRestaurant(restaurant._id, { session })
+    await RestaurantModeration.deleteByRestaurant(restaurant._id, { session })
+    const deleted = await Restaurant.purgeById(restaurant._id, { session })
+
+    return { deleted, dishes, reviews, favorites, claims, suggestions }
+  })
+
+  for (const userId of removed.reviews.userIds) {
+    await User.updateReviewStats(userId)
+  }
+
+  for (const userId of removed.suggestions.userIds) {
+    await User.updateEditStats(userId)
+    await refreshReviewerRankings(userId)
+  }
+
+  for (const managerId of restaurant.managers || []) {
+    await demoteIfUnmanaged(managerId)
+  }
+
+  return {
+    restaurant: removed.deleted ? 1 : 0,
+    dishes: removed.dishes.dishes,
+    reviews: removed.reviews.reviews,
+    reactions: removed.reviews.reactions,
+    favorites: removed.favorites + removed.dishes.favorites,
+    claims: removed.claims,
+    suggestions: removed.suggestions.suggestions,
+    affectedUsers: new Set([...removed.reviews.userIds, ...removed.suggestions.userIds]).size,
+  }
+}
+
+// Buscar los documentos de una colección cuya referencia apunta a un documento inexistente
+const findOrphans = async (db, { collection, field, references }) => {
+  const referencedIds = (await db.collection(collection).distinct(field)).filter(Boolean)
+  if (referencedIds.length === 0) {
+    return { missingIds: [], documents: [] }
+  }
+
+  const existing = await db
+    .collection(references)
+    .find({ _id: { $in: referencedIds } }, { projection: { _id: 1 } })
+    .toArray()
+  const existingIds = new Set(existing.map((doc) => doc._id.toString()))
+
+  const missingIds = referencedIds.filter((id) => !existingIds.has(id.toString()))
+  if (missingIds.length === 0) {
+    return { missingIds, documents: [] }
+  }
+
+  const documents = await db
+    .collection(collection)
+    .find({ [field]: { $in: missingIds } }, { projection: { _id: 1, restaurantId: 1, dishId: 1, userId: 1 } })
+    .toArray()
+
+  return { missingIds, documents }
+}
+
+// Reparar una referencia rota y devolver el número de documentos modificados o eliminados
+const repairOrphans = async (db, check, { missingIds, documents }) => {
+  if (check.repair === "pull") {
+    const result = await db
+      .collection(check.collection)
+      .updateMany({ [check.field]: { $in: missingIds } }, { $pull: { [check.field]: { $in: missingIds } } })
+    return result.modifiedCount
+  }
+
+  const result = await db.collection(check.collection).deleteMany({ _id: { $in: documents.map((doc) => doc._id) } })
+  return result.deletedCount
+}
+
+// Comprobar que los contadores favoritesCount de restaurantes y platos coinciden con sus favoritos y
+// opcionalmente corregirlos
+const checkFavoriteCounters = async ({ repair }) => {
+  const report = {}
+
+  for (const type of Favorite.TYPES) {
+    const mismatches = await Favorite.findCounterMismatches(type)
+
+    report[Favorite.TARGETS[type].targets] = {
+      count: mismatches.length,
+      sampleIds: mismatches.slice(0, SAMPLE_SIZE).map((target) => target._id),
+      ...(repair ? { repaired: await Favorite.fixCounters(type, mismatches) } : {}),
+    }
+  }
+
+  return report
+}
+
+// Comprobar que los contadores likes/dislikes de las reseñas coinciden con sus reacciones y
+// opcionalmente corregirlos
+const checkReactionCounters = async ({ repair }) => {
+  const mismatches = await ReviewReaction.findCounterMismatches()
+
+  return {
+    count: mismatches.length,
+    sampleIds: mismatches.slice(0, SAMPLE_SIZE).map((review) => review._id),
+    ...(repair ? { repaired: await ReviewReaction.fixCounters(mismatches) } : {}),
+  }
+}
+
+/**
+ * Busca referencias rotas entre colecciones (platos sin restaurante, reseñas sin autor,
+ * sesiones de usuarios eliminados...) y contadores de reacciones de reseñas y de favoritos
+ * desajustados, y opcionalmente los repara.
+ * Al reparar se recalculan el rating de los restaurantes y platos y las estadísticas de los usuarios
+ * que pierden reseñas, y los contadores se recalculan después de eliminar las reacciones y los favoritos
+ * huérfanos.
+ * @param {object} options - { repair }
+ * @returns {Promise<object>} Informe con las incidencias encontradas por referencia
+ */
+async function checkIntegrity({ repair = false } = {}) {
+  const db = getDB()
+  const issues = []
+  const affectedRestaurants = new Set()
+  const affectedDishes = new Set()
+  const affectedUsers = new Set()
+
+  for (const check of REFERENCE_CHECKS) {
+    const orphans = await findOrphans(db, check)
+    if (orphans.documents.length === 0) continue
+
+    const issue = {
+      collection: check.collection,
+      field: check.field,
+      references: check.references,
+      count: orphans.documents.length,
+      sampleIds: orphans.documents.slice(0, SAMPLE_SIZE).map((doc) => doc._id),
+    }
+
+    if (repair) {
+      if (check.collection === "reviews") {
+        for (const review of orphans.documents) {
+          if (review.restaurantId) affectedRestaurants.add(review.restaurantId.toString())
+          if (review.dishId) affectedDishes.add(review.dishId.toString())
+          if (review.userId) affectedUsers.add(review.userId.toString())
+        }
+      }
+
+      issue.repaired = await repairOrphans(db, check, orphans)
+    }
+
+    issues.push(issue)
+  }
+
+  // Recalcular estadísticas (no tiene efecto si el restaurante, el plato o el usuario ya no existen)
+  for (const restaurantId of affectedRestaurants) {
+    await Restaurant.updateRating(restaurantId)
+  }
+
+  for (const dishId of affectedDishes) {
+    await Dish.updateRating(dishId)
+  }
+
+  for (const userId of affectedUsers) {
+    await User.updateReviewStats(userId)
+  }
+
+  return {
+    checkedAt: new Date(),
+    repaired: repair,
+    totalOrphans: issues.reduce((total, issue) => total + issue.count, 0),
+    issues,
+    reactionCounters: await checkReactionCounters({ repair }),
+    favoriteCounters: await checkFavoriteCounters({ repair }),
+  }
+}
+
+module.exports = {
+  deleteRestaurantCascade,
+  checkIntegrity,
+}
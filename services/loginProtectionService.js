@@ -0,0 +1,108 @@
+const LoginAttempt = require("../models/LoginAttempt")
+const { createError } = require("../middlewares/errorHandler")
+
+// Umbrales configurables por variables de entorno
+const MAX_ATTEMPTS_PER_ACCOUNT = Number.parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5
+const MAX_ATTEMPTS_PER_IP = Number.parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20
+const ATTEMPT_WINDOW_MS = (Number.parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000
+const LOCKOUT_MS = (Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+const DELAY_BASE_MS = Number.parseInt(process.env.LOGIN_DELAY_BASE_MS) || 500
+const DELAY_MAX_MS = Number.parseInt(process.env.LOGIN_DELAY_MAX_MS) || 5000
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`
+const ipKey = (ip) => `ip:${ip}`
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000))
+
+const lockedAccountError = (lockedUntil) => {
+  const error = createError(423, "Cuenta bloqueada temporalmente por demasiados intentos fallidos")
+  error.retryAfter = secondsUntil(lockedUntil)
+  return error
+}
+
+const lockedIpError = (lockedUntil) => {
+  const error = createError(429, "Demasiados intentos de inicio de sesión desde esta IP, intenta de nuevo más tarde")
+  error.retryAfter = secondsUntil(lockedUntil)
+  return error
+}
+
+/**
+ * Comprueba que la cuenta y la IP no estén bloqueadas y aplica el retardo progresivo
+ * @param {string} email - Email con el que se intenta iniciar sesión
+ * @param {string} ip - IP de origen
+ * @returns {Promise<void>}
+ */
+async function assertLoginAllowed(email, ip) {
+  const now = new Date()
+  const [ipAttempts, accountAttempts] = await Promise.all([
+    LoginAttempt.findByKey(ipKey(ip)),
+    LoginAttempt.findByKey(accountKey(email)),
+  ])
+
+  if (ipAttempts?.lockedUntil > now) {
+    throw lockedIpError(ipAttempts.lockedUntil)
+  }
+
+  if (accountAttempts?.lockedUntil > now) {
+    throw lockedAccountError(accountAttempts.lockedUntil)
+  }
+
+  // Retardo exponencial según los fallos recientes de la cuenta
+  const failures = accountAttempts && !accountAttempts.lockedUntil ? accountAttempts.failures : 0
+  if (failures > 0) {
+    await sleep(Math.min(DELAY_BASE_MS * 2 ** (failures - 1), DELAY_MAX_MS))
+  }
+}
+
+/**
+ * Registra un intento fallido y bloquea la cuenta o la IP al superar el umbral.
+ * Lanza el error de bloqueo (423/429) cuando este intento lo provoca.
+ * @param {string} email - Email usado en el intento
+ * @param {string} ip - IP de origen
+ * @returns {Promise<void>}
+ */
+async function registerLoginFailure(email, ip) {
+  const [ipAttempts, accountAttempts] = await Promise.all([
+    LoginAttempt.recordFailure(ipKey(ip), ATTEMPT_WINDOW_MS),
+    LoginAttempt.recordFailure(accountKey(email), ATTEMPT_WINDOW_MS),
+  ])
+
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MS)
+
+  if (accountAttempts.failures >= MAX_ATTEMPTS_PER_ACCOUNT) {
+    await LoginAttempt.lock(accountKey(email), lockedUntil)
+    throw lockedAccountError(lockedUntil)
+  }
+
+  if (ipAttempts.failures >= MAX_ATTEMPTS_PER_IP) {
+    await LoginAttempt.lock(ipKey(ip), lockedUntil)
+    throw lockedIpError(lockedUntil)
+  }
+}
+
+/**
+ * Limpia los fallos de la cuenta tras un login correcto (el contador por IP se conserva)
+ * @param {string} email - Email de la cuenta
+ * @returns {Promise<void>}
+ */
+async function registerLoginSuccess(email) {
+  await LoginAttempt.reset(accountKey(email))
+}
+
+/**
+ * Desbloquea manualmente una cuenta (uso administrativo)
+ * @param {string} email - Email de la cuenta
+ * @returns {Promise<boolean>} True si la cuenta tenía intentos registrados
+ */
+async function unlockAccount(email) {
+  return await LoginAttempt.reset(accountKey(email))
+}
+
+module.exports = {
+  assertLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess,
+  unlockAccount,
+}
@@ -0,0 +1,69 @@
+const fs = require("fs/promises")
+const path = require("path")
+
+const MAIL_FROM = process.env.MAIL_FROM || "FoodieRank <no-reply@foodierank.com>"
+
+/**
+ * Transportes disponibles. Cada transporte expone send(message) y devuelve una promesa.
+ * Para integrar un proveedor real (SMTP, API HTTP, etc.) basta con registrarlo con registerTransport.
+ */
+const transports = {
+  // Imprime el correo en la consola (desarrollo local)
+  console: {
+    async send(message) {
+      console.log("📧 Email enviado:", {
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      })
+    },
+  },
+
+  // Guarda cada correo como JSON en MAIL_FILE_DIR
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_FILE_DIR || path.join("logs", "mails")
+      await fs.mkdir(dir, { recursive: true })
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.json`
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2))
+    },
+  },
+}
+
+/**
+ * Registra un transporte de correo adicional
+ * @param {string} name - Nombre del transporte (valor de MAIL_TRANSPORT)
+ * @param {object} transport - Objeto con un método async send(message)
+ */
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error("El transporte debe implementar send(message)")
+  }
+  transports[name] = transport
+}
+
+/**
+ * Envía un correo usando el transporte configurado en MAIL_TRANSPORT (por defecto "console")
+ * @param {object} message - Datos del correo ({ to, subject, text, html })
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+  const transportName = process.env.MAIL_TRANSPORT || "console"
+  const transport = transports[transportName]
+
+  if (!transport) {
+    throw new Error(`Transporte de correo desconocido: ${transportName}`)
+  }
+
+  await transport.send({
+    from: MAIL_FROM,
+    ...message,
+    date: new Date().toISOString(),
+  })
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+}
@@ -0,0 +1,189 @@
+const Restaurant = require("../models/Restaurant")
+const RestaurantModeration = require("../models/RestaurantModeration")
+const User = require("../models/User")
+const { sendMail } = require("./mailService")
+const { hasPermission, canAccessResource } = require("../config/permissions")
+const { createError } = require("../middlewares/errorHandler")
+
+/**
+ * Máquina de estados de moderación de restaurantes
+ *
+ * draft → pending → approved / rejected; approved → suspended; rejected y suspended pueden
+ * volver a aprobarse. Las acciones con "permission" son de moderadores; el resto las puede
+ * realizar quien envió el restaurante o sus gestores (restaurant:submit).
+ */
+const TRANSITIONS = {
+  submit: { from: ["draft", "rejected"], to: "pending" },
+  withdraw: { from: ["pending"], to: "draft" },
+  approve: { from: ["pending", "rejected", "suspended"], to: "approved", permission: "restaurant:approve" },
+  reject: { from: ["pending"], to: "rejected", permission: "restaurant:approve", requiresReason: true },
+  suspend: { from: ["approved"], to: "suspended", permission: "restaurant:approve", requiresReason: true },
+}
+
+// Correos que recibe quien envió el restaurante tras una decisión de moderación
+const NOTIFICATIONS = {
+  approve: (name) => ({
+    subject: `Tu restaurante ${name} ha sido aprobado`,
+    text: `Tu restaurante "${name}" ya es visible en FoodieRank.`,
+  }),
+  reject: (name, reason) => ({
+    subject: `Tu restaurante ${name} no ha sido aprobado`,
+    text:
+      `Tu restaurante "${name}" no ha sido aprobado.\n\nMotivo: ${reason}\n\n` +
+      "Puedes corregirlo y volver a enviarlo a revisión.",
+  }),
+  suspend: (name, reason) => ({
+    subject: `Tu restaurante ${name} ha sido suspendido`,
+    text: `Tu restaurante "${name}" ha dejado de ser visible en FoodieRank.\n\nMotivo: ${reason}`,
+  }),
+}
+
+// Quien envió el restaurante y sus gestores pueden enviarlo a revisión o retirarlo
+const canSubmit = (user, restaurant) =>
+  canAccessResource(user, "restaurant:submit", [restaurant.createdBy, ...(restaurant.managers || [])])
+
+// Avisar por correo a quien envió el restaurante (un fallo de envío no deshace la decisión)
+const notifySubmitter = async (restaurant, action, reason) => {
+  if (!NOTIFICATIONS[action] || !restaurant.createdBy) return
+
+  try {
+    const submitter = await User.findById(restaurant.createdBy)
+    if (!submitter) return
+
+    const { subject, text } = NOTIFICATIONS[action](restaurant.name, reason)
+    await sendMail({ to: submitter.email, subject, text: `Hola ${submitter.name},\n\n${text}` })
+  } catch (error) {
+    console.error("Error notificando la decisión de moderación:", error)
+  }
+}
+
+/**
+ * Estado inicial de un restaurante nuevo: borrador si se pide, aprobado si lo crea un moderador
+ * y pendiente de revisión en otro caso
+ * @param {object} user - Usuario que lo crea
+ * @param {boolean} draft - Si se guarda como borrador
+ * @returns {string} Estado inicial
+ */
+function initialStatus(user, draft = false) {
+  if (draft) return "draft"
+  return hasPermission(user, "restaurant:approve") ? "approved" : "pending"
+}
+
+/**
+ * Registra en el historial la creación de un restaurante
+ * @param {object} restaurant - Restaurante creado
+ * @param {object} user - Usuario que lo crea
+ * @returns {Promise<object>} Entrada del historial
+ */
+async function recordCreation(restaurant, user) {
+  return await RestaurantModeration.create({
+    restaurantId: restaurant._id,
+    action: "create",
+    to: restaurant.status,
+    userId: user._id,
+  })
+}
+
+/**
+ * Aplica una acción de moderación a un restaurante, la registra en el historial y avisa a
+ * quien lo envió
+ * @param {string} restaurantId - ID del restaurante
+ * @param {string} action - submit, withdraw, approve, reject o suspend
+ * @param {object} user - Usuario que realiza la acción
+ * @param {object} details - { reason, notes } (reason es obligatorio al rechazar o suspender)
+ * @returns {Promise<object>} Restaurante actualizado
+ */
+async function moderateRestaurant(restaurantId, action, user, { reason = null, notes = null } = {}) {
+  const transition = TRANSITIONS[action]
+  if (!transition) {
+    throw createError(400, `Acción de moderación inválida: ${action}`)
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId)
+  if (!restaurant) {
+    throw createError(404, "Restaurante no encontrado")
+  }
+
+  const allowed = transition.permission ? hasPermission(user, transition.permission) : canSubmit(user, restaurant)
+  if (!allowed) {
+    throw createError(403, "No tienes permisos para realizar esta acción")
+  }
+
+  if (transition.requiresReason && !reason) {
+    throw createError(400, "Debes indicar el motivo")
+  }
+
+  const from = Restaurant.getStatus(restaurant)
+  if (!transition.from.includes(from)) {
+    throw createError(409, `No se puede aplicar "${action}" a un restaurante en estado ${from}`)
+  }
+
+  const updated = await Restaurant.setStatus(restaurant._id, from, transition.to, {
+    moderatedBy: user._id,
+    reason,
+    notes,
+  })
+  if (!updated) {
+    throw createError(409, "El estado del restaurante ha cambiado. Vuelve a intentarlo")
+  }
+
+  await RestaurantModeration.create({
+    restaurantId: restaurant._id,
+    action,
+    from,
+    to: transition.to,
+    reason,
+    notes,
+    userId: user._id,
+  })
+
+  await notifySubmitter(updated, action, reason)
+
+  return updated
+}
+
+/**
+ * Historial de moderación de un restaurante. Las notas internas de los moderadores solo las
+ * ven otros moderadores
+ * @param {object} restaurant - Restaurante
+ * @param {object} user - Usuario que consulta
+ * @returns {Promise<Array>} Entradas del historial, de la más reciente a la más antigua
+ */
+async function getModerationHistory(restaurant, user) {
+  const isModerator = hasPermission(user, "restaurant:approve")
+  if (!isModerator && !canSubmit(user, restaurant)) {
+    throw createError(403, "No tienes permisos para ver el historial de este restaurante")
+  }
+
+  const history = await RestaurantModeration.findByRestaurant(restaurant._id)
+
+  return isModerator ? history : history.map(({ notes, ...entry }) => entry)
+}
+
+/**
+ * Quita las notas internas de moderación de los restaurantes que se devuelven a quien no es moderador
+ * @param {object|Array} restaurants - Restaurante o lista de restaurantes
+ * @param {object} user - Usuario que consulta (puede no haber)
+ * @returns {object|Array} Los mismos restaurantes, sin moderation.notes si el usuario no puede aprobar
+ */
+function hideModerationNotes(restaurants, user) {
+  if (hasPermission(user, "restaurant:approve")) return restaurants
+
+  const hide = (restaurant) => {
+    if (!restaurant?.moderation) return restaurant
+    const { notes, ...moderation } = restaurant.moderation
+    return { ...restaurant, moderation }
+  }
+
+  return Array.isArray(restaurants) ? restaurants.map(hide) : hide(restaurants)
+}
+
+module.exports = {
+  TRANSITIONS,
+  canSubmit,
+  initialStatus,
+  recordCreation,
+  moderateRestaurant,
+  getModerationHistory,
+  hideModerationNotes,
+}
@@ -0,0 +1,211 @@
+const Restaurant = require("../models/Restaurant")
+const RestaurantClaim = require("../models/RestaurantClaim")
+const User = require("../models/User")
+const { hasPermission, canAccessResource } = require("../config/permissions")
+const { createError } = require("../middlewares/errorHandler")
+
+const isManagerOf = (restaurant, userId) =>
+  (restaurant.managers || []).some((managerId) => managerId.toString() === userId.toString())
+
+/**
+ * Indica si un usuario puede realizar una acción sobre un restaurante (sus gestores son sus propietarios)
+ * @param {object} user - Usuario
+ * @param {object} restaurant - Restaurante (con managers)
+ * @param {string} action - Acción sin sufijo, p. ej. "restaurant:update"
+ * @returns {boolean} True si la acción está permitida
+ */
+function canManageRestaurant(user, restaurant, action = "restaurant:update") {
+  return canAccessResource(user, action, restaurant.managers || [])
+}
+
+/**
+ * Indica si un usuario puede modificar un plato: los platos son de su restaurante, así que solo
+ * pueden sus gestores (o quien tenga el permiso ":any")
+ * @param {object} user - Usuario
+ * @param {object} dish - Plato
+ * @param {string} action - "dish:update" o "dish:delete"
+ * @returns {Promise<boolean>} True si la acción está permitida
+ */
+async function canManageDish(user, dish, action) {
+  const restaurant = await Restaurant.findById(dish.restaurantId)
+
+  return canAccessResource(user, action, restaurant?.managers || [])
+}
+
+// Dar el rol owner a un usuario normal que pasa a gestionar un restaurante
+const promoteToOwner = async (userId) => {
+  const user = await User.findById(userId)
+  if (user?.role === "user") {
+    await User.changeRole(userId, "owner")
+  }
+}
+
+/**
+ * Devuelve al rol user a un owner que ya no gestiona ningún restaurante
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<void>}
+ */
+async function demoteIfUnmanaged(userId) {
+  const user = await User.findById(userId)
+  if (user?.role !== "owner") return
+
+  const managed = await Restaurant.findManagedBy(userId)
+  if (managed.length === 0) {
+    await User.changeRole(userId, "user")
+  }
+}
+
+/**
+ * Crea una reclamación de propiedad sobre un restaurante
+ * @param {object} user - Usuario que reclama
+ * @param {string} restaurantId - ID del restaurante
+ * @param {object} evidence - { description, documents, contactPhone, contactEmail }
+ * @returns {Promise<object>} Reclamación creada
+ */
+async function submitClaim(user, restaurantId, evidence) {
+  const restaurant = await Restaurant.findById(restaurantId)
+  if (!restaurant) {
+    throw createError(404, "Restaurante no encontrado")
+  }
+
+  if (isManagerOf(restaurant, user._id)) {
+    throw createError(400, "Ya gestionas este restaurante")
+  }
+
+  if (await RestaurantClaim.findPending(restaurantId, user._id)) {
+    throw createError(409, "Ya tienes una reclamación pendiente para este restaurante")
+  }
+
+  return await RestaurantClaim.create({ restaurantId, userId: user._id, evidence })
+}
+
+/**
+ * Aprueba una reclamación: el usuario pasa a gestionar el restaurante
+ * @param {string} claimId - ID de la reclamación
+ * @param {object} reviewer - Administrador que la aprueba
+ * @param {string} note - Nota opcional
+ * @returns {Promise<object>} Reclamación actualizada
+ */
+async function approveClaim(claimId, reviewer, note = null) {
+  const claim = await RestaurantClaim.resolve(claimId, "approved", { reviewedBy: reviewer._id, reviewNote: note })
+  if (!claim) {
+    throw createError(404, "Reclamación no encontrada o ya resuelta")
+  }
+
+  await Restaurant.addManager(claim.restaurantId, claim.userId)
+  await promoteToOwner(claim.userId)
+
+  return claim
+}
+
+/**
+ * Rechaza una reclamación pendiente
+ * @param {string} claimId - ID de la reclamación
+ * @param {object} reviewer - Administrador que la rechaza
+ * @param {string} note - Motivo del rechazo
+ * @returns {Promise<object>} Reclamación actualizada
+ */
+async function rejectClaim(claimId, reviewer, note = null) {
+  const claim = await RestaurantClaim.resolve(claimId, "rejected", { reviewedBy: reviewer._id, reviewNote: note })
+  if (!claim) {
+    throw createError(404, "Reclamación no encontrada o ya resuelta")
+  }
+
+  return claim
+}
+
+/**
+ * Cancela una reclamación pendiente del propio usuario
+ * @param {string} claimId - ID de la reclamación
+ * @param {object} user - Usuario que la creó
+ * @returns {Promise<object>} Reclamación actualizada
+ */
+async function cancelClaim(claimId, user) {
+  const claim = await RestaurantClaim.findById(claimId)
+  if (!claim || claim.userId.toString() !== user._id.toString()) {
+    throw createError(404, "Reclamación no encontrada")
+  }
+
+  const cancelled = await RestaurantClaim.resolve(claimId, "cancelled")
+  if (!cancelled) {
+    throw createError(400, "Solo se pueden cancelar reclamaciones pendientes")
+  }
+
+  return cancelled
+}
+
+/**
+ * Añade un gestor a un restaurante
+ * @param {object} restaurant - Restaurante
+ * @param {string} userId - Usuario que pasa a gestionarlo
+ * @returns {Promise<void>}
+ */
+async function addManager(restaurant, userId) {
+  const user = await User.findById(userId)
+  if (!user) {
+    throw createError(404, "Usuario no encontrado")
+  }
+
+  if (isManagerOf(restaurant, userId)) {
+    throw createError(400, "El usuario ya gestiona este restaurante")
+  }
+
+  await Restaurant.addManager(restaurant._id, userId)
+  await promoteToOwner(userId)
+}
+
+/**
+ * Quita un gestor de un restaurante. Un gestor no puede dejar el restaurante sin gestores
+ * @param {object} restaurant - Restaurante
+ * @param {string} userId - Gestor a quitar
+ * @param {object} actor - Usuario que realiza la acción
+ * @returns {Promise<void>}
+ */
+async function removeManager(restaurant, userId, actor) {
+  if (!isManagerOf(restaurant, userId)) {
+    throw createError(404, "El usuario no gestiona este restaurante")
+  }
+
+  const isLastManager = restaurant.managers.length === 1
+  if (isLastManager && !hasPermission(actor, "restaurant:managers:any")) {
+    throw createError(400, "No se puede quitar al único gestor. Transfiere la propiedad en su lugar")
+  }
+
+  await Restaurant.removeManager(restaurant._id, userId)
+  await demoteIfUnmanaged(userId)
+}
+
+/**
+ * Transfiere la propiedad de un restaurante: el destinatario pasa a ser su único gestor
+ * @param {object} restaurant - Restaurante
+ * @param {string} toUserId - Nuevo propietario
+ * @returns {Promise<void>}
+ */
+async function transferOwnership(restaurant, toUserId) {
+  const user = await User.findById(toUserId)
+  if (!user) {
+    throw createError(404, "Usuario no encontrado")
+  }
+
+  const previousManagers = (restaurant.managers || []).filter((managerId) => managerId.toString() !== toUserId)
+
+  await Restaurant.setManagers(restaurant._id, [toUserId])
+  await promoteToOwner(toUserId)
+
+  for (const managerId of previousManagers) {
+    await demoteIfUnmanaged(managerId)
+  }
+}
+
+module.exports = {
+  canManageRestaurant,
+  canManageDish,
+  submitClaim,
+  approveClaim,
+  rejectClaim,
+  cancelClaim,
+  addManager,
+  removeManager,
+  transferOwnership,
+  demoteIfUnmanaged,
+}
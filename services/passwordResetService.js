@@ -0,0 +1,71 @@
+const crypto = require("crypto")
+const User = require("../models/User")
+const VerificationCode = require("../models/VerificationCode")
+const { sendMail } = require("./mailService")
+const { revokeAllSessions } = require("./tokenService")
+const { validatePassword } = require("../utils/helpers")
+const { createError } = require("../middlewares/errorHandler")
+
+const PASSWORD_RESET_PURPOSE = "password_reset"
+const RESET_TOKEN_TTL_MINUTES = Number.parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3001"
+
+/**
+ * Genera un token de recuperación y lo envía por correo si el email existe.
+ * No revela si la cuenta existe: quien llama debe responder siempre igual.
+ * @param {string} email - Email indicado en la solicitud
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  const user = await User.findByEmail(email)
+  if (!user) {
+    return
+  }
+
+  const token = crypto.randomBytes(32).toString("hex")
+
+  await VerificationCode.create(token, {
+    userId: user._id,
+    purpose: PASSWORD_RESET_PURPOSE,
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+  })
+
+  await sendMail({
+    to: user.email,
+    subject: "Recupera tu contraseña de FoodieRank",
+    text:
+      `Hola ${user.name},\n\n` +
+      `Para elegir una nueva contraseña entra en:\n${FRONTEND_URL}/reset-password?token=${token}\n\n` +
+      `El enlace caduca en ${RESET_TOKEN_TTL_MINUTES} minutos y solo puede usarse una vez. ` +
+      "Si no solicitaste el cambio, ignora este correo.",
+  })
+}
+
+/**
+ * Cambia la contraseña usando un token de recuperación y revoca todas las sesiones
+ * @param {string} token - Token recibido por correo
+ * @param {string} newPassword - Nueva contraseña
+ * @returns {Promise<void>}
+ */
+async function resetPassword(token, newPassword) {
+  const { isValid, errors } = validatePassword(newPassword)
+  if (!isValid) {
+    throw createError(400, errors.join(". "))
+  }
+
+  const resetCode = await VerificationCode.consumeToken(PASSWORD_RESET_PURPOSE, token)
+  if (!resetCode) {
+    throw createError(400, "El enlace de recuperación es inválido o ha expirado")
+  }
+
+  await User.updateById(resetCode.userId, { password: newPassword })
+
+  // Invalidar otros enlaces pendientes y todas las sesiones abiertas
+  await VerificationCode.deletePending(resetCode.userId, PASSWORD_RESET_PURPOSE)
+  await revokeAllSessions(resetCode.userId, "password_reset")
+}
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+}
@@ -0,0 +1,299 @@
+const Restaurant = require("../models/Restaurant")
+const Review = require("../models/Review")
+const Dish = require("../models/Dish")
+const RankingConfig = require("../models/RankingConfig")
+const RankingSnapshot = require("../models/RankingSnapshot")
+const { affectsReviewWeights, describeFormulas } = require("../utils/ranking")
+const { normalizePlaceName } = require("../utils/geo")
+
+// Puestos de cada segmento que se guardan en las instantáneas diarias
+const SNAPSHOT_SIZE = Number.parseInt(process.env.RANKING_SNAPSHOT_SIZE) || 100
+// Cada cuántos minutos se comprueba si falta la instantánea del día
+const SNAPSHOT_INTERVAL_MINUTES = Number.parseInt(process.env.RANKING_SNAPSHOT_INTERVAL_MINUTES) || 60
+// Días del histórico de un restaurante cuando no se indica el inicio
+const HISTORY_DEFAULT_DAYS = 90
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+// Día en formato YYYY-MM-DD (UTC), la clave de las instantáneas
+const toDateKey = (date) => date.toISOString().slice(0, 10)
+
+const addDays = (dateKey, days) => toDateKey(new Date(Date.parse(dateKey) + days * MS_PER_DAY))
+
+// Segmento de una consulta: sin categoría ni ciudad es el ranking global
+const toSegment = ({ category, city } = {}) => ({
+  category: category || null,
+  city: city ? normalizePlaceName(city) : null,
+})
+
+// Segmentos en los que compite un restaurante
+const segmentsOf = (restaurant) => {
+  const category = restaurant.category || null
+  const city = restaurant.addressKeys?.city || null
+
+  return [
+    { category: null, city: null },
+    ...(category ? [{ category, city: null }] : []),
+    ...(city ? [{ category: null, city }] : []),
+    ...(category && city ? [{ category, city }] : []),
+  ]
+}
+
+/**
+ * Configuración vigente del ranking, con las fórmulas disponibles y la media global actual
+ * @returns {Promise<object>} { config, formulas, priorMean }
+ */
+async function getRankingSettings() {
+  const [config, priorMean] = await Promise.all([RankingConfig.get(), Restaurant.getRatingMean()])
+
+  return {
+    config,
+    formulas: describeFormulas(),
+    priorMean: Math.round(priorMean * 100) / 100,
+  }
+}
+
+/**
+ * Cambia la configuración del ranking. Si cambia el peso de las reseñas (decaimiento temporal o
+ * reputación) se recalculan las estadísticas de todos los restaurantes antes de responder
+ * @param {object} changes - Cambio parcial ya validado con validateRankingConfig
+ * @param {object} user - Administrador que lo cambia
+ * @returns {Promise<object>} { config, recomputed } con el número de restaurantes recalculados
+ */
+async function updateRankingConfig(changes, user) {
+  const { previous, config } = await RankingConfig.update(changes, user._id)
+
+  const recomputed = affectsReviewWeights(previous, config) ? await Restaurant.recomputeRankingStats(config) : 0
+
+  return { config, recomputed }
+}
+
+/**
+ * Recalcula las estadísticas del ranking de todos los restaurantes con la configuración vigente y la
+ * valoración de todos los platos
+ * @returns {Promise<object>} { recomputed, dishes }
+ */
+async function recomputeRankingStats() {
+  const config = await RankingConfig.get()
+  return {
+    recomputed: await Restaurant.recomputeRankingStats(config),
+    dishes: await Dish.recomputeRatings(),
+  }
+}
+
+/**
+ * Actualiza el ranking de los restaurantes que ha reseñado un usuario cuando cambia su reputación
+ * (solo si la reputación pondera las reseñas)
+ * @param {string} userId - ID del autor
+ * @returns {Promise<number>} Restaurantes recalculados
+ */
+async function refreshReviewerRankings(userId) {
+  const config = await RankingConfig.get()
+  if (!config.reputationWeighting.enabled) return 0
+
+  const restaurantIds = await Review.findRestaurantIdsByUser(userId)
+  for (const restaurantId of restaurantIds) {
+    await Restaurant.updateRankingStats(restaurantId, config)
+  }
+
+  return restaurantIds.length
+}
+
+/**
+ * Guarda la instantánea del ranking de un día: global, por categoría, por ciudad y por categoría en
+ * cada ciudad, con los SNAPSHOT_SIZE primeros puestos de cada segmento. Si ya existía se sustituye.
+ * Los segmentos que se han quedado sin restaurantes se guardan vacíos, para que sus consultas no
+ * devuelvan como actual una instantánea antigua
+ * @param {Date} at - Momento de la instantánea
+ * @returns {Promise<object>} { date, segments, restaurants }
+ */
+async function takeRankingSnapshot(at = new Date()) {
+  const { config, restaurants } = await Restaurant.getRankingScores()
+  const date = toDateKey(at)
+  const segments = new Map()
+
+  // Los restaurantes llegan en el orden del ranking, así que cada segmento se rellena en orden
+  for (const restaurant of restaurants) {
+    for (const segment of segmentsOf(restaurant)) {
+      const key = `${segment.category}|${segment.city}`
+      if (!segments.has(key)) {
+        segments.set(key, {
+          ...segment,
+          cityName: segment.city ? restaurant.addressComponents?.city || null : null,
+          size: 0,
+          entries: [],
+        })
+      }
+
+      const snapshot = segments.get(key)
+      snapshot.size++
+      if (snapshot.entries.length < SNAPSHOT_SIZE) {
+        snapshot.entries.push({
+          restaurantId: restaurant._id,
+          name: restaurant.name,
+          rank: snapshot.size,
+          score: restaurant.rankingScore,
+          rating: restaurant.rating,
+          reviewCount: restaurant.reviewCount,
+        })
+      }
+    }
+  }
+
+  for (const segment of await RankingSnapshot.findPreviousSegments(date)) {
+    const key = `${segment.category}|${segment.city}`
+    if (!segments.has(key)) {
+      segments.set(key, { ...segment, size: 0, entries: [] })
+    }
+  }
+
+  const saved = await RankingSnapshot.replaceMany(
+    [...segments.values()].map((snapshot) => ({
+      ...snapshot,
+      date,
+      formula: config.formula,
+      configVersion: config.version,
+      takenAt: at,
+    })),
+  )
+
+  return { date, segments: saved, restaurants: restaurants.length }
+}
+
+/**
+ * Programa la instantánea diaria del ranking. Cada RANKING_SNAPSHOT_INTERVAL_MINUTES se comprueba si
+ * ya existe la del día, de modo que un reinicio no la duplica ni la pierde
+ * @returns {NodeJS.Timeout} Temporizador (no mantiene vivo el proceso)
+ */
+function startRankingSnapshotJob() {
+  const run = async () => {
+    try {
+      if (await RankingSnapshot.existsForDate(toDateKey(new Date()))) return
+
+      const result = await takeRankingSnapshot()
+      console.log(`🏆 Ranking: instantánea del ${result.date} guardada (${result.segments} segmentos)`)
+    } catch (error) {
+      console.error("Error guardando la instantánea del ranking:", error)
+    }
+  }
+
+  run()
+  return setInterval(run, SNAPSHOT_INTERVAL_MINUTES * 60 * 1000).unref()
+}
+
+/**
+ * Ranking de un segmento tal como estaba en un día (la última instantánea no posterior a ese día)
+ * @param {string} date - Día YYYY-MM-DD
+ * @param {object} options - { category, city, limit }
+ * @returns {Promise<object|null>} Instantánea con sus primeros limit puestos, o null si no hay ninguna
+ */
+async function getRankingAsOf(date, { category, city, limit = 10 } = {}) {
+  const snapshot = await RankingSnapshot.findLatest(toSegment({ category, city }), date)
+  if (!snapshot) return null
+
+  return {
+    requestedDate: date,
+    date: snapshot.date,
+    takenAt: snapshot.takenAt,
+    category: snapshot.category,
+    city: snapshot.cityName,
+    formula: snapshot.formula,
+    size: snapshot.size,
+    entries: snapshot.entries.slice(0, limit),
+  }
+}
+
+/**
+ * Puesto de un restaurante en cada instantánea de un segmento (rank null si no estaba entre los
+ * RANKING_SNAPSHOT_SIZE primeros)
+ * @param {string} restaurantId - ID del restaurante
+ * @param {object} options - { category, city, from, to } con los días YYYY-MM-DD
+ * @returns {Promise<Array<object>>} [{ date, rank, score, size }] del más antiguo al más reciente
+ */
+async function getRestaurantRankHistory(restaurantId, { category, city, from, to } = {}) {
+  const until = to || toDateKey(new Date())
+  const since = from || addDays(until, -HISTORY_DEFAULT_DAYS)
+
+  return await RankingSnapshot.findRestaurantHistory(restaurantId, toSegment({ category, city }), {
+    from: since,
+    to: until,
+  })
+}
+
+// Última instantánea de un segmento y la de days días antes, con el puesto anterior de cada restaurante
+const compareSnapshots = async (segment, days) => {
+  const latest = await RankingSnapshot.findLatest(segment)
+  if (!latest) return null
+
+  const previous = await RankingSnapshot.findLatest(segment, addDays(latest.date, -days))
+  const previousRanks = new Map((previous?.entries || []).map((entry) => [entry.restaurantId.toString(), entry.rank]))
+
+  return {
+    from: previous?.date || null,
+    to: latest.date,
+    entries: latest.entries.map((entry) => {
+      const previousRank = previousRanks.get(entry.restaurantId.toString()) ?? null
+      return { ...entry, previousRank, change: previousRank === null ? null : previousRank - entry.rank }
+    }),
+    hasPrevious: previous !== null,
+  }
+}
+
+/**
+ * Restaurantes que más puestos han subido y bajado en un segmento en los últimos días
+ * @param {object} options - { category, city, days, limit }
+ * @returns {Promise<object|null>} { from, to, risers, fallers } o null si no hay instantáneas
+ */
+async function getRankingMovers({ category, city, days = 7, limit = 10 } = {}) {
+  const comparison = await compareSnapshots(toSegment({ category, city }), days)
+  if (!comparison) return null
+
+  const moved = comparison.entries.filter((entry) => entry.change)
+
+  return {
+    from: comparison.from,
+    to: comparison.to,
+    risers: moved
+      .filter((entry) => entry.change > 0)
+      .sort((a, b) => b.change - a.change || a.rank - b.rank)
+      .slice(0, limit),
+    fallers: moved
+      .filter((entry) => entry.change < 0)
+      .sort((a, b) => a.change - b.change || a.rank - b.rank)
+      .slice(0, limit),
+  }
+}
+
+/**
+ * Restaurantes que han entrado en los puestos guardados de un segmento en los últimos días (no
+ * estaban en la instantánea anterior)
+ * @param {object} options - { category, city, days, limit }
+ * @returns {Promise<object|null>} { from, to, entries } o null si no hay instantáneas
+ */
+async function getRankingNewEntries({ category, city, days = 7, limit = 10 } = {}) {
+  const comparison = await compareSnapshots(toSegment({ category, city }), days)
+  if (!comparison) return null
+
+  // Sin instantánea anterior no se puede saber qué restaurantes son nuevos
+  const entries = comparison.hasPrevious ? comparison.entries.filter((entry) => entry.previousRank === null) : []
+
+  return {
+    from: comparison.from,
+    to: comparison.to,
+    entries: entries.slice(0, limit),
+  }
+}
+
+module.exports = {
+  SNAPSHOT_SIZE,
+  getRankingSettings,
+  updateRankingConfig,
+  recomputeRankingStats,
+  refreshReviewerRankings,
+  takeRankingSnapshot,
+  startRankingSnapshotJob,
+  getRankingAsOf,
+  getRestaurantRankHistory,
+  getRankingMovers,
+  getRankingNewEntries,
+}
@@ -0,0 +1,243 @@
+const { withTransaction } = require("../config/database")
+const Restaurant = require("../models/Restaurant")
+const RestaurantSuggestion = require("../models/RestaurantSuggestion")
+const User = require("../models/User")
+const { hasPermission, canAccessResource } = require("../config/permissions")
+const { createError } = require("../middlewares/errorHandler")
+const { resolveLocation, completeAddressComponents } = require("./geocodingService")
+const { refreshReviewerRankings } = require("./rankingService")
+
+// Campos que la comunidad puede proponer cambiar (los de contacto, campo a campo)
+const SUGGESTABLE_FIELDS = [
+  "name",
+  "description",
+  "category",
+  "address",
+  "contact.phone",
+  "contact.email",
+  "contact.website",
+  "cuisine",
+  "priceRange",
+  "features",
+]
+
+const TOP_LEVEL_FIELDS = new Set(SUGGESTABLE_FIELDS.map((field) => field.split(".")[0]))
+
+const getField = (doc, field) => field.split(".").reduce((value, key) => value?.[key], doc)
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+/**
+ * Calcula los cambios de una propuesta frente al restaurante actual. Ambos lados se normalizan
+ * con el constructor de Restaurant para comparar los valores tal como se guardarían
+ * @param {object} restaurant - Restaurante actual
+ * @param {object} changes - Campos propuestos
+ * @returns {Array<object>} Cambios [{ field, from, to }] de los campos que realmente cambian
+ */
+function diffRestaurant(restaurant, changes) {
+  const current = new Restaurant(restaurant)
+  const proposed = new Restaurant({
+    ...restaurant,
+    ...changes,
+    contact: { ...restaurant.contact, ...changes.contact },
+  })
+
+  return SUGGESTABLE_FIELDS.filter((field) => !sameValue(getField(current, field), getField(proposed, field))).map(
+    (field) => ({ field, from: getField(current, field) ?? null, to: getField(proposed, field) }),
+  )
+}
+
+// Dirección estructurada tras cambiar la dirección: se parte de la guardada (calle, código postal...) y solo
+// se sustituyen las partes que trae la dirección sugerida
+const mergeAddressComponents = (current, address) => ({
+  ...Restaurant.getAddressComponents(current),
+  ...Object.fromEntries(Object.entries(Restaurant.getAddressComponents(address)).filter(([, value]) => value)),
+})
+
+// Moderadores y gestores del restaurante revisan sus sugerencias, pero nadie las suyas propias
+const assertCanReview = (user, restaurant, suggestion) => {
+  if (!canAccessResource(user, "restaurant:suggestion:review", restaurant.managers || [])) {
+    throw createError(403, "No tienes permisos para revisar sugerencias de este restaurante")
+  }
+
+  if (suggestion.userId.toString() === user._id.toString()) {
+    throw createError(403, "No puedes revisar tus propias sugerencias")
+  }
+}
+
+// Cargar una sugerencia pendiente con su restaurante
+const loadPending = async (suggestionId) => {
+  const suggestion = await RestaurantSuggestion.findById(suggestionId)
+  if (!suggestion || suggestion.status !== "pending") {
+    throw createError(404, "Sugerencia no encontrada o ya resuelta")
+  }
+
+  const restaurant = await Restaurant.findById(suggestion.restaurantId)
+  if (!restaurant) {
+    throw createError(404, "Restaurante no encontrado")
+  }
+
+  return { suggestion, restaurant }
+}
+
+/**
+ * Indica si un usuario puede ver una sugerencia: su autor o quien puede revisarla
+ * @param {object} user - Usuario
+ * @param {object} suggestion - Sugerencia
+ * @returns {Promise<boolean>} True si puede verla
+ */
+async function canSeeSuggestion(user, suggestion) {
+  if (suggestion.userId.toString() === user._id.toString()) return true
+  if (hasPermission(user, "restaurant:suggestion:review:any")) return true
+
+  const restaurant = await Restaurant.findById(suggestion.restaurantId)
+  return Boolean(restaurant) && canAccessResource(user, "restaurant:suggestion:review", restaurant.managers || [])
+}
+
+/**
+ * Crea una sugerencia de edición sobre un restaurante aprobado
+ * @param {object} user - Usuario que la propone
+ * @param {string} restaurantId - ID del restaurante
+ * @param {object} changes - Campos propuestos
+ * @param {string} comment - Comentario opcional (fuente, motivo...)
+ * @returns {Promise<object>} Sugerencia creada
+ */
+async function submitSuggestion(user, restaurantId, changes, comment = "") {
+  const invalidFields = Object.keys(changes).filter((field) => !TOP_LEVEL_FIELDS.has(field))
+  if (invalidFields.length > 0) {
+    throw createError(400, `No se pueden sugerir cambios en: ${invalidFields.join(", ")}`)
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId)
+  if (!restaurant || !restaurant.approved) {
+    throw createError(404, "Restaurante no encontrado")
+  }
+
+  if (await RestaurantSuggestion.findPending(restaurantId, user._id)) {
+    throw createError(409, "Ya tienes una sugerencia pendiente para este restaurante")
+  }
+
+  const diff = diffRestaurant(restaurant, changes)
+  if (diff.length === 0) {
+    throw createError(400, "La sugerencia no cambia ningún dato del restaurante")
+  }
+
+  return await RestaurantSuggestion.create({ restaurantId, userId: user._id, changes: diff, comment })
+}
+
+/**
+ * Acepta una sugerencia y aplica sus cambios al restaurante. Falla si algún campo ha cambiado
+ * desde que se propuso (salvo que ya tenga el valor sugerido). Los cambios y la resolución de la
+ * sugerencia se guardan en la misma transacción
+ * @param {string} suggestionId - ID de la sugerencia
+ * @param {object} reviewer - Moderador o gestor que la acepta
+ * @param {string} note - Nota opcional
+ * @returns {Promise<object>} { suggestion, restaurant }
+ */
+async function acceptSuggestion(suggestionId, reviewer, note = null) {
+  const { suggestion, restaurant } = await loadPending(suggestionId)
+  assertCanReview(reviewer, restaurant, suggestion)
+
+  const current = new Restaurant(restaurant)
+  const conflicts = suggestion.changes.filter(
+    ({ field, from, to }) => !sameValue(getField(current, field), from) && !sameValue(getField(current, field), to),
+  )
+  if (conflicts.length > 0) {
+    throw createError(
+      409,
+      `El restaurante ha cambiado desde la sugerencia: ${conflicts.map(({ field }) => field).join(", ")}`,
+    )
+  }
+
+  const updateData = Object.fromEntries(suggestion.changes.map(({ field, to }) => [field, to]))
+
+  // Una dirección nueva se geocodifica como al editar el restaurante; las partes que faltan en la
+  // dirección guardada se completan con el nomenclátor
+  if (updateData.address !== undefined) {
+    const { location, geocoding } = await resolveLocation({ address: updateData.address })
+    updateData.location = location || restaurant.location || null
+    updateData.geocoding = geocoding
+    updateData.addressComponents = await completeAddressComponents(
+      mergeAddressComponents(restaurant.addressComponents, updateData.address),
+      { location, geocoding },
+    )
+    updateData.addressKeys = Restaurant.getAddressKeys(updateData.addressComponents)
+  }
+
+  // Primero se aplican los cambios: si fallan, la sugerencia sigue pendiente. Si otro revisor la ha
+  // resuelto mientras tanto, la transacción se deshace
+  const { accepted, updatedRestaurant } = await withTransaction(async (session) => {
+    const updatedRestaurant = await Restaurant.updateById(restaurant._id, updateData, { session })
+
+    const accepted = await RestaurantSuggestion.resolve(suggestionId, "accepted", {
+      reviewedBy: reviewer._id,
+      reviewNote: note,
+      session,
+    })
+    if (!accepted) {
+      throw createError(404, "Sugerencia no encontrada o ya resuelta")
+    }
+
+    return { accepted, updatedRestaurant }
+  })
+
+  // La reputación del autor sube con cada sugerencia aceptada y puede ponderar sus reseñas en el ranking
+  await User.updateEditStats(suggestion.userId)
+  await refreshReviewerRankings(suggestion.userId)
+
+  return { suggestion: accepted, restaurant: updatedRestaurant }
+}
+
+/**
+ * Rechaza una sugerencia pendiente
+ * @param {string} suggestionId - ID de la sugerencia
+ * @param {object} reviewer - Moderador o gestor que la rechaza
+ * @param {string} note - Motivo del rechazo
+ * @returns {Promise<object>} Sugerencia actualizada
+ */
+async function rejectSuggestion(suggestionId, reviewer, note = null) {
+  const { suggestion, restaurant } = await loadPending(suggestionId)
+  assertCanReview(reviewer, restaurant, suggestion)
+
+  const rejected = await RestaurantSuggestion.resolve(suggestionId, "rejected", {
+    reviewedBy: reviewer._id,
+    reviewNote: note,
+  })
+  if (!rejected) {
+    throw createError(404, "Sugerencia no encontrada o ya resuelta")
+  }
+
+  await User.updateEditStats(suggestion.userId)
+
+  return rejected
+}
+
+/**
+ * Cancela una sugerencia pendiente del propio usuario
+ * @param {string} suggestionId - ID de la sugerencia
+ * @param {object} user - Usuario que la creó
+ * @returns {Promise<object>} Sugerencia actualizada
+ */
+async function cancelSuggestion(suggestionId, user) {
+  const suggestion = await RestaurantSuggestion.findById(suggestionId)
+  if (!suggestion || suggestion.userId.toString() !== user._id.toString()) {
+    throw createError(404, "Sugerencia no encontrada")
+  }
+
+  const cancelled = await RestaurantSuggestion.resolve(suggestionId, "cancelled")
+  if (!cancelled) {
+    throw createError(400, "Solo se pueden cancelar sugerencias pendientes")
+  }
+
+  return cancelled
+}
+
+module.exports = {
+  SUGGESTABLE_FIELDS,
+  diffRestaurant,
+  canSeeSuggestion,
+  submitSuggestion,
+  acceptSuggestion,
+  rejectSuggestion,
+  cancelSuggestion,
+}
@@ -0,0 +1,126 @@
+const crypto = require("crypto")
+const Session = require("../models/Session")
+const RefreshToken = require("../models/RefreshToken")
+const User = require("../models/User")
+const { generateToken, ACCESS_TOKEN_EXPIRES_IN } = require("../config/jwt")
+const { createError } = require("../middlewares/errorHandler")
+
+// Vida de cada refresh token; la sesión se extiende en cada rotación
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+/**
+ * Emite un access token y un nuevo refresh token opaco para una sesión existente
+ * @param {object} user - Usuario dueño de la sesión
+ * @param {ObjectId|string} sessionId - ID de la sesión (familia de tokens)
+ * @returns {Promise<object>} Tokens emitidos y el documento del refresh token
+ */
+async function issueTokens(user, sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString("hex")
+  const stored = await RefreshToken.create(refreshToken, {
+    sessionId,
+    userId: user._id,
+    expiresAt: refreshTokenExpiry(),
+  })
+
+  return {
+    token: generateToken(user._id, user.role, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    stored,
+  }
+}
+
+/**
+ * Abre una nueva sesión para el usuario (login o registro)
+ * @param {object} user - Usuario autenticado
+ * @param {object} device - Datos del dispositivo ({ userAgent, ip })
+ * @returns {Promise<object>} Access token, refresh token y sesión creada
+ */
+async function createSession(user, device = {}) {
+  const session = await Session.create({
+    userId: user._id,
+    userAgent: device.userAgent,
+    ip: device.ip,
+    expiresAt: refreshTokenExpiry(),
+  })
+
+  const { stored, ...tokens } = await issueTokens(user, session._id)
+  return { ...tokens, sessionId: session._id }
+}
+
+/**
+ * Rota un refresh token: lo consume y emite uno nuevo en la misma sesión.
+ * Si el token ya había sido usado se asume robo y se revoca toda la familia.
+ * @param {string} refreshToken - Refresh token opaco enviado por el cliente
+ * @param {object} device - Datos del dispositivo ({ ip })
+ * @returns {Promise<object>} Usuario y nuevos tokens
+ */
+async function rotateRefreshToken(refreshToken, device = {}) {
+  const stored = await RefreshToken.findByToken(refreshToken)
+  if (!stored) {
+    throw createError(401, "Refresh token inválido")
+  }
+
+  if (stored.usedAt) {
+    await Session.revoke(stored.sessionId, "refresh_token_reuse")
+    throw createError(401, "Refresh token reutilizado. La sesión ha sido revocada")
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw createError(401, "Refresh token expirado")
+  }
+
+  const session = await Session.findActiveById(stored.sessionId)
+  if (!session) {
+    throw createError(401, "La sesión ha sido revocada o ha expirado")
+  }
+
+  // Consumir el token de forma atómica; si otra petición lo ganó es un reuso
+  const claimed = await RefreshToken.markUsed(stored._id)
+  if (!claimed) {
+    await Session.revoke(stored.sessionId, "refresh_token_reuse")
+    throw createError(401, "Refresh token reutilizado. La sesión ha sido revocada")
+  }
+
+  const user = await User.findById(stored.userId)
+  if (!user) {
+    await Session.revoke(stored.sessionId, "user_not_found")
+    throw createError(401, "Usuario no encontrado")
+  }
+
+  const { stored: replacement, ...tokens } = await issueTokens(user, session._id)
+  await RefreshToken.setReplacedBy(stored._id, replacement._id)
+  await Session.touch(session._id, replacement.expiresAt, device.ip)
+
+  return { user, ...tokens }
+}
+
+/**
+ * Revoca una sesión; los access tokens ligados a ella dejan de ser aceptados
+ * @param {ObjectId|string} sessionId - ID de la sesión
+ * @param {string} reason - Motivo de la revocación
+ * @returns {Promise<boolean>} True si la sesión estaba activa
+ */
+async function revokeSession(sessionId, reason = "logout") {
+  return await Session.revoke(sessionId, reason)
+}
+
+/**
+ * Revoca todas las sesiones de un usuario ("cerrar sesión en todas partes")
+ * @param {ObjectId|string} userId - ID del usuario
+ * @param {string} reason - Motivo de la revocación
+ * @param {ObjectId|string} exceptSessionId - Sesión que se conserva (opcional)
+ * @returns {Promise<number>} Número de sesiones revocadas
+ */
+async function revokeAllSessions(userId, reason = "logout_all", exceptSessionId = null) {
+  return await Session.revokeAllByUser(userId, reason, exceptSessionId)
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+}
@@ -0,0 +1,250 @@
+const { withTransaction } = require("../config/database")
+const Restaurant = require("../models/Restaurant")
+const Dish = require("../models/Dish")
+const Review = require("../models/Review")
+const Category = require("../models/Category")
+const User = require("../models/User")
+const { createError } = require("../middlewares/errorHandler")
+const { deleteRestaurantCascade } = require("./integrityService")
+
+// Días que un documento permanece en la papelera antes de eliminarse definitivamente
+const RETENTION_DAYS = Number.parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+// Cada cuántos minutos se ejecuta la purga automática
+const PURGE_INTERVAL_MINUTES = Number.parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60
+// Documentos que se leen por lote durante la purga
+const PURGE_BATCH_SIZE = 100
+// Código de error de MongoDB por clave duplicada
+const DUPLICATE_KEY = 11000
+
+/**
+ * Envía un restaurante a la papelera junto con sus platos y reseñas en una única transacción
+ * y recalcula las estadísticas de los autores de las reseñas. Los gestores conservan su rol
+ * hasta que el restaurante se elimina definitivamente.
+ * @param {object} restaurant - Restaurante a eliminar
+ * @param {object} user - Usuario que lo elimina
+ * @returns {Promise<object>} Recuento de documentos enviados a la papelera
+ */
+async function trashRestaurant(restaurant, user) {
+  const trashed = await withTransaction(async (session) => {
+    const deleted = await Restaurant.deleteById(restaurant._id, user._id, { session })
+    const dishes = await Dish.deleteByRestaurant(restaurant._id, user._id, { session })
+    const reviews = await Review.deleteByRestaurant(restaurant._id, user._id, { session })
+
+    return { deleted, dishes, reviews }
+  })
+
+  for (const userId of trashed.reviews.userIds) {
+    await User.updateReviewStats(userId)
+  }
+
+  return {
+    restaurant: trashed.deleted ? 1 : 0,
+    dishes: trashed.dishes,
+    reviews: trashed.reviews.reviews,
+    affectedUsers: trashed.reviews.userIds.length,
+  }
+}
+
+/**
+ * Saca un restaurante de la papelera junto con los platos y reseñas que se eliminaron con él
+ * @param {string} id - ID del restaurante
+ * @returns {Promise<object|null>} Recuento de documentos restaurados o null si no está en la papelera
+ */
+async function restoreRestaurant(id) {
+  const restored = await withTransaction(async (session) => {
+    const restaurant = await Restaurant.restoreById(id, { session })
+    if (!restaurant) return null
+
+    const dishes = await Dish.restoreByRestaurant(id, { session })
+    const reviews = await Review.restoreByRestaurant(id, { session })
+
+    return { dishes, reviews }
+  })
+
+  if (!restored) return null
+
+  await Restaurant.updateRating(id)
+  for (const userId of restored.reviews.userIds) {
+    await User.updateReviewStats(userId)
+  }
+
+  return {
+    restaurant: 1,
+    dishes: restored.dishes,
+    reviews: restored.reviews.reviews,
+    affectedUsers: restored.reviews.userIds.length,
+  }
+}
+
+// Los platos y reseñas solo se restauran si su restaurante no está en la papelera
+const ensureRestaurantAvailable = async (restaurantId) => {
+  if (!(await Restaurant.findById(restaurantId))) {
+    throw createError(409, "El restaurante está en la papelera. Restaura primero el restaurante")
+  }
+}
+
+// Las reseñas de un plato solo se restauran si el plato tampoco está en la papelera
+const ensureDishAvailable = async (dishId) => {
+  if (await Dish.findDeletedById(dishId)) {
+    throw createError(409, "El plato está en la papelera. Restaura primero el plato")
+  }
+}
+
+// Tipos de documento de la papelera: cómo se listan, restauran y eliminan definitivamente.
+// conflict es el mensaje cuando, mientras estaba en la papelera, se creó otro documento con sus mismos
+// valores únicos (nombre o reseña del mismo usuario)
+const TRASH_TYPES = {
+  restaurants: {
+    model: Restaurant,
+    conflict: "Ya existe otro restaurante con el mismo nombre. Renómbralo antes de restaurar este",
+    restore: async (id) => (await restoreRestaurant(id)) || false,
+    purge: async (restaurant) => (await deleteRestaurantCascade(restaurant)).restaurant > 0,
+  },
+  dishes: {
+    model: Dish,
+    conflict: "El restaurante ya tiene otro plato con el mismo nombre. Renómbralo antes de restaurar este",
+    restore: async (id, dish) => {
+      await ensureRestaurantAvailable(dish.restaurantId)
+      return await Dish.restoreById(id)
+    },
+    purge: async (dish) => await Dish.purgeById(dish._id),
+  },
+  reviews: {
+    model: Review,
+    conflict: "El autor ya tiene otra reseña de este restaurante o plato. Elimínala antes de restaurar esta",
+    restore: async (id, review) => {
+      await ensureRestaurantAvailable(review.restaurantId)
+      if (review.dishId) await ensureDishAvailable(review.dishId)
+      return await Review.restoreById(id)
+    },
+    purge: async (review) => await Review.purgeById(review._id),
+  },
+  categories: {
+    model: Category,
+    conflict: "Ya existe otra categoría con el mismo nombre. Renómbrala antes de restaurar esta",
+    restore: async (id) => await Category.restoreById(id),
+    purge: async (category) => await Category.purgeById(category._id),
+  },
+}
+
+const TRASH_TYPE_NAMES = Object.keys(TRASH_TYPES)
+
+const getTrashType = (type) => {
+  if (!Object.hasOwn(TRASH_TYPES, type)) {
+    throw createError(400, `Tipo de papelera inválido. Tipos válidos: ${TRASH_TYPE_NAMES.join(", ")}`)
+  }
+  return TRASH_TYPES[type]
+}
+
+// Cargar un documento de la papelera o lanzar 404
+const loadTrashed = async (type, id) => {
+  const document = await getTrashType(type).model.findDeletedById(id)
+  if (!document) {
+    throw createError(404, "El documento no está en la papelera")
+  }
+  return document
+}
+
+/**
+ * Lista los documentos de un tipo que están en la papelera
+ * @param {string} type - restaurants, dishes, reviews o categories
+ * @param {object} options - { page, limit }
+ * @returns {Promise<object>} { items, pagination }
+ */
+async function listTrash(type, options = {}) {
+  return await getTrashType(type).model.findDeleted(options)
+}
+
+/**
+ * Saca un documento de la papelera
+ * @param {string} type - Tipo de documento
+ * @param {string} id - ID del documento
+ * @returns {Promise<object|boolean>} Resultado de la restauración
+ */
+async function restoreFromTrash(type, id) {
+  const document = await loadTrashed(type, id)
+  const trashType = getTrashType(type)
+
+  try {
+    return await trashType.restore(id, document)
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      throw createError(409, trashType.conflict)
+    }
+    throw error
+  }
+}
+
+/**
+ * Elimina definitivamente un documento de la papelera
+ * @param {string} type - Tipo de documento
+ * @param {string} id - ID del documento
+ * @returns {Promise<boolean>} True si se ha eliminado
+ */
+async function purgeFromTrash(type, id) {
+  const document = await loadTrashed(type, id)
+  return await getTrashType(type).purge(document)
+}
+
+/**
+ * Elimina definitivamente los documentos que llevan en la papelera más de TRASH_RETENTION_DAYS.
+ * Los restaurantes se procesan primero porque arrastran los platos y reseñas eliminados con ellos.
+ * @returns {Promise<object>} Documentos eliminados por tipo
+ */
+async function purgeExpired() {
+  const before = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  const purged = {}
+
+  for (const type of TRASH_TYPE_NAMES) {
+    const { model, purge } = TRASH_TYPES[type]
+    purged[type] = 0
+
+    // Se lee siempre la primera página: lo purgado desaparece del listado
+    for (;;) {
+      const { items } = await model.findDeleted({ page: 1, limit: PURGE_BATCH_SIZE, before })
+      let removed = 0
+
+      for (const item of items) {
+        if (await purge(item)) removed++
+      }
+
+      purged[type] += removed
+      if (items.length < PURGE_BATCH_SIZE || removed === 0) break
+    }
+  }
+
+  return purged
+}
+
+/**
+ * Programa la purga periódica de la papelera (cada TRASH_PURGE_INTERVAL_MINUTES)
+ * @returns {NodeJS.Timeout} Temporizador (no mantiene vivo el proceso)
+ */
+function startRetentionJob() {
+  const run = async () => {
+    try {
+      const purged = await purgeExpired()
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0)
+      if (total > 0) {
+        console.log(`🗑️  Papelera: ${total} documentos eliminados definitivamente`, purged)
+      }
+    } catch (error) {
+      console.error("Error purgando la papelera:", error)
+    }
+  }
+
+  run()
+  return setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000).unref()
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  TRASH_TYPE_NAMES,
+  trashRestaurant,
+  restoreRestaurant,
+  listTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  purgeExpired,
+  startRetentionJob,
+}
@@ -0,0 +1,154 @@
+const crypto = require("crypto")
+const User = require("../models/User")
+const TwoFactor = require("../models/TwoFactor")
+const { generateSecret, verifyTOTP, buildOtpAuthUri } = require("../utils/totp")
+const { generateRandomCode } = require("../utils/helpers")
+const { createError } = require("../middlewares/errorHandler")
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "FoodieRank"
+const RECOVERY_CODE_COUNT = 10
+
+// Roles que deben usar obligatoriamente 2FA (TWO_FACTOR_REQUIRED_ROLES, separados por comas)
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean)
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.toUpperCase().replace(/[^A-Z0-9]/g, "")).digest("hex")
+
+/**
+ * Indica si el rol del usuario obliga a usar verificación en dos pasos
+ * @param {object} user - Usuario
+ * @returns {boolean} True si 2FA es obligatorio
+ */
+function isTwoFactorRequired(user) {
+  return REQUIRED_ROLES.includes(user.role)
+}
+
+/**
+ * Genera códigos de recuperación de un solo uso
+ * @returns {object} Códigos en claro (se muestran una vez) y sus hashes
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateRandomCode(8)
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`
+  })
+
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+/**
+ * Inicia el alta de 2FA generando un secreto pendiente de confirmar
+ * @param {object} user - Usuario
+ * @returns {Promise<object>} Secreto y URI otpauth:// para el código QR
+ */
+async function startSetup(user) {
+  if (user.twoFactorEnabled) {
+    throw createError(400, "La verificación en dos pasos ya está activada")
+  }
+
+  const secret = generateSecret()
+  await TwoFactor.savePendingSecret(user._id, secret)
+
+  return {
+    secret,
+    otpauthUri: buildOtpAuthUri({ secret, accountName: user.email, issuer: ISSUER }),
+  }
+}
+
+/**
+ * Confirma el alta de 2FA con un código generado por la app autenticadora
+ * @param {object} user - Usuario
+ * @param {string} code - Código TOTP
+ * @returns {Promise<string[]>} Códigos de recuperación en claro
+ */
+async function confirmSetup(user, code) {
+  const twoFactor = await TwoFactor.findByUser(user._id)
+  if (!twoFactor?.pendingSecret) {
+    throw createError(400, "Primero debes iniciar la configuración de la verificación en dos pasos")
+  }
+
+  const step = verifyTOTP(twoFactor.pendingSecret, code)
+  if (step === null) {
+    throw createError(400, "Código de verificación inválido")
+  }
+
+  const { codes, hashes } = generateRecoveryCodes()
+  await TwoFactor.enable(user._id, twoFactor.pendingSecret, hashes, step)
+  await User.updateById(user._id, { twoFactorEnabled: true })
+
+  return codes
+}
+
+/**
+ * Verifica un código TOTP o de recuperación de un usuario con 2FA activo
+ * @param {ObjectId|string} userId - ID del usuario
+ * @param {object} credentials - { code } o { recoveryCode }
+ * @returns {Promise<boolean>} True si el código es válido y no se había usado
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const twoFactor = await TwoFactor.findByUser(userId)
+  if (!twoFactor?.enabled) {
+    return false
+  }
+
+  if (recoveryCode) {
+    return await TwoFactor.consumeRecoveryCode(userId, hashRecoveryCode(recoveryCode))
+  }
+
+  const step = verifyTOTP(twoFactor.secret, code)
+  if (step === null) {
+    return false
+  }
+
+  // Un mismo código no puede usarse dos veces
+  return await TwoFactor.useStep(userId, step)
+}
+
+/**
+ * Regenera los códigos de recuperación (invalida los anteriores)
+ * @param {object} user - Usuario
+ * @param {string} code - Código TOTP actual
+ * @returns {Promise<string[]>} Nuevos códigos en claro
+ */
+async function regenerateRecoveryCodes(user, code) {
+  if (!(await verifySecondFactor(user._id, { code }))) {
+    throw createError(400, "Código de verificación inválido")
+  }
+
+  const { codes, hashes } = generateRecoveryCodes()
+  await TwoFactor.setRecoveryCodes(user._id, hashes)
+
+  return codes
+}
+
+/**
+ * Desactiva 2FA. No se permite si el rol del usuario lo exige
+ * @param {object} user - Usuario
+ * @param {string} code - Código TOTP o de recuperación
+ * @returns {Promise<void>}
+ */
+async function disable(user, code) {
+  if (isTwoFactorRequired(user)) {
+    throw createError(403, "Tu rol requiere verificación en dos pasos; no puede desactivarse")
+  }
+
+  const credentials = /^\d{6}$/.test(code) ? { code } : { recoveryCode: code }
+  if (!(await verifySecondFactor(user._id, credentials))) {
+    throw createError(400, "Código de verificación inválido")
+  }
+
+  await TwoFactor.deleteByUser(user._id)
+  await User.updateById(user._id, { twoFactorEnabled: false })
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  startSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+}
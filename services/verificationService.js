@@ -0,0 +1,75 @@
+const User = require("../models/User")
+const VerificationCode = require("../models/VerificationCode")
+const { sendMail } = require("./mailService")
+const { generateRandomCode } = require("../utils/helpers")
+const { createError } = require("../middlewares/errorHandler")
+
+const EMAIL_VERIFICATION_PURPOSE = "email_verification"
+const CODE_TTL_MINUTES = Number.parseInt(process.env.EMAIL_VERIFICATION_CODE_TTL_MINUTES) || 30
+const RESEND_COOLDOWN_SECONDS = Number.parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60
+
+/**
+ * Genera un código de verificación de un solo uso y lo envía al email del usuario
+ * @param {object} user - Usuario (requiere _id, name y email)
+ * @returns {Promise<void>}
+ */
+async function sendVerificationCode(user) {
+  const code = generateRandomCode(6)
+
+  await VerificationCode.create(code, {
+    userId: user._id,
+    purpose: EMAIL_VERIFICATION_PURPOSE,
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+  })
+
+  await sendMail({
+    to: user.email,
+    subject: "Verifica tu email en FoodieRank",
+    text:
+      `Hola ${user.name},\n\n` +
+      `Tu código de verificación es: ${code}\n\n` +
+      `El código caduca en ${CODE_TTL_MINUTES} minutos y solo puede usarse una vez.`,
+  })
+}
+
+/**
+ * Reenvía el código de verificación respetando un tiempo mínimo entre envíos
+ * @param {object} user - Usuario autenticado
+ * @returns {Promise<void>}
+ */
+async function resendVerificationCode(user) {
+  if (user.emailVerified) {
+    throw createError(400, "El email ya está verificado")
+  }
+
+  const latest = await VerificationCode.findLatest(user._id, EMAIL_VERIFICATION_PURPOSE)
+  if (latest && Date.now() - latest.createdAt.getTime() < RESEND_COOLDOWN_SECONDS * 1000) {
+    throw createError(429, `Espera ${RESEND_COOLDOWN_SECONDS} segundos antes de solicitar otro código`)
+  }
+
+  await sendVerificationCode(user)
+}
+
+/**
+ * Verifica el email de un usuario con el código recibido
+ * @param {string} email - Email del usuario
+ * @param {string} code - Código de verificación
+ * @returns {Promise<object>} Usuario actualizado
+ */
+async function verifyEmail(email, code) {
+  const user = await User.findByEmail(email)
+
+  // Mismo error para email desconocido y código inválido
+  if (!user || !(await VerificationCode.consume(user._id, EMAIL_VERIFICATION_PURPOSE, code.toUpperCase()))) {
+    throw createError(400, "Código de verificación inválido o expirado")
+  }
+
+  await User.updateById(user._id, { emailVerified: true, emailVerifiedAt: new Date() })
+  return await User.findById(user._id)
+}
+
+module.exports = {
+  sendVerificationCode,
+  resendVerificationCode,
+  verifyEmail,
+}
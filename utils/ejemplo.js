@@ -140,6 +140,7 @@ async function seedDatabase(db) {
       sampleData.categories.map((cat) => ({
         ...cat,
         active: true,
+        deletedAt: null,
         createdAt: new Date(),
         updatedAt: new Date(),
       })),
@@ -153,6 +154,7 @@ async function seedDatabase(db) {
         approved: true,
         rating: 0,
         reviewCount: 0,
+        deletedAt: null,
         createdAt: new Date(),
         updatedAt: new Date(),
       })),
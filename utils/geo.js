@@ -0,0 +1,155 @@
+/**
+ * Utilidades geográficas: geometrías de búsqueda y normalización de nombres de lugares
+ *
+ * Las coordenadas siguen el orden GeoJSON: [longitud, latitud]. Los lados de un polígono en un
+ * índice 2dsphere son geodésicas, no líneas rectas del mapa, por lo que los rectángulos (viewport)
+ * se construyen con vértices intermedios para que sus lados sigan los paralelos.
+ */
+
+// Radio de la Tierra en metros, para convertir distancias a radianes ($centerSphere)
+const EARTH_RADIUS_METERS = 6378100
+
+// Vértices máximos de un polígono de búsqueda
+const MAX_POLYGON_VERTICES = 100
+
+// Separación entre vértices intermedios de un rectángulo y ancho máximo de cada trozo
+// (MongoDB no admite polígonos mayores que un hemisferio)
+const BOX_STEP_DEGREES = 5
+const BOX_MAX_WIDTH_DEGREES = 90
+
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90
+
+const isPoint = (point) => Array.isArray(point) && point.length === 2 && isLongitude(point[0]) && isLatitude(point[1])
+
+const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1]
+
+// Llevar una longitud al rango [-180, 180]
+const wrapLongitude = (longitude) => (longitude > 180 ? longitude - 360 : longitude)
+
+/**
+ * Valida los vértices de un polígono de búsqueda
+ * @param {Array<Array<number>>} points - Vértices [longitud, latitud], cerrado o no
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ */
+function validatePolygon(points) {
+  if (!Array.isArray(points)) {
+    return ["El polígono debe ser un array de puntos [longitud, latitud]"]
+  }
+
+  if (!points.every(isPoint)) {
+    return ["Cada vértice debe ser [longitud, latitud] con longitud entre -180 y 180 y latitud entre -90 y 90"]
+  }
+
+  const open = points.length > 1 && samePoint(points[0], points[points.length - 1]) ? points.slice(0, -1) : points
+  const distinct = new Set(open.map((point) => point.join(",")))
+
+  if (distinct.size < 3) {
+    return ["El polígono necesita al menos 3 vértices distintos"]
+  }
+
+  if (open.length > MAX_POLYGON_VERTICES) {
+    return [`El polígono admite como máximo ${MAX_POLYGON_VERTICES} vértices`]
+  }
+
+  return []
+}
+
+/**
+ * Construye un Polygon GeoJSON cerrando el anillo si hace falta
+ * @param {Array<Array<number>>} points - Vértices ya validados
+ * @returns {object} Geometría GeoJSON
+ */
+function toPolygon(points) {
+  const ring = samePoint(points[0], points[points.length - 1]) ? points : [...points, points[0]]
+  return { type: "Polygon", coordinates: [ring] }
+}
+
+// Anillo de un rectángulo con vértices intermedios en los lados horizontales
+const boxRing = (west, south, east, north) => {
+  const steps = Math.max(1, Math.ceil((east - west) / BOX_STEP_DEGREES))
+  const longitudes = Array.from({ length: steps + 1 }, (_, i) => west + ((east - west) * i) / steps)
+
+  const ring = [
+    ...longitudes.map((longitude) => [wrapLongitude(longitude), south]),
+    ...longitudes.reverse().map((longitude) => [wrapLongitude(longitude), north]),
+  ]
+
+  return [...ring, ring[0]]
+}
+
+/**
+ * Convierte un rectángulo del mapa (viewport) en una geometría GeoJSON. Si west > east el
+ * rectángulo cruza el antimeridiano
+ * @param {object} box - { west, south, east, north } en grados
+ * @returns {object} Polygon o MultiPolygon GeoJSON
+ */
+function boundingBoxToGeometry({ west, south, east, north }) {
+  const end = west > east ? east + 360 : east
+  const slices = Math.ceil((end - west) / BOX_MAX_WIDTH_DEGREES)
+  const width = (end - west) / slices
+
+  const polygons = Array.from({ length: slices }, (_, i) => [
+    boxRing(west + width * i, south, west + width * (i + 1), north),
+  ])
+
+  return polygons.length === 1
+    ? { type: "Polygon", coordinates: polygons[0] }
+    : { type: "MultiPolygon", coordinates: polygons }
+}
+
+// Abreviaturas habituales de vías que se expanden al normalizar
+const STREET_ABBREVIATIONS = {
+  c: "calle",
+  cl: "calle",
+  av: "avenida",
+  avd: "avenida",
+  avda: "avenida",
+  pza: "plaza",
+  pl: "plaza",
+  po: "paseo",
+  pso: "paseo",
+  ctra: "carretera",
+}
+
+/**
+ * Normaliza un nombre de lugar para compararlo: minúsculas, sin tildes ni signos de puntuación
+ * y con las abreviaturas de vías expandidas ("Avda. de la Constitución" -> "avenida de la constitucion")
+ * @param {string} name - Nombre del lugar
+ * @returns {string} Nombre normalizado
+ */
+function normalizePlaceName(name) {
+  if (typeof name !== "string") return ""
+
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/º/g, "o")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => STREET_ABBREVIATIONS[word] || word)
+    .join(" ")
+}
+
+/**
+ * Convierte una distancia en metros a radianes (para $centerSphere)
+ * @param {number} meters - Distancia en metros
+ * @returns {number} Distancia en radianes
+ */
+function metersToRadians(meters) {
+  return meters / EARTH_RADIUS_METERS
+}
+
+module.exports = {
+  isPoint,
+  MAX_POLYGON_VERTICES,
+  isLongitude,
+  isLatitude,
+  validatePolygon,
+  toPolygon,
+  boundingBoxToGeometry,
+  normalizePlaceName,
+  metersToRadians,
+}
@@ -2,6 +2,8 @@
  * Utilidades generales para el backend de FoodieRank
  */
 
+const crypto = require("crypto")
+
 /**
  * Formatea una fecha a string legible en español
  * @param {Date} date - Fecha a formatear
@@ -146,7 +148,7 @@ function sanitizeString(str) {
 }
 
 /**
- * Genera un código aleatorio alfanumérico
+ * Genera un código aleatorio alfanumérico (criptográficamente seguro)
  * @param {number} length - Longitud del código
  * @returns {string} Código generado
  */
@@ -155,7 +157,7 @@ function generateRandomCode(length = 6) {
   let result = ""
 
   for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length))
+    result += chars.charAt(crypto.randomInt(chars.length))
   }
 
   return result
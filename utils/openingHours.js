@@ -0,0 +1,308 @@
+/**
+ * Horarios de apertura de restaurantes
+ *
+ * openingHours guarda por día de la semana una lista de intervalos { open, close } en hora local
+ * ("HH:MM"). Un intervalo con close <= open termina al día siguiente (p. ej. 20:00-02:00) y
+ * "24:00" indica el final del día. Un día sin intervalos está cerrado. specialHours sustituye el
+ * horario semanal en fechas concretas (festivos, vacaciones): [{ date: "YYYY-MM-DD", intervals, note }],
+ * con intervals vacío si cierra todo el día. Las horas se interpretan en la zona horaria del restaurante.
+ */
+
+const DAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"]
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "America/Mexico_City"
+
+// Máximos para evitar horarios desproporcionados
+const MAX_INTERVALS_PER_DAY = 6
+const MAX_SPECIAL_DATES = 100
+
+// Días que se exploran para calcular el próximo cambio de estado
+const NEXT_CHANGE_LOOKAHEAD_DAYS = 8
+
+const MINUTE = 60 * 1000
+const DAY_MINUTES = 24 * 60
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Indica si una zona horaria IANA es válida (p. ej. "Europe/Madrid")
+ * @param {string} timezone - Zona horaria
+ * @returns {boolean} True si Intl la reconoce
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== "string" || !timezone) return false
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+const isValidDate = (date) => {
+  if (typeof date !== "string" || !DATE_PATTERN.test(date)) return false
+  const parsed = new Date(`${date}T00:00:00Z`)
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date)
+}
+
+// Aceptar un intervalo suelto o una lista de intervalos por día
+const toIntervalList = (value) => {
+  if (value === null || value === undefined) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+// Validar los intervalos de un día y devolver los errores encontrados
+const validateIntervals = (intervals, label) => {
+  const errors = []
+
+  if (intervals.length > MAX_INTERVALS_PER_DAY) {
+    errors.push(`${label}: como máximo ${MAX_INTERVALS_PER_DAY} intervalos`)
+    return errors
+  }
+
+  for (const interval of intervals) {
+    if (!interval || !TIME_PATTERN.test(interval.open) || !TIME_PATTERN.test(interval.close)) {
+      errors.push(`${label}: cada intervalo necesita open y close con formato HH:MM`)
+      return errors
+    }
+    if (interval.open === interval.close) {
+      errors.push(`${label}: la apertura y el cierre no pueden coincidir`)
+    }
+  }
+
+  // Los intervalos del mismo día no pueden solaparse
+  const sorted = intervals
+    .map(({ open, close }) => {
+      const start = toMinutes(open)
+      const end = toMinutes(close)
+      return { start, end: end <= start ? end + DAY_MINUTES : end }
+    })
+    .sort((a, b) => a.start - b.start)
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].start < sorted[i - 1].end) {
+      errors.push(`${label}: los intervalos se solapan`)
+      break
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Valida un horario semanal
+ * @param {object} openingHours - { monday: [{ open, close }], ... }
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ */
+function validateOpeningHours(openingHours) {
+  if (typeof openingHours !== "object" || openingHours === null || Array.isArray(openingHours)) {
+    return ["El horario debe ser un objeto con los días de la semana"]
+  }
+
+  const unknownDays = Object.keys(openingHours).filter((day) => !DAYS.includes(day))
+  if (unknownDays.length > 0) {
+    return [`Días no válidos: ${unknownDays.join(", ")}. Días válidos: ${DAYS.join(", ")}`]
+  }
+
+  return DAYS.flatMap((day) => validateIntervals(toIntervalList(openingHours[day]), day))
+}
+
+/**
+ * Valida los horarios especiales por fecha
+ * @param {Array<object>} specialHours - [{ date, intervals, note }]
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ */
+function validateSpecialHours(specialHours) {
+  if (!Array.isArray(specialHours)) {
+    return ["Los horarios especiales deben ser un array"]
+  }
+
+  if (specialHours.length > MAX_SPECIAL_DATES) {
+    return [`Se admiten como máximo ${MAX_SPECIAL_DATES} fechas especiales`]
+  }
+
+  const errors = []
+  const seen = new Set()
+
+  for (const special of specialHours) {
+    if (!special || !isValidDate(special.date)) {
+      errors.push("Cada fecha especial necesita date con formato YYYY-MM-DD")
+      continue
+    }
+    if (seen.has(special.date)) {
+      errors.push(`${special.date}: fecha repetida`)
+    }
+    seen.add(special.date)
+    errors.push(...validateIntervals(toIntervalList(special.intervals), special.date))
+  }
+
+  return errors
+}
+
+const normalizeIntervals = (value) =>
+  toIntervalList(value)
+    .map(({ open, close }) => ({ open, close }))
+    .sort((a, b) => toMinutes(a.open) - toMinutes(b.open))
+
+/**
+ * Normaliza un horario semanal ya validado: todos los días presentes y cada día como lista
+ * de intervalos ordenada
+ * @param {object} openingHours - Horario recibido
+ * @returns {object|null} Horario normalizado o null si no se indica
+ */
+function normalizeOpeningHours(openingHours) {
+  if (!openingHours) return null
+  return Object.fromEntries(DAYS.map((day) => [day, normalizeIntervals(openingHours[day])]))
+}
+
+/**
+ * Normaliza los horarios especiales ya validados, ordenados por fecha
+ * @param {Array<object>} specialHours - Horarios especiales recibidos
+ * @returns {Array<object>} Horarios especiales normalizados
+ */
+function normalizeSpecialHours(specialHours) {
+  if (!Array.isArray(specialHours)) return []
+
+  return specialHours
+    .map(({ date, intervals, note }) => ({ date, intervals: normalizeIntervals(intervals), note: note || null }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Fecha local (YYYY-MM-DD) y minutos desde medianoche de un instante en una zona horaria
+const getLocalParts = (instant, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, value]),
+  )
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+  }
+}
+
+// Diferencia en ms entre la hora local de la zona y UTC en un instante
+const getOffset = (instant, timezone) => {
+  const { date, minutes, seconds } = getLocalParts(instant, timezone)
+  const localAsUtc = Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE + seconds * 1000
+  return localAsUtc - Math.floor(instant.getTime() / 1000) * 1000
+}
+
+// Instante UTC de una hora local (minutos desde la medianoche de date) en una zona horaria
+const localToInstant = (date, minutes, timezone) => {
+  const guess = Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE
+  const first = guess - getOffset(new Date(guess), timezone)
+  // Segunda pasada para los días con cambio de hora
+  return guess - getOffset(new Date(first), timezone)
+}
+
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MINUTES * MINUTE).toISOString().slice(0, 10)
+
+const weekdayOf = (date) => DAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7]
+
+// Intervalos que aplican en una fecha local: el horario especial si existe, si no el semanal
+const intervalsOn = (restaurant, date) => {
+  const special = (restaurant.specialHours || []).find((entry) => entry.date === date)
+  if (special) return special.intervals || []
+  return restaurant.openingHours?.[weekdayOf(date)] || []
+}
+
+// Periodos de apertura [start, end] en ms entre dos fechas locales, fusionando los contiguos
+const openPeriods = (restaurant, timezone, fromDate, days) => {
+  const periods = []
+
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDays(fromDate, offset)
+    for (const { open, close } of intervalsOn(restaurant, date)) {
+      const start = toMinutes(open)
+      let end = toMinutes(close)
+      if (end <= start) end += DAY_MINUTES
+      periods.push([localToInstant(date, start, timezone), localToInstant(date, end, timezone)])
+    }
+  }
+
+  periods.sort((a, b) => a[0] - b[0])
+
+  const merged = []
+  for (const period of periods) {
+    const last = merged[merged.length - 1]
+    if (last && period[0] <= last[1]) {
+      last[1] = Math.max(last[1], period[1])
+    } else {
+      merged.push([...period])
+    }
+  }
+
+  return merged
+}
+
+/**
+ * Calcula si un restaurante está abierto en un instante y cuándo cambia de estado
+ * @param {object} restaurant - Restaurante con openingHours, specialHours y timezone
+ * @param {Date} at - Instante de referencia (por defecto, ahora)
+ * @returns {object} { isOpen, nextChange } (null en ambos si no tiene horario; nextChange es null si no
+ * cambia de estado en los próximos NEXT_CHANGE_LOOKAHEAD_DAYS días)
+ */
+function getOpeningStatus(restaurant, at = new Date()) {
+  if (!restaurant.openingHours) {
+    return { isOpen: null, nextChange: null }
+  }
+
+  const timezone = isValidTimezone(restaurant.timezone) ? restaurant.timezone : DEFAULT_TIMEZONE
+  const now = at.getTime()
+  // Empezar el día anterior para incluir los intervalos que terminan pasada la medianoche
+  const fromDate = addDays(getLocalParts(at, timezone).date, -1)
+  const periods = openPeriods(restaurant, timezone, fromDate, NEXT_CHANGE_LOOKAHEAD_DAYS + 1)
+  // Los periodos que llegan al final de los días explorados pueden seguir después (p. ej. abierto 24/7)
+  const lookaheadEnd = localToInstant(addDays(fromDate, NEXT_CHANGE_LOOKAHEAD_DAYS + 1), 0, timezone)
+
+  const current = periods.find(([start, end]) => start <= now && now < end)
+  if (current) {
+    const nextChange = current[1] < lookaheadEnd ? { status: "closed", at: new Date(current[1]) } : null
+    return { isOpen: true, nextChange }
+  }
+
+  const next = periods.find(([start]) => start > now)
+  return { isOpen: false, nextChange: next ? { status: "open", at: new Date(next[0]) } : null }
+}
+
+/**
+ * Añade isOpen y nextChange a un restaurante
+ * @param {object} restaurant - Restaurante
+ * @param {Date} at - Instante de referencia
+ * @returns {object} El mismo restaurante con los campos calculados
+ */
+function withOpeningStatus(restaurant, at = new Date()) {
+  return Object.assign(restaurant, getOpeningStatus(restaurant, at))
+}
+
+module.exports = {
+  DAYS,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  validateOpeningHours,
+  validateSpecialHours,
+  normalizeOpeningHours,
+  normalizeSpecialHours,
+  getOpeningStatus,
+  withOpeningStatus,
+}
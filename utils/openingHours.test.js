@@ -0,0 +1,129 @@
+const { DAYS, getOpeningStatus } = require("./openingHours")
+
+// Restaurante con el mismo horario todos los días
+const everyDay = (intervals, timezone = "Europe/Madrid") => ({
+  openingHours: Object.fromEntries(DAYS.map((day) => [day, intervals])),
+  timezone,
+})
+
+const statusAt = (restaurant, iso) => {
+  const { isOpen, nextChange } = getOpeningStatus(restaurant, new Date(iso))
+  return { isOpen, nextChange: nextChange && { status: nextChange.status, at: nextChange.at.toISOString() } }
+}
+
+describe("getOpeningStatus", () => {
+  test("sin horario no se sabe si está abierto", () => {
+    expect(getOpeningStatus({}, new Date("2026-10-19T10:00:00Z"))).toEqual({ isOpen: null, nextChange: null })
+  })
+
+  test("abierto dentro de un intervalo, cerrado fuera de él", () => {
+    const restaurant = everyDay([{ open: "09:00", close: "14:00" }])
+
+    // 2026-10-19 es lunes; en octubre Madrid está en UTC+2
+    expect(statusAt(restaurant, "2026-10-19T10:00:00Z")).toEqual({
+      isOpen: true,
+      nextChange: { status: "closed", at: "2026-10-19T12:00:00.000Z" },
+    })
+    expect(statusAt(restaurant, "2026-10-19T13:00:00Z")).toEqual({
+      isOpen: false,
+      nextChange: { status: "open", at: "2026-10-20T07:00:00.000Z" },
+    })
+  })
+
+  describe("horarios que pasan la medianoche", () => {
+    const restaurant = {
+      openingHours: { friday: [{ open: "20:00", close: "02:00" }] },
+      timezone: "Europe/Madrid",
+    }
+
+    test("sigue abierto de madrugada con el intervalo del día anterior", () => {
+      // Sábado 2026-10-24 a la 01:00 hora local
+      expect(statusAt(restaurant, "2026-10-23T23:00:00Z")).toEqual({
+        isOpen: true,
+        nextChange: { status: "closed", at: "2026-10-24T00:00:00.000Z" },
+      })
+    })
+
+    test("cierra al terminar el intervalo y abre el viernes siguiente", () => {
+      expect(statusAt(restaurant, "2026-10-24T00:30:00Z")).toEqual({
+        isOpen: false,
+        nextChange: { status: "open", at: "2026-10-30T19:00:00.000Z" },
+      })
+    })
+
+    test("fusiona un intervalo nocturno con el del día siguiente que empieza a medianoche", () => {
+      const lateNight = {
+        openingHours: { friday: [{ open: "20:00", close: "24:00" }], saturday: [{ open: "00:00", close: "03:00" }] },
+        timezone: "Europe/Madrid",
+      }
+
+      expect(statusAt(lateNight, "2026-10-23T21:00:00Z").nextChange).toEqual({
+        status: "closed",
+        at: "2026-10-24T01:00:00.000Z",
+      })
+    })
+  })
+
+  describe("cambios de hora", () => {
+    const restaurant = everyDay([{ open: "09:00", close: "14:00" }])
+
+    test("la apertura tras el cambio al horario de invierno usa la nueva diferencia horaria", () => {
+      // Sábado 2026-10-24 a las 22:00 (UTC+2); el domingo 25 Madrid pasa a UTC+1
+      expect(statusAt(restaurant, "2026-10-24T20:00:00Z")).toEqual({
+        isOpen: false,
+        nextChange: { status: "open", at: "2026-10-25T08:00:00.000Z" },
+      })
+    })
+
+    test("la apertura tras el cambio al horario de verano usa la nueva diferencia horaria", () => {
+      // Sábado 2026-03-28 a las 21:00 (UTC+1); el domingo 29 Madrid pasa a UTC+2
+      expect(statusAt(restaurant, "2026-03-28T20:00:00Z")).toEqual({
+        isOpen: false,
+        nextChange: { status: "open", at: "2026-03-29T07:00:00.000Z" },
+      })
+    })
+
+    test("un intervalo nocturno que atraviesa el cambio de hora dura una hora más", () => {
+      const nightly = everyDay([{ open: "22:00", close: "03:00" }])
+
+      // Sábado 2026-10-24 a las 23:00 (UTC+2); cierra el domingo a las 03:00 (UTC+1)
+      expect(statusAt(nightly, "2026-10-24T21:00:00Z")).toEqual({
+        isOpen: true,
+        nextChange: { status: "closed", at: "2026-10-25T02:00:00.000Z" },
+      })
+    })
+  })
+
+  describe("abierto 24 horas", () => {
+    test("sin próximo cambio si abre todos los días a todas horas", () => {
+      const restaurant = everyDay([{ open: "00:00", close: "24:00" }])
+
+      expect(statusAt(restaurant, "2026-10-24T12:00:00Z")).toEqual({ isOpen: true, nextChange: null })
+      expect(statusAt(restaurant, "2026-03-28T23:30:00Z")).toEqual({ isOpen: true, nextChange: null })
+    })
+
+    test("cierra cuando hay un día cerrado dentro de los días explorados", () => {
+      const restaurant = {
+        ...everyDay([{ open: "00:00", close: "24:00" }]),
+        specialHours: [{ date: "2026-10-27", intervals: [] }],
+      }
+
+      expect(statusAt(restaurant, "2026-10-24T12:00:00Z")).toEqual({
+        isOpen: true,
+        nextChange: { status: "closed", at: "2026-10-26T23:00:00.000Z" },
+      })
+    })
+  })
+
+  test("un horario especial cerrado sustituye al semanal", () => {
+    const restaurant = {
+      ...everyDay([{ open: "09:00", close: "14:00" }]),
+      specialHours: [{ date: "2026-10-20", intervals: [] }],
+    }
+
+    expect(statusAt(restaurant, "2026-10-19T13:00:00Z").nextChange).toEqual({
+      status: "open",
+      at: "2026-10-21T07:00:00.000Z",
+    })
+  })
+})
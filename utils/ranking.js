@@ -0,0 +1,328 @@
+/**
+ * Motor de ranking de restaurantes
+ *
+ * Cada restaurante guarda en rankingStats la suma de los pesos de sus reseñas y la suma de sus
+ * valoraciones multiplicadas por ese peso. Una reseña pesa más cuanto más reputación tiene su autor y,
+ * con el decaimiento temporal, cuanto más reciente es (el peso se reduce a la mitad cada semivida).
+ * El decaimiento desde que se calcularon las estadísticas se aplica en la consulta multiplicando ambas
+ * sumas por el mismo factor, así que no caducan con el tiempo.
+ *
+ * La puntuación la calcula la fórmula configurada a partir de dos valores: la valoración ponderada
+ * (media de las valoraciones con sus pesos) y las reseñas efectivas (suma de pesos). Para añadir una
+ * fórmula basta con registrarla en FORMULAS con sus parámetros, su expresión y su explicación.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals
+
+// Fórmulas de puntuación. score recibe las expresiones de agregación de la valoración ponderada (R)
+// y las reseñas efectivas (W); explain describe el cálculo con los valores de un restaurante
+const FORMULAS = {
+  bayesian: {
+    description:
+      "Media bayesiana: la valoración se acerca a la media global cuantas menos reseñas tiene el restaurante",
+    params: {
+      priorWeight: {
+        default: 5,
+        min: 0,
+        max: 1000,
+        description: "Reseñas con la media global que se suman a cada restaurante",
+      },
+    },
+    score: ({ weightedRating, effectiveReviews }, { priorWeight }, { priorMean }) => ({
+      $cond: [
+        { $gt: [{ $add: [priorWeight, effectiveReviews] }, 0] },
+        {
+          $divide: [
+            { $add: [priorWeight * priorMean, { $multiply: [effectiveReviews, weightedRating] }] },
+            { $add: [priorWeight, effectiveReviews] },
+          ],
+        },
+        priorMean,
+      ],
+    }),
+    explain: ({ weightedRating, effectiveReviews, score }, { priorWeight }, { priorMean }) =>
+      `(${priorWeight} × ${round(priorMean)} + ${round(effectiveReviews)} × ${round(weightedRating)}) / ` +
+      `(${priorWeight} + ${round(effectiveReviews)}) = ${round(score, 4)}`,
+  },
+  weighted: {
+    description: "Suma ponderada de la valoración y del número de reseñas (fórmula anterior)",
+    params: {
+      ratingWeight: { default: 0.7, min: 0, max: 1, description: "Peso de la valoración ponderada" },
+      volumeWeight: { default: 0.3, min: 0, max: 1, description: "Peso del número de reseñas" },
+      volumeTarget: {
+        default: 10,
+        min: 1,
+        max: 10000,
+        description: "Reseñas efectivas con las que el volumen puntúa al máximo",
+      },
+    },
+    score: ({ weightedRating, effectiveReviews }, { ratingWeight, volumeWeight, volumeTarget }) => ({
+      $cond: [
+        { $gt: [effectiveReviews, 0] },
+        {
+          $add: [
+            { $multiply: [weightedRating, ratingWeight] },
+            { $multiply: [{ $min: [{ $divide: [effectiveReviews, volumeTarget] }, 1] }, volumeWeight] },
+          ],
+        },
+        0,
+      ],
+    }),
+    explain: ({ weightedRating, effectiveReviews, score }, { ratingWeight, volumeWeight, volumeTarget }) =>
+      `${round(weightedRating)} × ${ratingWeight} + min(${round(effectiveReviews)} / ${volumeTarget}, 1) × ` +
+      `${volumeWeight} = ${round(score, 4)}`,
+  },
+}
+
+// Límites de los parámetros comunes a todas las fórmulas
+const COMMON_PARAMS = {
+  minReviews: { min: 0, max: 1000 },
+  "timeDecay.halfLifeDays": { min: 1, max: 3650 },
+  "reputationWeighting.maxBoost": { min: 0, max: 10 },
+  "reputationWeighting.fullReputation": { min: 1, max: 100000 },
+}
+
+const DEFAULT_RANKING_CONFIG = {
+  formula: "bayesian",
+  // Reseñas mínimas para aparecer en el ranking
+  minReviews: 1,
+  formulas: Object.fromEntries(
+    Object.entries(FORMULAS).map(([name, formula]) => [
+      name,
+      Object.fromEntries(Object.entries(formula.params).map(([param, { default: value }]) => [param, value])),
+    ]),
+  ),
+  timeDecay: { enabled: false, halfLifeDays: 180 },
+  // Una reseña pesa 1 + maxBoost × min(reputación / fullReputation, 1)
+  reputationWeighting: { enabled: false, maxBoost: 1, fullReputation: 100 },
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+const checkNumber = (errors, field, value, { min, max }) => {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+    errors.push(`${field} debe ser un número entre ${min} y ${max}`)
+  }
+}
+
+const checkSection = (errors, field, value, allowed, validate) => {
+  if (!isPlainObject(value)) {
+    errors.push(`${field} debe ser un objeto`)
+    return
+  }
+
+  for (const [key, entry] of Object.entries(value)) {
+    if (!allowed.includes(key)) errors.push(`${field}.${key} no es un parámetro válido`)
+    else validate(key, entry)
+  }
+}
+
+/**
+ * Valida un cambio parcial de la configuración del ranking
+ * @param {object} changes - Campos de DEFAULT_RANKING_CONFIG que se quieren cambiar
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ */
+function validateRankingConfig(changes) {
+  if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+    return ["Indica al menos un parámetro del ranking que cambiar"]
+  }
+
+  const errors = []
+
+  for (const [key, value] of Object.entries(changes)) {
+    switch (key) {
+      case "formula":
+        if (!Object.hasOwn(FORMULAS, value)) {
+          errors.push(`formula debe ser una de: ${Object.keys(FORMULAS).join(", ")}`)
+        }
+        break
+      case "minReviews":
+        checkNumber(errors, key, value, COMMON_PARAMS.minReviews)
+        if (!Number.isInteger(value)) errors.push("minReviews debe ser un número entero")
+        break
+      case "formulas":
+        checkSection(errors, key, value, Object.keys(FORMULAS), (name, params) =>
+          checkSection(errors, `formulas.${name}`, params, Object.keys(FORMULAS[name].params), (param, number) =>
+            checkNumber(errors, `formulas.${name}.${param}`, number, FORMULAS[name].params[param]),
+          ),
+        )
+        break
+      case "timeDecay":
+      case "reputationWeighting":
+        checkSection(errors, key, value, Object.keys(DEFAULT_RANKING_CONFIG[key]), (param, entry) => {
+          if (param === "enabled") {
+            if (typeof entry !== "boolean") errors.push(`${key}.enabled debe ser true o false`)
+          } else {
+            checkNumber(errors, `${key}.${param}`, entry, COMMON_PARAMS[`${key}.${param}`])
+          }
+        })
+        break
+      default:
+        errors.push(`${key} no es un parámetro del ranking`)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Aplica un cambio parcial sobre una configuración. Los parámetros de cada sección y de cada
+ * fórmula se combinan uno a uno
+ * @param {object} config - Configuración de partida
+ * @param {object} changes - Cambios ya validados
+ * @returns {object} Configuración resultante
+ */
+function mergeRankingConfig(config, changes) {
+  const formulas = { ...config.formulas }
+  for (const [name, params] of Object.entries(changes.formulas || {})) {
+    formulas[name] = { ...formulas[name], ...params }
+  }
+
+  return {
+    ...config,
+    ...changes,
+    formulas,
+    timeDecay: { ...config.timeDecay, ...changes.timeDecay },
+    reputationWeighting: { ...config.reputationWeighting, ...changes.reputationWeighting },
+  }
+}
+
+/**
+ * Indica si un cambio de configuración modifica el peso de las reseñas, y por tanto obliga a
+ * recalcular las estadísticas guardadas de todos los restaurantes
+ * @param {object} before - Configuración anterior
+ * @param {object} after - Configuración nueva
+ * @returns {boolean}
+ */
+function affectsReviewWeights(before, after) {
+  return ["timeDecay", "reputationWeighting"].some(
+    (section) => JSON.stringify(before[section]) !== JSON.stringify(after[section]),
+  )
+}
+
+// Factor de decaimiento entre una fecha de la consulta y un campo de fecha del documento
+const decayExpression = ({ halfLifeDays }, at, dateField) => ({
+  $exp: { $multiply: [-Math.LN2 / (halfLifeDays * MS_PER_DAY), { $subtract: [at, dateField] }] },
+})
+
+/**
+ * Expresión de agregación con el peso de una reseña: decaimiento por antigüedad y reputación del autor
+ * @param {object} config - Configuración del ranking
+ * @param {object} context - { at: fecha de referencia, reputation: campo con la reputación del autor }
+ * @returns {object|number} Expresión del peso (1 si no se pondera nada)
+ */
+function reviewWeightExpression(config, { at, reputation }) {
+  const factors = []
+
+  if (config.timeDecay.enabled) {
+    factors.push(decayExpression(config.timeDecay, at, "$createdAt"))
+  }
+
+  if (config.reputationWeighting.enabled) {
+    const { maxBoost, fullReputation } = config.reputationWeighting
+    const share = { $min: [{ $divide: [{ $max: [{ $ifNull: [reputation, 0] }, 0] }, fullReputation] }, 1] }
+    factors.push({ $add: [1, { $multiply: [maxBoost, share] }] })
+  }
+
+  if (factors.length === 0) return 1
+  return factors.length === 1 ? factors[0] : { $multiply: factors }
+}
+
+/**
+ * Etapas de agregación que calculan rankingScore. Los restaurantes sin rankingStats (anteriores al
+ * motor de ranking) usan su valoración media y su número de reseñas
+ * @param {object} config - Configuración del ranking
+ * @param {object} context - { at: fecha de la consulta, priorMean: media global de las valoraciones }
+ * @returns {Array<object>} Etapas para añadir tras el $match de los restaurantes
+ */
+function rankingStages(config, context) {
+  const formula = FORMULAS[config.formula]
+  // Decaimiento desde que se calcularon las estadísticas hasta la consulta
+  const decay = decayExpression(config.timeDecay, context.at, "$rankingStats.computedAt")
+  const weightSum = config.timeDecay.enabled
+    ? { $multiply: ["$rankingStats.weightSum", decay] }
+    : "$rankingStats.weightSum"
+
+  return [
+    {
+      $set: {
+        _ranking: {
+          weightedRating: {
+            $cond: [
+              { $gt: ["$rankingStats.weightSum", 0] },
+              { $divide: ["$rankingStats.weightedRatingSum", "$rankingStats.weightSum"] },
+              "$rating",
+            ],
+          },
+          effectiveReviews: { $cond: [{ $ifNull: ["$rankingStats", false] }, weightSum, "$reviewCount"] },
+        },
+      },
+    },
+    {
+      $set: {
+        rankingScore: {
+          $round: [
+            formula.score(
+              { weightedRating: "$_ranking.weightedRating", effectiveReviews: "$_ranking.effectiveReviews" },
+              config.formulas[config.formula],
+              context,
+            ),
+            4,
+          ],
+        },
+      },
+    },
+  ]
+}
+
+/**
+ * Explicación de la puntuación de un restaurante calculada con rankingStages
+ * @param {object} restaurant - Restaurante con _ranking y rankingScore
+ * @param {object} config - Configuración del ranking
+ * @param {object} context - { at, priorMean }
+ * @returns {object} Fórmula, valores usados y el cálculo desarrollado
+ */
+function explainScore(restaurant, config, context) {
+  const formula = FORMULAS[config.formula]
+  const params = config.formulas[config.formula]
+  const values = { ...restaurant._ranking, score: restaurant.rankingScore }
+
+  return {
+    formula: config.formula,
+    description: formula.description,
+    score: restaurant.rankingScore,
+    weightedRating: round(values.weightedRating),
+    effectiveReviews: round(values.effectiveReviews),
+    reviewCount: restaurant.reviewCount,
+    priorMean: round(context.priorMean),
+    params,
+    timeDecay: config.timeDecay.enabled ? { halfLifeDays: config.timeDecay.halfLifeDays } : null,
+    reputationWeighting: config.reputationWeighting.enabled ? config.reputationWeighting : null,
+    statsComputedAt: restaurant.rankingStats?.computedAt || null,
+    calculation: formula.explain(values, params, context),
+  }
+}
+
+/**
+ * Fórmulas disponibles con su descripción y sus parámetros (para el panel de administración)
+ * @returns {object} { [nombre]: { description, params } }
+ */
+function describeFormulas() {
+  return Object.fromEntries(
+    Object.entries(FORMULAS).map(([name, { description, params }]) => [name, { description, params }]),
+  )
+}
+
+module.exports = {
+  FORMULAS,
+  DEFAULT_RANKING_CONFIG,
+  validateRankingConfig,
+  mergeRankingConfig,
+  affectsReviewWeights,
+  reviewWeightExpression,
+  rankingStages,
+  explainScore,
+  describeFormulas,
+}
@@ -0,0 +1,123 @@
+/**
+ * Valoraciones por aspectos
+ *
+ * Además de la calificación general (rating), una reseña puede valorar de 1 a 5 algunos aspectos:
+ * los de restaurante en las reseñas de restaurante y los de plato en las de plato. Cada restaurante
+ * y plato guarda en aspectRatings la media y el número de valoraciones de cada aspecto, que se
+ * recalculan junto con su rating. Un aspecto sin valoraciones tiene rating null.
+ */
+
+const RATING_ASPECTS = {
+  restaurant: ["food", "service", "ambiance", "value", "cleanliness"],
+  dish: ["taste", "portion", "presentation", "value"],
+}
+
+// Todos los aspectos que existen, de restaurante o de plato
+const ALL_ASPECTS = [...new Set(Object.values(RATING_ASPECTS).flat())]
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+/**
+ * Valida las valoraciones por aspecto de una reseña
+ * @param {object} aspectRatings - { aspecto: calificación entera de 1 a 5 }
+ * @param {string} [type] - "restaurant" o "dish"; sin tipo se acepta cualquier aspecto conocido
+ * @returns {string[]} Errores encontrados (vacío si es válido)
+ */
+function validateAspectRatings(aspectRatings, type) {
+  if (!isPlainObject(aspectRatings)) {
+    return ["aspectRatings debe ser un objeto con la calificación de cada aspecto"]
+  }
+
+  const allowed = type ? RATING_ASPECTS[type] : ALL_ASPECTS
+  const errors = []
+
+  for (const [aspect, rating] of Object.entries(aspectRatings)) {
+    if (!allowed.includes(aspect)) {
+      errors.push(`Aspecto desconocido: ${aspect} (válidos: ${allowed.join(", ")})`)
+    } else if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      errors.push(`La calificación de ${aspect} debe ser un número entero entre 1 y 5`)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Normaliza las valoraciones por aspecto que se guardan en una reseña
+ * @param {object|null|undefined} aspectRatings - Valoraciones ya validadas
+ * @returns {object|null} Solo los aspectos valorados, o null si no hay ninguno
+ */
+function normalizeAspectRatings(aspectRatings) {
+  if (!isPlainObject(aspectRatings) || Object.keys(aspectRatings).length === 0) {
+    return null
+  }
+  return { ...aspectRatings }
+}
+
+/**
+ * Acumuladores de $group con la media y el número de valoraciones de cada aspecto de un tipo
+ * @param {string} type - "restaurant" o "dish"
+ * @param {object} [condition] - Expresión que deben cumplir las reseñas que cuentan para los aspectos
+ * @returns {object} Campos <aspecto>Avg y <aspecto>Count para el $group
+ */
+function aspectAccumulators(type, condition) {
+  return Object.fromEntries(
+    RATING_ASPECTS[type].flatMap((aspect) => {
+      const value = condition ? { $cond: [condition, `$aspectRatings.${aspect}`, null] } : `$aspectRatings.${aspect}`
+      return [
+        [`${aspect}Avg`, { $avg: value }],
+        [`${aspect}Count`, { $sum: { $cond: [{ $isNumber: value }, 1, 0] } }],
+      ]
+    }),
+  )
+}
+
+/**
+ * Valoraciones por aspecto de un restaurante o plato a partir del resultado de aspectAccumulators
+ * @param {string} type - "restaurant" o "dish"
+ * @param {object|undefined} stats - Resultado del $group (undefined si no tiene reseñas)
+ * @returns {object} { aspecto: { rating, count } }
+ */
+function toAspectRatings(type, stats) {
+  return Object.fromEntries(
+    RATING_ASPECTS[type].map((aspect) => {
+      const count = stats?.[`${aspect}Count`] || 0
+      const rating = count > 0 ? Math.round(stats[`${aspect}Avg`] * 10) / 10 : null
+      return [aspect, { rating, count }]
+    }),
+  )
+}
+
+/**
+ * Filtro de valoración mínima por aspecto para los listados de restaurantes o platos
+ * @param {object|undefined} minAspectRatings - { aspecto: valoración mínima }
+ * @returns {object} Condiciones sobre aspectRatings.<aspecto>.rating
+ */
+function aspectRatingQuery(minAspectRatings) {
+  return Object.fromEntries(
+    Object.entries(minAspectRatings || {}).map(([aspect, minimum]) => [
+      `aspectRatings.${aspect}.rating`,
+      { $gte: Number.parseFloat(minimum) },
+    ]),
+  )
+}
+
+/**
+ * Campo de ordenación de un listado: los aspectos se ordenan por su valoración media
+ * @param {string} type - "restaurant" o "dish"
+ * @param {string} sortBy - Campo o aspecto pedido
+ * @returns {string} Campo del documento
+ */
+function aspectSortField(type, sortBy) {
+  return RATING_ASPECTS[type].includes(sortBy) ? `aspectRatings.${sortBy}.rating` : sortBy
+}
+
+module.exports = {
+  RATING_ASPECTS,
+  validateAspectRatings,
+  normalizeAspectRatings,
+  aspectAccumulators,
+  toAspectRatings,
+  aspectRatingQuery,
+  aspectSortField,
+}
@@ -0,0 +1,94 @@
+/**
+ * Borrado lógico (papelera) compartido por restaurantes, platos, reseñas y categorías
+ *
+ * Un documento eliminado conserva sus datos y guarda deletedAt y deletedBy. Los platos y
+ * reseñas eliminados junto con su restaurante guardan además deletedWith (ID del restaurante)
+ * para restaurarlos con él. Los documentos anteriores a la papelera no tienen deletedAt,
+ * por eso el filtro compara con null (coincide también con el campo ausente).
+ *
+ * Los documentos no eliminados guardan deletedAt: null (al arrancar se completa en los antiguos)
+ * para que los índices únicos solo cuenten los documentos vivos (LIVE_INDEX_FILTER): un nombre
+ * o una reseña en la papelera no impide crear otro igual.
+ */
+
+const { ObjectId } = require("mongodb")
+
+// Filtro de documentos no eliminados
+const NOT_DELETED = { deletedAt: null }
+
+// Filtro de documentos en la papelera
+const DELETED = { deletedAt: { $ne: null } }
+
+// partialFilterExpression de los índices únicos: solo documentos no eliminados (con deletedAt: null)
+const LIVE_INDEX_FILTER = { deletedAt: { $type: "null" } }
+
+/**
+ * Añade el filtro de documentos no eliminados a una query
+ * @param {object} query - Query de MongoDB
+ * @returns {object} Query que excluye los documentos eliminados
+ */
+function notDeleted(query = {}) {
+  return { ...query, ...NOT_DELETED }
+}
+
+/**
+ * Construye la actualización que envía un documento a la papelera
+ * @param {string|ObjectId} deletedBy - Usuario que lo elimina
+ * @param {string|ObjectId} deletedWith - Restaurante con el que se elimina en cascada (opcional)
+ * @returns {object} Actualización $set de MongoDB
+ */
+function buildDeletion(deletedBy, deletedWith = null) {
+  return {
+    $set: {
+      deletedAt: new Date(),
+      deletedBy: deletedBy ? new ObjectId(deletedBy) : null,
+      deletedWith: deletedWith ? new ObjectId(deletedWith) : null,
+    },
+  }
+}
+
+// Actualización que saca un documento de la papelera
+const RESTORE = { $set: { deletedAt: null }, $unset: { deletedBy: "", deletedWith: "" } }
+
+/**
+ * Lista los documentos de una colección que están en la papelera, los más recientes primero
+ * @param {Collection} collection - Colección de MongoDB
+ * @param {object} options - { page, limit, before } (before: solo los eliminados antes de esa fecha)
+ * @returns {Promise<object>} { items, pagination }
+ */
+async function findDeleted(collection, options = {}) {
+  const { page = 1, limit = 20, before } = options
+
+  const query = { ...DELETED }
+  if (before) {
+    query.deletedAt = { $ne: null, $lt: before }
+  }
+
+  const skip = (page - 1) * limit
+
+  const [items, total] = await Promise.all([
+    collection.find(query).sort({ deletedAt: -1 }).skip(skip).limit(limit).toArray(),
+    collection.countDocuments(query),
+  ])
+
+  return {
+    items,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    },
+  }
+}
+
+module.exports = {
+  NOT_DELETED,
+  DELETED,
+  LIVE_INDEX_FILTER,
+  notDeleted,
+  buildDeletion,
+  RESTORE,
+  findDeleted,
+}
@@ -0,0 +1,160 @@
+/**
+ * Implementación de TOTP (RFC 6238) para la verificación en dos pasos
+ */
+
+const crypto = require("crypto")
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const TOTP_STEP_SECONDS = 30
+const TOTP_DIGITS = 6
+
+/**
+ * Codifica un buffer en base32 (RFC 4648, sin relleno)
+ * @param {Buffer} buffer - Datos a codificar
+ * @returns {string} Texto en base32
+ */
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ""
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+/**
+ * Decodifica un texto base32 (ignora espacios, guiones y relleno)
+ * @param {string} input - Texto en base32
+ * @returns {Buffer} Datos decodificados
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, "")
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Secreto base32 inválido")
+    }
+
+    value = (value << 5) | index
+    bits += 5
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Genera un secreto TOTP aleatorio
+ * @param {number} bytes - Longitud del secreto en bytes (160 bits por defecto)
+ * @returns {string} Secreto en base32
+ */
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes))
+}
+
+/**
+ * Calcula el código HOTP (RFC 4226) para un contador
+ * @param {string} secret - Secreto en base32
+ * @param {number} counter - Contador (paso de tiempo en TOTP)
+ * @returns {string} Código de TOTP_DIGITS dígitos
+ */
+function generateHOTP(secret, counter) {
+  const buffer = Buffer.alloc(8)
+  buffer.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS
+
+  return binary.toString().padStart(TOTP_DIGITS, "0")
+}
+
+/**
+ * Obtiene el paso de tiempo TOTP para un instante
+ * @param {number} timestamp - Milisegundos desde epoch
+ * @returns {number} Paso de tiempo
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS)
+}
+
+/**
+ * Genera el código TOTP vigente
+ * @param {string} secret - Secreto en base32
+ * @param {number} timestamp - Milisegundos desde epoch
+ * @returns {string} Código TOTP
+ */
+function generateTOTP(secret, timestamp = Date.now()) {
+  return generateHOTP(secret, getTimeStep(timestamp))
+}
+
+/**
+ * Verifica un código TOTP admitiendo un desfase de ±window pasos
+ * @param {string} secret - Secreto en base32
+ * @param {string} token - Código introducido por el usuario
+ * @param {number} window - Pasos de tolerancia a cada lado
+ * @returns {number|null} Paso de tiempo que coincidió, o null si no es válido
+ */
+function verifyTOTP(secret, token, window = 1) {
+  if (!/^\d{6}$/.test(String(token))) return null
+
+  const currentStep = getTimeStep()
+  const expected = Buffer.from(String(token))
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateHOTP(secret, currentStep + offset))
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return currentStep + offset
+    }
+  }
+
+  return null
+}
+
+/**
+ * Construye la URI otpauth:// que las apps autenticadoras leen desde un código QR
+ * @param {object} params - { secret, accountName, issuer }
+ * @returns {string} URI de aprovisionamiento
+ */
+function buildOtpAuthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  })
+
+  return `otpauth://totp/${label}?${query.toString()}`
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUri,
+}